@@ -0,0 +1,13 @@
+/**
+ * Google Analytics (gtag.js) setup. Kept in a file rather than inline in
+ * index.html, so the Content Security Policy doesn't need to allow inline
+ * scripts. Analytics storage is granted from cookie-consent.js once the
+ * visitor accepts it.
+ */
+
+window.dataLayer = window.dataLayer || [];
+function gtag() {
+    dataLayer.push(arguments);
+}
+gtag('js', new Date());
+gtag('config', 'G-V2WV9D30ML');
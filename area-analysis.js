@@ -0,0 +1,309 @@
+/**
+ * Area report: what grows inside the drawn area (see area-selection.js).
+ *
+ * When an area is drawn, the districts it touches are loaded and the report
+ * lists the number of trees, surface and density, species breakdown, height
+ * and diameter stats and the estimated canopy and other ecosystem services
+ * (see ecosystem-services.js). Trees hidden by the filter are left out, as on
+ * the map. Fields are read with getTreeFields(), the same accessor as the
+ * popup, so compressed and original property names both work.
+ *
+ * The trees of the area can be highlighted: they are drawn on top of the map
+ * in their own pane while the rest of the markers are dimmed.
+ */
+
+const AREA_HIGHLIGHT_STYLE = { color: '#F57F17', weight: 2, fillColor: '#FFEB3B', fillOpacity: 0.9 };
+
+// Most trees drawn by the highlight; more would make panning sluggish
+const AREA_HIGHLIGHT_LIMIT = 20000;
+
+/**
+ * Area report state.
+ *
+ * Properties:
+ * - report: Last analysis (see analyzeArea), or null
+ * - highlight: Layer group with the highlighted trees, or null when off
+ * - renderer: Canvas renderer of the highlight pane
+ */
+const areaAnalysisState = {
+    report: null,
+    highlight: null,
+    renderer: null
+};
+
+/**
+ * Minimum, median, mean and maximum of some measurements.
+ *
+ * @param {Array<number>} values - Measurements
+ * @returns {Object|null} { min, median, mean, max }, or null if empty
+ */
+function summarizeMeasurements(values) {
+    if (!values.length) return null;
+
+    const sorted = Float64Array.from(values).sort();
+    const middle = sorted.length >> 1;
+    return {
+        min: sorted[0],
+        median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+        mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+        max: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Analyze the loaded trees inside the area.
+ *
+ * @returns {Object|null} Report, or null when there is no area:
+ *   { count, surface, speciesCount, shannon, topSpecies: [{ sn, cn, count }],
+ *     height, diameter (see summarizeMeasurements), heightHistogram, diameterHistogram,
+ *     ecosystem (see newEcosystemTotals), trees: [{ table, row }] }
+ */
+function analyzeArea() {
+    if (!areaSelection.shape) return null;
+
+    const bins = getStatsBins();
+    const filtered = isFilterActive();
+    const species = new Map();
+    const heights = [];
+    const diameters = [];
+    const heightHistogram = new Array(bins.height.length).fill(0);
+    const diameterHistogram = new Array(bins.diameter.length).fill(0);
+    const treesInArea = [];
+    const ecosystem = newEcosystemTotals();
+
+    forEachLoadedTree((table, row) => {
+        if (!pointInArea(table.lat[row], table.lng[row])) return;
+
+        const fields = getTreeFields(table, row);
+        if (filtered && !treeMatchesFilter(fields)) return;
+
+        treesInArea.push({ table, row });
+        const entry = species.get(fields.species) || { sn: fields.species, cn: fields.commonName, count: 0 };
+        entry.count++;
+        species.set(fields.species, entry);
+
+        if (fields.height) {
+            heights.push(fields.height);
+            heightHistogram[histogramBin(fields.height, bins.height)]++;
+        }
+        if (fields.diameter) {
+            diameters.push(fields.diameter);
+            diameterHistogram[histogramBin(fields.diameter, bins.diameter)]++;
+        }
+        addEcosystemServices(ecosystem, fields);
+    });
+
+    const counts = Array.from(species.values()).sort((a, b) => b.count - a.count);
+    return {
+        count: treesInArea.length,
+        surface: getAreaSquareMeters(),
+        speciesCount: species.size,
+        shannon: shannonIndex(counts.map(entry => entry.count)),
+        topSpecies: counts.slice(0, TOP_SPECIES_COUNT),
+        height: summarizeMeasurements(heights),
+        diameter: summarizeMeasurements(diameters),
+        heightHistogram,
+        diameterHistogram,
+        ecosystem,
+        trees: treesInArea
+    };
+}
+
+/**
+ * Format a surface in m² or, from one hectare, in ha.
+ *
+ * @param {number} squareMeters - Surface
+ * @returns {string} Formatted surface
+ */
+function formatSurface(squareMeters) {
+    if (squareMeters < 10000) {
+        return `${formatNumber(Math.round(squareMeters))} m²`;
+    }
+    return `${formatNumber(squareMeters / 10000, { maximumFractionDigits: 2 })} ha`;
+}
+
+/**
+ * Build the HTML of the area report.
+ *
+ * @param {Object} report - Result of analyzeArea()
+ * @returns {string} HTML content
+ */
+function buildAreaReport(report) {
+    const filterNote = isFilterActive() ? `<p class="area-report-note">${t('areaReport.filtered')}</p>` : '';
+    if (!report.count) {
+        return `<p class="area-report-note">${t('areaReport.noTrees')}</p>${filterNote}`;
+    }
+
+    const hectares = report.surface / 10000;
+    const canopyShare = report.surface ? Math.min(100, report.ecosystem.canopy / report.surface * 100) : 0;
+
+    let content = `<dl class="stats-facts">`;
+    content += `<dt>${t('stats.treeCount')}</dt><dd>${formatNumber(report.count)}</dd>`;
+    content += `<dt>${t('areaReport.surface')}</dt><dd>${formatSurface(report.surface)}</dd>`;
+    if (hectares > 0) {
+        content += `<dt>${t('areaReport.density')}</dt><dd>${t('areaReport.perHectare', { value: formatNumber(report.count / hectares, { maximumFractionDigits: 0 }) })}</dd>`;
+    }
+    content += `<dt>${t('stats.speciesCount')}</dt><dd>${formatNumber(report.speciesCount)}</dd>`;
+    content += `<dt>${t('stats.diversity')}</dt><dd>${formatShannon(report.shannon)}</dd>`;
+    if (report.ecosystem.count) {
+        content += `<dt title="${t('areaReport.canopyTitle')}">${t('areaReport.canopy')}</dt>`;
+        content += `<dd>${formatSurface(report.ecosystem.canopy)} (${formatNumber(canopyShare, { maximumFractionDigits: 1 })}%)</dd>`;
+    }
+    content += `</dl>`;
+
+    if (report.ecosystem.count) {
+        content += `<div class="stats-subtitle">${t('ecosystem.title')}</div>`;
+        content += buildEcosystemServicesList(report.ecosystem, ['canopy']);
+        content += `<p class="area-report-note">${t('ecosystem.estimatedTrees', { count: formatNumber(report.ecosystem.count), total: formatNumber(report.count) })}</p>`;
+    }
+
+    const measurements = [
+        ['popup.height', report.height, 'm'],
+        ['popup.diameter', report.diameter, 'cm']
+    ].filter(([, summary]) => summary);
+    if (measurements.length) {
+        const format = value => formatNumber(value, { maximumFractionDigits: 1 });
+        content += `<table class="area-report-measurements"><thead><tr><th></th>`;
+        ['min', 'median', 'mean', 'max'].forEach(key => {
+            content += `<th>${t(`areaReport.${key}`)}</th>`;
+        });
+        content += `</tr></thead><tbody>`;
+        measurements.forEach(([label, summary, unit]) => {
+            content += `<tr><th>${t(label)} (${unit})</th><td>${format(summary.min)}</td><td>${format(summary.median)}</td><td>${format(summary.mean)}</td><td>${format(summary.max)}</td></tr>`;
+        });
+        content += `</tbody></table>`;
+    }
+
+    const top = report.topSpecies[0].count;
+    content += `<div class="stats-subtitle">${t('stats.topSpecies')}</div><ol class="stats-top-species">`;
+    report.topSpecies.forEach(({ sn, cn, count }) => {
+        const commonName = getLocalizedCommonName({ species: sn, commonName: cn });
+        content += `
+            <li>
+                <span class="stats-top-species-name">${escapeHtml(sn)}</span>
+                <span class="stats-top-species-count">${formatNumber(count)} · ${formatShare(count, report.count)}</span>
+                ${commonName && commonName !== sn ? `<span class="area-report-common-name">${escapeHtml(commonName)}</span>` : ''}
+                <span class="stats-top-species-bar" style="width: ${(count / top * 100).toFixed(1)}%"></span>
+            </li>
+        `;
+    });
+    content += `</ol>`;
+    if (report.speciesCount > report.topSpecies.length) {
+        content += `<p class="area-report-note">${t('areaReport.moreSpecies', { count: report.speciesCount - report.topSpecies.length })}</p>`;
+    }
+
+    const bins = getStatsBins();
+    content += buildHistogram(t('stats.heightHistogram'), report.heightHistogram, bins.height, 'm');
+    content += buildHistogram(t('stats.diameterHistogram'), report.diameterHistogram, bins.diameter, 'cm');
+
+    return content + filterNote;
+}
+
+/**
+ * Draw the trees of the last report on top of the map and dim the other markers.
+ */
+function drawAreaHighlight() {
+    if (!areaAnalysisState.highlight) return;
+
+    const layer = areaAnalysisState.highlight;
+    layer.clearLayers();
+    const treesInArea = areaAnalysisState.report ? areaAnalysisState.report.trees : [];
+    treesInArea.slice(0, AREA_HIGHLIGHT_LIMIT).forEach(({ table, row }) => {
+        L.circleMarker(getTreeLatLng(table, row), {
+            ...AREA_HIGHLIGHT_STYLE,
+            radius: getTreeMarkerStyle(table, row).radius + 1,
+            renderer: areaAnalysisState.renderer,
+            interactive: false
+        }).addTo(layer);
+    });
+}
+
+/**
+ * Turn the highlight of the area's trees on or off.
+ *
+ * @param {boolean} on - Highlight
+ */
+function setAreaHighlight(on) {
+    if (on && !areaAnalysisState.highlight) {
+        areaAnalysisState.highlight = L.layerGroup().addTo(map);
+    } else if (!on && areaAnalysisState.highlight) {
+        map.removeLayer(areaAnalysisState.highlight);
+        areaAnalysisState.highlight = null;
+    }
+    map.getContainer().classList.toggle('highlighting-area', on);
+    drawAreaHighlight();
+    updateAreaReportButtons();
+}
+
+/**
+ * Sync the highlight button and its note with the highlight state.
+ */
+function updateAreaReportButtons() {
+    const button = document.getElementById('area-report-highlight');
+    const note = document.getElementById('area-report-limit');
+    if (!button) return;
+
+    const report = areaAnalysisState.report;
+    button.hidden = !report || !report.count;
+    button.textContent = t(areaAnalysisState.highlight ? 'areaReport.unhighlight' : 'areaReport.highlight');
+    button.setAttribute('aria-pressed', String(Boolean(areaAnalysisState.highlight)));
+    note.hidden = !areaAnalysisState.highlight || !report || report.count <= AREA_HIGHLIGHT_LIMIT;
+    note.textContent = t('areaReport.highlightLimit', { count: AREA_HIGHLIGHT_LIMIT });
+}
+
+/**
+ * Recompute the report. Called when the area changes (open), when a district
+ * finishes loading and when the filter changes.
+ *
+ * @param {boolean} [open=false] - Open the panel; districts the area touches are loaded
+ */
+function refreshAreaReport(open = false) {
+    const panel = document.getElementById('area-report');
+    const content = document.getElementById('area-report-content');
+    if (!panel || !content) return;
+
+    if (!areaSelection.shape) {
+        areaAnalysisState.report = null;
+        panel.classList.remove('show');
+        setAreaHighlight(false);
+        return;
+    }
+
+    if (open) {
+        panel.classList.add('show');
+        if (districtState.index) {
+            districtState.index.districts
+                .filter(district => districtIntersects(district, areaSelection.bounds))
+                .forEach(district => loadDistrict(district));
+        }
+    }
+    if (!panel.classList.contains('show') && !areaAnalysisState.highlight) return;
+
+    areaAnalysisState.report = analyzeArea();
+    content.innerHTML = buildAreaReport(areaAnalysisState.report);
+    drawAreaHighlight();
+    updateAreaReportButtons();
+}
+
+/**
+ * Wire up the area report panel and add the draw control to the map.
+ */
+function setupAreaAnalysis() {
+    const panel = document.getElementById('area-report');
+    if (!panel) return;
+
+    // Highlighted trees go above the markers and clusters, below popups
+    map.createPane('areaHighlightPane').style.zIndex = 640;
+    areaAnalysisState.renderer = L.canvas({ pane: 'areaHighlightPane', padding: 0.5 });
+
+    setupAreaDrawControl();
+
+    document.getElementById('area-report-highlight').addEventListener('click', () => {
+        setAreaHighlight(!areaAnalysisState.highlight);
+    });
+
+    document.getElementById('area-report-close').addEventListener('click', () => {
+        panel.classList.remove('show');
+        setAreaHighlight(false);
+    });
+}
@@ -0,0 +1,324 @@
+/**
+ * Area drawn on the map to select trees.
+ *
+ * Three shapes can be drawn, from the draw control on the map or from the
+ * export section of the filter panel (polygon only):
+ * - Polygon: click the map to add vertices, then double-click, press Enter or
+ *   click the draw button again to close it
+ * - Rectangle: click two opposite corners
+ * - Circle: click the centre, then a point on the edge
+ * Escape cancels. Tree popups don't open while drawing.
+ *
+ * Only one area exists at a time; drawing a new one replaces it. Finishing or
+ * clearing an area updates the export controls (data-export.js) and the area
+ * report (area-analysis.js).
+ */
+
+const AREA_STYLE = { color: '#1565C0', weight: 2, fillColor: '#1565C0', fillOpacity: 0.08 };
+
+// Clicks closer than this to the last vertex are ignored (the two clicks of a double-click)
+const AREA_MIN_VERTEX_PIXELS = 6;
+
+/**
+ * Shapes of the draw control: message key of the button title and its icon.
+ */
+const AREA_SHAPES = {
+    polygon: { title: 'area.polygon', icon: '⬠' },
+    rectangle: { title: 'area.rectangle', icon: '▭' },
+    circle: { title: 'area.circle', icon: '◯' }
+};
+
+/**
+ * Area selection state.
+ *
+ * Properties:
+ * - shape: The area, or null. One of
+ *   { type: 'polygon', vertices: [[lat, lng], ...] },
+ *   { type: 'rectangle', vertices: [[lat, lng] x 4] },
+ *   { type: 'circle', center: [lat, lng], radius: meters }
+ * - bounds: L.LatLngBounds of the area, or null
+ * - layer: Shape drawn on the map, or null
+ * - drawing: While drawing, { type, finish, cancel }; otherwise null
+ */
+const areaSelection = {
+    shape: null,
+    bounds: null,
+    layer: null,
+    drawing: null
+};
+
+/**
+ * Check whether a point is inside a polygon (ray casting).
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Array<Array<number>>} vertices - Vertices as [lat, lng]
+ * @returns {boolean}
+ */
+function pointInPolygon(lat, lng, vertices) {
+    let inside = false;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        const [latI, lngI] = vertices[i];
+        const [latJ, lngJ] = vertices[j];
+        if ((latI > lat) !== (latJ > lat) &&
+            lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Check whether a point is inside the area.
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean} False when there is no area
+ */
+function pointInArea(lat, lng) {
+    const shape = areaSelection.shape;
+    if (!shape || !areaSelection.bounds.contains([lat, lng])) return false;
+
+    switch (shape.type) {
+        case 'circle':
+            return distanceMeters(lat, lng, shape.center[0], shape.center[1]) <= shape.radius;
+        case 'rectangle':
+            // Inside the bounds is inside the rectangle
+            return true;
+        default:
+            return pointInPolygon(lat, lng, shape.vertices);
+    }
+}
+
+/**
+ * Surface of the area. Polygons are projected on a plane tangent at their
+ * first vertex, which is accurate enough at city scale.
+ *
+ * @returns {number} Area in m², 0 when there is no area
+ */
+function getAreaSquareMeters() {
+    const shape = areaSelection.shape;
+    if (!shape) return 0;
+    if (shape.type === 'circle') {
+        return Math.PI * shape.radius ** 2;
+    }
+
+    const [lat0, lng0] = shape.vertices[0];
+    const metersPerDegree = Math.PI / 180 * EARTH_RADIUS_M;
+    const points = shape.vertices.map(([lat, lng]) => [
+        (lng - lng0) * metersPerDegree * Math.cos(lat0 * Math.PI / 180),
+        (lat - lat0) * metersPerDegree
+    ]);
+    let sum = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        sum += points[j][0] * points[i][1] - points[i][0] * points[j][1];
+    }
+    return Math.abs(sum) / 2;
+}
+
+/**
+ * Tell the modules that use the area that it changed.
+ */
+function notifyAreaChanged() {
+    updateExportScope();
+    updateAreaDrawControl();
+    refreshAreaReport(true);
+}
+
+/**
+ * Set the area and draw it.
+ *
+ * @param {Object} shape - Area, see areaSelection.shape
+ */
+function setArea(shape) {
+    if (areaSelection.layer) {
+        map.removeLayer(areaSelection.layer);
+    }
+    const style = { ...AREA_STYLE, interactive: false };
+    areaSelection.shape = shape;
+    if (shape.type === 'circle') {
+        areaSelection.layer = L.circle(shape.center, { ...style, radius: shape.radius }).addTo(map);
+    } else {
+        areaSelection.layer = L.polygon(shape.vertices, style).addTo(map);
+    }
+    areaSelection.bounds = areaSelection.layer.getBounds();
+    notifyAreaChanged();
+}
+
+/**
+ * Remove the area.
+ */
+function clearArea() {
+    if (areaSelection.layer) {
+        map.removeLayer(areaSelection.layer);
+    }
+    areaSelection.shape = null;
+    areaSelection.bounds = null;
+    areaSelection.layer = null;
+    notifyAreaChanged();
+}
+
+/**
+ * Start drawing an area on the map, replacing the current one.
+ *
+ * @param {string} [type='polygon'] - 'polygon', 'rectangle' or 'circle'
+ */
+function startAreaDrawing(type = 'polygon') {
+    if (areaSelection.drawing) {
+        areaSelection.drawing.cancel();
+    }
+    clearArea();
+
+    const points = [];
+    const previewStyle = { ...AREA_STYLE, dashArray: '6 4', interactive: false };
+    let preview = null;
+    const container = map.getContainer();
+
+    // The shape so far, with the mouse position as its last point
+    const buildShape = (cursor) => {
+        const all = cursor ? points.concat(cursor) : points;
+        if (type === 'circle') {
+            if (all.length < 2) return null;
+            return { type, center: [all[0].lat, all[0].lng], radius: all[0].distanceTo(all[1]) };
+        }
+        if (type === 'rectangle') {
+            if (all.length < 2) return null;
+            const [a, b] = all;
+            return { type, vertices: [[a.lat, a.lng], [a.lat, b.lng], [b.lat, b.lng], [b.lat, a.lng]] };
+        }
+        return all.length >= 3 ? { type, vertices: all.map(latlng => [latlng.lat, latlng.lng]) } : null;
+    };
+
+    const drawPreview = (cursor) => {
+        if (preview) {
+            map.removeLayer(preview);
+            preview = null;
+        }
+        const shape = buildShape(cursor);
+        if (shape && shape.type === 'circle') {
+            preview = L.circle(shape.center, { ...previewStyle, radius: shape.radius });
+        } else if (shape) {
+            preview = L.polygon(shape.vertices, previewStyle);
+        } else if (points.length) {
+            preview = L.polyline(points.concat(cursor || []), previewStyle);
+        }
+        if (preview) {
+            preview.addTo(map);
+        }
+    };
+
+    const onClick = (e) => {
+        const last = points[points.length - 1];
+        if (last && map.latLngToContainerPoint(last).distanceTo(e.containerPoint) < AREA_MIN_VERTEX_PIXELS) return;
+        points.push(e.latlng);
+        if (type !== 'polygon' && points.length === 2) {
+            finish();
+        } else {
+            drawPreview();
+        }
+    };
+    const onMouseMove = (e) => {
+        if (points.length) drawPreview(e.latlng);
+    };
+    const onKeyDown = (e) => {
+        if (e.key === 'Escape') cancel();
+        if (e.key === 'Enter') finish();
+    };
+
+    const stop = () => {
+        map.off('click', onClick);
+        map.off('mousemove', onMouseMove);
+        map.off('dblclick', finish);
+        document.removeEventListener('keydown', onKeyDown);
+        if (preview) {
+            map.removeLayer(preview);
+        }
+        map.doubleClickZoom.enable();
+        container.classList.remove('drawing-area');
+        areaSelection.drawing = null;
+        updateExportScope();
+        updateAreaDrawControl();
+    };
+    function finish() {
+        const shape = buildShape();
+        if (shape) {
+            setArea(shape);
+        }
+        stop();
+    }
+    function cancel() {
+        stop();
+    }
+
+    map.on('click', onClick);
+    map.on('mousemove', onMouseMove);
+    map.on('dblclick', finish);
+    document.addEventListener('keydown', onKeyDown);
+    map.doubleClickZoom.disable();
+    container.classList.add('drawing-area');
+
+    areaSelection.drawing = { type, finish, cancel };
+    updateExportScope();
+    updateAreaDrawControl();
+}
+
+/**
+ * Close the area being drawn, keeping it if it has enough points.
+ */
+function finishAreaDrawing() {
+    if (areaSelection.drawing) {
+        areaSelection.drawing.finish();
+    }
+}
+
+/**
+ * Highlight the button of the shape being drawn and show the clear button
+ * when there is an area.
+ */
+function updateAreaDrawControl() {
+    document.querySelectorAll('.area-draw-control [data-area-shape]').forEach(button => {
+        const active = Boolean(areaSelection.drawing) && areaSelection.drawing.type === button.dataset.areaShape;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+    const clearButton = document.querySelector('.area-draw-control .area-draw-clear');
+    if (clearButton) {
+        clearButton.hidden = !areaSelection.shape;
+    }
+}
+
+/**
+ * Add the draw control to the map: a button per shape and one to clear the area.
+ * Clicking the button of the shape being drawn finishes it.
+ */
+function setupAreaDrawControl() {
+    const AreaDrawControl = L.Control.extend({
+        options: { position: 'topleft' },
+
+        onAdd() {
+            const container = L.DomUtil.create('div', 'leaflet-bar area-draw-control');
+            let content = '';
+            Object.entries(AREA_SHAPES).forEach(([type, { title, icon }]) => {
+                content += `<button type="button" data-area-shape="${type}" title="${t(title)}" aria-label="${t(title)}" aria-pressed="false">${icon}</button>`;
+            });
+            content += `<button type="button" class="area-draw-clear" title="${t('area.clear')}" aria-label="${t('area.clear')}" hidden>✕</button>`;
+            container.innerHTML = content;
+
+            L.DomEvent.disableClickPropagation(container);
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('button');
+                if (!button) return;
+                if (button.classList.contains('area-draw-clear')) {
+                    clearArea();
+                } else if (areaSelection.drawing && areaSelection.drawing.type === button.dataset.areaShape) {
+                    finishAreaDrawing();
+                } else {
+                    startAreaDrawing(button.dataset.areaShape);
+                }
+            });
+            return container;
+        }
+    });
+
+    new AreaDrawControl().addTo(map);
+}
@@ -0,0 +1,256 @@
+#!/usr/bin/env python3
+"""
+Build compact binary versions of the district GeoJSON files.
+
+Each district_XX_NAME.geojson gets a district_XX_NAME.bin next to it, and its
+entry in districts_index.json gets a `binary_filename` and `binary_size_mb`.
+The map loads the binary file when the index lists it and falls back to the
+GeoJSON file otherwise.
+
+Binary layout (all numbers little-endian):
+
+    offset  size        field
+    0       4           magic "MTB2"
+    4       4  uint32   tree count (N)
+    8       4  int32    origin longitude, in microdegrees
+    12      4  int32    origin latitude, in microdegrees
+    16      4  uint32   string table byte length (S)
+    20      S           string table: UTF-8 strings separated by NUL; string 0 is ""
+    ...     0-3         padding to a multiple of 4
+            4N uint32   longitude offsets from origin, in microdegrees (0xFFFFFFFF = no coordinates)
+            4N uint32   latitude offsets from origin, in microdegrees
+            2N uint16   species (sn) string index
+            2N uint16   common name (cn) string index
+            2N uint16   district (dt) string index
+            2N uint16   neighborhood (nb) string index
+            2N uint16   height (h), in cm (0xFFFF = missing)
+            2N uint16   diameter (d), in mm (0xFFFF = missing)
+            4  uint32   attribute count (K)
+            4  uint32   attribute names byte length (M)
+            M           attribute property names: UTF-8 separated by NUL
+            4  uint32   attribute string table byte length (A)
+            A           attribute string table: UTF-8 strings separated by NUL; string 0 is ""
+            K  uint8    1 if the attribute is stored, 0 if no tree has it
+            0-3         padding to a multiple of 4
+            4N uint32   attribute string index, for every stored attribute (0 = missing)
+
+Coordinates are quantised to 1e-6 degrees (~11 cm), the same precision
+compress-districts.py rounds to. Heights keep 1 cm and diameters 1 mm of
+precision. The attributes are the properties data/schema.json reads for the
+tree id and the extra attributes, kept as strings with their source name; the
+schema coerces them when the file is loaded. They get their own string table
+and 32-bit indexes, as ids don't repeat. The UTM X/Y strings and any other
+property are not included.
+
+Every property the schema reads is listed, even when no tree has it: the map
+falls back to the GeoJSON file when a binary file lacks one, so build the
+binary files again after adding an attribute to the schema.
+
+Run it after compress-districts.py, so it reads the short property names.
+"""
+
+import json
+import struct
+from pathlib import Path
+
+MAGIC = b'MTB2'
+NO_COORDINATE = 0xFFFFFFFF
+NO_VALUE = 0xFFFF
+
+# Indexes of the uint16 string columns go up to 0xFFFF
+MAX_STRINGS = 0x10000
+
+# Short property names stored in their own columns
+SHORT_NAMES = {'sn', 'cn', 'dt', 'nb', 'h', 'd'}
+
+# Property names, compressed first (see PROPERTY_MAP in compress-districts.py)
+STRING_FIELDS = [
+    ('sn', 'species', 'Nombre científico'),
+    ('cn', 'common_name', 'CODIGO_ESP'),
+    ('dt', 'NBRE_DTO'),
+    ('nb', 'NBRE_BARRI'),
+]
+
+
+def first_value(props, names):
+    """Return the first non-empty property among the given names"""
+    for name in names:
+        value = props.get(name)
+        if value not in (None, ''):
+            return value
+    return None
+
+
+def attribute_names(schema):
+    """Return the properties the schema reads for the id and extra attributes,
+    in order, leaving out the short names stored in their own columns"""
+    specs = [(schema.get('fields') or {}).get('id') or {}]
+    specs += list((schema.get('extra') or {}).values())
+    names = []
+    for spec in specs:
+        for name in spec.get('sources', []):
+            if name not in SHORT_NAMES and name not in names:
+                names.append(name)
+    return names
+
+
+def pack_strings(strings):
+    """Join strings into a NUL-separated UTF-8 table"""
+    return '\0'.join(strings).encode('utf-8')
+
+
+def pack_measure(value, scale):
+    """Pack a height/diameter into a uint16 with the given scale, or NO_VALUE"""
+    try:
+        number = float(value)
+    except (TypeError, ValueError):
+        return NO_VALUE
+    packed = int(round(number * scale))
+    if packed < 0 or packed >= NO_VALUE:
+        return NO_VALUE
+    return packed
+
+
+def encode_district(features, attributes=()):
+    """Encode district features into the binary layout described above,
+    with the given property names as attributes"""
+    count = len(features)
+
+    def dictionary():
+        strings = ['']
+        string_index = {'': 0}
+
+        def encode(value):
+            value = '' if value is None else str(value)
+            if value not in string_index:
+                string_index[value] = len(strings)
+                strings.append(value)
+            return string_index[value]
+        return strings, encode
+
+    strings, encode_string = dictionary()
+    attribute_strings, encode_attribute = dictionary()
+
+    micro_coords = []
+    for feature in features:
+        coords = (feature.get('geometry') or {}).get('coordinates')
+        if coords and len(coords) >= 2:
+            micro_coords.append((round(coords[0] * 1e6), round(coords[1] * 1e6)))
+        else:
+            micro_coords.append(None)
+
+    valid = [c for c in micro_coords if c is not None]
+    origin_lng = min((c[0] for c in valid), default=0)
+    origin_lat = min((c[1] for c in valid), default=0)
+
+    lngs, lats = [], []
+    string_columns = [[] for _ in STRING_FIELDS]
+    heights, diameters = [], []
+    attribute_columns = [[] for _ in attributes]
+
+    for feature, coords in zip(features, micro_coords):
+        props = feature.get('properties') or {}
+
+        if coords is None:
+            lngs.append(NO_COORDINATE)
+            lats.append(NO_COORDINATE)
+        else:
+            lngs.append(coords[0] - origin_lng)
+            lats.append(coords[1] - origin_lat)
+
+        for column, names in zip(string_columns, STRING_FIELDS):
+            column.append(encode_string(first_value(props, names)))
+
+        heights.append(pack_measure(first_value(props, ('h', 'height')), 100))
+        diameters.append(pack_measure(first_value(props, ('d', 'diameter')), 10))
+
+        for column, name in zip(attribute_columns, attributes):
+            value = props.get(name)
+            column.append(0 if value in (None, '') else encode_attribute(value))
+
+    if len(strings) > MAX_STRINGS:
+        raise ValueError(f"Too many distinct strings for uint16 indexes: {len(strings)}")
+
+    string_bytes = pack_strings(strings)
+    header = MAGIC + struct.pack('<IiiI', count, origin_lng, origin_lat, len(string_bytes))
+    padding = b'\0' * (-(len(header) + len(string_bytes)) % 4)
+
+    body = struct.pack(f'<{count}I', *lngs) + struct.pack(f'<{count}I', *lats)
+    for column in string_columns:
+        body += struct.pack(f'<{count}H', *column)
+    body += struct.pack(f'<{count}H', *heights)
+    body += struct.pack(f'<{count}H', *diameters)
+
+    names_bytes = pack_strings(attributes)
+    attribute_bytes = pack_strings(attribute_strings)
+    stored = [any(column) for column in attribute_columns]
+    section = struct.pack('<II', len(attributes), len(names_bytes)) + names_bytes
+    section += struct.pack('<I', len(attribute_bytes)) + attribute_bytes
+    section += bytes(stored)
+    # The columns before are 20N bytes long, so the section starts aligned
+    section += b'\0' * (-len(section) % 4)
+    for column, keep in zip(attribute_columns, stored):
+        if keep:
+            section += struct.pack(f'<{count}I', *column)
+
+    return header + string_bytes + padding + body + section
+
+
+def main():
+    script_dir = Path(__file__).parent
+    districts_dir = script_dir / 'data' / 'districts'
+    index_path = districts_dir / 'districts_index.json'
+    schema_path = script_dir / 'data' / 'schema.json'
+
+    if not index_path.exists():
+        print(f"Error: Index not found: {index_path}")
+        return
+
+    with open(index_path, 'r', encoding='utf-8') as f:
+        index_data = json.load(f)
+
+    schema = {}
+    if schema_path.exists():
+        with open(schema_path, 'r', encoding='utf-8') as f:
+            schema = json.load(f)
+    attributes = attribute_names(schema)
+    print(f"Attributes: {', '.join(attributes) or 'none'}")
+
+    total_geojson = 0
+    total_binary = 0
+
+    for district in index_data.get('districts', []):
+        geojson_path = districts_dir / district['filename']
+        if not geojson_path.exists():
+            print(f"Skipping {district['code']} - {district['name']}: file not found")
+            continue
+
+        with open(geojson_path, 'r', encoding='utf-8') as f:
+            data = json.load(f)
+
+        binary_path = geojson_path.with_suffix('.bin')
+        binary_path.write_bytes(encode_district(data.get('features', []), attributes))
+
+        geojson_size = geojson_path.stat().st_size
+        binary_size = binary_path.stat().st_size
+        total_geojson += geojson_size
+        total_binary += binary_size
+
+        district['binary_filename'] = binary_path.name
+        district['binary_size_mb'] = binary_size / (1024 * 1024)
+
+        print(f"{district['code']} - {district['name']}: {geojson_size:,} -> {binary_size:,} bytes "
+              f"({(1 - binary_size / geojson_size) * 100:.1f}% smaller)")
+
+    with open(index_path, 'w', encoding='utf-8') as f:
+        json.dump(index_data, f, ensure_ascii=False, indent=2)
+
+    if total_geojson:
+        print("=" * 60)
+        print(f"Total GeoJSON: {total_geojson / 1024 / 1024:.2f} MB")
+        print(f"Total binary:  {total_binary / 1024 / 1024:.2f} MB")
+        print(f"Reduction:     {(1 - total_binary / total_geojson) * 100:.1f}%")
+
+
+if __name__ == '__main__':
+    main()
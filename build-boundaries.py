@@ -0,0 +1,173 @@
+#!/usr/bin/env python3
+"""
+Build district and neighborhood boundary polygons for the choropleth view.
+
+Writes boundaries/districts.geojson and boundaries/neighborhoods.geojson, next
+to the districts folder (data/boundaries for Madrid), with one polygon per area: the convex hull of its trees. Hulls are an
+approximation (they cover the wooded part of each area, and neighbouring hulls
+can overlap); official boundaries from the Madrid open data portal can replace
+these files as long as they keep the same properties:
+
+- districts.geojson: code, name, area_km2
+- neighborhoods.geojson: district_code, name, area_km2
+
+Special districts (Madrid's singular trees, spread over the whole Comunidad de
+Madrid) are skipped; they are read from the city's entry in data/cities.json.
+
+Run it after split-by-district.py; it reads districts_index.json to find the files.
+"""
+
+import json
+import math
+import os
+import sys
+from pathlib import Path
+
+EARTH_RADIUS_KM = 6371.0088
+
+
+def convex_hull(points):
+    """Convex hull of (lng, lat) points, counter-clockwise (Andrew's monotone chain)"""
+    points = sorted(set(points))
+    if len(points) < 3:
+        return None
+
+    def cross(o, a, b):
+        return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0])
+
+    lower = []
+    for point in points:
+        while len(lower) >= 2 and cross(lower[-2], lower[-1], point) <= 0:
+            lower.pop()
+        lower.append(point)
+
+    upper = []
+    for point in reversed(points):
+        while len(upper) >= 2 and cross(upper[-2], upper[-1], point) <= 0:
+            upper.pop()
+        upper.append(point)
+
+    hull = lower[:-1] + upper[:-1]
+    return hull if len(hull) >= 3 else None
+
+
+def ring_area_km2(ring):
+    """Area of a small lng/lat ring in km², on an equirectangular projection"""
+    mean_lat = math.radians(sum(lat for _, lat in ring) / len(ring))
+    scale_x = math.radians(1) * EARTH_RADIUS_KM * math.cos(mean_lat)
+    scale_y = math.radians(1) * EARTH_RADIUS_KM
+
+    area = 0
+    for (x1, y1), (x2, y2) in zip(ring, ring[1:] + ring[:1]):
+        area += (x1 * scale_x) * (y2 * scale_y) - (x2 * scale_x) * (y1 * scale_y)
+    return abs(area) / 2
+
+
+def hull_feature(points, properties, precision=6):
+    """GeoJSON polygon feature of the convex hull of points, or None"""
+    hull = convex_hull(points)
+    if hull is None:
+        return None
+
+    ring = [[round(lng, precision), round(lat, precision)] for lng, lat in hull]
+    properties['area_km2'] = round(ring_area_km2(hull), 4)
+    return {
+        'type': 'Feature',
+        'properties': properties,
+        'geometry': {'type': 'Polygon', 'coordinates': [ring + [ring[0]]]}
+    }
+
+
+def write_collection(path, features):
+    with open(path, 'w', encoding='utf-8') as f:
+        json.dump({'type': 'FeatureCollection', 'features': features}, f, ensure_ascii=False, separators=(',', ':'))
+
+
+def normalize_folder(path):
+    """Folder path relative to the site, without ./ and with a trailing slash"""
+    return Path(path).as_posix().rstrip('/') + '/'
+
+
+def read_special_codes(manifest_path, data_root):
+    """Codes of the special districts of the city whose data is in data_root"""
+    if not manifest_path.exists():
+        return set()
+    with open(manifest_path, 'r', encoding='utf-8') as f:
+        manifest = json.load(f)
+    for city in manifest.get('cities', []):
+        if normalize_folder(city.get('data_root', 'data/')) == data_root:
+            return set(city.get('special_districts', {}).keys())
+    return set()
+
+
+def build_boundaries(districts_dir, output_dir, special_codes):
+    index_path = districts_dir / 'districts_index.json'
+    if not index_path.exists():
+        print(f"Error: Index not found: {index_path}")
+        return False
+
+    with open(index_path, 'r', encoding='utf-8') as f:
+        index_data = json.load(f)
+
+    district_features = []
+    neighborhood_features = []
+
+    for district in index_data.get('districts', []):
+        if district['code'] in special_codes:
+            continue
+
+        district_path = districts_dir / district['filename']
+        if not district_path.exists():
+            print(f"  Skipping {district['code']} - {district['name']}: file not found")
+            continue
+
+        with open(district_path, 'r', encoding='utf-8') as f:
+            data = json.load(f)
+
+        points = []
+        neighborhoods = {}
+        for feature in data.get('features', []):
+            coords = (feature.get('geometry') or {}).get('coordinates')
+            if not coords or len(coords) < 2:
+                continue
+            point = (coords[0], coords[1])
+            points.append(point)
+
+            props = feature.get('properties') or {}
+            neighborhood = props.get('nb') or props.get('NBRE_BARRI')
+            if neighborhood:
+                neighborhoods.setdefault(neighborhood, []).append(point)
+
+        feature = hull_feature(points, {'code': district['code'], 'name': district['name']})
+        if feature:
+            district_features.append(feature)
+            print(f"  {district['code']} - {district['name']}: {feature['properties']['area_km2']} km², "
+                  f"{len(neighborhoods)} neighborhoods")
+
+        for name in sorted(neighborhoods):
+            feature = hull_feature(neighborhoods[name], {'district_code': district['code'], 'name': name})
+            if feature:
+                neighborhood_features.append(feature)
+
+    output_dir.mkdir(parents=True, exist_ok=True)
+    write_collection(output_dir / 'districts.geojson', district_features)
+    write_collection(output_dir / 'neighborhoods.geojson', neighborhood_features)
+
+    print(f"\nWrote {len(district_features)} districts and {len(neighborhood_features)} neighborhoods to {output_dir}")
+    return True
+
+
+def main():
+    script_dir = Path(__file__).parent
+    districts_dir = script_dir / 'data' / 'districts'
+
+    if len(sys.argv) > 1:
+        districts_dir = Path(sys.argv[1])
+
+    data_root = normalize_folder(os.path.relpath(districts_dir.parent.resolve(), script_dir.resolve()))
+    special_codes = read_special_codes(script_dir / 'data' / 'cities.json', data_root)
+    build_boundaries(districts_dir, districts_dir.parent / 'boundaries', special_codes)
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,384 @@
+/**
+ * Cities: the datasets the map can show, described in data/cities.json and
+ * written by update-district-index.py.
+ *
+ *   {
+ *       "default": "madrid",
+ *       "cities": [
+ *           {
+ *               "id": "madrid",
+ *               "name": "Madrid",
+ *               "center": [40.4168, -3.7038],
+ *               "zoom": 12,
+ *               "data_root": "data/",
+ *               "index": "districts/districts_index.json",
+ *               "special_districts": {
+ *                   "22": { "label": { "es": "Árbol singular", "en": "Singular tree" }, "info_url": "https://...", "image_search": "common_name" }
+ *               },
+ *               "attribution": { "text": "Ayuntamiento de Madrid", "url": "https://datos.madrid.es/" }
+ *           }
+ *       ]
+ *   }
+ *
+ * - data_root: Folder of the city's data, relative to the page. The index,
+ *   schema.json (see tree-schema.js), styles.json (see tree-styles.js),
+ *   ecosystem-services.json (see ecosystem-services.js) and boundaries/ (see
+ *   map-layers.js) are read from it; `index`, `schema`, `styles` and
+ *   `ecosystem_services` can point elsewhere. District files sit next to the index
+ * - special_districts: Districts that are a category of their own rather than
+ *   an area (Madrid's singular trees). Their popup shows the label and info
+ *   link instead of measurements, and image searches use the common name when
+ *   image_search is "common_name"
+ * - attribution: Data source, shown on the map and in the info panel
+ * - survey: Optional { "endpoint": "https://..." }, backend the field survey
+ *   edits are sent to (see field-survey.js); without it they are only kept on
+ *   the device and exported
+ *
+ * The city shown is the one in the URL (see deep-link.js), else the last one
+ * chosen, else the default. Switching city tears down everything loaded for the
+ * previous one and loads the new one without reloading the page.
+ */
+
+const CITY_MANIFEST_URL = './data/cities.json';
+
+const CITY_STORAGE_KEY = 'madtrees-city';
+
+/**
+ * Manifest used when data/cities.json can't be loaded: Madrid.
+ */
+const FALLBACK_CITY_MANIFEST = {
+    default: 'madrid',
+    cities: [
+        {
+            id: 'madrid',
+            name: 'Madrid',
+            center: [40.4168, -3.7038],
+            zoom: 12,
+            data_root: 'data/',
+            index: 'districts/districts_index.json',
+            special_districts: {
+                '22': {
+                    label: { es: 'Árbol singular', en: 'Singular tree' },
+                    info_url: 'https://es.wikipedia.org/wiki/%C3%81rboles_singulares_de_la_Comunidad_de_Madrid',
+                    image_search: 'common_name'
+                }
+            },
+            attribution: { text: { es: 'Ayuntamiento de Madrid', en: 'Madrid City Council' }, url: 'https://datos.madrid.es/' }
+        }
+    ]
+};
+
+/**
+ * City state.
+ *
+ * Properties:
+ * - manifest: City manifest in use
+ * - city: Entry of the city shown
+ * - attribution: Attribution HTML added to the map for the city, or null
+ */
+const cityState = {
+    manifest: FALLBACK_CITY_MANIFEST,
+    city: FALLBACK_CITY_MANIFEST.cities[0],
+    attribution: null
+};
+
+/**
+ * Load data/cities.json, falling back to FALLBACK_CITY_MANIFEST.
+ *
+ * @returns {Promise<Object>} Manifest in use
+ */
+async function loadCityManifest() {
+    try {
+        const response = await fetch(CITY_MANIFEST_URL);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const manifest = await response.json();
+        if (!Array.isArray(manifest.cities) || manifest.cities.length === 0) {
+            throw new Error('sin ciudades');
+        }
+        cityState.manifest = manifest;
+    } catch (error) {
+        console.warn('⚠️ No se pudo cargar la lista de ciudades, se usa Madrid:', error.message);
+        cityState.manifest = FALLBACK_CITY_MANIFEST;
+    }
+    return cityState.manifest;
+}
+
+/**
+ * Find a city of the manifest.
+ *
+ * @param {string} id - City id
+ * @returns {Object|null} City entry
+ */
+function findCity(id) {
+    return cityState.manifest.cities.find(city => city.id === id) || null;
+}
+
+/**
+ * The default city of the manifest (its `default`, else the first one).
+ *
+ * @returns {Object} City entry
+ */
+function getDefaultCity() {
+    return findCity(cityState.manifest.default) || cityState.manifest.cities[0];
+}
+
+/**
+ * Make a city the current one, without loading anything. Unknown ids fall
+ * back to the last city chosen, then to the default one.
+ *
+ * @param {string|null} id - City id
+ * @returns {Object} City entry now current
+ */
+function selectCity(id) {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(CITY_STORAGE_KEY);
+    } catch (error) {
+        // Storage can be disabled; use the default city
+    }
+
+    cityState.city = findCity(id) || findCity(saved) || getDefaultCity();
+    try {
+        localStorage.setItem(CITY_STORAGE_KEY, cityState.city.id);
+    } catch (error) {
+        // Not remembered, the link still carries the city
+    }
+    return cityState.city;
+}
+
+/**
+ * URL of a file of the current city, relative to its data root.
+ *
+ * @param {string} path - Path inside the data root
+ * @returns {string} URL relative to the page
+ */
+function getCityDataUrl(path) {
+    const root = String(cityState.city.data_root || 'data/').replace(/^\.\//, '').replace(/\/?$/, '/');
+    return `./${root}${path}`;
+}
+
+/**
+ * URL of the current city's district index.
+ *
+ * @returns {string} URL relative to the page
+ */
+function getCityIndexUrl() {
+    return getCityDataUrl(cityState.city.index || 'districts/districts_index.json');
+}
+
+/**
+ * URL of a file next to the current city's district index (district files,
+ * species stats).
+ *
+ * @param {string} filename - File name
+ * @returns {string} URL relative to the page
+ */
+function getCityDistrictFileUrl(filename) {
+    const index = getCityIndexUrl();
+    return index.slice(0, index.lastIndexOf('/') + 1) + filename;
+}
+
+/**
+ * Rule of a special district of the current city.
+ *
+ * @param {string} districtCode - District code
+ * @returns {Object|null} { label, info_url, image_search }, or null for ordinary districts
+ */
+function getSpecialDistrict(districtCode) {
+    const special = cityState.city.special_districts || {};
+    return Object.prototype.hasOwnProperty.call(special, districtCode) ? special[districtCode] : null;
+}
+
+/**
+ * Check whether a district of the current city is a special category.
+ *
+ * @param {string} districtCode - District code
+ * @returns {boolean}
+ */
+function isSpecialDistrict(districtCode) {
+    return getSpecialDistrict(districtCode) !== null;
+}
+
+/**
+ * Codes of the special districts of the current city.
+ *
+ * @returns {Array<string>}
+ */
+function getSpecialDistrictCodes() {
+    return Object.keys(cityState.city.special_districts || {});
+}
+
+/**
+ * Show the current city's name, tree count and data source in the page, and
+ * its attribution on the map.
+ */
+function applyCityInfo() {
+    const city = cityState.city;
+    const name = localizeText(city.name);
+    const attribution = city.attribution || {};
+    const source = localizeText(attribution.text);
+
+    // The default city keeps the page title, written for search engines
+    document.title = city === getDefaultCity() ? t('app.title') : t('city.appTitle', { city: name });
+
+    const title = document.querySelector('#info-panel h3 span');
+    if (title) {
+        title.textContent = t('city.title', { city: name });
+    }
+    const treeCount = document.querySelector('#info-panel [data-i18n="info.treeCount"]');
+    if (treeCount && districtState.index && districtState.index.total_trees) {
+        treeCount.textContent = t('city.treeCount', { count: districtState.index.total_trees });
+    }
+    const dataSource = document.querySelector('#info-panel [data-i18n="info.dataSource"]');
+    if (dataSource && source) {
+        dataSource.textContent = t('city.dataSource', { source });
+    }
+
+    if (cityState.attribution) {
+        map.attributionControl.removeAttribution(cityState.attribution);
+        cityState.attribution = null;
+    }
+    if (source) {
+        const url = safeUrl(attribution.url);
+        cityState.attribution = String(url
+            ? html`<a href="${url}" target="_blank" rel="noopener noreferrer">${source}</a>`
+            : html`${source}`);
+        map.attributionControl.addAttribution(cityState.attribution);
+    }
+
+    const select = document.getElementById('city-select');
+    if (select) {
+        select.value = city.id;
+    }
+}
+
+/**
+ * Load the schema, marker styles, ecosystem services coefficients, district
+ * index and field survey edits of the current city.
+ *
+ * @returns {Promise<boolean>} True if the district index loaded
+ */
+async function loadCityData() {
+    const city = cityState.city;
+    const [success] = await Promise.all([
+        loadDistrictIndex(),
+        loadTreeStyles(getCityDataUrl(city.styles || 'styles.json')),
+        loadTreeSchema(getCityDataUrl(city.schema || 'schema.json')),
+        loadEcosystemServices(getCityDataUrl(city.ecosystem_services || 'ecosystem-services.json')),
+        loadSurveyEdits()
+    ]);
+    applyCityInfo();
+    return success;
+}
+
+/**
+ * Remove everything loaded for the current city: markers, district tables and
+ * the indexes, panels and overlays built from them. Waits for district loads
+ * in progress, so none of them lands in the next city.
+ *
+ * @returns {Promise<void>}
+ */
+async function clearCityData() {
+    // Stops loadVisibleDistricts() before its next district, and aborts the downloads in progress
+    districtState.index = null;
+    resetDistrictStatus();
+    await Promise.all(Array.from(districtState.pendingLoads.values()));
+
+    map.closePopup();
+    closeSpeciesPanel();
+    if (areaSelection.drawing) {
+        areaSelection.drawing.cancel();
+    }
+    if (areaSelection.shape) {
+        clearArea();
+    }
+    openTour([]);
+
+    markers.clearLayers();
+    treeStore.districts.clear();
+    treeStore.count = 0;
+    spatialIndex.districts.clear();
+    spatialIndex.bounds = null;
+    filterIndex.species.clear();
+    filterIndex.neighborhoods.clear();
+    setTreeFilter({});
+
+    districtState.loadedDistricts.clear();
+    districtState.districtLayers = {};
+    districtState.pendingLoads.clear();
+    districtState.reloadPending = false;
+
+    speciesPanelState.stats = null;
+    mapLayersState.boundaries.clear();
+    resetReleaseChanges();
+    surveyState.edits.clear();
+    statsDashboardState.selectedDistrict = null;
+    statsDashboardState.selectedNeighborhood = '';
+}
+
+/**
+ * Show another city: clear the current one, load the new one's data and move
+ * the map to it.
+ *
+ * @param {string} id - City id
+ * @param {boolean} [keepView=false] - Keep the map view (e.g. set by a deep link)
+ * @returns {Promise<boolean>} True if the city loaded
+ */
+async function switchCity(id, keepView = false) {
+    const city = findCity(id);
+    if (!city) return false;
+
+    console.log(`🏙️ Cambiando a ${localizeText(city.name)}...`);
+    loadingOverlay.classList.remove('hidden');
+    loadingText.textContent = t('city.loading', { city: localizeText(city.name) });
+    loadingProgress.textContent = t('loading.preparing');
+
+    await clearCityData();
+    selectCity(id);
+    if (!keepView) {
+        map.setView(city.center, city.zoom || 12, { animate: false });
+    }
+
+    const success = await loadCityData();
+    if (!success) {
+        hideLoading();
+        return false;
+    }
+
+    refreshStylePresetOptions();
+    refreshFilterOptions();
+    refreshStatsDashboard();
+    refreshMapLayers();
+    refreshNearbyTrees();
+    renderSavedTours();
+    updateTourQueryKinds();
+    updateDeepLink();
+    pruneTreeCache().then(updateOfflineStatus);
+
+    await loadVisibleDistricts();
+    hideLoading();
+    return true;
+}
+
+/**
+ * Fill the city selector of the info panel; it is hidden when the manifest
+ * lists a single city.
+ */
+function setupCitySwitcher() {
+    const select = document.getElementById('city-select');
+    const container = document.getElementById('city-switcher');
+    if (!select || !container) return;
+
+    const cities = cityState.manifest.cities;
+    container.hidden = cities.length < 2;
+    select.replaceChildren(...cities.map(city => new Option(localizeText(city.name), city.id)));
+    select.value = cityState.city.id;
+
+    select.addEventListener('change', () => {
+        if (select.value !== cityState.city.id) {
+            switchCity(select.value);
+        }
+    });
+}
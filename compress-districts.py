@@ -27,6 +27,38 @@ PROPERTY_MAP = {
     "NUM_BARRIO": None           # Remove - internal barrio number
 }
 
+# Short names of the canonical fields of data/schema.json (see tree-schema.js)
+SCHEMA_SHORT_NAMES = {
+    "species": "sn",
+    "commonName": "cn",
+    "height": "h",
+    "diameter": "d",
+    "district": "dt",
+    "neighborhood": "nb"
+}
+
+def apply_tree_schema(schema_path):
+    """Map the sources listed in data/schema.json to their short names, and keep
+    the sources of the id and extra attributes even if PROPERTY_MAP removes them"""
+    if not schema_path.exists():
+        return
+
+    with open(schema_path, 'r', encoding='utf-8') as f:
+        schema = json.load(f)
+
+    for name, spec in schema.get('fields', {}).items():
+        for source in spec.get('sources', []):
+            short_key = SCHEMA_SHORT_NAMES.get(name)
+            if short_key:
+                PROPERTY_MAP[source] = short_key
+            elif PROPERTY_MAP.get(source, source) is None:
+                del PROPERTY_MAP[source]
+
+    for spec in schema.get('extra', {}).values():
+        for source in spec.get('sources', []):
+            if PROPERTY_MAP.get(source, source) is None:
+                del PROPERTY_MAP[source]
+
 def compress_properties(props):
     """Compress property names and remove null/empty values"""
     if not props:
@@ -98,6 +130,8 @@ def main():
     script_dir = Path(__file__).parent
     districts_dir = script_dir / 'data' / 'districts'
     
+    apply_tree_schema(script_dir / 'data' / 'schema.json')
+    
     if not districts_dir.exists():
         print(f"Error: Districts directory not found: {districts_dir}")
         return
@@ -0,0 +1,130 @@
+/**
+ * Cookie consent banner (CookieConsent by orestbida) and its texts. Accepting
+ * the analytics category grants analytics storage to gtag (see analytics.js).
+ * Kept out of index.html for the Content Security Policy, like analytics.js.
+ */
+
+CookieConsent.run({
+    categories: {
+        necessary: {
+            enabled: true,
+            readOnly: true
+        },
+        analytics: {}
+    },
+
+    language: {
+        default: 'es',
+        autoDetect: 'document',
+        translations: {
+            es: {
+                consentModal: {
+                    title: '🍪 Utilizamos cookies',
+                    description: 'Este sitio utiliza cookies de análisis para mejorar tu experiencia y entender cómo interactúas con el mapa. Puedes aceptar todas las cookies o personalizar tu elección.',
+                    acceptAllBtn: 'Aceptar todas',
+                    acceptNecessaryBtn: 'Rechazar',
+                    showPreferencesBtn: 'Personalizar'
+                },
+                preferencesModal: {
+                    title: 'Preferencias de cookies',
+                    acceptAllBtn: 'Aceptar todas',
+                    acceptNecessaryBtn: 'Rechazar opcionales',
+                    savePreferencesBtn: 'Guardar preferencias',
+                    closeIconLabel: 'Cerrar',
+                    sections: [
+                        {
+                            title: 'Uso de cookies',
+                            description: 'Utilizamos cookies para analizar el uso del sitio web y mejorar tu experiencia.'
+                        },
+                        {
+                            title: 'Cookies necesarias',
+                            description: 'No hay ninguna cookie necesaria para el funcionamiento del sitio web.',
+                            linkedCategory: 'necessary'
+                        },
+                        {
+                            title: 'Cookies de análisis',
+                            description: 'Estas cookies nos ayudan a entender cómo los visitantes interactúan con el sitio web mediante Google Analytics.',
+                            linkedCategory: 'analytics'
+                        },
+                        {
+                            title: 'Más información',
+                            description: 'Para cualquier consulta sobre nuestra política de cookies, puedes <a href="https://github.com/madtrees/madtrees">contactarnos en GitHub</a>.'
+                        }
+                    ]
+                }
+            },
+            en: {
+                consentModal: {
+                    title: '🍪 We use cookies',
+                    description: 'This site uses analytics cookies to improve your experience and understand how you interact with the map. You can accept all cookies or customise your choice.',
+                    acceptAllBtn: 'Accept all',
+                    acceptNecessaryBtn: 'Reject',
+                    showPreferencesBtn: 'Customise'
+                },
+                preferencesModal: {
+                    title: 'Cookie preferences',
+                    acceptAllBtn: 'Accept all',
+                    acceptNecessaryBtn: 'Reject optional',
+                    savePreferencesBtn: 'Save preferences',
+                    closeIconLabel: 'Close',
+                    sections: [
+                        {
+                            title: 'Use of cookies',
+                            description: 'We use cookies to analyse how the website is used and improve your experience.'
+                        },
+                        {
+                            title: 'Necessary cookies',
+                            description: 'No cookies are needed for the website to work.',
+                            linkedCategory: 'necessary'
+                        },
+                        {
+                            title: 'Analytics cookies',
+                            description: 'These cookies help us understand how visitors interact with the website through Google Analytics.',
+                            linkedCategory: 'analytics'
+                        },
+                        {
+                            title: 'More information',
+                            description: 'For any question about our cookie policy, you can <a href="https://github.com/madtrees/madtrees">contact us on GitHub</a>.'
+                        }
+                    ]
+                }
+            }
+        }
+    },
+
+    onConsent: function() {
+        if (CookieConsent.acceptedCategory('analytics')) {
+            loadAnalytics();
+        }
+    },
+
+    onChange: function() {
+        if (CookieConsent.acceptedCategory('analytics')) {
+            loadAnalytics();
+        }
+    }
+});
+
+// Function to load Google Analytics
+function loadAnalytics() {
+    if (window.gaLoaded) return;
+    window.gaLoaded = true;
+
+    // Enable Google Analytics
+    if (typeof gtag === 'function') {
+        gtag('consent', 'update', {
+            'analytics_storage': 'granted'
+        });
+    }
+}
+
+// Button to reopen cookie preferences
+window.addEventListener('load', function() {
+    const btn = document.createElement('button');
+    btn.id = 'cookie-settings-btn';
+    btn.textContent = '🍪 Cookies';
+    btn.onclick = function() {
+        CookieConsent.showPreferences();
+    };
+    document.body.appendChild(btn);
+});
@@ -0,0 +1,341 @@
+/**
+ * Export of loaded trees as CSV, GeoJSON or KML.
+ *
+ * The trees exported are the ones visible in the map view, inside the drawn
+ * area (see area-selection.js) or matching the filter anywhere; the filter
+ * applies to all three, as it does to the markers. Only districts already
+ * loaded are exported.
+ *
+ * Files are generated in the browser from the district tables (see
+ * tree-store.js), EXPORT_CHUNK_SIZE rows at a time with a yield to the
+ * browser in between, so large exports don't freeze the page. The text of
+ * each chunk goes straight into the Blob, never into one big string.
+ */
+
+const EXPORT_CHUNK_SIZE = 5000;
+
+// Estimated ecosystem services (see ecosystem-services.js) -> exported column
+const ECOSYSTEM_EXPORT_COLUMNS = {
+    biomass: 'biomass_kg',
+    carbon: 'carbon_kg',
+    co2: 'co2_kg_year',
+    canopy: 'canopy_m2',
+    interception: 'interception_l_year'
+};
+
+const CSV_COLUMNS = ['tree_id', 'species', 'common_name', 'diameter_cm', 'height_m', 'district', 'neighborhood', 'lat', 'lng']
+    .concat(Object.values(ECOSYSTEM_EXPORT_COLUMNS));
+
+/**
+ * Export state.
+ *
+ * Properties:
+ * - running: True while an export is being generated
+ * - cancelled: Set to stop the running export after the current chunk
+ */
+const exportState = {
+    running: false,
+    cancelled: false
+};
+
+/**
+ * Escape text for XML.
+ *
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[char]);
+}
+
+/**
+ * Quote a CSV value when it holds a separator, quote or line break.
+ *
+ * @param {*} value - Value; null is written as an empty field
+ * @returns {string} CSV field
+ */
+function escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Round a measurement for export. Heights and diameters are stored as 32-bit
+ * floats, so 12.3 would otherwise come out as 12.300000190734863.
+ *
+ * @param {number|null} value - Measurement
+ * @returns {number|null} Value with at most 2 decimals
+ */
+function exportNumber(value) {
+    return value === null ? null : Number(value.toFixed(2));
+}
+
+/**
+ * Estimated ecosystem services of a tree, by exported column; empty values
+ * when it has no estimate.
+ *
+ * @param {Object} fields - Tree fields
+ * @returns {Object} Column -> value or null
+ */
+function exportEcosystemServices(fields) {
+    const estimate = estimateEcosystemServices(fields) || {};
+    const values = {};
+    Object.entries(ECOSYSTEM_EXPORT_COLUMNS).forEach(([key, column]) => {
+        values[column] = exportNumber(estimate[key] === undefined ? null : estimate[key]);
+    });
+    return values;
+}
+
+/**
+ * Export formats. Each one writes the start of the file, one tree, and the end.
+ * Trees are written with (fields, id, lat, lng, index), index counting from 0.
+ */
+const EXPORT_FORMATS = {
+    csv: {
+        extension: 'csv',
+        type: 'text/csv;charset=utf-8',
+        // The BOM tells spreadsheet programs the file is UTF-8
+        start: () => '\uFEFF' + CSV_COLUMNS.join(',') + '\r\n',
+        tree: (fields, id, lat, lng) => [
+            id, fields.species, fields.commonName, exportNumber(fields.diameter), exportNumber(fields.height),
+            fields.district, fields.neighborhood, lat.toFixed(6), lng.toFixed(6),
+            ...Object.values(exportEcosystemServices(fields))
+        ].map(escapeCsv).join(',') + '\r\n',
+        end: () => ''
+    },
+    geojson: {
+        extension: 'geojson',
+        type: 'application/geo+json',
+        start: () => '{"type":"FeatureCollection","features":[\n',
+        tree: (fields, id, lat, lng, index) => (index > 0 ? ',\n' : '') + JSON.stringify({
+            type: 'Feature',
+            properties: {
+                tree_id: id,
+                species: fields.species,
+                common_name: fields.commonName,
+                diameter_cm: exportNumber(fields.diameter),
+                height_m: exportNumber(fields.height),
+                district: fields.district,
+                neighborhood: fields.neighborhood,
+                ...exportEcosystemServices(fields)
+            },
+            geometry: { type: 'Point', coordinates: [Number(lng.toFixed(6)), Number(lat.toFixed(6))] }
+        }),
+        end: () => '\n]}\n'
+    },
+    kml: {
+        extension: 'kml',
+        type: 'application/vnd.google-earth.kml+xml',
+        start: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n<name>Madtrees</name>\n',
+        tree: (fields, id, lat, lng) => {
+            const data = {
+                tree_id: id,
+                common_name: fields.commonName,
+                diameter_cm: exportNumber(fields.diameter),
+                height_m: exportNumber(fields.height),
+                district: fields.district,
+                neighborhood: fields.neighborhood,
+                ...exportEcosystemServices(fields)
+            };
+            const extendedData = Object.entries(data)
+                .filter(([, value]) => value !== null && value !== '')
+                .map(([name, value]) => `<Data name="${name}"><value>${escapeXml(value)}</value></Data>`)
+                .join('');
+            return `<Placemark><name>${escapeXml(fields.species)}</name>` +
+                `<ExtendedData>${extendedData}</ExtendedData>` +
+                `<Point><coordinates>${lng.toFixed(6)},${lat.toFixed(6)}</coordinates></Point></Placemark>\n`;
+        },
+        end: () => '</Document>\n</kml>\n'
+    }
+};
+
+/**
+ * Let the browser download a generated file.
+ *
+ * @param {string} filename - File name
+ * @param {string|Array<string>} content - File content, or its parts in order
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([].concat(content), { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Test for the trees of an export scope, by position.
+ *
+ * @param {string} scope - 'viewport', 'area' or 'filter'
+ * @returns {Function} Called with (lat, lng)
+ */
+function getExportScopeTest(scope) {
+    if (scope === 'viewport') {
+        const bounds = map.getBounds();
+        return (lat, lng) => bounds.contains([lat, lng]);
+    }
+    if (scope === 'area') {
+        return pointInArea;
+    }
+    return () => true;
+}
+
+/**
+ * Generate an export of the loaded trees in a scope.
+ *
+ * @param {string} scope - 'viewport', 'area' or 'filter'
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Function} [onProgress] - Called after each chunk with (rowsScanned, totalRows, treesWritten)
+ * @returns {Promise<Object|null>} { parts, count }, or null if cancelled
+ */
+async function generateTreeExport(scope, format, onProgress) {
+    const writer = EXPORT_FORMATS[format];
+    const inScope = getExportScopeTest(scope);
+    const filtered = isFilterActive();
+    const tables = Array.from(treeStore.districts.values());
+    const totalRows = tables.reduce((total, table) => total + table.count, 0);
+
+    const parts = [writer.start()];
+    let count = 0;
+    let scanned = 0;
+
+    for (const table of tables) {
+        for (let start = 0; start < table.count; start += EXPORT_CHUNK_SIZE) {
+            const end = Math.min(start + EXPORT_CHUNK_SIZE, table.count);
+            let chunk = '';
+            for (let row = start; row < end; row++) {
+                if (!table.loaded[row]) continue;
+
+                const lat = table.lat[row];
+                const lng = table.lng[row];
+                if (!inScope(lat, lng)) continue;
+
+                const fields = getTreeFields(table, row);
+                if (filtered && !treeMatchesFilter(fields)) continue;
+
+                chunk += writer.tree(fields, getTreeId(table.code, row), lat, lng, count);
+                count++;
+            }
+            if (chunk) {
+                parts.push(chunk);
+            }
+
+            scanned += end - start;
+            if (onProgress) {
+                onProgress(scanned, totalRows, count);
+            }
+            await yieldToMain();
+            if (exportState.cancelled) return null;
+        }
+    }
+
+    parts.push(writer.end());
+    return { parts, count };
+}
+
+/**
+ * Export the trees of a scope and download the file.
+ *
+ * @param {string} scope - 'viewport', 'area' or 'filter'
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Promise<number|null>} Number of trees exported, or null if cancelled
+ */
+async function exportTrees(scope, format) {
+    if (exportState.running) return null;
+
+    const status = document.getElementById('export-status');
+    exportState.running = true;
+    exportState.cancelled = false;
+    updateExportScope();
+
+    try {
+        const result = await generateTreeExport(scope, format, (scanned, total, count) => {
+            if (status) {
+                status.textContent = t('export.progress', { count, percent: Math.round(scanned / total * 100) });
+            }
+        });
+        if (!result) {
+            if (status) status.textContent = t('export.cancelled');
+            return null;
+        }
+
+        const { extension, type } = EXPORT_FORMATS[format];
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`madtrees-${scope}-${date}.${extension}`, result.parts, type);
+        console.log(`💾 Exportados ${result.count.toLocaleString()} árboles (${extension})`);
+        if (status) status.textContent = t('export.done', { count: result.count });
+        return result.count;
+    } finally {
+        exportState.running = false;
+        updateExportScope();
+    }
+}
+
+/**
+ * Sync the export controls with the area and the running export: the area
+ * scope needs an area (or one being drawn), and the download button cancels
+ * while exporting.
+ */
+function updateExportScope() {
+    const scopeSelect = document.getElementById('export-scope');
+    const drawButton = document.getElementById('area-draw');
+    const clearButton = document.getElementById('area-clear');
+    const startButton = document.getElementById('export-start');
+    if (!scopeSelect || !startButton) return;
+
+    const hasArea = Boolean(areaSelection.shape);
+    const drawing = Boolean(areaSelection.drawing);
+    scopeSelect.querySelector('option[value="area"]').disabled = !hasArea && !drawing;
+    if (scopeSelect.value === 'area' && !hasArea && !drawing) {
+        scopeSelect.value = 'viewport';
+    }
+
+    drawButton.textContent = t(drawing ? 'area.finish' : 'area.draw');
+    clearButton.hidden = !hasArea;
+    document.getElementById('area-hint').hidden = !drawing;
+
+    startButton.textContent = t(exportState.running ? 'export.cancel' : 'export.download');
+    startButton.disabled = !exportState.running && scopeSelect.value === 'area' && !hasArea;
+}
+
+/**
+ * Wire up the export controls of the filter panel.
+ */
+function setupDataExport() {
+    const startButton = document.getElementById('export-start');
+    if (!startButton) return;
+
+    const scopeSelect = document.getElementById('export-scope');
+    const status = document.getElementById('export-status');
+
+    document.getElementById('area-draw').addEventListener('click', () => {
+        if (areaSelection.drawing) {
+            finishAreaDrawing();
+        } else {
+            startAreaDrawing();
+            scopeSelect.value = 'area';
+            status.textContent = '';
+        }
+        updateExportScope();
+    });
+
+    document.getElementById('area-clear').addEventListener('click', clearArea);
+
+    scopeSelect.addEventListener('change', updateExportScope);
+
+    startButton.addEventListener('click', () => {
+        if (exportState.running) {
+            exportState.cancelled = true;
+            return;
+        }
+        exportTrees(scopeSelect.value, document.getElementById('export-format').value);
+    });
+
+    updateExportScope();
+}
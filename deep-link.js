@@ -0,0 +1,251 @@
+/**
+ * Shareable deep links.
+ *
+ * The map view, the tree whose popup is open and the active filter are kept in
+ * the URL hash, e.g.:
+ *
+ *   #map=17/40.41520/-3.71420&tree=01-1234&q=pinus&hmin=15&dt=CENTRO
+ *
+ * Keys:
+ * - city: City id (see cities.js), left out for the default city
+ * - map: zoom/lat/lng
+ * - tree: Tree id as "<districtCode>-<row>" (see tree-store.js)
+ * - q, hmin, hmax, dmin, dmax, dt, nb: Filter criteria (see treeFilter in filters.js)
+ * - tour: Tree ids of the walking tour stops in order, comma separated (see tour-builder.js)
+ * - tn: Tour name
+ */
+
+/**
+ * Mapping between treeFilter keys and their URL hash parameter names.
+ */
+const DEEP_LINK_FILTER_PARAMS = {
+    query: 'q',
+    minHeight: 'hmin',
+    maxHeight: 'hmax',
+    minDiameter: 'dmin',
+    maxDiameter: 'dmax',
+    district: 'dt',
+    neighborhood: 'nb'
+};
+
+/**
+ * Deep link state.
+ *
+ * Properties:
+ * - selectedTree: Id of the tree whose popup is open, or null
+ * - restoring: True while a link is being applied, so the intermediate
+ *   views it produces are not written back to the URL
+ */
+const deepLinkState = {
+    selectedTree: null,
+    restoring: false
+};
+
+/**
+ * Parse a URL hash into view, tree and filter state.
+ *
+ * @param {string} hash - URL hash, with or without the leading '#'
+ * @returns {Object} { city: string | null, center: [lat, lng] | null, zoom: number | null, treeId: string | null,
+ *                    filter: Object | null, tour: Array<string> | null, tourName: string }
+ */
+function parseDeepLink(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const result = { city: null, center: null, zoom: null, treeId: null, filter: null, tour: null, tourName: '' };
+
+    if (/^[\w-]+$/.test(params.get('city') || '')) {
+        result.city = params.get('city');
+    }
+
+    const view = (params.get('map') || '').split('/').map(Number);
+    if (view.length === 3 && view.every(value => !isNaN(value)) &&
+        Math.abs(view[1]) <= 90 && Math.abs(view[2]) <= 180) {
+        result.zoom = view[0];
+        result.center = [view[1], view[2]];
+    }
+
+    if (/^\w+-\d+$/.test(params.get('tree') || '')) {
+        result.treeId = params.get('tree');
+    }
+
+    const tour = (params.get('tour') || '').split(',').filter(id => /^\w+-\d+$/.test(id));
+    if (tour.length) {
+        result.tour = tour;
+        result.tourName = params.get('tn') || '';
+    }
+
+    const filter = {};
+    let hasFilter = false;
+    Object.entries(DEEP_LINK_FILTER_PARAMS).forEach(([key, param]) => {
+        const value = params.get(param);
+        if (value === null || value === '') return;
+
+        if (key === 'query' || key === 'district' || key === 'neighborhood') {
+            filter[key] = value;
+        } else {
+            const number = parseFloat(value);
+            if (isNaN(number)) return;
+            filter[key] = number;
+        }
+        hasFilter = true;
+    });
+    if (hasFilter) {
+        result.filter = filter;
+    }
+
+    return result;
+}
+
+/**
+ * Build the URL hash for the current city, map view, selected tree, filter and tour.
+ *
+ * @returns {string} Hash including the leading '#'
+ */
+function buildDeepLink() {
+    const center = map.getCenter();
+    const params = new URLSearchParams();
+    if (cityState.city !== getDefaultCity()) {
+        params.set('city', cityState.city.id);
+    }
+    params.set('map', `${map.getZoom()}/${center.lat.toFixed(5)}/${center.lng.toFixed(5)}`);
+
+    if (deepLinkState.selectedTree) {
+        params.set('tree', deepLinkState.selectedTree);
+    }
+
+    Object.entries(DEEP_LINK_FILTER_PARAMS).forEach(([key, param]) => {
+        const value = treeFilter[key];
+        if (value !== null && value !== '') {
+            params.set(param, value);
+        }
+    });
+
+    if (tourState.stops.length) {
+        params.set('tour', tourState.stops.join(','));
+        if (tourState.name) {
+            params.set('tn', tourState.name);
+        }
+    }
+
+    // Keep the slashes in "map=" and the commas in "tour=" readable
+    return '#' + params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',');
+}
+
+/**
+ * Write the current state to the URL hash.
+ * Uses replaceState so panning around does not fill the browser history.
+ */
+function updateDeepLink() {
+    if (deepLinkState.restoring) return;
+
+    const hash = buildDeepLink();
+    if (hash !== window.location.hash) {
+        history.replaceState(null, '', hash);
+    }
+}
+
+/**
+ * Record which tree's popup is open and update the URL.
+ *
+ * @param {string|null} treeId - Tree id, or null when the popup is closed
+ */
+function setSelectedTree(treeId) {
+    deepLinkState.selectedTree = treeId;
+    updateDeepLink();
+}
+
+/**
+ * Open the popup of a tree given its id, loading its district first if needed.
+ * If the tree is hidden by the active filter, the map is centered on it without a popup.
+ *
+ * @param {string} treeId - Tree id as "<districtCode>-<row>"
+ * @returns {Promise<boolean>} True if the tree was found
+ */
+async function openTreeById(treeId) {
+    const districtCode = treeId.split('-')[0];
+    const districtInfo = districtState.index &&
+        districtState.index.districts.find(district => district.code === districtCode);
+
+    if (!districtInfo) {
+        console.warn(`Enlace a un árbol de un distrito desconocido: ${treeId}`);
+        return false;
+    }
+
+    await loadDistrict(districtInfo);
+
+    const tree = findTree(treeId);
+    if (!tree) {
+        console.warn(`Árbol no encontrado: ${treeId}`);
+        return false;
+    }
+
+    // The tree is only shown in the cluster and point views
+    if (mapLayersState.mode === 'points') {
+        map.setView(getTreeLatLng(tree.table, tree.row), 19);
+        showTreePopup(tree.table, tree.row);
+        return true;
+    }
+    if (mapLayersState.mode !== 'clusters') {
+        setLayerMode('clusters');
+    }
+
+    if (markers.hasLayer(tree.marker)) {
+        markers.zoomToShowLayer(tree.marker, () => showTreePopup(tree.table, tree.row));
+    } else {
+        map.setView(getTreeLatLng(tree.table, tree.row), 19);
+    }
+    return true;
+}
+
+/**
+ * Apply the view and filter of a deep link to the map.
+ * The linked tree and tour are not opened here because the district index may
+ * not be loaded yet; pass them to openTreeById() and openTour() once it is.
+ *
+ * @param {string} hash - URL hash to apply
+ * @returns {Object} The parsed link (see parseDeepLink)
+ */
+function restoreDeepLink(hash) {
+    const link = parseDeepLink(hash);
+
+    deepLinkState.restoring = true;
+    try {
+        if (link.center) {
+            map.setView(link.center, link.zoom, { animate: false });
+        }
+        setTreeFilter(link.filter || {});
+    } finally {
+        deepLinkState.restoring = false;
+    }
+
+    deepLinkState.selectedTree = link.treeId;
+    return link;
+}
+
+/**
+ * Keep the URL hash in sync with the map and react to links pasted into the
+ * address bar of an already open page.
+ */
+function setupDeepLinks() {
+    map.on('moveend', updateDeepLink);
+
+    map.on('popupclose', () => {
+        setSelectedTree(null);
+    });
+
+    window.addEventListener('hashchange', async () => {
+        const city = parseDeepLink(window.location.hash).city || getDefaultCity().id;
+        if (city !== cityState.city.id) {
+            await switchCity(city, true);
+        }
+
+        const link = restoreDeepLink(window.location.hash);
+        if (link.tour && link.tour.join(',') !== tourState.stops.join(',')) {
+            openTour(link.tour, link.tourName);
+        }
+        if (link.treeId) {
+            openTreeById(link.treeId);
+        } else {
+            map.closePopup();
+        }
+    });
+}
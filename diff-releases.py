@@ -0,0 +1,311 @@
+#!/usr/bin/env python3
+"""
+Compare two releases of the tree inventory, district by district.
+
+The city republishes its inventory now and then, and the pipeline overwrites
+the district files. To see what changed, keep a copy of the current release
+before processing the new one, then compare them:
+
+    python diff-releases.py --save      # before replacing the data
+    ... split-by-district.py, compress-districts.py, update-district-index.py ...
+    python diff-releases.py             # after the new release is processed
+
+--save copies districts_index.json and the district GeoJSON files to
+releases/previous/ next to the districts folder (data/releases/previous for
+Madrid). The map never reads that folder.
+
+Trees of the two releases are matched, in this order:
+1. By id, when both trees have one (the sources of `id` in data/schema.json)
+2. By position and species: the nearest tree of the same species within
+   MATCH_DISTANCE
+3. By position alone, within SAME_SPOT_DISTANCE: the same tree, identified as
+   another species
+
+Trees left over in the new release were planted, and those left over in the
+previous one were removed. Matched trees are changed when their species
+changed, or their height or diameter changed by at least HEIGHT_CHANGE or
+DIAMETER_CHANGE.
+
+Every district gets a changes/district_XX_NAME.changes.json file next to the
+index:
+
+    {
+      "district_code": "01",
+      "previous_version": "...",   # data version of both releases
+      "version": "...",
+      "changes": [
+        {"type": "added", "row": 12},
+        {"type": "species", "row": 40, "previous_sn": "Ulmus pumila"},
+        {"type": "size", "row": 41, "previous_h": 5.5, "previous_d": 18.0},
+        {"type": "removed", "lng": -3.7, "lat": 40.4, "sn": "...", "cn": "...", "h": 8.0, "d": 30.0}
+      ]
+    }
+
+`row` is the position of the tree in the district file (the row of the map's
+tree store). A tree whose species and size both changed is listed as a species
+change, with its previous size too.
+
+Its entry in districts_index.json gets the counts and the file name:
+
+    "changes": {"added": 3, "removed": 1, "species": 0, "size": 25, "filename": "changes/..."}
+
+and the index gets "changes": {"previous_version": "...", "previous_total_trees": N}.
+
+Run it last, after update-district-index.py (split-by-district.py rewrites the
+index and drops the counts).
+"""
+
+import json
+import math
+import shutil
+import sys
+from pathlib import Path
+
+# Degrees, ~3 m: how far a tree of the same species can move between surveys
+MATCH_DISTANCE = 0.00003
+
+# Degrees, ~1 m: a tree of another species this close is the same tree
+SAME_SPOT_DISTANCE = 0.00001
+
+# Smallest change of height (m) and diameter (cm) that counts
+HEIGHT_CHANGE = 0.5
+DIAMETER_CHANGE = 2
+
+CHANGE_TYPES = ('added', 'removed', 'species', 'size')
+
+
+def read_id_sources(schema_path):
+    """Property names that hold the tree id, from the tree schema"""
+    if not schema_path.exists():
+        return ['id']
+    with open(schema_path, 'r', encoding='utf-8') as f:
+        schema = json.load(f)
+    return (schema.get('fields', {}).get('id') or {}).get('sources') or ['id']
+
+
+def read_measure(props, names):
+    """Return the first of the given properties as a number, or None"""
+    value = next((props[name] for name in names if props.get(name) not in (None, '')), None)
+    try:
+        return float(value)
+    except (TypeError, ValueError):
+        return None
+
+
+def read_trees(features, id_sources):
+    """Turn district features into the tree dicts compared by this script"""
+    trees = []
+    for row, feature in enumerate(features):
+        props = feature.get('properties') or {}
+        coords = (feature.get('geometry') or {}).get('coordinates')
+        tree_id = next((props[name] for name in id_sources if props.get(name) not in (None, '')), None)
+        trees.append({
+            'row': row,
+            'id': None if tree_id is None else str(tree_id),
+            'lng': coords[0] if coords and len(coords) >= 2 else None,
+            'lat': coords[1] if coords and len(coords) >= 2 else None,
+            'sn': props.get('sn') or props.get('species') or props.get('Nombre científico'),
+            'cn': props.get('cn') or props.get('common_name') or props.get('CODIGO_ESP'),
+            'h': read_measure(props, ('h', 'height')),
+            'd': read_measure(props, ('d', 'diameter'))
+        })
+    return trees
+
+
+def cell(lng, lat):
+    return (math.floor(lng / MATCH_DISTANCE), math.floor(lat / MATCH_DISTANCE))
+
+
+def match_nearby(previous, current, matches, max_distance, same_species):
+    """Pair unmatched trees that are close enough, nearest pairs first"""
+    matched_previous = set(matches.values())
+    cells = {}
+    for tree in previous:
+        if tree['row'] in matched_previous or tree['lng'] is None:
+            continue
+        cells.setdefault(cell(tree['lng'], tree['lat']), []).append(tree)
+
+    pairs = []
+    for tree in current:
+        if tree['row'] in matches or tree['lng'] is None:
+            continue
+        cell_x, cell_y = cell(tree['lng'], tree['lat'])
+        for dx in (-1, 0, 1):
+            for dy in (-1, 0, 1):
+                for candidate in cells.get((cell_x + dx, cell_y + dy), []):
+                    if same_species and candidate['sn'] != tree['sn']:
+                        continue
+                    distance = math.hypot(candidate['lng'] - tree['lng'], candidate['lat'] - tree['lat'])
+                    if distance <= max_distance:
+                        pairs.append((distance, tree['row'], candidate['row']))
+
+    for _, current_row, previous_row in sorted(pairs):
+        if current_row in matches or previous_row in matched_previous:
+            continue
+        matches[current_row] = previous_row
+        matched_previous.add(previous_row)
+
+
+def match_trees(previous, current):
+    """Match the trees of two releases of a district.
+    Returns { current row: previous row }"""
+    matches = {}
+    previous_ids = {tree['id']: tree['row'] for tree in previous if tree['id'] is not None}
+    for tree in current:
+        if tree['id'] is not None and tree['id'] in previous_ids:
+            matches[tree['row']] = previous_ids.pop(tree['id'])
+
+    match_nearby(previous, current, matches, MATCH_DISTANCE, same_species=True)
+    match_nearby(previous, current, matches, SAME_SPOT_DISTANCE, same_species=False)
+    return matches
+
+
+def size_changed(before, after):
+    """Whether the height or diameter of a tree changed enough to count"""
+    for field, threshold in (('h', HEIGHT_CHANGE), ('d', DIAMETER_CHANGE)):
+        if before[field] is not None and after[field] is not None and abs(after[field] - before[field]) >= threshold:
+            return True
+    return False
+
+
+def diff_district(previous, current):
+    """List the changes between two releases of a district, current rows first"""
+    matches = match_trees(previous, current)
+    changes = []
+
+    for tree in current:
+        if tree['row'] not in matches:
+            changes.append({'type': 'added', 'row': tree['row']})
+            continue
+
+        before = previous[matches[tree['row']]]
+        if before['sn'] != tree['sn']:
+            changes.append({'type': 'species', 'row': tree['row'], 'previous_sn': before['sn'],
+                            'previous_h': before['h'], 'previous_d': before['d']})
+        elif size_changed(before, tree):
+            changes.append({'type': 'size', 'row': tree['row'], 'previous_h': before['h'], 'previous_d': before['d']})
+
+    matched_previous = set(matches.values())
+    for tree in previous:
+        if tree['row'] in matched_previous or tree['lng'] is None:
+            continue
+        changes.append({'type': 'removed', 'lng': tree['lng'], 'lat': tree['lat'],
+                        'sn': tree['sn'], 'cn': tree['cn'], 'h': tree['h'], 'd': tree['d']})
+    return changes
+
+
+def read_features(path):
+    if not path.exists():
+        return []
+    with open(path, 'r', encoding='utf-8') as f:
+        return json.load(f).get('features', [])
+
+
+def read_index(path):
+    if not path.exists():
+        return None
+    with open(path, 'r', encoding='utf-8') as f:
+        return json.load(f)
+
+
+def save_release(districts_dir, previous_dir):
+    """Copy the index and district GeoJSON files of the current release"""
+    index_data = read_index(districts_dir / 'districts_index.json')
+    if index_data is None:
+        print(f"Error: Index not found: {districts_dir / 'districts_index.json'}")
+        return False
+
+    if previous_dir.exists():
+        shutil.rmtree(previous_dir)
+    previous_dir.mkdir(parents=True)
+    shutil.copy2(districts_dir / 'districts_index.json', previous_dir / 'districts_index.json')
+
+    for district in index_data.get('districts', []):
+        district_path = districts_dir / district['filename']
+        if district_path.exists():
+            shutil.copy2(district_path, previous_dir / district['filename'])
+
+    print(f"Saved release {index_data.get('version', '?')} ({index_data.get('total_trees', 0):,} trees) to {previous_dir}")
+    return True
+
+
+def diff_releases(districts_dir, previous_dir, id_sources):
+    """Write the changes file of every district and add the counts to the index"""
+    index_path = districts_dir / 'districts_index.json'
+    index_data = read_index(index_path)
+    previous_index = read_index(previous_dir / 'districts_index.json')
+    if index_data is None:
+        print(f"Error: Index not found: {index_path}")
+        return False
+    if previous_index is None:
+        print(f"Error: No previous release in {previous_dir}; run with --save before replacing the data")
+        return False
+
+    previous_files = {district['code']: district['filename'] for district in previous_index.get('districts', [])}
+    changes_dir = districts_dir / 'changes'
+    changes_dir.mkdir(exist_ok=True)
+
+    for district in index_data.get('districts', []):
+        district_path = districts_dir / district['filename']
+        previous_file = previous_files.pop(district['code'], None)
+        if not district_path.exists():
+            print(f"  Skipping {district['code']} - {district['name']}: file not found")
+            continue
+
+        current = read_trees(read_features(district_path), id_sources)
+        previous = read_trees(read_features(previous_dir / previous_file), id_sources) if previous_file else []
+        changes = diff_district(previous, current)
+
+        filename = f"changes/{Path(district['filename']).stem}.changes.json"
+        with open(districts_dir / filename, 'w', encoding='utf-8') as f:
+            json.dump({
+                'district_code': district['code'],
+                'previous_version': previous_index.get('version'),
+                'version': index_data.get('version'),
+                'changes': changes
+            }, f, ensure_ascii=False, separators=(',', ':'))
+
+        counts = {change_type: 0 for change_type in CHANGE_TYPES}
+        for change in changes:
+            counts[change['type']] += 1
+        district['changes'] = {**counts, 'filename': filename}
+        print(f"  {district['code']} - {district['name']}: "
+              + ', '.join(f"{counts[change_type]:,} {change_type}" for change_type in CHANGE_TYPES))
+
+    for code in previous_files:
+        print(f"  District {code} is not in the new release; its trees are not listed as removed")
+
+    index_data['changes'] = {
+        'previous_version': previous_index.get('version'),
+        'previous_total_trees': previous_index.get('total_trees')
+    }
+    with open(index_path, 'w', encoding='utf-8') as f:
+        json.dump(index_data, f, ensure_ascii=False, indent=2)
+
+    print(f"\nCompared release {index_data.get('version', '?')} with {previous_index.get('version', '?')} in {index_path}")
+    return True
+
+
+def main():
+    script_dir = Path(__file__).parent
+    districts_dir = script_dir / 'data' / 'districts'
+    save = False
+
+    for arg in sys.argv[1:]:
+        if arg == '--save':
+            save = True
+        elif not arg.startswith('--'):
+            districts_dir = Path(arg)
+        else:
+            print(f"Error: Unknown argument: {arg}")
+            return
+
+    previous_dir = districts_dir.parent / 'releases' / 'previous'
+    if save:
+        save_release(districts_dir, previous_dir)
+    else:
+        diff_releases(districts_dir, previous_dir, read_id_sources(script_dir / 'data' / 'schema.json'))
+
+
+if __name__ == '__main__':
+    main()
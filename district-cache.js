@@ -0,0 +1,174 @@
+/**
+ * IndexedDB cache of encoded district tables (see encodeDistrictFeatures() in
+ * district-parser.js). Loaded both by the page and by district-worker.js, so it
+ * must not touch the DOM or page globals.
+ *
+ * Records are keyed by a cache code, "<city>/<district code>" (see
+ * districtCacheCode() in offline-cache.js), so several cities can be cached.
+ *
+ * Stores:
+ * - tables: { code, table } - encoded columns of a district
+ * - meta: { code, key, city, district, name, tree_count, savedAt } - small
+ *   records used to list cached districts without reading their tables
+ */
+
+const TREE_CACHE_DB = 'madtrees';
+const TREE_CACHE_DB_VERSION = 3;
+
+let treeCacheDb = null;
+
+/**
+ * Open (and create or upgrade if needed) the IndexedDB database.
+ *
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable
+ */
+function openTreeCache() {
+    if (treeCacheDb) return treeCacheDb;
+
+    treeCacheDb = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(TREE_CACHE_DB, TREE_CACHE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            // Version 1 stored raw GeoJSON features, which are no longer read
+            if (db.objectStoreNames.contains('features')) {
+                db.deleteObjectStore('features');
+            }
+            // Version 2 tables carried a colour column and fixed radius for singular trees
+            if (db.objectStoreNames.contains('tables')) {
+                db.deleteObjectStore('tables');
+            }
+            if (db.objectStoreNames.contains('meta')) {
+                db.deleteObjectStore('meta');
+            }
+            db.createObjectStore('tables', { keyPath: 'code' });
+            db.createObjectStore('meta', { keyPath: 'code' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('IndexedDB no disponible, se desactiva la caché de distritos:', request.error);
+            resolve(null);
+        };
+    });
+
+    return treeCacheDb;
+}
+
+/**
+ * Wrap an IDBRequest in a Promise.
+ *
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Read the encoded table of a district.
+ *
+ * @param {string} code - Cache code of the district
+ * @param {string} key - Expected cache key (see districtCacheKey() in offline-cache.js)
+ * @returns {Promise<Object|null>} Encoded table, or null if not cached or stale
+ */
+async function getCachedDistrictTable(code, key) {
+    try {
+        const db = await openTreeCache();
+        if (!db) return null;
+
+        const tx = db.transaction(['meta', 'tables'], 'readonly');
+        const meta = await idbRequest(tx.objectStore('meta').get(code));
+        if (!meta || meta.key !== key) {
+            return null;
+        }
+
+        const record = await idbRequest(tx.objectStore('tables').get(code));
+        return record ? record.table : null;
+    } catch (error) {
+        console.warn(`No se pudo leer el distrito ${code} de la caché:`, error);
+        return null;
+    }
+}
+
+/**
+ * Store the encoded table of a district.
+ * Failures (e.g. quota exceeded) are logged and otherwise ignored.
+ *
+ * @param {string} code - Cache code of the district
+ * @param {string} key - Cache key the table was built for
+ * @param {Object} meta - Extra metadata to list the district (name, tree_count, city, district)
+ * @param {Object} table - Encoded table
+ * @returns {Promise<boolean>} True if the table was stored
+ */
+async function putCachedDistrictTable(code, key, meta, table) {
+    try {
+        const db = await openTreeCache();
+        if (!db) return false;
+
+        const tx = db.transaction(['meta', 'tables'], 'readwrite');
+        tx.objectStore('tables').put({ code, table });
+        tx.objectStore('meta').put({
+            code,
+            key,
+            city: meta.city,
+            district: meta.district,
+            name: meta.name,
+            tree_count: meta.tree_count,
+            savedAt: Date.now()
+        });
+
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        return true;
+    } catch (error) {
+        console.warn(`No se pudo guardar el distrito ${code} en la caché:`, error);
+        return false;
+    }
+}
+
+/**
+ * Read the metadata of every cached district.
+ *
+ * @returns {Promise<Array>} Meta records ({ code, key, city, district, name, tree_count, savedAt })
+ */
+async function getCachedDistrictMeta() {
+    try {
+        const db = await openTreeCache();
+        if (!db) return [];
+        return await idbRequest(db.transaction('meta', 'readonly').objectStore('meta').getAll());
+    } catch (error) {
+        console.warn('No se pudo leer la caché de distritos:', error);
+        return [];
+    }
+}
+
+/**
+ * Delete cached districts.
+ *
+ * @param {Array<string>} codes - Cache codes to delete
+ * @returns {Promise<void>}
+ */
+async function deleteCachedDistricts(codes) {
+    try {
+        const db = await openTreeCache();
+        if (!db || codes.length === 0) return;
+
+        const tx = db.transaction(['meta', 'tables'], 'readwrite');
+        codes.forEach(code => {
+            tx.objectStore('meta').delete(code);
+            tx.objectStore('tables').delete(code);
+        });
+    } catch (error) {
+        console.warn('No se pudo limpiar la caché de distritos:', error);
+    }
+}
@@ -0,0 +1,410 @@
+/**
+ * District parsing and marker size.
+ *
+ * Loaded both by the page and by district-worker.js: the worker fetches and
+ * parses district files and encodes them as compact columns (typed arrays plus
+ * a string dictionary), so the main thread only has to create Leaflet layers.
+ * The page loads it too, to run the same code inline where workers are unavailable.
+ *
+ * Must not touch the DOM or page globals.
+ */
+
+/**
+ * Number of trees per batch posted from the worker to the main thread.
+ */
+const DISTRICT_BATCH_SIZE = 5000;
+
+/**
+ * Columns of an encoded district table and their typed array types.
+ * String columns hold indexes into the table's `strings` dictionary.
+ * `radius` is the size-based radius from calculateMarkerRadius(); colours are
+ * applied on the main thread from the style config (see tree-styles.js).
+ */
+const DISTRICT_COLUMNS = {
+    lat: Float64Array,
+    lng: Float64Array,
+    radius: Float32Array,
+    species: Uint16Array,
+    commonName: Uint16Array,
+    district: Uint16Array,
+    neighborhood: Uint16Array,
+    height: Float32Array,
+    diameter: Float32Array
+};
+
+/**
+ * Calculate marker radius based on tree size (diameter + height).
+ * Optimized for performance with minimal overhead per marker.
+ *
+ * Size Calculation:
+ * - Combines diameter (cm) and height (m) with weighted formula
+ * - Diameter weighted at 40%, height weighted at 60% (height prioritized)
+ * - Height converted to cm equivalent: height × 10 × 0.6
+ * - Size = (diameter × 0.4) + (height × 10 × 0.6)
+ *
+ * Radius Ranges (based on calculated size):
+ * - Small trees (0-20 cm equivalent): 4-6 px
+ * - Medium trees (20-50 cm equivalent): 6-10 px
+ * - Large trees (50-100 cm equivalent): 10-16 px
+ * - Very large trees (100+ cm equivalent): 16-26 px (uses square root scaling)
+ *
+ * Special Cases:
+ * - Missing/invalid data: returns 4px (small default marker)
+ * - Extremely tall trees (20+ meters): adds +2px bonus (max 28px)
+ *
+ * Performance: Uses fast property access and pre-computed constants for minimal CPU overhead.
+ *
+ * @param {Object} record - Canonical tree record (see normalizeTreeRecord() in tree-schema.js)
+ * @returns {number} Radius in pixels
+ */
+function calculateMarkerRadius(record) {
+    const d = record.diameter;
+    const h = record.height;
+
+    let size = 0;
+    let hasData = false;
+    let isExtremelyTall = false;
+
+    if (d && d > 0) {
+        size += d * 0.4;
+        hasData = true;
+    }
+
+    if (h && h > 0) {
+        size += h * 10 * 0.6;
+        hasData = true;
+
+        if (h >= 20) {
+            isExtremelyTall = true;
+        }
+    }
+
+    if (!hasData || size <= 0) {
+        return 4;
+    }
+
+    let radius;
+
+    if (size < 20) {
+        radius = 4 + size * 0.1;
+    }
+    else if (size < 50) {
+        radius = 6 + (size - 20) * 0.133333;
+    }
+    else if (size < 100) {
+        radius = 10 + (size - 50) * 0.12;
+    }
+    else {
+        const excess = size - 100;
+        if (excess > 200) {
+            radius = 26;
+        } else {
+            radius = 16 + Math.sqrt(excess * 0.005) * 10;
+        }
+    }
+
+    if (isExtremelyTall) {
+        radius += 2;
+        if (radius > 28) radius = 28;
+    }
+
+    return radius;
+}
+
+/**
+ * Encode district features as columns.
+ *
+ * Properties are read through the tree schema (see tree-schema.js). Rows are
+ * indexed by feature index, so a tree keeps the same id whether it is decoded
+ * from the network or from the cache. Features without valid coordinates get
+ * NaN lat/lng and are skipped by the main thread. Missing heights/diameters
+ * are stored as NaN.
+ *
+ * The source id and the schema's extra attributes are kept as attribute
+ * columns (indexes into their own `attributeStrings` dictionary, as ids don't
+ * repeat); columns left empty by every row are dropped.
+ *
+ * @param {Array} features - GeoJSON features
+ * @param {Object} [schema] - Compiled schema; defaults to the one in use
+ * @returns {Object} Table: { count, strings, attributeStrings, attributes: { name: Uint32Array },
+ *   validation, ...DISTRICT_COLUMNS }
+ */
+function encodeDistrictFeatures(features, schema = getTreeSchema()) {
+    const count = features.length;
+    const table = { count, strings: [''], attributeStrings: [''], attributes: {}, validation: createSchemaValidation() };
+    Object.entries(DISTRICT_COLUMNS).forEach(([column, ArrayType]) => {
+        table[column] = new ArrayType(count);
+    });
+    const attributeNames = ['id', ...schema.extra.map(field => field.name)];
+    attributeNames.forEach(name => {
+        table.attributes[name] = new Uint32Array(count);
+    });
+
+    const encoder = (dictionary, limit) => {
+        const index = new Map([['', 0]]);
+        return value => {
+            let position = index.get(value);
+            if (position === undefined) {
+                position = dictionary.length;
+                if (position >= limit) {
+                    throw new Error(`Demasiados textos distintos en el distrito (más de ${limit})`);
+                }
+                index.set(value, position);
+                dictionary.push(value);
+            }
+            return position;
+        };
+    };
+    // String columns are Uint16Array, attribute columns Uint32Array
+    const encodeString = encoder(table.strings, 0x10000);
+    const encodeAttribute = encoder(table.attributeStrings, 0x100000000);
+    const usedAttributes = new Set();
+
+    for (let i = 0; i < count; i++) {
+        const feature = features[i];
+        const { record, issues } = normalizeTreeRecord(feature.properties, schema);
+
+        const coordinates = feature.geometry && feature.geometry.coordinates;
+        const lng = coordinates ? Number(coordinates[0]) : NaN;
+        const lat = coordinates ? Number(coordinates[1]) : NaN;
+        if (!coordinates) {
+            issues.push({ field: 'coordinates', reason: 'missing', value: null });
+        } else if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+            issues.push({ field: 'coordinates', reason: 'range', value: coordinates });
+        }
+        addSchemaIssues(table.validation, i, issues);
+
+        const valid = Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+        table.lat[i] = valid ? lat : NaN;
+        table.lng[i] = valid ? lng : NaN;
+        table.radius[i] = calculateMarkerRadius(record);
+        table.species[i] = encodeString(record.species);
+        table.commonName[i] = encodeString(record.commonName);
+        table.district[i] = encodeString(record.district);
+        table.neighborhood[i] = encodeString(record.neighborhood);
+        table.height[i] = record.height === null ? NaN : record.height;
+        table.diameter[i] = record.diameter === null ? NaN : record.diameter;
+
+        attributeNames.forEach(name => {
+            const value = name === 'id' ? record.id : record.extra[name];
+            if (value !== null && value !== undefined) {
+                table.attributes[name][i] = encodeAttribute(String(value));
+                usedAttributes.add(name);
+            }
+        });
+    }
+
+    attributeNames.forEach(name => {
+        if (!usedAttributes.has(name)) {
+            delete table.attributes[name];
+        }
+    });
+
+    return table;
+}
+
+/**
+ * Decode a binary district file built by build-binary-districts.py into
+ * GeoJSON-like features with compressed property names, ready for
+ * encodeDistrictFeatures(). See that script for the layout.
+ *
+ * Attributes (the properties the schema reads for the id and extra fields)
+ * are added to the properties under their source name.
+ *
+ * @param {ArrayBuffer} buffer - Contents of a .bin district file
+ * @returns {Object} { features, attributes }: features are
+ *   { geometry: { coordinates: [lng, lat] } | null, properties: { sn, cn, dt, nb, h, d, ...attributes } };
+ *   attributes lists the property names the file was built with
+ */
+function decodeDistrictBinary(buffer) {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+    if (magic !== 'MTB2') {
+        throw new Error(`Formato binario desconocido: ${magic}`);
+    }
+
+    const decoder = new TextDecoder();
+    const readStrings = (start, length) => decoder.decode(new Uint8Array(buffer, start, length)).split('\0');
+
+    const count = view.getUint32(4, true);
+    const originLng = view.getInt32(8, true);
+    const originLat = view.getInt32(12, true);
+    const stringsLength = view.getUint32(16, true);
+    const strings = readStrings(20, stringsLength);
+
+    let offset = 20 + stringsLength;
+    offset += (4 - offset % 4) % 4;
+
+    const lngOffset = offset;
+    const latOffset = lngOffset + 4 * count;
+    const speciesOffset = latOffset + 4 * count;
+    const commonNameOffset = speciesOffset + 2 * count;
+    const districtOffset = commonNameOffset + 2 * count;
+    const neighborhoodOffset = districtOffset + 2 * count;
+    const heightOffset = neighborhoodOffset + 2 * count;
+    const diameterOffset = heightOffset + 2 * count;
+
+    offset = diameterOffset + 2 * count;
+    const attributeCount = view.getUint32(offset, true);
+    const namesLength = view.getUint32(offset + 4, true);
+    const attributes = attributeCount ? readStrings(offset + 8, namesLength) : [];
+    offset += 8 + namesLength;
+    const attributeStringsLength = view.getUint32(offset, true);
+    const attributeStrings = readStrings(offset + 4, attributeStringsLength);
+    offset += 4 + attributeStringsLength;
+    const stored = attributes.filter((name, i) => view.getUint8(offset + i));
+    offset += attributeCount;
+    offset += (4 - offset % 4) % 4;
+    const attributeOffsets = stored.map((name, i) => offset + 4 * count * i);
+
+    const features = new Array(count);
+    for (let i = 0; i < count; i++) {
+        const lng = view.getUint32(lngOffset + 4 * i, true);
+        const lat = view.getUint32(latOffset + 4 * i, true);
+        const height = view.getUint16(heightOffset + 2 * i, true);
+        const diameter = view.getUint16(diameterOffset + 2 * i, true);
+
+        const properties = {
+            sn: strings[view.getUint16(speciesOffset + 2 * i, true)],
+            cn: strings[view.getUint16(commonNameOffset + 2 * i, true)],
+            dt: strings[view.getUint16(districtOffset + 2 * i, true)],
+            nb: strings[view.getUint16(neighborhoodOffset + 2 * i, true)]
+        };
+        if (height !== 0xFFFF) properties.h = height / 100;
+        if (diameter !== 0xFFFF) properties.d = diameter / 10;
+        stored.forEach((name, column) => {
+            const index = view.getUint32(attributeOffsets[column] + 4 * i, true);
+            if (index) properties[name] = attributeStrings[index];
+        });
+
+        features[i] = {
+            geometry: lng === 0xFFFFFFFF ? null : {
+                coordinates: [(originLng + lng) / 1e6, (originLat + lat) / 1e6]
+            },
+            properties
+        };
+    }
+
+    return { features, attributes };
+}
+
+/**
+ * Properties the schema reads for the id and the extra attributes that a
+ * binary file built with the given attributes doesn't have. The short names
+ * have their own columns in every binary file.
+ *
+ * @param {Array<string>} attributes - Attributes of the file (see decodeDistrictBinary)
+ * @param {Object} schema - Compiled schema
+ * @returns {Array<string>} Missing property names
+ */
+function missingBinaryAttributes(attributes, schema) {
+    const shortNames = Object.values(TREE_RECORD_FIELDS);
+    const idField = schema.fields.find(field => field.name === 'id');
+    return [idField, ...schema.extra]
+        .flatMap(field => field.sources)
+        .filter(name => !shortNames.includes(name) && !attributes.includes(name));
+}
+
+/**
+ * Fetch the features of a district: the compact binary file when the index
+ * lists one, falling back to GeoJSON when it is absent, unreadable or was
+ * built without a property the schema reads for the id or an extra attribute.
+ *
+ * @param {Object} request - { code, url, binaryUrl }
+ * @param {Object} schema - Compiled schema the features will be encoded with
+ * @param {AbortSignal} [signal] - Aborts the download
+ * @returns {Promise<Array>} GeoJSON-like features
+ */
+async function fetchDistrictFeatures(request, schema, signal) {
+    if (request.binaryUrl) {
+        try {
+            const response = await fetch(request.binaryUrl, { signal });
+            if (response.ok) {
+                const { features, attributes } = decodeDistrictBinary(await response.arrayBuffer());
+                const missing = missingBinaryAttributes(attributes, schema);
+                if (!missing.length) {
+                    return features;
+                }
+                console.warn(`Distrito ${request.code}: el archivo binario no tiene ${missing.join(', ')}, se usa GeoJSON`);
+            } else {
+                console.warn(`Distrito ${request.code}: archivo binario no disponible (${response.status}), se usa GeoJSON`);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`Distrito ${request.code}: no se pudo leer el archivo binario, se usa GeoJSON:`, error);
+        }
+    }
+
+    const response = await fetch(request.url, { signal });
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.features || [];
+}
+
+/**
+ * Load the encoded table of a district: from the IndexedDB cache when it is
+ * still valid, otherwise by fetching and decoding the district file (and then
+ * caching the result).
+ *
+ * @param {Object} request - { code, url, binaryUrl, cacheCode, cacheKey, schema, meta: { name, tree_count, city, district } }
+ * @param {AbortSignal} [signal] - Aborts the download; the promise then rejects with an AbortError
+ * @returns {Promise<Object>} { table, fromCache }
+ */
+async function loadDistrictTable(request, signal) {
+    const cached = await getCachedDistrictTable(request.cacheCode, request.cacheKey);
+    if (cached) {
+        return { table: cached, fromCache: true };
+    }
+
+    const schema = getTreeSchema(request.schema);
+    const features = await fetchDistrictFeatures(request, schema, signal);
+    const table = encodeDistrictFeatures(features, schema);
+    await putCachedDistrictTable(request.cacheCode, request.cacheKey, request.meta, table);
+
+    return { table, fromCache: false };
+}
+
+/**
+ * Emit an encoded table as a sequence of messages:
+ * - { type: 'start', code, count, strings, attributeStrings, attributeNames, validation, fromCache }
+ * - { type: 'batch', code, start, ...columns, attributes: { name: Uint32Array } } for every DISTRICT_BATCH_SIZE rows
+ * - { type: 'done', code }
+ *
+ * @param {string} code - District code
+ * @param {Object} table - Encoded table
+ * @param {boolean} fromCache - Whether the table came from the cache
+ * @param {Function} emit - Called with (message, transferList)
+ */
+function emitDistrictTable(code, table, fromCache, emit) {
+    const attributes = table.attributes;
+    emit({
+        type: 'start',
+        code,
+        count: table.count,
+        strings: table.strings,
+        attributeStrings: table.attributeStrings,
+        attributeNames: Object.keys(attributes),
+        validation: table.validation,
+        fromCache
+    }, []);
+
+    for (let start = 0; start < table.count; start += DISTRICT_BATCH_SIZE) {
+        const end = Math.min(start + DISTRICT_BATCH_SIZE, table.count);
+        const batch = { type: 'batch', code, start, attributes: {} };
+        const transfer = [];
+        Object.keys(DISTRICT_COLUMNS).forEach(column => {
+            batch[column] = table[column].slice(start, end);
+            transfer.push(batch[column].buffer);
+        });
+        Object.entries(attributes).forEach(([name, values]) => {
+            batch.attributes[name] = values.slice(start, end);
+            transfer.push(batch.attributes[name].buffer);
+        });
+        emit(batch, transfer);
+    }
+
+    emit({ type: 'done', code }, []);
+}
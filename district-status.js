@@ -0,0 +1,299 @@
+/**
+ * Load status of every district of the current city, retries of failed
+ * districts, and the list of failed districts in the loading overlay.
+ *
+ * A district is in one of these states:
+ * - idle: not requested yet, or its load was cancelled
+ * - loading: being fetched and parsed; its fetch can be aborted
+ * - loaded: its markers are on the map (see districtState.loadedDistricts)
+ * - failed: its last load failed
+ *
+ * loadVisibleDistricts() (map.js) retries failed districts on its own, after
+ * DISTRICT_RETRY_BASE_DELAY and then twice as long after every new failure
+ * (up to DISTRICT_RETRY_MAX_DELAY), until DISTRICT_RETRY_LIMIT attempts.
+ * The retry button of the status list loads the district right away.
+ *
+ * Loads started by loadVisibleDistricts() are cancelled when their district
+ * scrolls out of view; loads asked for explicitly (deep link, tour, area
+ * report, retry button) are not.
+ */
+
+const DISTRICT_STATUS = {
+    IDLE: 'idle',
+    LOADING: 'loading',
+    LOADED: 'loaded',
+    FAILED: 'failed'
+};
+
+/** Delay before the first automatic retry of a failed district, in ms. */
+const DISTRICT_RETRY_BASE_DELAY = 2000;
+
+/** Longest delay between automatic retries, in ms. */
+const DISTRICT_RETRY_MAX_DELAY = 60000;
+
+/** Failed attempts after which a district is only retried with the retry button. */
+const DISTRICT_RETRY_LIMIT = 5;
+
+/**
+ * Status of the districts of the current city.
+ *
+ * Properties:
+ * - districts: Map of district code -> { status, attempts, error, retryAt, controller, cancellable }
+ * - retryTimer: Timeout of the next automatic retry
+ */
+const districtStatusState = {
+    districts: new Map(),
+    retryTimer: null
+};
+
+/**
+ * Status entry of a district, created idle on first use.
+ *
+ * @param {string} districtCode - District code
+ * @returns {Object} { status, attempts, error, retryAt, controller, cancellable }
+ */
+function getDistrictLoad(districtCode) {
+    if (!districtStatusState.districts.has(districtCode)) {
+        districtStatusState.districts.set(districtCode, {
+            status: DISTRICT_STATUS.IDLE,
+            attempts: 0,
+            error: null,
+            retryAt: 0,
+            controller: null,
+            cancellable: false
+        });
+    }
+    return districtStatusState.districts.get(districtCode);
+}
+
+/**
+ * Status of a district.
+ *
+ * @param {string} districtCode - District code
+ * @returns {string} One of DISTRICT_STATUS
+ */
+function getDistrictStatus(districtCode) {
+    const load = districtStatusState.districts.get(districtCode);
+    return load ? load.status : DISTRICT_STATUS.IDLE;
+}
+
+/**
+ * Delay before the next automatic retry of a district.
+ *
+ * @param {number} attempts - Failed attempts so far (1 or more)
+ * @returns {number} Delay in ms
+ */
+function districtRetryDelay(attempts) {
+    return Math.min(DISTRICT_RETRY_BASE_DELAY * 2 ** (attempts - 1), DISTRICT_RETRY_MAX_DELAY);
+}
+
+/**
+ * Check whether loadVisibleDistricts() should load a district now: it was
+ * never loaded, its load was cancelled, or it failed and its retry is due.
+ *
+ * @param {string} districtCode - District code
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {boolean}
+ */
+function isDistrictLoadDue(districtCode, now = Date.now()) {
+    const load = districtStatusState.districts.get(districtCode);
+    if (!load || load.status === DISTRICT_STATUS.IDLE) return true;
+    return load.status === DISTRICT_STATUS.FAILED && load.attempts < DISTRICT_RETRY_LIMIT && now >= load.retryAt;
+}
+
+/**
+ * Mark a district as loading.
+ *
+ * @param {string} districtCode - District code
+ * @param {boolean} cancellable - Whether cancelDistrictsOutOfView() may abort it
+ * @returns {AbortSignal} Signal to pass to the district's fetch
+ */
+function startDistrictLoad(districtCode, cancellable) {
+    const load = getDistrictLoad(districtCode);
+    load.status = DISTRICT_STATUS.LOADING;
+    load.controller = new AbortController();
+    load.cancellable = cancellable;
+    renderDistrictStatusList();
+    return load.controller.signal;
+}
+
+/**
+ * Keep a load in progress from being cancelled, because a caller that needs
+ * the district (e.g. a deep link) now waits for it.
+ *
+ * @param {string} districtCode - District code
+ */
+function keepDistrictLoad(districtCode) {
+    getDistrictLoad(districtCode).cancellable = false;
+}
+
+/**
+ * Mark a district as loaded.
+ *
+ * @param {string} districtCode - District code
+ */
+function finishDistrictLoad(districtCode) {
+    const load = getDistrictLoad(districtCode);
+    load.status = DISTRICT_STATUS.LOADED;
+    load.attempts = 0;
+    load.error = null;
+    load.controller = null;
+    renderDistrictStatusList();
+}
+
+/**
+ * Mark the load of a district as failed, or as idle again if it was
+ * cancelled, and schedule its automatic retry.
+ *
+ * @param {string} districtCode - District code
+ * @param {Error} error - Why it failed
+ */
+function failDistrictLoad(districtCode, error) {
+    const load = getDistrictLoad(districtCode);
+    load.controller = null;
+    if (error.name === 'AbortError') {
+        load.status = DISTRICT_STATUS.IDLE;
+    } else {
+        load.status = DISTRICT_STATUS.FAILED;
+        load.attempts++;
+        load.error = error.message;
+        load.retryAt = Date.now() + districtRetryDelay(load.attempts);
+        scheduleDistrictRetry();
+    }
+    renderDistrictStatusList();
+}
+
+/**
+ * Abort the loads started by loadVisibleDistricts() whose district is no
+ * longer inside the given bounds.
+ *
+ * @param {L.LatLngBounds} bounds - Bounds of the districts to keep
+ */
+function cancelDistrictsOutOfView(bounds) {
+    if (!districtState.index) return;
+
+    districtState.index.districts.forEach(district => {
+        const load = districtStatusState.districts.get(district.code);
+        if (load && load.controller && load.cancellable && !districtIntersects(district, bounds)) {
+            console.log(`⏹️ Distrito ${district.code} fuera de la vista, se cancela su carga`);
+            load.controller.abort();
+        }
+    });
+}
+
+/**
+ * Abort every load in progress and forget the status of all districts
+ * (e.g. when another city is chosen).
+ */
+function resetDistrictStatus() {
+    districtStatusState.districts.forEach(load => {
+        if (load.controller) {
+            load.controller.abort();
+        }
+    });
+    districtStatusState.districts.clear();
+    clearTimeout(districtStatusState.retryTimer);
+    districtStatusState.retryTimer = null;
+    renderDistrictStatusList();
+}
+
+/**
+ * Run loadVisibleDistricts() when the earliest automatic retry is due.
+ */
+function scheduleDistrictRetry() {
+    clearTimeout(districtStatusState.retryTimer);
+    districtStatusState.retryTimer = null;
+
+    const retries = Array.from(districtStatusState.districts.values())
+        .filter(load => load.status === DISTRICT_STATUS.FAILED && load.attempts < DISTRICT_RETRY_LIMIT)
+        .map(load => load.retryAt);
+    if (retries.length === 0) return;
+
+    const delay = Math.max(0, Math.min(...retries) - Date.now());
+    districtStatusState.retryTimer = setTimeout(() => {
+        districtStatusState.retryTimer = null;
+        loadVisibleDistricts();
+    }, delay);
+}
+
+/**
+ * Districts of the current city whose last load failed, in index order.
+ *
+ * @returns {Array<Object>} District objects from the index
+ */
+function getFailedDistricts() {
+    if (!districtState.index) return [];
+    return districtState.index.districts.filter(district => getDistrictStatus(district.code) === DISTRICT_STATUS.FAILED);
+}
+
+/**
+ * Load a failed district now, whatever its retry schedule.
+ *
+ * @param {string} districtCode - District code
+ * @returns {Promise<void>} Resolves when the attempt is over
+ */
+async function retryDistrict(districtCode) {
+    const district = districtState.index && districtState.index.districts.find(d => d.code === districtCode);
+    if (!district) return;
+
+    getDistrictLoad(districtCode).attempts = 0;
+    showLoading();
+    await loadDistrict(district);
+    hideLoading();
+}
+
+/**
+ * Show the failed districts in the loading overlay, with a retry button each.
+ * The overlay stays visible while any district is failed (see hideLoading()).
+ */
+function renderDistrictStatusList() {
+    const list = document.getElementById('district-status-list');
+    if (!list) return;
+
+    const failed = getFailedDistricts();
+    list.replaceChildren(...failed.map(district => {
+        const load = getDistrictLoad(district.code);
+        const item = document.createElement('li');
+        item.title = load.error || '';
+
+        const name = document.createElement('span');
+        name.className = 'district-status-name';
+        name.textContent = `⚠️ ${district.name}`;
+
+        const note = document.createElement('span');
+        note.className = 'district-status-note';
+        note.textContent = load.attempts < DISTRICT_RETRY_LIMIT
+            ? t('districtStatus.retrying', { attempts: load.attempts })
+            : t('districtStatus.gaveUp', { attempts: load.attempts });
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'district-retry-button';
+        button.dataset.code = district.code;
+        button.textContent = t('districtStatus.retry');
+
+        item.append(name, note, button);
+        return item;
+    }));
+
+    loadingOverlay.classList.toggle('has-failures', failed.length > 0);
+    if (failed.length === 0 && loadingOverlay.classList.contains('failed')) {
+        loadingOverlay.classList.remove('failed');
+        loadingOverlay.classList.add('hidden');
+    }
+}
+
+/**
+ * Wire up the retry buttons of the status list.
+ */
+function setupDistrictStatusList() {
+    const list = document.getElementById('district-status-list');
+    if (!list) return;
+
+    list.addEventListener('click', event => {
+        const button = event.target.closest('.district-retry-button');
+        if (button) {
+            retryDistrict(button.dataset.code);
+        }
+    });
+}
@@ -0,0 +1,41 @@
+/**
+ * Web Worker that loads district files off the main thread.
+ *
+ * Receives { type: 'load', code, url, binaryUrl, cacheCode, cacheKey, schema, meta } and answers with the
+ * messages documented in emitDistrictTable(), or { type: 'error', code, message, aborted }.
+ * { type: 'cancel', code } aborts the download of a district; its load then ends with an error
+ * message whose `aborted` is true. Fetching, decoding (binary or GeoJSON), radius and colour
+ * computation all happen here; the typed-array batches are transferred, not copied.
+ */
+
+importScripts('./district-cache.js', './tree-schema.js', './district-parser.js');
+
+// Abort controllers of the downloads in progress, by district code
+const controllers = new Map();
+
+self.addEventListener('message', async event => {
+    const request = event.data;
+    if (!request) return;
+
+    if (request.type === 'cancel') {
+        const controller = controllers.get(request.code);
+        if (controller) {
+            controller.abort();
+        }
+        return;
+    }
+    if (request.type !== 'load') return;
+
+    const controller = new AbortController();
+    controllers.set(request.code, controller);
+    try {
+        const { table, fromCache } = await loadDistrictTable(request, controller.signal);
+        emitDistrictTable(request.code, table, fromCache, (message, transfer) => {
+            self.postMessage(message, transfer);
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', code: request.code, message: error.message, aborted: error.name === 'AbortError' });
+    } finally {
+        controllers.delete(request.code);
+    }
+});
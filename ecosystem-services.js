@@ -0,0 +1,228 @@
+/**
+ * Ecosystem services estimated for every tree from its trunk diameter (d),
+ * height (h) and species (sn): biomass, stored carbon, CO₂ sequestered per
+ * year, canopy area and rain intercepted per year.
+ *
+ * Coefficients are read from the city's ecosystem-services.json (versioned, so
+ * changes can be reviewed), by species, then genus, then the species' group
+ * (deciduous, evergreen or conifer). With D the trunk diameter in cm, H the
+ * height in m, ρ the wood density in g/cm³:
+ *
+ * - aboveground biomass (kg) = biomass.a × (ρ × D² × H) ^ biomass.b (Chave et al. 2014)
+ * - biomass (kg) = aboveground × (1 + root_shoot_ratio) × urban_biomass_factor
+ * - carbon (kg) = biomass × carbon_fraction
+ * - CO₂ (kg/year) = (carbon at D + growth_cm_year − carbon at D) × co2_per_carbon,
+ *   keeping the height
+ * - crown diameter (m) = min(crown.a × D ^ crown.b, crown.max_m)
+ * - canopy (m²) = area of the circular crown
+ * - interception (L/year) = canopy × annual_rainfall_mm × interception_ratio
+ *
+ * Trees without a diameter get no estimate; trees without a height get canopy
+ * and interception only. update-district-index.py computes the same totals for
+ * every district and neighborhood; keep both in step.
+ */
+
+const ECOSYSTEM_SERVICES_URL = './data/ecosystem-services.json';
+
+/**
+ * Estimated services, in display order, with their message keys.
+ * Masses are in kg, canopy in m² and volumes in L.
+ */
+const ECOSYSTEM_SERVICES = {
+    biomass: { label: 'ecosystem.biomass', format: value => formatMass(value) },
+    carbon: { label: 'ecosystem.carbon', format: value => formatMass(value) },
+    co2: { label: 'ecosystem.co2', format: value => t('ecosystem.perYear', { value: formatMass(value) }) },
+    canopy: { label: 'ecosystem.canopy', format: value => formatSurface(value) },
+    interception: { label: 'ecosystem.interception', format: value => t('ecosystem.perYear', { value: formatVolume(value) }) }
+};
+
+/**
+ * Ecosystem services state.
+ *
+ * Properties:
+ * - config: Contents of ecosystem-services.json, or null when not loaded
+ * - coefficients: Map of scientific name -> coefficients found for it (see findEcosystemCoefficients)
+ */
+const ecosystemState = {
+    config: null,
+    coefficients: new Map()
+};
+
+/**
+ * Load the coefficients. Without them, no estimate is shown.
+ *
+ * @param {string} [url=ECOSYSTEM_SERVICES_URL] - Coefficients URL
+ * @returns {Promise<void>}
+ */
+async function loadEcosystemServices(url = ECOSYSTEM_SERVICES_URL) {
+    ecosystemState.coefficients.clear();
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        ecosystemState.config = await response.json();
+    } catch (error) {
+        console.warn('⚠️ No se pudieron cargar los coeficientes de servicios ecosistémicos:', error.message);
+        ecosystemState.config = null;
+    }
+}
+
+/**
+ * Genus of a scientific name; hybrid genera ("x Cupressocyparis") keep their x.
+ *
+ * @param {string} name - Scientific name, with single spaces
+ * @returns {string} Genus
+ */
+function getGenus(name) {
+    const words = name.split(' ');
+    return words[0] === 'x' ? words.slice(0, 2).join(' ') : words[0];
+}
+
+/**
+ * Coefficients of a species: its group's, overridden by its genus' and then
+ * its own. Cultivars and subspecies use the entry of their species.
+ *
+ * @param {string} species - Scientific name
+ * @returns {Object|null} Coefficients with `source` ('species', 'genus' or
+ *   'group') and `group`, or null without coefficients
+ */
+function findEcosystemCoefficients(species) {
+    const config = ecosystemState.config;
+    if (!config) return null;
+
+    const key = species || '';
+    if (!ecosystemState.coefficients.has(key)) {
+        const name = key.replace(/\s+/g, ' ').trim();
+        const words = name.split(' ');
+        const binomial = words[0] === 'x' ? words.slice(0, 4).join(' ') : words.slice(0, 2).join(' ');
+        const speciesEntry = (config.species || {})[name] || (config.species || {})[binomial];
+        const genusEntry = name ? (config.genera || {})[getGenus(name)] : null;
+
+        const group = (speciesEntry && speciesEntry.group) || (genusEntry && genusEntry.group) || config.default_group;
+        const source = speciesEntry ? 'species' : genusEntry ? 'genus' : 'group';
+        const groupEntry = (config.groups || {})[group];
+        ecosystemState.coefficients.set(key, groupEntry
+            ? Object.assign({}, groupEntry, genusEntry, speciesEntry, { group, source })
+            : null);
+    }
+    return ecosystemState.coefficients.get(key);
+}
+
+/**
+ * Stored carbon of a tree.
+ *
+ * @param {Object} coefficients - Coefficients of its species
+ * @param {number} diameter - Trunk diameter in cm
+ * @param {number} height - Height in m
+ * @returns {Object} { biomass, carbon } in kg
+ */
+function estimateCarbon(coefficients, diameter, height) {
+    const constants = ecosystemState.config.constants;
+    const { a, b } = coefficients.biomass;
+    const aboveground = a * (coefficients.wood_density * diameter ** 2 * height) ** b;
+    const biomass = aboveground * (1 + constants.root_shoot_ratio) * constants.urban_biomass_factor;
+    return { biomass, carbon: biomass * constants.carbon_fraction };
+}
+
+/**
+ * Estimate the ecosystem services of a tree.
+ *
+ * @param {Object} fields - Tree fields (see getTreeFields)
+ * @returns {Object|null} { biomass, carbon, co2, canopy, interception, source },
+ *   biomass, carbon and co2 being null without a height; null without a
+ *   diameter or coefficients
+ */
+function estimateEcosystemServices(fields) {
+    const coefficients = fields.diameter ? findEcosystemCoefficients(fields.species) : null;
+    if (!coefficients) return null;
+
+    const constants = ecosystemState.config.constants;
+    const crown = Math.min(coefficients.crown.a * fields.diameter ** coefficients.crown.b, coefficients.crown.max_m);
+    const canopy = Math.PI * (crown / 2) ** 2;
+    const estimate = {
+        biomass: null,
+        carbon: null,
+        co2: null,
+        canopy,
+        interception: canopy * constants.annual_rainfall_mm * coefficients.interception_ratio,
+        source: coefficients.source
+    };
+
+    if (fields.height) {
+        const now = estimateCarbon(coefficients, fields.diameter, fields.height);
+        const nextYear = estimateCarbon(coefficients, fields.diameter + coefficients.growth_cm_year, fields.height);
+        estimate.biomass = now.biomass;
+        estimate.carbon = now.carbon;
+        estimate.co2 = (nextYear.carbon - now.carbon) * constants.co2_per_carbon;
+    }
+    return estimate;
+}
+
+/**
+ * Empty totals of ecosystem services, for a district, neighborhood or area.
+ * `count` is the number of trees with an estimate.
+ *
+ * @returns {Object} { biomass, carbon, co2, canopy, interception, count }
+ */
+function newEcosystemTotals() {
+    return { biomass: 0, carbon: 0, co2: 0, canopy: 0, interception: 0, count: 0 };
+}
+
+/**
+ * Add the estimate of a tree to some totals.
+ *
+ * @param {Object} totals - Totals from newEcosystemTotals()
+ * @param {Object} fields - Tree fields
+ */
+function addEcosystemServices(totals, fields) {
+    const estimate = estimateEcosystemServices(fields);
+    if (!estimate) return;
+
+    totals.count++;
+    Object.keys(ECOSYSTEM_SERVICES).forEach(key => {
+        totals[key] += estimate[key] || 0;
+    });
+}
+
+/**
+ * Format a mass in kg or, from one tonne, in t.
+ *
+ * @param {number} kilograms - Mass
+ * @returns {string} Formatted mass
+ */
+function formatMass(kilograms) {
+    if (kilograms < 1000) {
+        return `${formatNumber(kilograms, { maximumFractionDigits: kilograms < 10 ? 1 : 0 })} kg`;
+    }
+    return `${formatNumber(kilograms / 1000, { maximumFractionDigits: 1 })} t`;
+}
+
+/**
+ * Format a volume in L or, from one cubic metre, in m³.
+ *
+ * @param {number} liters - Volume
+ * @returns {string} Formatted volume
+ */
+function formatVolume(liters) {
+    if (liters < 1000) {
+        return `${formatNumber(Math.round(liters))} L`;
+    }
+    return `${formatNumber(liters / 1000, { maximumFractionDigits: 1 })} m³`;
+}
+
+/**
+ * Build the list of estimated services of a tree or the totals of an area.
+ *
+ * @param {Object} values - Estimate or totals; services that are null are left out
+ * @param {Array<string>} [omit=[]] - Services shown elsewhere
+ * @returns {string} HTML definition list
+ */
+function buildEcosystemServicesList(values, omit = []) {
+    let content = `<dl class="ecosystem-services" title="${t('ecosystem.note', { version: ecosystemState.config ? ecosystemState.config.version : '' })}">`;
+    Object.entries(ECOSYSTEM_SERVICES).forEach(([key, { label, format }]) => {
+        if (values[key] === null || values[key] === undefined || omit.includes(key)) return;
+        content += `<dt>${t(label)}</dt><dd>${format(values[key])}</dd>`;
+    });
+    return content + `</dl>`;
+}
@@ -0,0 +1,713 @@
+/**
+ * Field survey mode: crews flag trees from their popup (dead, missing,
+ * disease, pruning needed, wrong species) with notes, the corrected species
+ * and a photo from the device camera.
+ *
+ * Edits are queued in IndexedDB (their own database, so clearing the district
+ * cache never loses them) and kept in memory when IndexedDB is unavailable.
+ * The queue is sent through a sync adapter whenever the page is online:
+ *
+ *   {
+ *       name: 'json',
+ *       // Resolves with the keys of the edits the backend accepted; rejects if none were
+ *       send: (edits, city) => Promise<Array<string>>
+ *   }
+ *
+ * The reference adapter (createJsonSurveyAdapter) POSTs the edits as JSON to
+ * the endpoint of the city's `survey` entry in data/cities.json; another
+ * backend can be plugged in with setSurveyAdapter(). survey-mock-server.py
+ * answers like the reference adapter expects, for local testing. An endpoint
+ * on another origin must be listed in connect-src of the page's Content
+ * Security Policy; the adapter reports it when it isn't, rather than failing
+ * like a network error. Photos travel inside the edits as data URLs, so
+ * batches are capped in size as well as in number of edits.
+ *
+ * Annotated trees get the marker style of their status (see
+ * getSurveyMarkerStyle(), applied by getTreeMarkerStyle() in tree-styles.js),
+ * and the edits of the city can be exported as GeoJSON. Edits refer to trees
+ * by tree id (see tree-store.js) and carry the data version and the id of the
+ * data, if the schema has one, since rows can move between releases.
+ */
+
+const SURVEY_DB = 'madtrees-survey';
+const SURVEY_DB_VERSION = 1;
+
+const SURVEY_MODE_STORAGE_KEY = 'madtrees-survey-mode';
+
+// Most edits, and most characters of JSON, sent per request; an edit larger than that goes alone
+const SURVEY_SYNC_BATCH = 20;
+const SURVEY_SYNC_MAX_SIZE = 1024 * 1024;
+
+// Longest side of the photos stored, in px; larger ones are scaled down
+const SURVEY_PHOTO_MAX_SIZE = 1280;
+const SURVEY_PHOTO_QUALITY = 0.8;
+
+// Status -> colour of the marker and message key of its label
+const SURVEY_STATUSES = {
+    dead: { colour: '#5d4037', label: 'survey.status.dead' },
+    missing: { colour: '#9e9e9e', label: 'survey.status.missing' },
+    disease: { colour: '#d32f2f', label: 'survey.status.disease' },
+    pruning: { colour: '#f9a825', label: 'survey.status.pruning' },
+    species: { colour: '#7b1fa2', label: 'survey.status.species' }
+};
+
+// Annotated trees: fill of their status, dark outline, and at least this radius
+const SURVEY_MARKER_STYLE = { color: '#212121', weight: 2, opacity: 1, fillOpacity: 0.9 };
+const SURVEY_MIN_RADIUS = 6;
+
+/**
+ * Survey state.
+ *
+ * Properties:
+ * - enabled: Whether tree popups show the edit form
+ * - edits: Map of tree id -> edit of the current city
+ * - adapter: Sync adapter, or null when edits are only kept and exported
+ * - syncing: Promise of the sync in progress, or null
+ * - lastError: Message of the last failed sync, or null
+ * - memory: Map of key -> edit, used when IndexedDB is unavailable
+ */
+const surveyState = {
+    enabled: false,
+    edits: new Map(),
+    adapter: null,
+    syncing: null,
+    lastError: null,
+    memory: new Map()
+};
+
+let surveyDb = null;
+
+/**
+ * Open (and create if needed) the survey database.
+ *
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable
+ */
+function openSurveyDb() {
+    if (surveyDb) return surveyDb;
+
+    surveyDb = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(SURVEY_DB, SURVEY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore('edits', { keyPath: 'key' });
+            store.createIndex('city', 'city');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('⚠️ IndexedDB no disponible, las anotaciones solo se guardan mientras la página esté abierta:', request.error);
+            resolve(null);
+        };
+    });
+
+    return surveyDb;
+}
+
+/**
+ * Read the stored edits of a city.
+ *
+ * @param {string} city - City id
+ * @returns {Promise<Array<Object>>} Edits
+ */
+async function readSurveyEdits(city) {
+    const db = await openSurveyDb();
+    if (!db) {
+        return Array.from(surveyState.memory.values()).filter(edit => edit.city === city);
+    }
+    return idbRequest(db.transaction('edits', 'readonly').objectStore('edits').index('city').getAll(city));
+}
+
+/**
+ * Store an edit, replacing the previous one of its tree.
+ *
+ * @param {Object} edit - Edit
+ * @returns {Promise<void>}
+ */
+async function writeSurveyEdit(edit) {
+    const db = await openSurveyDb();
+    if (!db) {
+        surveyState.memory.set(edit.key, edit);
+        return;
+    }
+    await idbRequest(db.transaction('edits', 'readwrite').objectStore('edits').put(edit));
+}
+
+/**
+ * Delete a stored edit.
+ *
+ * @param {string} key - Edit key
+ * @returns {Promise<void>}
+ */
+async function deleteSurveyEdit(key) {
+    const db = await openSurveyDb();
+    if (!db) {
+        surveyState.memory.delete(key);
+        return;
+    }
+    await idbRequest(db.transaction('edits', 'readwrite').objectStore('edits').delete(key));
+}
+
+/**
+ * Check whether the Content Security Policy of the page (its meta tag, see
+ * index.html) lets it connect to a URL: connect-src, or default-src when
+ * there is none. Covers the source expressions the policy uses: 'self', 'none',
+ * *, schemes (https:) and hosts with an optional scheme, *. subdomain
+ * wildcard, port and path.
+ *
+ * @param {string} url - URL to connect to
+ * @returns {boolean} False if the policy blocks it
+ */
+function isConnectAllowedByCsp(url) {
+    const meta = document.querySelector('meta[http-equiv="Content-Security-Policy"]');
+    if (!meta) return true;
+
+    const directives = new Map(meta.content.split(';')
+        .map(directive => directive.trim().split(/\s+/))
+        .filter(([name]) => name)
+        .map(([name, ...sources]) => [name.toLowerCase(), sources]));
+    const sources = directives.get('connect-src') || directives.get('default-src');
+    if (!sources) return true;
+
+    const target = new URL(url, window.location.href);
+    const scheme = target.protocol.slice(0, -1);
+    const port = target.port || ({ http: '80', https: '443' })[scheme] || '';
+    return sources.some(source => {
+        const expression = source.toLowerCase();
+        if (expression === "'self'") return target.origin === window.location.origin;
+        if (expression === '*') return scheme === 'http' || scheme === 'https';
+        if (/^[a-z][a-z0-9+.-]*:$/.test(expression)) return target.protocol === expression;
+
+        const host = expression.match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*\.)?([a-z0-9.-]+)(?::(\d+|\*))?(\/.*)?$/);
+        if (!host) return false;
+        const [, sourceScheme, wildcard, hostname, sourcePort, path] = host;
+        if (sourceScheme ? sourceScheme !== scheme : target.protocol !== window.location.protocol) return false;
+        if (wildcard ? !target.hostname.endsWith(`.${hostname}`) : target.hostname !== hostname) return false;
+        if (sourcePort ? sourcePort !== '*' && sourcePort !== port : target.port !== '') return false;
+        return !path || (path.endsWith('/') ? target.pathname.startsWith(path) : target.pathname === path);
+    });
+}
+
+/**
+ * Reference sync adapter: POSTs { city, edits } as JSON to an endpoint. The
+ * response may list the keys it accepted ({ accepted: [...] }); otherwise a
+ * 2xx response accepts every edit sent. An endpoint the Content Security
+ * Policy blocks is reported as such instead of being requested.
+ *
+ * @param {string} endpoint - URL of the backend
+ * @param {Object} [headers={}] - Extra request headers (e.g. an API key)
+ * @returns {Object} Sync adapter
+ */
+function createJsonSurveyAdapter(endpoint, headers = {}) {
+    const allowed = isConnectAllowedByCsp(endpoint);
+    if (!allowed) {
+        console.warn(`⚠️ La política de seguridad de index.html no permite conectar con ${endpoint}: añade su origen a connect-src`);
+    }
+
+    return {
+        name: 'json',
+        send: async (edits, city) => {
+            if (!allowed) {
+                throw new Error(t('survey.blockedByCsp', { origin: new URL(endpoint, window.location.href).origin }));
+            }
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+                body: JSON.stringify({ city, edits })
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const result = await response.json().catch(() => ({}));
+            return Array.isArray(result.accepted) ? result.accepted : edits.map(edit => edit.key);
+        }
+    };
+}
+
+/**
+ * Use another sync adapter (or none) and send the queue through it.
+ *
+ * @param {Object|null} adapter - Sync adapter
+ */
+function setSurveyAdapter(adapter) {
+    surveyState.adapter = adapter;
+    surveyState.lastError = null;
+    syncSurveyEdits();
+}
+
+/**
+ * Load the edits of the current city, set up the adapter of its `survey`
+ * entry and restyle the annotated trees already loaded.
+ *
+ * @returns {Promise<void>}
+ */
+async function loadSurveyEdits() {
+    const city = cityState.city;
+    const survey = city.survey || {};
+    surveyState.adapter = survey.endpoint ? createJsonSurveyAdapter(survey.endpoint) : null;
+    surveyState.lastError = null;
+
+    let edits = [];
+    try {
+        edits = await readSurveyEdits(city.id);
+    } catch (error) {
+        console.warn('⚠️ No se pudieron leer las anotaciones guardadas:', error);
+    }
+    surveyState.edits = new Map(edits.map(edit => [edit.tree_id, edit]));
+    surveyState.edits.forEach((edit, treeId) => restyleSurveyTree(treeId));
+    renderSurveyPanel();
+    syncSurveyEdits();
+}
+
+/**
+ * Edits waiting to be sent.
+ *
+ * @returns {Array<Object>} Pending edits, oldest first
+ */
+function getPendingSurveyEdits() {
+    return Array.from(surveyState.edits.values())
+        .filter(edit => !edit.synced_at)
+        .sort((a, b) => a.updated_at.localeCompare(b.updated_at));
+}
+
+/**
+ * Marker style of an annotated tree, to apply on top of its usual style.
+ *
+ * @param {Object} table - District table
+ * @param {number} row - Row in the table
+ * @param {number} radius - Usual radius
+ * @returns {Object|null} Circle marker options, or null if the tree has no edit
+ */
+function getSurveyMarkerStyle(table, row, radius) {
+    if (!surveyState.edits.size) return null;
+
+    const edit = surveyState.edits.get(getTreeId(table.code, row));
+    const status = edit && SURVEY_STATUSES[edit.status];
+    if (!status) return null;
+    return Object.assign({}, SURVEY_MARKER_STYLE, {
+        fillColor: status.colour,
+        radius: Math.max(radius, SURVEY_MIN_RADIUS)
+    });
+}
+
+/**
+ * Restyle a tree after its edit changed: its marker, or its point in the
+ * WebGL layer.
+ *
+ * @param {string} treeId - Tree id
+ */
+function restyleSurveyTree(treeId) {
+    const tree = findTree(treeId);
+    if (!tree) return;
+
+    if (tree.marker) {
+        tree.marker.setStyle(getTreeMarkerStyle(tree.table, tree.row));
+    }
+    refreshTreePoint(tree.table, tree.row);
+}
+
+/**
+ * Save the edit of a tree and try to send it.
+ *
+ * @param {string} treeId - Tree id
+ * @param {Object} values - { status, notes, species, photo }; photo is a data URL,
+ *   undefined to keep the previous one or null to remove it
+ * @returns {Promise<Object|null>} The edit, or null if the tree isn't loaded
+ */
+async function saveSurveyEdit(treeId, values) {
+    const tree = findTree(treeId);
+    if (!tree) return null;
+
+    const fields = getTreeFields(tree.table, tree.row);
+    const previous = surveyState.edits.get(treeId);
+    const species = (values.species || '').trim();
+    const edit = {
+        key: `${cityState.city.id}/${treeId}`,
+        city: cityState.city.id,
+        tree_id: treeId,
+        source_id: fields.id,
+        data_version: districtState.index ? districtState.index.version || null : null,
+        lat: Number(tree.table.lat[tree.row].toFixed(6)),
+        lng: Number(tree.table.lng[tree.row].toFixed(6)),
+        species: fields.species,
+        // A corrected species is a wrong species unless another status was picked
+        status: values.status || (species && species !== fields.species ? 'species' : ''),
+        corrected_species: species && species !== fields.species ? species : null,
+        notes: (values.notes || '').trim(),
+        photo: values.photo !== undefined ? values.photo : (previous ? previous.photo : null),
+        created_at: previous ? previous.created_at : new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        synced_at: null
+    };
+
+    surveyState.edits.set(treeId, edit);
+    try {
+        await writeSurveyEdit(edit);
+    } catch (error) {
+        console.warn('⚠️ No se pudo guardar la anotación:', error);
+    }
+    restyleSurveyTree(treeId);
+    renderSurveyPanel();
+    syncSurveyEdits();
+    return edit;
+}
+
+/**
+ * Forget the edit of a tree, here and in the queue (not in the backend).
+ *
+ * @param {string} treeId - Tree id
+ * @returns {Promise<void>}
+ */
+async function removeSurveyEdit(treeId) {
+    const edit = surveyState.edits.get(treeId);
+    if (!edit) return;
+
+    surveyState.edits.delete(treeId);
+    try {
+        await deleteSurveyEdit(edit.key);
+    } catch (error) {
+        console.warn('⚠️ No se pudo borrar la anotación:', error);
+    }
+    restyleSurveyTree(treeId);
+    renderSurveyPanel();
+}
+
+/**
+ * Split edits into the batches sent per request: at most SURVEY_SYNC_BATCH
+ * edits and SURVEY_SYNC_MAX_SIZE characters of JSON (photos make most of it).
+ *
+ * @param {Array<Object>} edits - Edits, in sending order
+ * @returns {Array<Array<Object>>} Batches
+ */
+function batchSurveyEdits(edits) {
+    const batches = [];
+    let batch = [];
+    let size = 0;
+    edits.forEach(edit => {
+        const editSize = JSON.stringify(edit).length;
+        if (batch.length && (batch.length >= SURVEY_SYNC_BATCH || size + editSize > SURVEY_SYNC_MAX_SIZE)) {
+            batches.push(batch);
+            batch = [];
+            size = 0;
+        }
+        batch.push(edit);
+        size += editSize;
+    });
+    if (batch.length) {
+        batches.push(batch);
+    }
+    return batches;
+}
+
+/**
+ * Send the pending edits through the adapter, in batches. Edits saved while a
+ * sync runs are sent by the next one. Does nothing offline or without an adapter.
+ *
+ * @returns {Promise<number>} Number of edits accepted
+ */
+function syncSurveyEdits() {
+    if (surveyState.syncing) {
+        return surveyState.syncing.then(() => syncSurveyEdits());
+    }
+    if (!surveyState.adapter || !navigator.onLine || getPendingSurveyEdits().length === 0) {
+        return Promise.resolve(0);
+    }
+
+    const adapter = surveyState.adapter;
+    const city = cityState.city.id;
+    surveyState.syncing = (async () => {
+        let accepted = 0;
+        try {
+            for (const batch of batchSurveyEdits(getPendingSurveyEdits())) {
+                const keys = new Set(await adapter.send(batch, city));
+                const syncedAt = new Date().toISOString();
+                for (const edit of batch) {
+                    // Skip edits changed while they were being sent, or of another city
+                    if (!keys.has(edit.key) || surveyState.edits.get(edit.tree_id) !== edit) continue;
+                    edit.synced_at = syncedAt;
+                    await writeSurveyEdit(edit);
+                    accepted++;
+                }
+            }
+            surveyState.lastError = null;
+            if (accepted) {
+                console.log(`📤 ${accepted} anotaciones enviadas (${adapter.name})`);
+            }
+        } catch (error) {
+            console.warn('⚠️ No se pudieron enviar las anotaciones, se reintentará:', error.message);
+            surveyState.lastError = error.message;
+        }
+        return accepted;
+    })().finally(() => {
+        surveyState.syncing = null;
+        renderSurveyPanel();
+    });
+    return surveyState.syncing;
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of the edits of the current city, a Point
+ * per annotated tree.
+ *
+ * @returns {Object} FeatureCollection
+ */
+function buildSurveyGeoJson() {
+    const features = Array.from(surveyState.edits.values()).map(edit => {
+        const properties = Object.assign({}, edit);
+        delete properties.key;
+        delete properties.lat;
+        delete properties.lng;
+        return {
+            type: 'Feature',
+            properties,
+            geometry: { type: 'Point', coordinates: [edit.lng, edit.lat] }
+        };
+    });
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Download the edits of the current city as GeoJSON.
+ */
+function exportSurveyEdits() {
+    if (!surveyState.edits.size) return;
+    downloadFile(`madtrees-survey-${cityState.city.id}.geojson`, JSON.stringify(buildSurveyGeoJson(), null, 2), 'application/geo+json');
+}
+
+/**
+ * Read a photo from the camera or the gallery as a JPEG data URL, scaled down
+ * to SURVEY_PHOTO_MAX_SIZE. Browsers that can't decode it in a canvas keep the
+ * original file.
+ *
+ * @param {File} file - Image file
+ * @returns {Promise<string>} Data URL
+ */
+async function readSurveyPhoto(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            const bitmap = await createImageBitmap(file);
+            const scale = Math.min(1, SURVEY_PHOTO_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(bitmap.width * scale);
+            canvas.height = Math.round(bitmap.height * scale);
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+            return canvas.toDataURL('image/jpeg', SURVEY_PHOTO_QUALITY);
+        } catch (error) {
+            console.warn('⚠️ No se pudo reducir la foto, se guarda la original:', error.message);
+        }
+    }
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Describe where an edit is: waiting to be sent, or sent.
+ *
+ * @param {Object} edit - Edit
+ * @returns {string} Status text
+ */
+function describeSurveyEditState(edit) {
+    if (edit.synced_at) {
+        return t('survey.synced', { date: new Date(edit.synced_at).toLocaleString(i18nState.locale, { dateStyle: 'short', timeStyle: 'short' }) });
+    }
+    return t(surveyState.adapter ? 'survey.pending' : 'survey.pendingNoBackend');
+}
+
+/**
+ * Build the edit form of a tree popup, in survey mode.
+ *
+ * @param {string} treeId - Tree id
+ * @param {Object} fields - Tree fields
+ * @returns {string} Form HTML, or '' outside survey mode
+ */
+function buildSurveyForm(treeId, fields) {
+    if (!surveyState.enabled) return '';
+
+    const edit = surveyState.edits.get(treeId) || {};
+    const statuses = Object.entries(SURVEY_STATUSES).map(([value, { label }]) =>
+        html`<option value="${value}"${trustedHtml(edit.status === value ? ' selected' : '')}>${t(label)}</option>`);
+    const photo = typeof edit.photo === 'string' && edit.photo.startsWith('data:image/') ? edit.photo : null;
+
+    return String(html`<form class="survey-form" data-tree-id="${treeId}">
+        <div class="survey-form-title">📝 ${t('survey.formTitle')}</div>
+        <label>${t('survey.statusLabel')}
+            <select name="status"><option value="">${t('survey.noStatus')}</option>${statuses}</select>
+        </label>
+        <label>${t('survey.correctedSpecies')}
+            <input name="species" type="text" list="filter-species-options" autocomplete="off" value="${edit.corrected_species || ''}" placeholder="${fields.species}">
+        </label>
+        <label>${t('survey.notes')}
+            <textarea name="notes" rows="2">${edit.notes || ''}</textarea>
+        </label>
+        <label>${t('survey.photo')}
+            <input name="photo" type="file" accept="image/*" capture="environment">
+        </label>
+        ${photo && html`<img class="survey-form-photo" src="${photo}" alt="${t('survey.photo')}">`}
+        <div class="survey-form-actions">
+            <button type="submit">${t('survey.save')}</button>
+            ${edit.key && html`<button type="button" class="survey-form-remove">${t('survey.remove')}</button>`}
+        </div>
+        <div class="survey-form-state" aria-live="polite">${edit.key ? describeSurveyEditState(edit) : ''}</div>
+    </form>`);
+}
+
+/**
+ * Fill the survey panel: mode switch, counts by status and queue state.
+ */
+function renderSurveyPanel() {
+    const summary = document.getElementById('survey-summary');
+    if (!summary) return;
+
+    const toggle = document.getElementById('survey-mode');
+    toggle.checked = surveyState.enabled;
+
+    const counts = {};
+    surveyState.edits.forEach(edit => {
+        counts[edit.status] = (counts[edit.status] || 0) + 1;
+    });
+    summary.innerHTML = Object.entries(SURVEY_STATUSES)
+        .filter(([status]) => counts[status])
+        .map(([status, { colour, label }]) => `<div class="legend-item"><span class="legend-dot" style="background: ${colour}"></span>${t(label)}: ${formatNumber(counts[status])}</div>`)
+        .join('');
+
+    const pending = getPendingSurveyEdits().length;
+    let state;
+    if (!surveyState.edits.size) {
+        state = t('survey.empty');
+    } else if (surveyState.syncing) {
+        state = t('survey.syncing');
+    } else if (!pending) {
+        state = t('survey.allSynced', { count: surveyState.edits.size });
+    } else if (!surveyState.adapter) {
+        state = t('survey.queuedNoBackend', { count: pending });
+    } else if (surveyState.lastError) {
+        state = t('survey.syncFailed', { count: pending, error: surveyState.lastError });
+    } else {
+        state = t('survey.queued', { count: pending });
+    }
+    document.getElementById('survey-state').textContent = state;
+    document.getElementById('survey-sync').disabled = !pending || !surveyState.adapter || Boolean(surveyState.syncing);
+    document.getElementById('survey-export').disabled = !surveyState.edits.size;
+}
+
+/**
+ * Turn survey mode on or off; the choice is remembered.
+ *
+ * @param {boolean} enabled - Whether popups show the edit form
+ */
+function setSurveyMode(enabled) {
+    surveyState.enabled = enabled;
+    try {
+        localStorage.setItem(SURVEY_MODE_STORAGE_KEY, enabled ? '1' : '');
+    } catch (error) {
+        console.warn('⚠️ No se pudo guardar el modo inventario:', error.message);
+    }
+    map.closePopup();
+    renderSurveyPanel();
+}
+
+/**
+ * Handle the edit form of an open popup.
+ *
+ * @param {HTMLFormElement} form - Survey form
+ */
+function bindSurveyForm(form) {
+    const treeId = form.dataset.treeId;
+    const state = form.querySelector('.survey-form-state');
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const file = form.elements.photo.files && form.elements.photo.files[0];
+        const values = {
+            status: form.elements.status.value,
+            species: form.elements.species.value,
+            notes: form.elements.notes.value
+        };
+        if (!values.status && !values.species.trim() && !values.notes.trim() && !file && !surveyState.edits.has(treeId)) {
+            state.textContent = t('survey.nothingToSave');
+            return;
+        }
+
+        try {
+            if (file) {
+                values.photo = await readSurveyPhoto(file);
+            }
+        } catch (error) {
+            console.warn('⚠️ No se pudo leer la foto:', error);
+        }
+        const edit = await saveSurveyEdit(treeId, values);
+        if (!edit) return;
+
+        state.textContent = `${t('survey.saved')} ${describeSurveyEditState(edit)}`;
+        if (surveyState.syncing) {
+            await surveyState.syncing;
+            if (form.isConnected) {
+                state.textContent = `${t('survey.saved')} ${describeSurveyEditState(edit)}`;
+            }
+        }
+    });
+
+    const remove = form.querySelector('.survey-form-remove');
+    if (remove) {
+        remove.addEventListener('click', async () => {
+            await removeSurveyEdit(treeId);
+            map.closePopup();
+        });
+    }
+}
+
+/**
+ * Wire up the survey button and panel, the edit form of tree popups, and
+ * syncing when the connection comes back.
+ */
+function setupFieldSurvey() {
+    const surveyButton = document.getElementById('survey-button');
+    const surveyPanel = document.getElementById('survey-panel');
+    if (!surveyButton || !surveyPanel) return;
+
+    try {
+        surveyState.enabled = localStorage.getItem(SURVEY_MODE_STORAGE_KEY) === '1';
+    } catch (error) {
+        surveyState.enabled = false;
+    }
+
+    surveyButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        surveyPanel.classList.toggle('show');
+        surveyButton.classList.toggle('active', surveyPanel.classList.contains('show'));
+        renderSurveyPanel();
+    });
+
+    document.getElementById('survey-close').addEventListener('click', () => {
+        surveyPanel.classList.remove('show');
+        surveyButton.classList.remove('active');
+    });
+
+    document.getElementById('survey-mode').addEventListener('change', (e) => {
+        setSurveyMode(e.target.checked);
+    });
+    document.getElementById('survey-sync').addEventListener('click', () => {
+        surveyState.lastError = null;
+        syncSurveyEdits();
+        renderSurveyPanel();
+    });
+    document.getElementById('survey-export').addEventListener('click', exportSurveyEdits);
+
+    // Popup clicks don't reach the map container, so bind the form of each popup
+    map.on('popupopen', (e) => {
+        const form = e.popup.getElement().querySelector('.survey-form');
+        if (form) {
+            bindSurveyForm(form);
+        }
+    });
+
+    window.addEventListener('online', () => syncSurveyEdits());
+    renderSurveyPanel();
+}
@@ -0,0 +1,370 @@
+/**
+ * Current tree filter applied to the marker cluster group.
+ * Empty strings and null values mean "no restriction".
+ *
+ * Properties:
+ * - query: Free text matched against scientific and common names (accent-insensitive)
+ * - minHeight / maxHeight: Height range in meters
+ * - minDiameter / maxDiameter: Diameter range in cm
+ * - district: Exact district name (dt)
+ * - neighborhood: Exact neighborhood name (nb)
+ */
+const treeFilter = {
+    query: '',
+    minHeight: null,
+    maxHeight: null,
+    minDiameter: null,
+    maxDiameter: null,
+    district: '',
+    neighborhood: ''
+};
+
+/**
+ * Lookup tables built incrementally as districts load.
+ *
+ * Properties:
+ * - species: Map of scientific name -> { commonNames: Set, count, searchText }
+ * - neighborhoods: Map of district name -> Set of neighborhood names
+ * - matchingSpecies: Set of species matching treeFilter.query (null when there is no query)
+ * - matchCount: Number of loaded trees matching the filter
+ */
+const filterIndex = {
+    species: new Map(),
+    neighborhoods: new Map(),
+    matchingSpecies: null,
+    matchCount: 0
+};
+
+/**
+ * Normalize text for accent- and case-insensitive search.
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercase text without diacritics
+ */
+function normalizeSearchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Add a tree's properties to the filter lookup tables.
+ * Called by addDistrictMarkers() for every tree it loads.
+ *
+ * @param {Object} fields - Tree fields as returned by getTreeFields()
+ */
+function indexTreeForFilters(fields) {
+    let entry = filterIndex.species.get(fields.species);
+    if (!entry) {
+        entry = { commonNames: new Set(), count: 0, searchText: normalizeSearchText(fields.species) };
+        filterIndex.species.set(fields.species, entry);
+    }
+    entry.count++;
+    if (fields.commonName && !entry.commonNames.has(fields.commonName)) {
+        entry.commonNames.add(fields.commonName);
+        entry.searchText += ' ' + normalizeSearchText(fields.commonName);
+    }
+
+    // Species first seen after the query was typed must still be able to match it
+    if (filterIndex.matchingSpecies && entry.searchText.includes(normalizeSearchText(treeFilter.query))) {
+        filterIndex.matchingSpecies.add(fields.species);
+    }
+
+    if (fields.district) {
+        if (!filterIndex.neighborhoods.has(fields.district)) {
+            filterIndex.neighborhoods.set(fields.district, new Set());
+        }
+        if (fields.neighborhood) {
+            filterIndex.neighborhoods.get(fields.district).add(fields.neighborhood);
+        }
+    }
+}
+
+/**
+ * Check whether any filter criterion is set.
+ *
+ * @returns {boolean} True if at least one criterion restricts the visible trees
+ */
+function isFilterActive() {
+    return treeFilter.query !== '' ||
+        treeFilter.minHeight !== null || treeFilter.maxHeight !== null ||
+        treeFilter.minDiameter !== null || treeFilter.maxDiameter !== null ||
+        treeFilter.district !== '' || treeFilter.neighborhood !== '';
+}
+
+/**
+ * Recompute the set of species matching the current text query.
+ * Matching is done once per species rather than once per tree, so a query over
+ * hundreds of thousands of trees only costs a Set lookup per tree.
+ */
+function updateMatchingSpecies() {
+    const query = normalizeSearchText(treeFilter.query);
+    if (!query) {
+        filterIndex.matchingSpecies = null;
+        return;
+    }
+
+    filterIndex.matchingSpecies = new Set();
+    filterIndex.species.forEach((entry, species) => {
+        if (entry.searchText.includes(query)) {
+            filterIndex.matchingSpecies.add(species);
+        }
+    });
+}
+
+/**
+ * Check whether a value lies within an optional [min, max] range.
+ * Trees without a value never match a range that has a bound set.
+ *
+ * @param {number|null} value - Value to test
+ * @param {number|null} min - Lower bound, or null
+ * @param {number|null} max - Upper bound, or null
+ * @returns {boolean} True if the value satisfies the range
+ */
+function inRange(value, min, max) {
+    if (min === null && max === null) return true;
+    if (value === null || value === undefined || isNaN(value)) return false;
+    if (min !== null && value < min) return false;
+    if (max !== null && value > max) return false;
+    return true;
+}
+
+/**
+ * Check whether a tree matches the current filter.
+ *
+ * @param {Object} fields - Tree fields as returned by getTreeFields()
+ * @returns {boolean} True if the tree should be shown
+ */
+function treeMatchesFilter(fields) {
+    if (filterIndex.matchingSpecies && !filterIndex.matchingSpecies.has(fields.species)) return false;
+    if (treeFilter.district && fields.district !== treeFilter.district) return false;
+    if (treeFilter.neighborhood && fields.neighborhood !== treeFilter.neighborhood) return false;
+    if (!inRange(fields.height, treeFilter.minHeight, treeFilter.maxHeight)) return false;
+    if (!inRange(fields.diameter, treeFilter.minDiameter, treeFilter.maxDiameter)) return false;
+    return true;
+}
+
+/**
+ * Mark the loaded trees that match the filter (table.shown) and update the
+ * tree layer in use: the cluster group is rebuilt so only matching markers
+ * are in it (cluster counts follow because non-matching markers are removed
+ * rather than hidden), while in points mode only the WebGL buffers are
+ * refilled and the cluster group, off the map, is left alone.
+ */
+function applyTreeFilter() {
+    updateMatchingSpecies();
+
+    const matching = [];
+    let matchCount = 0;
+    forEachLoadedTree((table, row, marker) => {
+        const shown = treeMatchesFilter(getTreeFields(table, row));
+        table.shown[row] = shown ? 1 : 0;
+        if (shown) {
+            matchCount++;
+            if (marker) {
+                matching.push(marker);
+            }
+        }
+    });
+
+    filterIndex.matchCount = matchCount;
+    if (usesTreeMarkers()) {
+        markers.clearLayers();
+        markers.addLayers(matching);
+    } else {
+        invalidateTreePoints();
+    }
+
+    updateFilterSummary();
+    updatePerformanceIndicator();
+    updateDeepLink();
+    refreshMapLayers();
+    refreshAreaReport();
+    refreshTreeList();
+}
+
+/**
+ * Number of loaded trees currently shown by the filter.
+ *
+ * @returns {number} Count of trees matching the filter
+ */
+function countFilteredTrees() {
+    return filterIndex.matchCount;
+}
+
+/**
+ * Update the "N of M trees" summary in the filter panel.
+ */
+function updateFilterSummary() {
+    const summary = document.getElementById('filter-summary');
+    if (!summary) return;
+
+    const total = treeStore.count;
+    summary.textContent = isFilterActive()
+        ? t('filter.summaryFiltered', { count: countFilteredTrees(), total })
+        : t('filter.summary', { count: total });
+}
+
+/**
+ * Replace the options of a <select>, keeping the leading "all" option.
+ * The selected value is kept even if no loaded tree has it yet, so a filter
+ * restored from a link survives until its district loads.
+ *
+ * @param {HTMLSelectElement} select - Select element to fill
+ * @param {Array<string>} values - Option values, already sorted
+ * @param {string} selected - Value to select, or '' for "all"
+ */
+function fillSelectOptions(select, values, selected) {
+    select.length = 1;
+    values.forEach(value => select.add(new Option(value, value)));
+    if (selected && !values.includes(selected)) {
+        select.add(new Option(selected, selected));
+    }
+    select.value = selected;
+}
+
+/**
+ * Refresh the species autocomplete list and the district/neighborhood selects
+ * from the trees loaded so far. Called after each district finishes loading.
+ */
+function refreshFilterOptions() {
+    const speciesOptions = document.getElementById('filter-species-options');
+    const districtSelect = document.getElementById('filter-district');
+    const neighborhoodSelect = document.getElementById('filter-neighborhood');
+    if (!speciesOptions || !districtSelect || !neighborhoodSelect) return;
+
+    // Most common species first, so the autocomplete suggests them first
+    const species = Array.from(filterIndex.species.entries())
+        .sort((a, b) => b[1].count - a[1].count);
+
+    speciesOptions.replaceChildren(...species.map(([name, entry]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.label = Array.from(entry.commonNames).join(', ');
+        return option;
+    }));
+
+    fillSelectOptions(districtSelect, Array.from(filterIndex.neighborhoods.keys()).sort(), treeFilter.district);
+
+    const neighborhoods = new Set();
+    filterIndex.neighborhoods.forEach((names, district) => {
+        if (!treeFilter.district || district === treeFilter.district) {
+            names.forEach(name => neighborhoods.add(name));
+        }
+    });
+    fillSelectOptions(neighborhoodSelect, Array.from(neighborhoods).sort(), treeFilter.neighborhood);
+
+    updateFilterSummary();
+}
+
+/**
+ * Replace the current filter (e.g. from a shared link), update the panel
+ * inputs to match and rebuild the cluster group.
+ *
+ * @param {Object} values - Filter values; missing keys reset that criterion
+ */
+function setTreeFilter(values) {
+    treeFilter.query = values.query || '';
+    treeFilter.minHeight = values.minHeight ?? null;
+    treeFilter.maxHeight = values.maxHeight ?? null;
+    treeFilter.minDiameter = values.minDiameter ?? null;
+    treeFilter.maxDiameter = values.maxDiameter ?? null;
+    treeFilter.district = values.district || '';
+    treeFilter.neighborhood = values.neighborhood || '';
+
+    const inputValues = {
+        'filter-species': treeFilter.query,
+        'filter-min-height': treeFilter.minHeight,
+        'filter-max-height': treeFilter.maxHeight,
+        'filter-min-diameter': treeFilter.minDiameter,
+        'filter-max-diameter': treeFilter.maxDiameter
+    };
+    Object.entries(inputValues).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value === null ? '' : value;
+    });
+
+    const filterButton = document.getElementById('filter-button');
+    if (filterButton) filterButton.classList.toggle('active', isFilterActive());
+
+    refreshFilterOptions();
+    applyTreeFilter();
+}
+
+/**
+ * Parse a numeric filter input.
+ *
+ * @param {HTMLInputElement} input - Number input
+ * @returns {number|null} Parsed value, or null if empty/invalid
+ */
+function readNumberInput(input) {
+    const value = parseFloat(input.value);
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Wire up the search and filter panel.
+ * Input changes are debounced so typing a species name rebuilds the clusters once.
+ */
+function setupFilterPanel() {
+    const filterButton = document.getElementById('filter-button');
+    const filterPanel = document.getElementById('filter-panel');
+    if (!filterButton || !filterPanel) return;
+
+    const inputs = {
+        query: document.getElementById('filter-species'),
+        minHeight: document.getElementById('filter-min-height'),
+        maxHeight: document.getElementById('filter-max-height'),
+        minDiameter: document.getElementById('filter-min-diameter'),
+        maxDiameter: document.getElementById('filter-max-diameter'),
+        district: document.getElementById('filter-district'),
+        neighborhood: document.getElementById('filter-neighborhood')
+    };
+    const clearButton = document.getElementById('filter-clear');
+
+    let applyTimeout;
+
+    function readFilterInputs() {
+        treeFilter.query = inputs.query.value.trim();
+        treeFilter.minHeight = readNumberInput(inputs.minHeight);
+        treeFilter.maxHeight = readNumberInput(inputs.maxHeight);
+        treeFilter.minDiameter = readNumberInput(inputs.minDiameter);
+        treeFilter.maxDiameter = readNumberInput(inputs.maxDiameter);
+        treeFilter.district = inputs.district.value;
+        treeFilter.neighborhood = inputs.neighborhood.value;
+
+        filterButton.classList.toggle('active', isFilterActive());
+
+        clearTimeout(applyTimeout);
+        applyTimeout = setTimeout(applyTreeFilter, 250);
+    }
+
+    filterButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        filterPanel.classList.toggle('show');
+    });
+
+    Object.values(inputs).forEach(input => {
+        input.addEventListener('input', readFilterInputs);
+    });
+
+    // Narrow the neighborhood list to the selected district
+    inputs.district.addEventListener('change', () => {
+        const known = filterIndex.neighborhoods.get(inputs.district.value);
+        if (known && !known.has(inputs.neighborhood.value)) {
+            inputs.neighborhood.value = '';
+        }
+        readFilterInputs();
+        refreshFilterOptions();
+    });
+
+    clearButton.addEventListener('click', () => {
+        Object.values(inputs).forEach(input => { input.value = ''; });
+        readFilterInputs();
+        refreshFilterOptions();
+    });
+
+    refreshFilterOptions();
+}
@@ -0,0 +1,86 @@
+/**
+ * Escaping of values put into HTML.
+ *
+ * Tree data comes from third-party open-data exports, and a city added to
+ * data/cities.json can bring any dataset, so species names, places, ids,
+ * labels and links are never trusted as markup. Markup built from data goes
+ * through the html tag, which escapes every value it is given:
+ *
+ *   html`<span class="tree-species">🌳 ${fields.species}</span>`
+ *
+ * - Values are escaped, except the result of another html`` (nested
+ *   templates); arrays are joined, each item escaped the same way
+ * - null, undefined and false render nothing
+ * - The result is an object whose toString() is the markup; pass
+ *   String(result) to APIs that expect a string (e.g. Leaflet popups)
+ *
+ * URLs from data (links of special districts, attribution) go through
+ * safeUrl() as well, so a "javascript:" link can't be injected.
+ */
+
+const SAFE_HTML = Symbol('safeHtml');
+
+/**
+ * Escape text for use in HTML content and quoted attribute values.
+ *
+ * @param {*} value - Value; null and undefined give ''
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Wrap markup that is known to be safe, so html`` inserts it as is.
+ *
+ * @param {string} markup - Markup
+ * @returns {Object} Safe markup
+ */
+function trustedHtml(markup) {
+    return { [SAFE_HTML]: true, toString: () => markup };
+}
+
+/**
+ * Render one interpolated value of an html`` template.
+ *
+ * @param {*} value - Value
+ * @returns {string} Markup
+ */
+function renderHtmlValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+    if (value[SAFE_HTML]) return value.toString();
+    return escapeHtml(value);
+}
+
+/**
+ * Template tag that escapes the interpolated values.
+ *
+ * @param {Array<string>} strings - Literal parts of the template
+ * @param {...*} values - Interpolated values
+ * @returns {Object} Safe markup (see trustedHtml)
+ */
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, i) => {
+        markup += renderHtmlValue(value) + strings[i + 1];
+    });
+    return trustedHtml(markup);
+}
+
+/**
+ * Keep a link only if it points to a web page.
+ *
+ * @param {string} url - URL from data
+ * @returns {string|null} The URL if it is http(s), or null
+ */
+function safeUrl(url) {
+    if (!url) return null;
+    try {
+        const { protocol } = new URL(url, window.location.href);
+        return protocol === 'http:' || protocol === 'https:' ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * Interface translations.
+ *
+ * Messages live in one catalog per language (locales/<language>.js), each a
+ * flat map of dotted keys to text:
+ *
+ *   I18N_CATALOGS.en = {
+ *       'popup.height': 'Height',
+ *       'filter.summary': '{total} trees loaded',
+ *       'legend.more': { one: 'and {count} more', other: 'and {count} more' }
+ *   };
+ *
+ * - {name} placeholders are replaced by the parameters passed to t(); numbers
+ *   are formatted for the current locale
+ * - An object with plural categories (one, other...) picks one with the
+ *   `count` parameter
+ * - Keys missing from a catalog fall back to Spanish, then to the key itself
+ *
+ * Static text in index.html is marked with data-i18n (text content) and
+ * data-i18n-<attribute> (placeholder, title, aria-label, alt) attributes.
+ *
+ * The language comes from the saved choice, or else from navigator.languages.
+ * Choosing another language saves it and reloads the page; the view, filter
+ * and selected tree are kept in the URL (see deep-link.js).
+ */
+
+/**
+ * Supported languages and the locale used to format their numbers.
+ */
+const I18N_LANGUAGES = {
+    es: { label: 'Español', locale: 'es-ES' },
+    en: { label: 'English', locale: 'en-GB' }
+};
+
+const DEFAULT_LANGUAGE = 'es';
+
+// Language of the text in the tree data (common names, district names)
+const DATA_LANGUAGE = 'es';
+
+const LANGUAGE_STORAGE_KEY = 'madtrees-language';
+
+/**
+ * Message catalogs by language, filled by locales/<language>.js.
+ */
+const I18N_CATALOGS = {};
+
+/**
+ * Pick the language: the saved choice, else the first supported language of
+ * the browser, else Spanish.
+ *
+ * @returns {string} Language code, a key of I18N_LANGUAGES
+ */
+function detectLanguage() {
+    try {
+        const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        if (I18N_LANGUAGES[saved]) return saved;
+    } catch (error) {
+        // Storage can be disabled; fall through to the browser languages
+    }
+
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    for (const tag of preferred) {
+        const language = String(tag || '').toLowerCase().split('-')[0];
+        if (I18N_LANGUAGES[language]) return language;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Translation state.
+ *
+ * Properties:
+ * - language: Current language code
+ * - locale: Locale used for numbers
+ * - pluralRules: Intl.PluralRules of the locale
+ */
+const i18nState = {
+    language: DEFAULT_LANGUAGE,
+    locale: I18N_LANGUAGES[DEFAULT_LANGUAGE].locale,
+    pluralRules: null
+};
+
+/**
+ * Set the current language, without touching the page.
+ *
+ * @param {string} language - Language code
+ */
+function selectLanguage(language) {
+    if (!I18N_LANGUAGES[language]) language = DEFAULT_LANGUAGE;
+    i18nState.language = language;
+    i18nState.locale = I18N_LANGUAGES[language].locale;
+    i18nState.pluralRules = new Intl.PluralRules(i18nState.locale);
+}
+
+/**
+ * Format a number for the current locale.
+ *
+ * @param {number} value - Number
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string} Formatted number
+ */
+function formatNumber(value, options) {
+    return Number(value).toLocaleString(i18nState.locale, options);
+}
+
+/**
+ * Find a message in the current catalog, or in the Spanish one.
+ *
+ * @param {string} key - Message key
+ * @returns {string|Object|undefined} Message
+ */
+function findMessage(key) {
+    const catalog = I18N_CATALOGS[i18nState.language] || {};
+    if (key in catalog) return catalog[key];
+    return (I18N_CATALOGS[DEFAULT_LANGUAGE] || {})[key];
+}
+
+/**
+ * Translate a message.
+ *
+ * @param {string} key - Message key
+ * @param {Object} [params] - Placeholder values; `count` also selects the plural form
+ * @returns {string} Translated text, or the key if no catalog has it
+ */
+function t(key, params = {}) {
+    let message = findMessage(key);
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+        const category = typeof params.count === 'number' ? i18nState.pluralRules.select(params.count) : 'other';
+        message = message[category] !== undefined ? message[category] : message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        const value = params[name];
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+/**
+ * Pick the current language's version of a text from a data file, which is
+ * either a plain string or a map of language -> text (e.g. labels in
+ * data/styles.json or native ranges in the species catalog).
+ *
+ * @param {string|Object} value - Text or { es, en, ... }
+ * @returns {string} Text, '' if missing
+ */
+function localizeText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object') return String(value);
+    return value[i18nState.language] ?? value[DEFAULT_LANGUAGE] ?? Object.values(value)[0] ?? '';
+}
+
+/**
+ * Translate the static text of the page marked with data-i18n attributes.
+ *
+ * @param {ParentNode} [root=document] - Element whose descendants are translated
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    ['placeholder', 'title', 'aria-label', 'alt'].forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+/**
+ * Save a language choice and reload the page in it.
+ *
+ * @param {string} language - Language code
+ */
+function setLanguage(language) {
+    if (!I18N_LANGUAGES[language] || language === i18nState.language) return;
+
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (error) {
+        console.warn('⚠️ No se pudo guardar el idioma:', error.message);
+    }
+    window.location.reload();
+}
+
+/**
+ * Translate the page and wire up the language buttons of the info panel.
+ */
+function setupLanguage() {
+    document.title = t('app.title');
+    applyTranslations();
+
+    document.querySelectorAll('[data-language]').forEach(button => {
+        const active = button.dataset.language === i18nState.language;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+        button.addEventListener('click', () => setLanguage(button.dataset.language));
+    });
+}
+
+selectLanguage(detectLanguage());
+
+// Set right away: the cookie banner reads the page language when it starts
+document.documentElement.lang = i18nState.language;
@@ -0,0 +1,282 @@
+/**
+ * English messages (see i18n.js).
+ */
+I18N_CATALOGS.en = {
+    'app.title': 'Madtrees - Interactive Map of the 790,000 Trees of Madrid',
+    'common.close': 'Close',
+    'language.label': 'Language',
+
+    'error.title': 'Error',
+    'error.indexLoad': 'The district index could not be loaded',
+    'error.init': 'The map could not be initialised',
+
+    'loading.trees': 'Loading trees...',
+    'loading.preparing': 'Preparing data...',
+    'loading.districts': 'Districts: {loaded} / {total} ({percentage}%)',
+    'loading.done': { one: '{count} tree loaded', other: '{count} trees loaded' },
+    'districtStatus.title': 'Some districts could not be loaded',
+    'districtStatus.retrying': 'attempt {attempts}, will retry',
+    'districtStatus.gaveUp': '{attempts} failed attempts',
+    'districtStatus.retry': 'Retry',
+
+    'performance.visibleMarkers': 'visible markers',
+    'performance.filtered': '{count} / {total} filtered trees',
+
+    'info.title': 'Trees of Madrid',
+    'info.treeCount': '~790,000 trees',
+    'info.zoomHint': 'Zoom in to see individual trees',
+    'info.clickHint': 'Click on a tree to see its details',
+    'info.dataSource': 'Data: Madrid City Council',
+    'info.button': 'Information',
+    'info.author': 'Created by Mario Guinda',
+    'info.github': 'View on GitHub →',
+
+    'city.label': 'City',
+    'city.title': 'Trees of {city}',
+    'city.appTitle': 'Madtrees - Interactive Map of the Trees of {city}',
+    'city.treeCount': { one: '{count} tree', other: '{count} trees' },
+    'city.dataSource': 'Data: {source}',
+    'city.loading': 'Loading {city}...',
+
+    'offline.pending': 'Available offline: --',
+    'offline.available': 'Available offline: {count} / {total} districts',
+    'offline.offline': 'Offline · {count} / {total} districts saved',
+
+    'location.button': 'Find my location',
+    'location.error': 'Your location could not be determined. Please check your browser\'s location permissions.',
+
+    'popup.diameter': 'Diameter',
+    'popup.height': 'Height',
+    'popup.district': 'District',
+    'popup.neighborhood': 'Neighbourhood',
+    'popup.images': 'Images',
+    'popup.notAvailable': 'N/A',
+    'popup.singular': 'Singular tree of the Comunidad de Madrid',
+    'popup.moreInfo': 'More information',
+
+    'ecosystem.title': 'Estimated benefits',
+    'ecosystem.biomass': 'Biomass',
+    'ecosystem.carbon': 'Stored carbon',
+    'ecosystem.co2': 'CO₂ sequestered',
+    'ecosystem.canopy': 'Canopy',
+    'ecosystem.interception': 'Rain intercepted',
+    'ecosystem.perYear': '{value}/year',
+    'ecosystem.note': 'Estimates from diameter, height and species, using coefficients v{version}; not measurements',
+    'ecosystem.estimatedTrees': 'Estimated from {count} of {total} trees (those with a diameter).',
+
+    'filter.button': 'Search and filter trees',
+    'filter.title': 'Search trees',
+    'filter.species': 'Species',
+    'filter.speciesPlaceholder': 'Platanus, plátano de sombra...',
+    'filter.height': 'Height (m)',
+    'filter.diameter': 'Diameter (cm)',
+    'filter.min': 'min',
+    'filter.max': 'max',
+    'filter.maxHeight': 'Maximum height (m)',
+    'filter.maxDiameter': 'Maximum diameter (cm)',
+    'filter.all': 'All',
+    'filter.clear': 'Clear filters',
+    'filter.summary': { one: '{count} tree loaded', other: '{count} trees loaded' },
+    'filter.summaryFiltered': '{count} of {total} trees loaded',
+
+    'species.panel': 'Species details',
+    'species.unknown': 'Unknown species',
+    'species.entryOf': 'Entry for {name}',
+    'species.family': 'Family',
+    'species.nativeRange': 'Native range',
+    'species.leaf': 'Leaves',
+    'species.leaf.deciduous': 'Deciduous',
+    'species.leaf.evergreen': 'Evergreen',
+    'species.maxHeight': 'Typical maximum height',
+    'species.allergenicity': 'Pollen allergenicity',
+    'species.allergenicity.low': '🟢 Low',
+    'species.allergenicity.medium': '🟡 Medium',
+    'species.allergenicity.high': '🔴 High',
+    'species.flowering': 'Flowering',
+    'species.noEntry': 'There is no entry for this species yet.',
+    'species.searchWikipedia': 'Search Wikipedia',
+    'species.comparedWith': { one: 'Compared with {count} tree in the city', other: 'Compared with {count} trees in the city' },
+    'species.rank': 'larger than {rank}% of its species',
+    'species.median': 'median {median}',
+    'species.medianMax': 'Median: {median} · Maximum: {max}',
+
+    'stats.title': 'Statistics by district',
+    'stats.treeCount': 'Trees',
+    'stats.speciesCount': 'Species',
+    'stats.diversity': 'Diversity (Shannon)',
+    'stats.shannonTitle': 'Shannon diversity index',
+    'stats.singularColumn': 'Singular',
+    'stats.singularCount': 'Singular trees',
+    'stats.topSpecies': 'Most common species',
+    'stats.heightHistogram': 'Height (m)',
+    'stats.diameterHistogram': 'Diameter (cm)',
+    'stats.trees': { one: '{count} tree', other: '{count} trees' },
+    'stats.partial': 'Computed from the loaded trees',
+    'stats.notLoaded': 'Not loaded',
+    'stats.zoomToLoad': 'Move the map to {name} to load its trees.',
+    'stats.wholeDistrict': 'Whole district',
+
+    'nearby.title': 'Trees near you',
+    'nearby.speciesPlaceholder': 'Holm oak, Quercus ilex...',
+    'nearby.noTrees': 'There are no loaded trees near your position.',
+    'nearby.noMatches': 'There are no trees of that species near your position.',
+    'nearby.direction': 'Direction',
+    'nearby.compass.N': 'North',
+    'nearby.compass.NE': 'Northeast',
+    'nearby.compass.E': 'East',
+    'nearby.compass.SE': 'Southeast',
+    'nearby.compass.S': 'South',
+    'nearby.compass.SW': 'Southwest',
+    'nearby.compass.W': 'West',
+    'nearby.compass.NW': 'Northwest',
+
+    'area.draw': 'Draw area',
+    'area.finish': 'Close area',
+    'area.clear': 'Clear area',
+    'area.drawHint': 'Click the map to add vertices and double-click to close the area.',
+    'area.polygon': 'Draw a polygon',
+    'area.rectangle': 'Draw a rectangle',
+    'area.circle': 'Draw a circle',
+
+    'areaReport.title': 'Area analysis',
+    'areaReport.noTrees': 'There are no loaded trees in the area.',
+    'areaReport.surface': 'Surface',
+    'areaReport.density': 'Density',
+    'areaReport.perHectare': '{value} trees/ha',
+    'areaReport.canopy': 'Estimated canopy',
+    'areaReport.canopyTitle': 'Sum of circular crowns estimated from trunk diameter and species, overlaps not removed',
+    'areaReport.min': 'Min',
+    'areaReport.median': 'Median',
+    'areaReport.mean': 'Mean',
+    'areaReport.max': 'Max',
+    'areaReport.moreSpecies': { one: 'and {count} more species', other: 'and {count} more species' },
+    'areaReport.filtered': 'Only trees matching the filter are counted.',
+    'areaReport.highlight': 'Highlight these trees',
+    'areaReport.unhighlight': 'Remove highlight',
+    'areaReport.highlightLimit': 'Only the first {count} trees are highlighted.',
+
+    'export.title': 'Export data',
+    'export.scope': 'Trees',
+    'export.viewport': 'Visible on the map',
+    'export.area': 'Inside the drawn area',
+    'export.filter': 'All loaded trees matching the filter',
+    'export.format': 'Format',
+    'export.download': 'Download',
+    'export.cancel': 'Cancel',
+    'export.progress': { one: 'Exporting... {percent}% ({count} tree)', other: 'Exporting... {percent}% ({count} trees)' },
+    'export.done': { one: '{count} tree exported.', other: '{count} trees exported.' },
+    'export.cancelled': 'Export cancelled.',
+
+    'tour.title': 'Walking tour',
+    'tour.hint': 'Add trees from their popup or look for the ones near you.',
+    'tour.kind': 'Trees to add',
+    'tour.singular': 'Singular trees',
+    'tour.filtered': 'Filtered trees',
+    'tour.within': 'within',
+    'tour.addNear': 'Add',
+    'tour.searching': 'Looking for trees...',
+    'tour.added': { one: '{count} tree added {origin}.', other: '{count} trees added {origin}.' },
+    'tour.fromLocation': 'around your location',
+    'tour.fromMapCenter': 'around the map centre',
+    'tour.empty': 'The tour is empty.',
+    'tour.summary': { one: '{count} stop · {distance} · {minutes} min walk', other: '{count} stops · {distance} · {minutes} min walk' },
+    'tour.add': 'Add to tour',
+    'tour.remove': 'Remove from tour',
+    'tour.optimize': 'Optimise order',
+    'tour.clear': 'Clear',
+    'tour.namePlaceholder': 'Tour name',
+    'tour.defaultName': 'Madrid trees walk',
+    'tour.save': 'Save',
+    'tour.saved': 'Saved tours',
+    'tour.delete': 'Delete tour',
+
+    'survey.title': 'Field survey',
+    'survey.mode': 'Survey mode: edit trees from their popup',
+    'survey.hint': 'Edits are kept on this device and sent when there is a connection.',
+    'survey.status.dead': 'Dead',
+    'survey.status.missing': 'Missing',
+    'survey.status.disease': 'Disease or pest',
+    'survey.status.pruning': 'Needs pruning',
+    'survey.status.species': 'Wrong species',
+    'survey.formTitle': 'Survey',
+    'survey.statusLabel': 'Status',
+    'survey.noStatus': 'No status',
+    'survey.correctedSpecies': 'Correct species',
+    'survey.notes': 'Notes',
+    'survey.photo': 'Photo',
+    'survey.save': 'Save',
+    'survey.remove': 'Remove edit',
+    'survey.saved': 'Saved.',
+    'survey.nothingToSave': 'Pick a status or write a note.',
+    'survey.pending': 'Waiting to be sent.',
+    'survey.pendingNoBackend': 'No server configured: export it as GeoJSON.',
+    'survey.synced': 'Sent on {date}.',
+    'survey.empty': 'No edits yet.',
+    'survey.syncing': 'Sending edits...',
+    'survey.queued': { one: '{count} edit waiting to be sent.', other: '{count} edits waiting to be sent.' },
+    'survey.queuedNoBackend': { one: '{count} edit saved; no server is configured.', other: '{count} edits saved; no server is configured.' },
+    'survey.syncFailed': { one: 'Could not send {count} edit ({error}); will retry.', other: 'Could not send {count} edits ({error}); will retry.' },
+    'survey.blockedByCsp': 'the page\'s security policy does not allow connecting to {origin}; add it to connect-src in index.html',
+    'survey.allSynced': { one: '{count} edit sent.', other: '{count} edits sent.' },
+    'survey.sync': 'Send now',
+
+    'map.label': 'Tree map. Use the arrow keys to pan and the + and − keys to zoom.',
+    'map.zoomIn': 'Zoom in',
+    'map.zoomOut': 'Zoom out',
+
+    'treeList.button': 'List of trees in view',
+    'treeList.title': 'Trees in view',
+    'treeList.hint': 'Use the arrow keys to move through the list and Enter to open a tree.',
+    'treeList.species': 'Species',
+    'treeList.height': 'Height',
+    'treeList.diameter': 'Diameter',
+    'treeList.neighborhood': 'Neighborhood',
+    'treeList.summary': { one: '{count} tree in view', other: '{count} trees in view' },
+    'treeList.tooMany': '{count} trees in view: zoom in to list them',
+    'treeList.empty': 'No loaded trees in view',
+    'treeList.loading': 'Loading trees...',
+
+    'layers.title': 'Map layers',
+    'layers.clusters': 'Trees',
+    'layers.points': 'All trees (WebGL)',
+    'layers.pointsUnavailable': 'Your browser does not support WebGL',
+    'layers.heatmap': 'Heatmap',
+    'layers.choropleth': 'Choropleth',
+    'layers.changes': 'Changes',
+    'layers.colourBy': 'Colour by',
+    'layers.heatWeighted': 'Weight by canopy size',
+    'layers.level': 'Level',
+    'layers.districts': 'Districts',
+    'layers.neighborhoods': 'Neighbourhoods',
+    'layers.metric': 'Measure',
+    'layers.density': 'Trees per km²',
+    'layers.densityUnit': 'trees/km²',
+    'layers.meanHeight': 'Mean height',
+    'layers.meanHeightUnit': 'm',
+
+    'legend.sizeNote': 'Dot size shows the size of the tree',
+    'legend.canopyDensity': 'Canopy density',
+    'legend.treeDensity': 'Tree density',
+    'legend.less': 'Less',
+    'legend.more': 'More',
+    'legend.heatmapNote': 'Only loaded trees shown by the current filter',
+    'legend.lessThan': 'Under {value}',
+    'legend.orMore': '{value} or more',
+    'legend.other': 'Other',
+    'legend.andMore': 'and {count} more',
+    'legend.noData': 'No data',
+    'legend.boundariesNote': 'Approximate boundaries drawn from tree positions',
+    'legend.changes': 'Changes since the previous release',
+    'legend.changesByDistrict': 'By district',
+    'legend.changesNote': 'Counts for the whole city; the map shows the loaded districts',
+    'legend.noChanges': 'There is no previous release of the data to compare with',
+
+    'changes.added': 'Planted',
+    'changes.removed': 'Removed',
+    'changes.species': 'Species changed',
+    'changes.size': 'Height or diameter changed',
+    'changes.previousSpecies': 'Before: {species}',
+    'changes.height': 'Height: {previous} → {current} m',
+    'changes.diameter': 'Diameter: {previous} → {current} cm',
+    'changes.removedNote': 'No longer in the inventory'
+};
@@ -0,0 +1,283 @@
+/**
+ * Spanish messages (see i18n.js). Spanish is the fallback for keys missing
+ * from other catalogs, so this one must have every key.
+ */
+I18N_CATALOGS.es = {
+    'app.title': 'Madtrees - Mapa Interactivo de los 790.000 Árboles de Madrid',
+    'common.close': 'Cerrar',
+    'language.label': 'Idioma',
+
+    'error.title': 'Error',
+    'error.indexLoad': 'No se pudo cargar el índice de distritos',
+    'error.init': 'No se pudo inicializar el mapa',
+
+    'loading.trees': 'Cargando árboles...',
+    'loading.preparing': 'Preparando datos...',
+    'loading.districts': 'Distritos: {loaded} / {total} ({percentage}%)',
+    'loading.done': { one: '{count} árbol cargado', other: '{count} árboles cargados' },
+    'districtStatus.title': 'Algunos distritos no se pudieron cargar',
+    'districtStatus.retrying': 'intento {attempts}, se reintentará',
+    'districtStatus.gaveUp': '{attempts} intentos fallidos',
+    'districtStatus.retry': 'Reintentar',
+
+    'performance.visibleMarkers': 'marcadores visibles',
+    'performance.filtered': '{count} / {total} árboles filtrados',
+
+    'info.title': 'Árboles de Madrid',
+    'info.treeCount': '~790.000 árboles',
+    'info.zoomHint': 'Acerca el zoom para ver los árboles individuales',
+    'info.clickHint': 'Haz click en un árbol para ver sus detalles',
+    'info.dataSource': 'Datos: Ayuntamiento de Madrid',
+    'info.button': 'Información',
+    'info.author': 'Creado por Mario Guinda',
+    'info.github': 'Ver en GitHub →',
+
+    'city.label': 'Ciudad',
+    'city.title': 'Árboles de {city}',
+    'city.appTitle': 'Madtrees - Mapa Interactivo de los Árboles de {city}',
+    'city.treeCount': { one: '{count} árbol', other: '{count} árboles' },
+    'city.dataSource': 'Datos: {source}',
+    'city.loading': 'Cargando {city}...',
+
+    'offline.pending': 'Disponibles sin conexión: --',
+    'offline.available': 'Disponibles sin conexión: {count} / {total} distritos',
+    'offline.offline': 'Sin conexión · {count} / {total} distritos guardados',
+
+    'location.button': 'Buscar mi ubicación',
+    'location.error': 'No se pudo obtener tu ubicación. Por favor, verifica los permisos de ubicación de tu navegador.',
+
+    'popup.diameter': 'Diámetro',
+    'popup.height': 'Altura',
+    'popup.district': 'Distrito',
+    'popup.neighborhood': 'Barrio',
+    'popup.images': 'Imágenes',
+    'popup.notAvailable': 'N/A',
+    'popup.singular': 'Árbol singular de la Comunidad de Madrid',
+    'popup.moreInfo': 'Más información',
+
+    'ecosystem.title': 'Beneficios estimados',
+    'ecosystem.biomass': 'Biomasa',
+    'ecosystem.carbon': 'Carbono almacenado',
+    'ecosystem.co2': 'CO₂ absorbido',
+    'ecosystem.canopy': 'Copa',
+    'ecosystem.interception': 'Lluvia interceptada',
+    'ecosystem.perYear': '{value}/año',
+    'ecosystem.note': 'Estimaciones a partir del diámetro, la altura y la especie, con los coeficientes v{version}; no son mediciones',
+    'ecosystem.estimatedTrees': 'Estimado con {count} de {total} árboles (los que tienen diámetro).',
+
+    'filter.button': 'Buscar y filtrar árboles',
+    'filter.title': 'Buscar árboles',
+    'filter.species': 'Especie',
+    'filter.speciesPlaceholder': 'Platanus, plátano de sombra...',
+    'filter.height': 'Altura (m)',
+    'filter.diameter': 'Diámetro (cm)',
+    'filter.min': 'mín',
+    'filter.max': 'máx',
+    'filter.maxHeight': 'Altura máxima (m)',
+    'filter.maxDiameter': 'Diámetro máximo (cm)',
+    'filter.all': 'Todos',
+    'filter.clear': 'Limpiar filtros',
+    'filter.summary': { one: '{count} árbol cargado', other: '{count} árboles cargados' },
+    'filter.summaryFiltered': '{count} de {total} árboles cargados',
+
+    'species.panel': 'Detalles de la especie',
+    'species.unknown': 'Especie desconocida',
+    'species.entryOf': 'Ficha de {name}',
+    'species.family': 'Familia',
+    'species.nativeRange': 'Origen',
+    'species.leaf': 'Hoja',
+    'species.leaf.deciduous': 'Caduca',
+    'species.leaf.evergreen': 'Perenne',
+    'species.maxHeight': 'Altura máxima típica',
+    'species.allergenicity': 'Alergenicidad del polen',
+    'species.allergenicity.low': '🟢 Baja',
+    'species.allergenicity.medium': '🟡 Media',
+    'species.allergenicity.high': '🔴 Alta',
+    'species.flowering': 'Floración',
+    'species.noEntry': 'Todavía no hay ficha para esta especie.',
+    'species.searchWikipedia': 'Buscar en Wikipedia',
+    'species.comparedWith': { one: 'Comparado con {count} ejemplar de la ciudad', other: 'Comparado con {count} ejemplares de la ciudad' },
+    'species.rank': 'mayor que el {rank}% de su especie',
+    'species.median': 'mediana {median}',
+    'species.medianMax': 'Mediana: {median} · Máximo: {max}',
+
+    'stats.title': 'Estadísticas por distrito',
+    'stats.treeCount': 'Árboles',
+    'stats.speciesCount': 'Especies',
+    'stats.diversity': 'Diversidad (Shannon)',
+    'stats.shannonTitle': 'Índice de diversidad de Shannon',
+    'stats.singularColumn': 'Singulares',
+    'stats.singularCount': 'Árboles singulares',
+    'stats.topSpecies': 'Especies más comunes',
+    'stats.heightHistogram': 'Altura (m)',
+    'stats.diameterHistogram': 'Diámetro (cm)',
+    'stats.trees': { one: '{count} árbol', other: '{count} árboles' },
+    'stats.partial': 'Calculado con los árboles cargados',
+    'stats.notLoaded': 'Sin cargar',
+    'stats.zoomToLoad': 'Acerca el mapa a {name} para cargar sus árboles.',
+    'stats.wholeDistrict': 'Todo el distrito',
+
+    'nearby.title': 'Árboles cerca de ti',
+    'nearby.speciesPlaceholder': 'Encina, Quercus ilex...',
+    'nearby.noTrees': 'No hay árboles cargados cerca de tu posición.',
+    'nearby.noMatches': 'No hay árboles de esa especie cerca de tu posición.',
+    'nearby.direction': 'Dirección',
+    'nearby.compass.N': 'Norte',
+    'nearby.compass.NE': 'Noreste',
+    'nearby.compass.E': 'Este',
+    'nearby.compass.SE': 'Sureste',
+    'nearby.compass.S': 'Sur',
+    'nearby.compass.SW': 'Suroeste',
+    'nearby.compass.W': 'Oeste',
+    'nearby.compass.NW': 'Noroeste',
+
+    'area.draw': 'Dibujar área',
+    'area.finish': 'Cerrar área',
+    'area.clear': 'Borrar área',
+    'area.drawHint': 'Haz clic en el mapa para añadir vértices y doble clic para cerrar el área.',
+    'area.polygon': 'Dibujar un polígono',
+    'area.rectangle': 'Dibujar un rectángulo',
+    'area.circle': 'Dibujar un círculo',
+
+    'areaReport.title': 'Análisis del área',
+    'areaReport.noTrees': 'No hay árboles cargados en el área.',
+    'areaReport.surface': 'Superficie',
+    'areaReport.density': 'Densidad',
+    'areaReport.perHectare': '{value} árboles/ha',
+    'areaReport.canopy': 'Copa estimada',
+    'areaReport.canopyTitle': 'Suma de copas circulares estimadas a partir del diámetro del tronco y la especie, sin descontar solapes',
+    'areaReport.min': 'Mín.',
+    'areaReport.median': 'Mediana',
+    'areaReport.mean': 'Media',
+    'areaReport.max': 'Máx.',
+    'areaReport.moreSpecies': { one: 'y {count} especie más', other: 'y {count} especies más' },
+    'areaReport.filtered': 'Solo se cuentan los árboles que cumplen el filtro.',
+    'areaReport.highlight': 'Resaltar estos árboles',
+    'areaReport.unhighlight': 'Quitar resaltado',
+    'areaReport.highlightLimit': 'Solo se resaltan los primeros {count} árboles.',
+
+    'export.title': 'Exportar datos',
+    'export.scope': 'Árboles',
+    'export.viewport': 'Visibles en el mapa',
+    'export.area': 'Dentro del área dibujada',
+    'export.filter': 'Todos los cargados que cumplen el filtro',
+    'export.format': 'Formato',
+    'export.download': 'Descargar',
+    'export.cancel': 'Cancelar',
+    'export.progress': { one: 'Exportando... {percent} % ({count} árbol)', other: 'Exportando... {percent} % ({count} árboles)' },
+    'export.done': { one: '{count} árbol exportado.', other: '{count} árboles exportados.' },
+    'export.cancelled': 'Exportación cancelada.',
+
+    'tour.title': 'Recorrido a pie',
+    'tour.hint': 'Añade árboles desde su ficha o busca los que tengas cerca.',
+    'tour.kind': 'Qué árboles añadir',
+    'tour.singular': 'Árboles singulares',
+    'tour.filtered': 'Árboles del filtro',
+    'tour.within': 'a menos de',
+    'tour.addNear': 'Añadir',
+    'tour.searching': 'Buscando árboles...',
+    'tour.added': { one: '{count} árbol añadido {origin}.', other: '{count} árboles añadidos {origin}.' },
+    'tour.fromLocation': 'desde tu ubicación',
+    'tour.fromMapCenter': 'desde el centro del mapa',
+    'tour.empty': 'El recorrido está vacío.',
+    'tour.summary': { one: '{count} parada · {distance} · {minutes} min a pie', other: '{count} paradas · {distance} · {minutes} min a pie' },
+    'tour.add': 'Añadir al recorrido',
+    'tour.remove': 'Quitar del recorrido',
+    'tour.optimize': 'Ordenar',
+    'tour.clear': 'Vaciar',
+    'tour.namePlaceholder': 'Nombre del recorrido',
+    'tour.defaultName': 'Recorrido por los árboles de Madrid',
+    'tour.save': 'Guardar',
+    'tour.saved': 'Recorridos guardados',
+    'tour.delete': 'Borrar recorrido',
+
+    'survey.title': 'Inventario de campo',
+    'survey.mode': 'Modo inventario: editar árboles desde su ficha',
+    'survey.hint': 'Las anotaciones se guardan en este dispositivo y se envían cuando hay conexión.',
+    'survey.status.dead': 'Muerto',
+    'survey.status.missing': 'No está',
+    'survey.status.disease': 'Enfermo o con plaga',
+    'survey.status.pruning': 'Necesita poda',
+    'survey.status.species': 'Especie equivocada',
+    'survey.formTitle': 'Anotación',
+    'survey.statusLabel': 'Estado',
+    'survey.noStatus': 'Sin estado',
+    'survey.correctedSpecies': 'Especie correcta',
+    'survey.notes': 'Notas',
+    'survey.photo': 'Foto',
+    'survey.save': 'Guardar',
+    'survey.remove': 'Quitar anotación',
+    'survey.saved': 'Guardada.',
+    'survey.nothingToSave': 'Elige un estado o escribe una nota.',
+    'survey.pending': 'Pendiente de enviar.',
+    'survey.pendingNoBackend': 'Sin servidor configurado: expórtala en GeoJSON.',
+    'survey.synced': 'Enviada el {date}.',
+    'survey.empty': 'No hay anotaciones.',
+    'survey.syncing': 'Enviando anotaciones...',
+    'survey.queued': { one: '{count} anotación pendiente de enviar.', other: '{count} anotaciones pendientes de enviar.' },
+    'survey.queuedNoBackend': { one: '{count} anotación guardada; no hay servidor configurado.', other: '{count} anotaciones guardadas; no hay servidor configurado.' },
+    'survey.syncFailed': { one: 'No se pudo enviar {count} anotación ({error}); se reintentará.', other: 'No se pudieron enviar {count} anotaciones ({error}); se reintentará.' },
+    'survey.blockedByCsp': 'la política de seguridad de la página no permite conectar con {origin}; añádelo a connect-src en index.html',
+    'survey.allSynced': { one: '{count} anotación enviada.', other: '{count} anotaciones enviadas.' },
+    'survey.sync': 'Enviar ahora',
+
+    'map.label': 'Mapa de árboles. Usa las flechas para moverte y las teclas + y − para acercar o alejar.',
+    'map.zoomIn': 'Acercar',
+    'map.zoomOut': 'Alejar',
+
+    'treeList.button': 'Lista de árboles en la vista',
+    'treeList.title': 'Árboles en la vista',
+    'treeList.hint': 'Usa las flechas para moverte por la lista e Intro para abrir la ficha del árbol.',
+    'treeList.species': 'Especie',
+    'treeList.height': 'Altura',
+    'treeList.diameter': 'Diámetro',
+    'treeList.neighborhood': 'Barrio',
+    'treeList.summary': { one: '{count} árbol en la vista', other: '{count} árboles en la vista' },
+    'treeList.tooMany': '{count} árboles en la vista: acerca el zoom para listarlos',
+    'treeList.empty': 'No hay árboles cargados en la vista',
+    'treeList.loading': 'Cargando árboles...',
+
+    'layers.title': 'Capas del mapa',
+    'layers.clusters': 'Árboles',
+    'layers.points': 'Todos los árboles (WebGL)',
+    'layers.pointsUnavailable': 'Tu navegador no admite WebGL',
+    'layers.heatmap': 'Mapa de calor',
+    'layers.choropleth': 'Coropletas',
+    'layers.changes': 'Cambios',
+    'layers.colourBy': 'Colorear por',
+    'layers.heatWeighted': 'Ponderar por tamaño de copa',
+    'layers.level': 'Nivel',
+    'layers.districts': 'Distritos',
+    'layers.neighborhoods': 'Barrios',
+    'layers.metric': 'Medida',
+    'layers.density': 'Árboles por km²',
+    'layers.densityUnit': 'árboles/km²',
+    'layers.meanHeight': 'Altura media',
+    'layers.meanHeightUnit': 'm',
+
+    'legend.sizeNote': 'El tamaño del punto indica el tamaño del árbol',
+    'legend.canopyDensity': 'Densidad de copa',
+    'legend.treeDensity': 'Densidad de árboles',
+    'legend.less': 'Menos',
+    'legend.more': 'Más',
+    'legend.heatmapNote': 'Solo árboles cargados y visibles con el filtro actual',
+    'legend.lessThan': 'Menos de {value}',
+    'legend.orMore': '{value} o más',
+    'legend.other': 'Otros',
+    'legend.andMore': 'y {count} más',
+    'legend.noData': 'Sin datos',
+    'legend.boundariesNote': 'Límites aproximados a partir de la posición de los árboles',
+    'legend.changes': 'Cambios desde la versión anterior',
+    'legend.changesByDistrict': 'Por distrito',
+    'legend.changesNote': 'Recuentos de toda la ciudad; el mapa muestra los distritos cargados',
+    'legend.noChanges': 'No hay una versión anterior de los datos con la que comparar',
+
+    'changes.added': 'Plantados',
+    'changes.removed': 'Retirados',
+    'changes.species': 'Cambio de especie',
+    'changes.size': 'Cambio de altura o diámetro',
+    'changes.previousSpecies': 'Antes: {species}',
+    'changes.height': 'Altura: {previous} → {current} m',
+    'changes.diameter': 'Diámetro: {previous} → {current} cm',
+    'changes.removedNote': 'Ya no está en el inventario'
+};
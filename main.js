@@ -0,0 +1,6 @@
+/**
+ * Start the app. Loaded last, after every other script, so the tests can load
+ * the scripts without starting anything (see tests/helpers/load-app.js).
+ */
+
+initialize();
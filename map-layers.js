@@ -0,0 +1,484 @@
+/**
+ * Visualisation modes and their legends.
+ *
+ * - clusters: The clustered tree markers (default), styled by the preset
+ *   selected in the switcher (see tree-styles.js)
+ * - points: Every tree drawn unclustered with WebGL, styled like the markers
+ *   (see tree-points.js); not offered where WebGL is unavailable. No Leaflet
+ *   marker is kept in this mode (see usesTreeMarkers())
+ * - heatmap: Density of the trees shown by the filter (Leaflet.heat), optionally
+ *   weighted by canopy size, using the marker radius from calculateMarkerRadius()
+ * - choropleth: Districts or neighborhoods coloured by trees per km² or mean
+ *   height. Polygons come from the city's boundaries/ folder (see build-boundaries.py) and
+ *   values from the index stats, or from loaded trees (see getDistrictStats())
+ * - changes: Trees planted, removed or changed since the previous release of
+ *   the data (see release-changes.js)
+ */
+
+// Mode -> message key of its label
+const LAYER_MODES = {
+    clusters: 'layers.clusters',
+    points: 'layers.points',
+    heatmap: 'layers.heatmap',
+    choropleth: 'layers.choropleth',
+    changes: 'layers.changes'
+};
+
+// Labels and units are message keys
+const CHOROPLETH_METRICS = {
+    density: { label: 'layers.density', unit: 'layers.densityUnit', decimals: 0 },
+    meanHeight: { label: 'layers.meanHeight', unit: 'layers.meanHeightUnit', decimals: 1 }
+};
+
+const CHOROPLETH_COLOURS = ['#edf8e9', '#bae4b3', '#74c476', '#31a354', '#006d2c'];
+const CHOROPLETH_NO_DATA_COLOUR = '#cccccc';
+
+const HEATMAP_GRADIENT = { 0.2: '#1a9850', 0.5: '#fee08b', 0.8: '#f46d43', 1: '#a50026' };
+
+// Largest radius calculateMarkerRadius() returns, used to scale heatmap weights
+const MAX_MARKER_RADIUS = 28;
+
+/**
+ * Visualisation state.
+ *
+ * Properties:
+ * - mode: Current mode, a key of LAYER_MODES
+ * - heatWeighted: Whether the heatmap is weighted by canopy size
+ * - heatLayer: Leaflet.heat layer, created on first use
+ * - choroplethLevel: 'district' or 'neighborhood'
+ * - choroplethMetric: Key of CHOROPLETH_METRICS
+ * - choroplethLayer: GeoJSON layer currently shown, or null
+ * - boundaries: Map of level -> Promise of its boundary FeatureCollection
+ * - legend: Legend control
+ */
+const mapLayersState = {
+    mode: 'clusters',
+    heatWeighted: false,
+    heatLayer: null,
+    choroplethLevel: 'district',
+    choroplethMetric: 'density',
+    choroplethLayer: null,
+    boundaries: new Map(),
+    legend: null
+};
+
+/**
+ * Whether the trees need Leaflet markers: in every mode but points, where the
+ * WebGL layer draws from the tree store and the cluster group is off the map.
+ * Markers are created when leaving points mode (see setLayerMode).
+ *
+ * @returns {boolean} True if markers are kept
+ */
+function usesTreeMarkers() {
+    return mapLayersState.mode !== 'points';
+}
+
+/**
+ * Build the heatmap points from the loaded trees that match the filter.
+ * Read from the tree store rather than the cluster group, whose getLayers()
+ * is not reliable while the group is off the map.
+ *
+ * @returns {Array<Array<number>>} [lat, lng, intensity] points
+ */
+function buildHeatPoints() {
+    const points = [];
+    const filtering = isFilterActive();
+    forEachLoadedTree((table, row) => {
+        if (filtering && !treeMatchesFilter(getTreeFields(table, row))) return;
+
+        const intensity = mapLayersState.heatWeighted ? table.radius[row] / MAX_MARKER_RADIUS : 0.5;
+        points.push([table.lat[row], table.lng[row], intensity]);
+    });
+    return points;
+}
+
+/**
+ * Rebuild the heatmap from the loaded trees, if it is shown.
+ */
+function refreshHeatmap() {
+    if (mapLayersState.mode !== 'heatmap') return;
+
+    if (typeof L.heatLayer !== 'function') {
+        console.warn('⚠️ Leaflet.heat no está disponible');
+        return;
+    }
+
+    if (!mapLayersState.heatLayer) {
+        mapLayersState.heatLayer = L.heatLayer([], {
+            radius: 18,
+            blur: 22,
+            maxZoom: 17,
+            minOpacity: 0.3,
+            gradient: HEATMAP_GRADIENT
+        });
+    }
+    mapLayersState.heatLayer.setLatLngs(buildHeatPoints());
+    if (!map.hasLayer(mapLayersState.heatLayer)) {
+        mapLayersState.heatLayer.addTo(map);
+    }
+}
+
+/**
+ * Load the boundary polygons of a level (once).
+ *
+ * @param {string} level - 'district' or 'neighborhood'
+ * @returns {Promise<Object>} GeoJSON FeatureCollection, empty if unavailable
+ */
+function loadBoundaries(level) {
+    if (!mapLayersState.boundaries.has(level)) {
+        const url = getCityDataUrl(`boundaries/${level === 'district' ? 'districts' : 'neighborhoods'}.geojson`);
+        mapLayersState.boundaries.set(level, fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                console.warn(`⚠️ No se pudieron cargar los límites (${url}):`, error.message);
+                return { type: 'FeatureCollection', features: [] };
+            }));
+    }
+    return mapLayersState.boundaries.get(level);
+}
+
+/**
+ * Find the stats of the area a boundary polygon covers.
+ *
+ * @param {Object} properties - Boundary properties (code, or district_code and name)
+ * @returns {Object|null} Area stats, or null if not available yet
+ */
+function getBoundaryStats(properties) {
+    const index = districtState.index;
+    const districtCode = properties.district_code || properties.code;
+    const district = index && index.districts.find(d => d.code === districtCode);
+    const result = district && getDistrictStats(district);
+    if (!result) return null;
+
+    if (!properties.district_code) {
+        return result.stats;
+    }
+    return (result.stats.neighborhoods || {})[properties.name] || null;
+}
+
+/**
+ * Value of the current choropleth metric for a boundary polygon.
+ *
+ * @param {Object} properties - Boundary properties
+ * @returns {number|null} Metric value, or null if unknown
+ */
+function getChoroplethValue(properties) {
+    const stats = getBoundaryStats(properties);
+    if (!stats) return null;
+
+    if (mapLayersState.choroplethMetric === 'meanHeight') {
+        return stats.mean_height || null;
+    }
+    return properties.area_km2 ? stats.tree_count / properties.area_km2 : null;
+}
+
+/**
+ * Split the range of values into equal-interval classes, one per colour.
+ *
+ * @param {number[]} values - Known metric values
+ * @returns {number[]} Lower bound of each class
+ */
+function choroplethBreaks(values) {
+    if (!values.length) return [];
+    const min = Math.min(...values);
+    const step = (Math.max(...values) - min) / CHOROPLETH_COLOURS.length;
+    return CHOROPLETH_COLOURS.map((_, index) => min + step * index);
+}
+
+/**
+ * Colour of a value given the class breaks.
+ *
+ * @param {number|null} value - Metric value
+ * @param {number[]} breaks - Class lower bounds
+ * @returns {string} Fill colour
+ */
+function choroplethColour(value, breaks) {
+    if (value === null) return CHOROPLETH_NO_DATA_COLOUR;
+    let index = 0;
+    while (index + 1 < breaks.length && value >= breaks[index + 1]) {
+        index++;
+    }
+    return CHOROPLETH_COLOURS[index];
+}
+
+/**
+ * Format a metric value for tooltips and the legend.
+ *
+ * @param {number} value - Metric value
+ * @returns {string} Formatted value with unit
+ */
+function formatChoroplethValue(value) {
+    const metric = CHOROPLETH_METRICS[mapLayersState.choroplethMetric];
+    const number = formatNumber(value, {
+        minimumFractionDigits: metric.decimals,
+        maximumFractionDigits: metric.decimals
+    });
+    return `${number} ${t(metric.unit)}`;
+}
+
+/**
+ * Draw (or redraw) the choropleth, if it is shown.
+ */
+async function refreshChoropleth() {
+    if (mapLayersState.mode !== 'choropleth') return;
+
+    const level = mapLayersState.choroplethLevel;
+    const boundaries = await loadBoundaries(level);
+    if (mapLayersState.mode !== 'choropleth' || mapLayersState.choroplethLevel !== level) return;
+
+    const values = boundaries.features
+        .map(feature => getChoroplethValue(feature.properties))
+        .filter(value => value !== null);
+    const breaks = choroplethBreaks(values);
+
+    if (mapLayersState.choroplethLayer) {
+        map.removeLayer(mapLayersState.choroplethLayer);
+    }
+    mapLayersState.choroplethLayer = L.geoJSON(boundaries, {
+        style: feature => ({
+            fillColor: choroplethColour(getChoroplethValue(feature.properties), breaks),
+            fillOpacity: 0.7,
+            color: '#2c5f2d',
+            weight: 1
+        }),
+        onEachFeature: (feature, layer) => {
+            const value = getChoroplethValue(feature.properties);
+            layer.bindTooltip(String(html`<strong>${feature.properties.name}</strong><br>${value === null ? t('legend.noData') : formatChoroplethValue(value)}`), { sticky: true });
+            layer.on('click', () => map.fitBounds(layer.getBounds()));
+        }
+    }).addTo(map);
+
+    updateLegend(breaks);
+}
+
+/**
+ * Fill the legend for the current mode.
+ *
+ * @param {number[]} [breaks] - Choropleth class lower bounds
+ */
+function updateLegend(breaks) {
+    const legend = mapLayersState.legend;
+    if (!legend || !legend.getContainer()) return;
+
+    let content = '';
+    if (mapLayersState.mode === 'clusters' || mapLayersState.mode === 'points') {
+        const styleLegend = getTreeStyleLegend();
+        content = `<div class="legend-title">${escapeHtml(styleLegend.title)}</div>`;
+        styleLegend.entries.forEach(({ fillColor, label }) => {
+            // Labels can be species or other values of the data (see getTreeStyleLegend)
+            content += `<div class="legend-item"><span class="legend-dot" style="background: ${escapeHtml(fillColor)}"></span>${escapeHtml(label)}</div>`;
+        });
+        if (styleLegend.note) {
+            content += `<div class="legend-note">${escapeHtml(styleLegend.note)}</div>`;
+        }
+        if ((treeStyleState.compiled.preset.radius || { type: 'size' }).type === 'size') {
+            content += `<div class="legend-note">${t('legend.sizeNote')}</div>`;
+        }
+    } else if (mapLayersState.mode === 'heatmap') {
+        const stops = Object.entries(HEATMAP_GRADIENT).map(([stop, colour]) => `${colour} ${stop * 100}%`).join(', ');
+        content = `<div class="legend-title">${t(mapLayersState.heatWeighted ? 'legend.canopyDensity' : 'legend.treeDensity')}</div>`;
+        content += `<div class="legend-gradient" style="background: linear-gradient(to right, ${stops})"></div>`;
+        content += `<div class="legend-scale"><span>${t('legend.less')}</span><span>${t('legend.more')}</span></div>`;
+        content += `<div class="legend-note">${t('legend.heatmapNote')}</div>`;
+    } else if (mapLayersState.mode === 'changes') {
+        content = buildReleaseChangesLegend();
+    } else {
+        const metric = CHOROPLETH_METRICS[mapLayersState.choroplethMetric];
+        content = `<div class="legend-title">${t(metric.label)}</div>`;
+        (breaks || []).forEach((lower, index) => {
+            const label = index + 1 < breaks.length
+                ? `${formatChoroplethValue(lower)} – ${formatChoroplethValue(breaks[index + 1])}`
+                : t('legend.orMore', { value: formatChoroplethValue(lower) });
+            content += `<div class="legend-item"><span class="legend-swatch" style="background: ${CHOROPLETH_COLOURS[index]}"></span>${label}</div>`;
+        });
+        content += `<div class="legend-item"><span class="legend-swatch" style="background: ${CHOROPLETH_NO_DATA_COLOUR}"></span>${t('legend.noData')}</div>`;
+        content += `<div class="legend-note">${t('legend.boundariesNote')}</div>`;
+    }
+    legend.getContainer().innerHTML = content;
+}
+
+/**
+ * Switch the visualisation mode.
+ *
+ * @param {string} mode - Key of LAYER_MODES
+ */
+function setLayerMode(mode) {
+    if (!LAYER_MODES[mode]) return;
+    if (mode === 'points' && !(isTreePointsSupported() && showTreePoints(true))) {
+        console.warn('⚠️ WebGL no disponible, se muestran los grupos de árboles');
+        mode = 'clusters';
+    }
+    const hadMarkers = usesTreeMarkers();
+    mapLayersState.mode = mode;
+    if (mode !== 'points') {
+        showTreePoints(false);
+    }
+
+    // Points mode draws from the tree store: free the markers, and build them again when leaving it
+    if (hadMarkers && !usesTreeMarkers()) {
+        releaseTreeMarkers();
+    } else if (!hadMarkers && usesTreeMarkers()) {
+        createLoadedTreeMarkers();
+    }
+
+    if (mode === 'clusters') {
+        if (!map.hasLayer(markers)) map.addLayer(markers);
+    } else if (map.hasLayer(markers)) {
+        map.removeLayer(markers);
+    }
+
+    const heatLayer = mapLayersState.heatLayer;
+    if (mode !== 'heatmap' && heatLayer && map.hasLayer(heatLayer)) {
+        // Leaflet.heat 0.2.0 doesn't cancel a pending redraw when removed,
+        // which then fails without a map
+        if (heatLayer._frame) {
+            L.Util.cancelAnimFrame(heatLayer._frame);
+            heatLayer._frame = null;
+        }
+        map.removeLayer(heatLayer);
+    }
+    if (mode !== 'choropleth' && mapLayersState.choroplethLayer) {
+        map.removeLayer(mapLayersState.choroplethLayer);
+        mapLayersState.choroplethLayer = null;
+    }
+    if (mode !== 'changes') {
+        hideReleaseChanges();
+    }
+
+    const switcher = document.querySelector('.layer-switcher');
+    if (switcher) {
+        switcher.querySelector(`input[name="layer-mode"][value="${mode}"]`).checked = true;
+        switcher.querySelector('.layer-cluster-options').hidden = mode !== 'clusters' && mode !== 'points';
+        switcher.querySelector('.layer-heatmap-options').hidden = mode !== 'heatmap';
+        switcher.querySelector('.layer-choropleth-options').hidden = mode !== 'choropleth';
+    }
+
+    if (mode === 'heatmap') {
+        refreshHeatmap();
+    } else if (mode === 'choropleth') {
+        refreshChoropleth();
+    } else if (mode === 'changes') {
+        refreshReleaseChanges();
+    }
+    updateLegend();
+    updatePerformanceIndicator();
+}
+
+/**
+ * Update the current mode after trees are loaded or filtered.
+ */
+function refreshMapLayers() {
+    if (mapLayersState.mode === 'clusters' || mapLayersState.mode === 'points') {
+        // Categories hashed from the data list the values of the loaded trees
+        updateLegend();
+        refreshTreePoints();
+    } else if (mapLayersState.mode === 'heatmap') {
+        refreshHeatmap();
+    } else if (mapLayersState.mode === 'choropleth') {
+        refreshChoropleth();
+    } else if (mapLayersState.mode === 'changes') {
+        // The counts come from the index, which changes with the city
+        updateLegend();
+        refreshReleaseChanges();
+    }
+}
+
+/**
+ * Options of the "Colour by" selector, one per preset of the marker styles.
+ *
+ * @returns {string} HTML options
+ */
+function buildStylePresetOptions() {
+    return Object.entries(treeStyleState.config.presets)
+        .map(([key, preset]) => `<option value="${escapeHtml(key)}"${key === treeStyleState.presetKey ? ' selected' : ''}>${t('layers.colourBy')}: ${escapeHtml(localizeText(preset.label) || key)}</option>`)
+        .join('');
+}
+
+/**
+ * Refill the "Colour by" selector after other marker styles were loaded
+ * (e.g. another city's, see cities.js).
+ */
+function refreshStylePresetOptions() {
+    const select = document.querySelector('.layer-switcher select[name="style-preset"]');
+    if (select) {
+        select.innerHTML = buildStylePresetOptions();
+    }
+}
+
+/**
+ * Add the layer switcher and legend controls to the map.
+ */
+function setupLayerSwitcher() {
+    const LayerSwitcher = L.Control.extend({
+        options: { position: 'topleft' },
+        onAdd: () => {
+            const container = L.DomUtil.create('div', 'leaflet-bar layer-switcher');
+            container.setAttribute('role', 'group');
+            container.setAttribute('aria-label', t('layers.title'));
+            let content = '';
+            Object.entries(LAYER_MODES).forEach(([mode, label]) => {
+                if (mode === 'points' && !isTreePointsSupported()) {
+                    content += `<label title="${t('layers.pointsUnavailable')}"><input type="radio" name="layer-mode" value="${mode}" disabled> ${t(label)}</label>`;
+                    return;
+                }
+                content += `<label><input type="radio" name="layer-mode" value="${mode}"${mode === mapLayersState.mode ? ' checked' : ''}> ${t(label)}</label>`;
+            });
+            content += `
+                <div class="layer-cluster-options">
+                    <select name="style-preset" aria-label="${t('layers.colourBy')}">
+                        ${buildStylePresetOptions()}
+                    </select>
+                </div>
+                <div class="layer-heatmap-options" hidden>
+                    <label><input type="checkbox" name="heat-weighted"> ${t('layers.heatWeighted')}</label>
+                </div>
+                <div class="layer-choropleth-options" hidden>
+                    <select name="choropleth-level" aria-label="${t('layers.level')}">
+                        <option value="district">${t('layers.districts')}</option>
+                        <option value="neighborhood">${t('layers.neighborhoods')}</option>
+                    </select>
+                    <select name="choropleth-metric" aria-label="${t('layers.metric')}">
+                        ${Object.entries(CHOROPLETH_METRICS).map(([key, metric]) => `<option value="${key}">${t(metric.label)}</option>`).join('')}
+                    </select>
+                </div>
+            `;
+            container.innerHTML = content;
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            container.addEventListener('change', (e) => {
+                const input = e.target;
+                if (input.name === 'layer-mode') {
+                    setLayerMode(input.value);
+                } else if (input.name === 'style-preset') {
+                    applyTreeStylePreset(input.value);
+                } else if (input.name === 'heat-weighted') {
+                    mapLayersState.heatWeighted = input.checked;
+                    refreshHeatmap();
+                    updateLegend();
+                } else if (input.name === 'choropleth-level') {
+                    mapLayersState.choroplethLevel = input.value;
+                    refreshChoropleth();
+                } else if (input.name === 'choropleth-metric') {
+                    mapLayersState.choroplethMetric = input.value;
+                    refreshChoropleth();
+                }
+            });
+            return container;
+        }
+    });
+
+    const Legend = L.Control.extend({
+        options: { position: 'bottomleft' },
+        onAdd: () => L.DomUtil.create('div', 'map-legend')
+    });
+
+    new LayerSwitcher().addTo(map);
+    mapLayersState.legend = new Legend().addTo(map);
+    updateLegend();
+}
@@ -1,4 +1,5 @@
-const map = L.map('map').setView([40.4168, -3.7038], 12);
+// Moved to the city shown once the city manifest is loaded (see cities.js)
+const map = L.map('map').setView(cityState.city.center, cityState.city.zoom);
 
 const canvasRenderer = L.canvas({ padding: 0.5 });
 
@@ -10,6 +11,7 @@ L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
 const loadingOverlay = document.getElementById('loading-overlay');
 const loadingText = document.getElementById('loading-text');
 const loadingProgress = document.getElementById('loading-progress');
+const statusAnnouncer = document.getElementById('status-announcer');
 const performanceIndicator = document.getElementById('performance-indicator');
 const fpsElement = performanceIndicator ? performanceIndicator.querySelector('.fps') : null;
 
@@ -23,18 +25,51 @@ function showError(message) {
     loadingOverlay.classList.add('hidden');
     const errorDiv = document.createElement('div');
     errorDiv.className = 'error-message';
-    errorDiv.innerHTML = `<strong>Error:</strong><br>${message}`;
+    const title = document.createElement('strong');
+    title.textContent = `${t('error.title')}:`;
+    // The message is shown as text: it can include data or server responses
+    errorDiv.append(title, document.createElement('br'), String(message));
     document.body.appendChild(errorDiv);
     setTimeout(() => errorDiv.remove(), 5000);
 }
 
+/**
+ * Read a message out to screen reader users through the polite live region.
+ * The loading overlay can't be the live region itself: it is hidden as soon
+ * as loading ends, and hidden regions are not announced.
+ * 
+ * @param {string} message - Message to announce
+ */
+function announceStatus(message) {
+    if (!statusAnnouncer) return;
+    statusAnnouncer.textContent = message;
+}
+
+/**
+ * Show the loading overlay while districts are loaded.
+ */
+function showLoading() {
+    loadingOverlay.classList.remove('hidden', 'failed');
+    loadingText.textContent = t('loading.trees');
+}
+
 /**
  * Hide the loading overlay with a short delay for smooth transition.
  * Provides visual feedback that loading is complete.
+ * 
+ * While some district failed to load, the overlay stays with the list of
+ * failed districts instead (see district-status.js).
  */
 function hideLoading() {
     setTimeout(() => {
-        loadingOverlay.classList.add('hidden');
+        if (districtState.isLoading) return;
+        if (getFailedDistricts().length > 0) {
+            loadingOverlay.classList.add('failed');
+            loadingText.textContent = t('districtStatus.title');
+            loadingProgress.textContent = '';
+        } else {
+            loadingOverlay.classList.add('hidden');
+        }
     }, 500);
 }
 
@@ -88,13 +123,17 @@ const markers = L.markerClusterGroup({
  * - index: District index JSON containing metadata about all districts
  * - loadedDistricts: Set of district codes that have been loaded
  * - districtLayers: Object tracking loaded district layers
+ * - pendingLoads: Map of district code -> Promise for districts currently being fetched
  * - isLoading: Flag to prevent concurrent loading operations
+ * - reloadPending: Set when the view changed during a load, to re-check visible districts afterwards
  */
 const districtState = {
     index: null,
     loadedDistricts: new Set(),
     districtLayers: {},
-    isLoading: false
+    pendingLoads: new Map(),
+    isLoading: false,
+    reloadPending: false
 };
 
 /**
@@ -105,7 +144,7 @@ const districtState = {
  */
 async function loadDistrictIndex() {
     try {
-        const response = await fetch('./data/districts/districts_index.json');
+        const response = await fetch(getCityIndexUrl());
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
@@ -114,7 +153,7 @@ async function loadDistrictIndex() {
         return true;
     } catch (error) {
         console.error('Error al cargar el índice:', error);
-        showError('No se pudo cargar el índice de distritos');
+        showError(t('error.indexLoad'));
         return false;
     }
 }
@@ -130,359 +169,623 @@ function yieldToMain() {
 }
 
 /**
- * Calculate marker radius based on tree size (diameter + height).
- * Optimized for performance with minimal overhead per marker.
- * 
- * Size Calculation:
- * - Combines diameter (cm) and height (m) with weighted formula
- * - Diameter weighted at 40%, height weighted at 60% (height prioritized)
- * - Height converted to cm equivalent: height × 10 × 0.6
- * - Size = (diameter × 0.4) + (height × 10 × 0.6)
- * 
- * Radius Ranges (based on calculated size):
- * - Small trees (0-20 cm equivalent): 4-6 px
- * - Medium trees (20-50 cm equivalent): 6-10 px
- * - Large trees (50-100 cm equivalent): 10-16 px
- * - Very large trees (100+ cm equivalent): 16-26 px (uses square root scaling)
+ * Worker that fetches, parses and styles district files (see district-worker.js).
+ * Null where Web Workers are unavailable; districts are then loaded inline on
+ * the main thread with the same code from district-parser.js.
+ */
+const districtWorker = createDistrictWorker();
+
+/**
+ * District loads waiting for worker messages, by district code.
+ * Each job is { resolve, reject, queue, table, fromCache }.
  * 
- * Special Cases:
- * - Missing/invalid data: returns 4px (small default marker)
- * - Extremely tall trees (20+ meters): adds +2px bonus (max 28px)
+ * Load status (idle, loading, loaded, failed) is kept in district-status.js.
+ */
+const districtJobs = new Map();
+
+/**
+ * Start the district worker.
  * 
- * Performance: Uses fast property access and pre-computed constants for minimal CPU overhead.
+ * @returns {Worker|null} The worker, or null if it cannot be created
  */
-function calculateMarkerRadius(props) {
-    const d = props.d;
-    const h = props.h;
+function createDistrictWorker() {
+    if (typeof Worker === 'undefined') return null;
     
-    let size = 0;
-    let hasData = false;
-    let isExtremelyTall = false;
+    try {
+        const worker = new Worker('./district-worker.js');
+        worker.addEventListener('message', event => handleDistrictMessage(event.data));
+        worker.addEventListener('error', event => {
+            console.error('Error en el worker de distritos:', event.message);
+            districtJobs.forEach((job, code) => {
+                handleDistrictMessage({ type: 'error', code, message: event.message || 'Worker error' });
+            });
+        });
+        return worker;
+    } catch (error) {
+        console.warn('Web Worker no disponible, los distritos se cargarán en el hilo principal:', error);
+        return null;
+    }
+}
+
+/**
+ * Route a message from the worker to its district job.
+ * Messages of a district are processed one after another, because creating
+ * markers for a batch yields to the browser between chunks.
+ * 
+ * @param {Object} message - Message as documented in emitDistrictTable()
+ */
+function handleDistrictMessage(message) {
+    const job = districtJobs.get(message.code);
+    if (!job) return;
     
-    if (d && d > 0) {
-        size += d * 0.4;
-        hasData = true;
+    job.queue = job.queue
+        .then(() => processDistrictMessage(job, message))
+        .catch(error => {
+            districtJobs.delete(message.code);
+            job.reject(error);
+        });
+}
+
+/**
+ * Apply one worker message to its district job.
+ * 
+ * @param {Object} job - District job from districtJobs
+ * @param {Object} message - Message as documented in emitDistrictTable()
+ * @returns {Promise<void>}
+ */
+async function processDistrictMessage(job, message) {
+    switch (message.type) {
+        case 'start':
+            job.table = createDistrictTable(message);
+            job.fromCache = message.fromCache;
+            break;
+        case 'batch':
+            writeDistrictBatch(job.table, message);
+            await addDistrictMarkers(job.table, message.start, message.start + message.lat.length);
+            break;
+        case 'done':
+            districtJobs.delete(message.code);
+            job.resolve(job);
+            break;
+        case 'error': {
+            districtJobs.delete(message.code);
+            const error = new Error(message.message);
+            if (message.aborted) {
+                error.name = 'AbortError';
+            }
+            job.reject(error);
+            break;
+        }
     }
+}
+
+/**
+ * Ask the worker (or the inline fallback) for a district's encoded table.
+ * 
+ * @param {Object} districtInfo - District information object with code, name, and filename
+ * @param {AbortSignal} signal - Aborts the download; the promise then rejects with an AbortError
+ * @returns {Promise<Object>} Resolves with the finished job ({ table, fromCache }) once all markers exist
+ */
+function requestDistrictTable(districtInfo, signal) {
+    const code = districtInfo.code;
+    
+    return new Promise((resolve, reject) => {
+        districtJobs.set(code, { resolve, reject, queue: Promise.resolve(), table: null, fromCache: false });
+        
+        const request = {
+            type: 'load',
+            code,
+            url: new URL(districtFileUrl(districtInfo), window.location.href).href,
+            binaryUrl: districtBinaryUrl(districtInfo) && new URL(districtBinaryUrl(districtInfo), window.location.href).href,
+            cacheCode: districtCacheCode(code),
+            cacheKey: districtCacheKey(districtInfo),
+            schema: treeSchemaState.config,
+            meta: { name: districtInfo.name, tree_count: districtInfo.tree_count, city: cityState.city.id, district: code }
+        };
+        
+        if (districtWorker) {
+            districtWorker.postMessage(request);
+            signal.addEventListener('abort', () => districtWorker.postMessage({ type: 'cancel', code }), { once: true });
+        } else {
+            loadDistrictTable(request, signal)
+                .then(({ table, fromCache }) => emitDistrictTable(code, table, fromCache, handleDistrictMessage))
+                .catch(error => handleDistrictMessage({ type: 'error', code, message: error.message, aborted: error.name === 'AbortError' }));
+        }
+    });
+}
+
+/**
+ * Create the Leaflet marker of a row, for the cluster group.
+ * Colour and radius come from the active style preset (see tree-styles.js);
+ * the size-based radius was computed by the worker.
+ * 
+ * @param {Object} table - District table from tree-store.js
+ * @param {number} row - Loaded row
+ * @returns {L.CircleMarker} The marker, also kept in table.markers
+ */
+function createTreeMarker(table, row) {
+    const marker = L.circleMarker([table.lat[row], table.lng[row]], Object.assign(getTreeMarkerStyle(table, row), {
+        renderer: canvasRenderer,
+        districtCode: table.code,
+        row: row
+    }));
+    table.markers[row] = marker;
+    return marker;
+}
+
+/**
+ * Add a range of rows of a district table to the map.
+ * Rows with a position are marked as loaded and indexed for the filters. While
+ * the cluster group is in use (see usesTreeMarkers), each gets a marker and
+ * those matching the active filter (see filters.js) are added to the group in
+ * chunks of 500; in points mode no marker is created, as the WebGL layer reads
+ * the table. The loop yields to the browser every 500 rows.
+ * 
+ * @param {Object} table - District table from tree-store.js
+ * @param {number} start - First row
+ * @param {number} end - Row after the last one
+ * @returns {Promise<void>}
+ */
+async function addDistrictMarkers(table, start, end) {
+    const chunkSize = 500; // Process trees in smaller chunks
+    let chunk = [];
     
-    if (h && h > 0) {
-        size += h * 10 * 0.6;
-        hasData = true;
+    for (let row = start; row < end; row++) {
+        const lat = table.lat[row];
+        const lng = table.lng[row];
+        
+        if (!isNaN(lat) && !isNaN(lng)) {
+            table.loaded[row] = 1;
+            table.loadedCount++;
+            treeStore.count++;
+            
+            const fields = getTreeFields(table, row);
+            indexTreeForFilters(fields);
+            
+            const shown = treeMatchesFilter(fields);
+            if (shown) {
+                table.shown[row] = 1;
+                filterIndex.matchCount++;
+            }
+            
+            if (usesTreeMarkers()) {
+                const marker = createTreeMarker(table, row);
+                if (shown) {
+                    chunk.push(marker);
+                }
+            }
+        }
         
-        if (h >= 20) {
-            isExtremelyTall = true;
+        // Yield to browser periodically to keep UI responsive
+        if ((row - start) % chunkSize === chunkSize - 1) {
+            markers.addLayers(chunk);
+            chunk = [];
+            await yieldToMain();
         }
     }
     
-    if (!hasData || size <= 0) {
-        return 4;
+    // Add remaining markers
+    if (chunk.length > 0) {
+        markers.addLayers(chunk);
     }
+}
+
+/**
+ * Create the markers of every loaded tree and fill the cluster group with
+ * those matching the filter, when leaving points mode (see setLayerMode).
+ */
+function createLoadedTreeMarkers() {
+    const matching = [];
+    forEachLoadedTree((table, row, marker) => {
+        const treeMarker = marker || createTreeMarker(table, row);
+        if (table.shown[row]) {
+            matching.push(treeMarker);
+        }
+    });
+    markers.clearLayers();
+    markers.addLayers(matching);
+}
+
+/**
+ * Drop the cluster group and every tree marker, when entering points mode,
+ * so only the typed-array columns stay in memory.
+ */
+function releaseTreeMarkers() {
+    markers.clearLayers();
+    treeStore.districts.forEach(table => table.markers.fill(null));
+}
+
+/**
+ * Build the popup HTML of a tree.
+ * 
+ * Popup includes: species, common name (translated when the species catalog has
+ * it, see getLocalizedCommonName), diameter, height, the estimated ecosystem
+ * services (see ecosystem-services.js), district, neighborhood, the extra
+ * attributes of the tree schema (see tree-schema.js), links to Google Street
+ * View and image search, and, given the tree id, a button to add the tree to
+ * the walking tour (see tour-builder.js) and, in survey mode, the edit form
+ * (see field-survey.js). Tree values are escaped, as they come from third-party
+ * data (see html.js).
+ * 
+ * @param {Object} fields - Tree fields (see getTreeFields)
+ * @param {L.LatLng} latlng - Tree position
+ * @param {string} districtCode - Code of the tree's district
+ * @param {string} [treeId] - Tree id, for the tour button and the survey form
+ * @returns {string} Popup HTML
+ */
+function buildTreePopupContent(fields, latlng, districtCode, treeId) {
+    const { lat, lng } = latlng;
+    const species = fields.species;
+    const commonName = getLocalizedCommonName(fields);
+    const diameter = fields.diameter ? `${formatNumber(fields.diameter)} cm` : t('popup.notAvailable');
+    const height = fields.height ? `${formatNumber(fields.height)} m` : t('popup.notAvailable');
+    const district = fields.district;
+    const neighborhood = fields.neighborhood;
     
-    let radius;
+    // Google Street View URL - opens Street View camera directly
+    const streetViewUrl = `https://www.google.com/maps/@?api=1&map_action=pano&viewpoint=${lat},${lng}`;
     
-    if (size < 20) {
-        radius = 4 + size * 0.1;
-    }
-    else if (size < 50) {
-        radius = 6 + (size - 20) * 0.133333;
-    }
-    else if (size < 100) {
-        radius = 10 + (size - 50) * 0.12;
+    // Special districts of the city (see cities.js) show their label instead of measurements
+    const special = getSpecialDistrict(districtCode);
+    
+    // Google Images search URL - use commonName where the city's special district asks for it, otherwise use scientific name
+    const searchTerm = (special && special.image_search === 'common_name' && fields.commonName) ? fields.commonName : species;
+    const imagesSearchUrl = `https://www.google.com/search?tbm=isch&q=${encodeURIComponent(searchTerm)}`;
+    
+    // Every value is escaped by html`` (see html.js): tree data can hold any text
+    let details;
+    if (special) {
+        const infoUrl = safeUrl(special.info_url);
+        details = html`<div class="tree-details-item"><strong>${localizeText(special.label) || t('popup.singular')}</strong>
+            ${infoUrl && html`<a href="${infoUrl}" target="_blank" rel="noopener noreferrer" title="${t('popup.moreInfo')}">ℹ️</a>`}
+        </div>`;
+    } else {
+        details = html`<div class="tree-details-item"><strong>${t('popup.diameter')}:</strong> ${diameter}</div>
+            <div class="tree-details-item"><strong>${t('popup.height')}:</strong> ${height}</div>`;
     }
-    else {
-        const excess = size - 100;
-        if (excess > 200) {
-            radius = 26;
-        } else {
-            radius = 16 + Math.sqrt(excess * 0.005) * 10;
-        }
+    
+    const estimate = !special && estimateEcosystemServices(fields);
+    const ecosystem = estimate && html`<div class="tree-ecosystem">
+        <div class="tree-ecosystem-title">${t('ecosystem.title')}</div>
+        ${trustedHtml(buildEcosystemServicesList(estimate))}
+    </div>`;
+    
+    let location = '';
+    if ((district || neighborhood) && !special) {
+        location = html`<div class="tree-location">
+            ${district && html`<div class="tree-location-item"><strong>${t('popup.district')}:</strong> ${district}</div>`}
+            ${neighborhood && html`<div class="tree-location-item"><strong>${t('popup.neighborhood')}:</strong> ${neighborhood}</div>`}
+        </div>`;
     }
     
-    if (isExtremelyTall) {
-        radius += 2;
-        if (radius > 28) radius = 28;
+    const extraFields = getTreeSchema().extra.filter(field => fields.extra[field.name] !== undefined);
+    const extra = extraFields.length > 0 && html`<div class="tree-location">
+        ${extraFields.map(({ name, spec }) => html`<div class="tree-location-item"><strong>${localizeText(spec.label) || name}:</strong> ${fields.extra[name]}</div>`)}
+    </div>`;
+    
+    return String(html`<div class="tree-info">
+        <span class="tree-species">🌳 ${species}</span>
+        ${commonName && commonName !== species && html`<span class="tree-common-name">${commonName}</span>`}
+        <div class="tree-details">${details}</div>
+        ${ecosystem}
+        ${location}
+        ${extra}
+        <div class="tree-buttons">
+            <a href="${streetViewUrl}" target="_blank" rel="noopener noreferrer" class="street-view-button">🗺️<br> Street View</a>
+            <a href="${imagesSearchUrl}" target="_blank" rel="noopener noreferrer" class="images-button">🖼️<br> ${t('popup.images')}</a>
+        </div>
+        ${treeId && html`<button type="button" class="tour-popup-button" data-tree-id="${treeId}">${tourPopupButtonLabel(treeId)}</button>`}
+        ${treeId && trustedHtml(buildSurveyForm(treeId, fields))}
+    </div>`);
+}
+
+/**
+ * Open the popup of a tree.
+ * Properties are read from the district table by row, so it works in every
+ * layer mode, with or without a marker for the tree.
+ * 
+ * @param {Object} table - District table from tree-store.js
+ * @param {number} row - Loaded row
+ */
+function showTreePopup(table, row) {
+    const districtCode = table.code;
+    const fields = getTreeFields(table, row);
+    const latlng = getTreeLatLng(table, row);
+    const treeId = getTreeId(districtCode, row);
+    
+    // Track tree marker click in Google Analytics
+    if (typeof gtag === 'function') {
+        gtag('event', 'tree_marker_click', {
+            'tree_species': fields.species,
+            'tree_common_name': fields.commonName,
+            'tree_height': fields.height,
+            'tree_diameter': fields.diameter,
+            'tree_district': fields.district,
+            'tree_neighborhood': fields.neighborhood
+        });
     }
     
-    return radius;
+    L.popup()
+        .setLatLng(latlng)
+        .setContent(buildTreePopupContent(fields, latlng, districtCode, treeId))
+        .openOn(map);
+    setSelectedTree(treeId);
+    openSpeciesPanel(districtCode, row);
 }
 
 /**
  * Load tree data for a specific district and create markers on the map.
  * 
- * This function:
- * - Fetches the district's GeoJSON file
- * - Processes trees in chunks of 500 for better performance
- * - Creates circle markers with size and color based on tree properties
- * - Adds click handlers with popup information
- * - Yields to browser periodically to keep UI responsive
- * 
- * Marker properties:
- * - District 22 (Árboles Singulares): Fixed 8px radius, purple color (#9C27B0)
- * - Other districts:
- *   * Radius: Calculated based on tree diameter and height (see calculateMarkerRadius)
- *   * Color: Based on tree height:
- *     - < 16m: Regular green (#4CAF50)
- *     - 16-18.99m: Stronger green (#2E7D32)
- *     - ≥ 19m: Dark green-purple (#2D4A3A)
- * 
- * Popup includes: species, common name, diameter, height, district, neighborhood,
- * and links to Google Street View and image search.
+ * The district worker reads the district from the offline cache or fetches
+ * its binary file (or GeoJSON, when there is no binary file), and posts typed-array batches back; this thread only
+ * creates the markers (see addDistrictMarkers).
+ * 
+ * Failures don't reject: the district is marked as failed (see district-status.js)
+ * and retried later.
  * 
  * @param {Object} districtInfo - District information object with code, name, and filename
- * @returns {Promise<void>} Resolves when district is loaded (or skipped if already loaded)
+ * @param {boolean} [cancellable=false] - Let the load be cancelled if the district scrolls out of view
+ *   (only loadVisibleDistricts() asks for this)
+ * @returns {Promise<void>} Resolves when district is loaded, skipped if already loaded, failed or cancelled
  */
-async function loadDistrict(districtInfo) {
+function loadDistrict(districtInfo, cancellable = false) {
     const districtCode = districtInfo.code;
     
     if (districtState.loadedDistricts.has(districtCode)) {
-        return;
+        return Promise.resolve();
     }
     
+    // Share the running load with callers that ask for the same district
+    // (e.g. a deep link while loadVisibleDistricts() is already fetching it)
+    if (districtState.pendingLoads.has(districtCode)) {
+        if (!cancellable) {
+            keepDistrictLoad(districtCode);
+        }
+        return districtState.pendingLoads.get(districtCode);
+    }
+    
+    const load = loadDistrictMarkers(districtInfo, cancellable).finally(() => {
+        districtState.pendingLoads.delete(districtCode);
+    });
+    districtState.pendingLoads.set(districtCode, load);
+    return load;
+}
+
+/**
+ * Load a district's table and markers. Use loadDistrict() instead,
+ * which deduplicates concurrent requests for the same district.
+ * 
+ * @param {Object} districtInfo - District information object with code, name, and filename
+ * @param {boolean} cancellable - Let the load be cancelled if the district scrolls out of view
+ * @returns {Promise<void>} Resolves when the district's markers have been created, or the load failed
+ */
+async function loadDistrictMarkers(districtInfo, cancellable) {
+    const districtCode = districtInfo.code;
+    
     console.log(`📥 Cargando distrito ${districtCode} - ${districtInfo.name}...`);
+    const signal = startDistrictLoad(districtCode, cancellable);
     
     try {
-        const response = await fetch(`./data/districts/${districtInfo.filename}`);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
+        const job = await requestDistrictTable(districtInfo, signal);
         
-        const districtMarkers = [];
-        const chunkSize = 500; // Process trees in smaller chunks
-        
-        for (let i = 0; i < data.features.length; i++) {
-            const feature = data.features[i];
-            
-            if (feature.geometry && feature.geometry.coordinates) {
-                const [lng, lat] = feature.geometry.coordinates;
-                const props = feature.properties || {};
-                
-                // Special styling for district 22 (Árboles Singulares)
-                let markerRadius, fillColor, borderColor;
-                
-                if (districtCode === '22') {
-                    // District 22: purple markers with fixed 8px radius
-                    markerRadius = 8;
-                    fillColor = '#9C27B0';  // Purple
-                    borderColor = '#6A1B9A'; // Darker purple
-                } else {
-                    // Other districts: calculate radius based on tree size
-                    markerRadius = calculateMarkerRadius(props);
-                    
-                    // Check tree height for color classification
-                    const height = props.h || props.height;
-                    const isTopTallTree = height && height >= 19; // 19m or more - dark green almost purple
-                    const isTallTree = height && height >= 16; // 16m or more - stronger green
-                    
-                    // Color scheme based on height:
-                    // < 16m: regular green
-                    // 16m-18.99m: stronger green
-                    // ≥ 19m: dark green almost purple
-                    if (isTopTallTree) {
-                        // 19m or taller: dark green almost purple
-                        fillColor = '#2D4A3A';
-                        borderColor = '#1B3A2A';
-                    } else if (isTallTree) {
-                        // 16m or taller (but < 19m): stronger green
-                        fillColor = '#2E7D32';
-                        borderColor = '#1B5E20';
-                    } else {
-                        // Regular trees: medium green
-                        fillColor = '#4CAF50';
-                        borderColor = '#2E7D32';
-                    }
-                }
-                
-                const marker = L.circleMarker([lat, lng], {
-                    renderer: canvasRenderer,
-                    radius: markerRadius,
-                    fillColor: fillColor,
-                    color: borderColor,
-                    weight: 1,
-                    opacity: 0.8,
-                    fillOpacity: 0.6
-                });
-                
-                marker.on('click', function() {
-                    const species = props.sn || props.species || props["Nombre científico"] || "Especie desconocida";
-                    const commonName = props.cn || props.common_name || props.CODIGO_ESP || "";
-                    const diameter = props.d || props.diameter ? `${props.d || props.diameter} cm` : "N/A";
-                    const height = props.h || props.height ? `${props.h || props.height} m` : "N/A";
-                    const district = props.dt || props.NBRE_DTO || "";
-                    const neighborhood = props.nb || props.NBRE_BARRI || "";
-                    
-                    // Track tree marker click in Google Analytics
-                    if (typeof gtag === 'function') {
-                        gtag('event', 'tree_marker_click', {
-                            'tree_species': species,
-                            'tree_common_name': commonName,
-                            'tree_height': props.h || props.height || null,
-                            'tree_diameter': props.d || props.diameter || null,
-                            'tree_district': district,
-                            'tree_neighborhood': neighborhood
-                        });
-                    }
-                    
-                    // Google Street View URL - opens Street View camera directly
-                    const streetViewUrl = `https://www.google.com/maps/@?api=1&map_action=pano&viewpoint=${lat},${lng}`;
-                    
-                    // Google Images search URL - use commonName for district 22, otherwise use scientific name
-                    const searchTerm = (districtCode === '22' && commonName) ? commonName : species;
-                    const imagesSearchUrl = `https://www.google.com/search?tbm=isch&q=${encodeURIComponent(searchTerm)}`;
-                    
-                    let popupContent = `<div class="tree-info">`;
-                    popupContent += `<span class="tree-species">🌳 ${species}</span>`;
-                    if (commonName && commonName !== species) {
-                        popupContent += `<span class="tree-common-name">${commonName}</span>`;
-                    }
-                    popupContent += `<div class="tree-details">`;
-                    if (districtCode === '22') {
-                        popupContent += `
-                        <div class="tree-details-item">
-                            <strong>Árbol singular de la Comunidad de Madrid</strong>
-                            <a href="https://es.wikipedia.org/wiki/%C3%81rboles_singulares_de_la_Comunidad_de_Madrid"
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            title="Más información">
-                            ℹ️
-                            </a>
-                        </div>
-                        `;
-                    } else {
-                        popupContent += `<div class="tree-details-item"><strong>Diámetro:</strong> ${diameter}</div>`;
-                        popupContent += `<div class="tree-details-item"><strong>Altura:</strong> ${height}</div>`;
-                    }
-                    
-                    popupContent += `</div>`;
-                    if ((district || neighborhood) && districtCode !== '22') {
-                        popupContent += `<div class="tree-location">`;
-                        if (district) {
-                            popupContent += `<div class="tree-location-item"><strong>Distrito:</strong> ${district}</div>`;
-                        }
-                        if (neighborhood) {
-                            popupContent += `<div class="tree-location-item"><strong>Barrio:</strong> ${neighborhood}</div>`;
-                        }
-                        popupContent += `</div>`;
-                    }
-                    popupContent += `<div class="tree-buttons">`;
-                    popupContent += `<a href="${streetViewUrl}" target="_blank" rel="noopener noreferrer" class="street-view-button">🗺️</br> Street View</a>`;
-                    popupContent += `<a href="${imagesSearchUrl}" target="_blank" rel="noopener noreferrer" class="images-button">🖼️</br> Imágenes</a>`;
-                    popupContent += `</div>`;
-                    popupContent += `</div>`;
-                    
-                    marker.bindPopup(popupContent).openPopup();
-                });
-                
-                districtMarkers.push(marker);
-            }
-            
-            // Yield to browser periodically to keep UI responsive
-            if (i > 0 && i % chunkSize === 0) {
-                // Add current chunk to map
-                const currentChunk = districtMarkers.splice(0);
-                markers.addLayers(currentChunk);
-                await yieldToMain();
-            }
-        }
+        districtState.districtLayers[districtCode] = true; // Just track loaded state
+        districtState.loadedDistricts.add(districtCode);
+        finishDistrictLoad(districtCode);
+        indexDistrictTrees(job.table);
+        refreshFilterOptions();
+        refreshStatsDashboard();
+        refreshMapLayers();
+        refreshNearbyTrees();
+        refreshAreaReport();
+        refreshTreeList();
         
-        // Add remaining markers
-        if (districtMarkers.length > 0) {
-            markers.addLayers(districtMarkers);
+        if (!job.fromCache) {
+            updateOfflineStatus();
         }
         
-        districtState.districtLayers[districtCode] = true; // Just track loaded state
-        districtState.loadedDistricts.add(districtCode);
+        console.log(`✅ Distrito ${districtCode} cargado: ${job.table.count.toLocaleString()} árboles${job.fromCache ? ' (caché)' : ''}`);
         
-        console.log(`✅ Distrito ${districtCode} cargado: ${data.features.length.toLocaleString()} árboles`);
+        const validation = job.table.validation;
+        if (validation && validation.invalidRows > 0) {
+            console.warn(`⚠️ Distrito ${districtCode}: ${validation.invalidRows.toLocaleString()} árboles con datos no válidos`, validation.counts, validation.samples);
+        }
         
     } catch (error) {
-        console.error(`Error al cargar distrito ${districtCode}:`, error);
+        if (error.name === 'AbortError') {
+            console.log(`⏹️ Carga del distrito ${districtCode} cancelada`);
+        } else {
+            console.error(`Error al cargar distrito ${districtCode}:`, error);
+        }
+        failDistrictLoad(districtCode, error);
     }
 }
 
+/**
+ * Extra margin around the viewport used when deciding which districts to load,
+ * as a fraction of the visible bounds. Loads neighbouring districts slightly
+ * before they scroll into view.
+ */
+const DISTRICT_BOUNDS_MARGIN = 0.25;
+
+/**
+ * Convert a district bbox from the index ([minLng, minLat, maxLng, maxLat])
+ * into Leaflet bounds.
+ * 
+ * @param {Array<number>} bbox - Bounding box in GeoJSON order
+ * @returns {L.LatLngBounds} Leaflet bounds for the district
+ */
+function bboxToBounds(bbox) {
+    return L.latLngBounds([bbox[1], bbox[0]], [bbox[3], bbox[2]]);
+}
+
+/**
+ * Check whether a district intersects the given bounds.
+ * Districts without a bbox in the index are always considered visible, so an
+ * index generated by an older pipeline keeps loading everything.
+ * 
+ * @param {Object} district - District object from the index
+ * @param {L.LatLngBounds} bounds - Bounds to test against
+ * @returns {boolean} True if the district should be loaded for these bounds
+ */
+function districtIntersects(district, bounds) {
+    if (!Array.isArray(district.bbox) || district.bbox.length !== 4) {
+        return true;
+    }
+    return bboxToBounds(district.bbox).intersects(bounds);
+}
+
 /**
  * Get the list of districts that should be loaded based on current map view.
- * Currently returns all districts regardless of zoom level or bounds.
  * 
- * Future enhancement: Could filter districts based on map bounds for better performance.
+ * Only districts whose bbox intersects the viewport (plus DISTRICT_BOUNDS_MARGIN)
+ * are returned. They are ordered so the district under the map center comes first:
+ * - Districts containing the center, smallest bbox first (so the actual district
+ *   wins over wide ones like Árboles Singulares)
+ * - Then the rest, by distance from the center to their bbox center
+ * - Districts without bbox go last
  * 
  * @returns {Array} Array of district objects from the index, or empty array if index not loaded
  */
 function getVisibleDistricts() {
     if (!districtState.index) return [];
     
-    const bounds = map.getBounds();
-    const zoom = map.getZoom();
+    const bounds = map.getBounds().pad(DISTRICT_BOUNDS_MARGIN);
+    const center = map.getCenter();
     
-    if (zoom < 11) {
-        return districtState.index.districts;
-    }
+    const ranked = districtState.index.districts
+        .filter(district => districtIntersects(district, bounds))
+        .map(district => {
+            if (!district.bbox) {
+                return { district, containsCenter: false, score: Infinity };
+            }
+            const districtBounds = bboxToBounds(district.bbox);
+            if (districtBounds.contains(center)) {
+                const area = (district.bbox[2] - district.bbox[0]) * (district.bbox[3] - district.bbox[1]);
+                return { district, containsCenter: true, score: area };
+            }
+            return { district, containsCenter: false, score: center.distanceTo(districtBounds.getCenter()) };
+        });
     
-    return districtState.index.districts;
+    ranked.sort((a, b) => {
+        if (a.containsCenter !== b.containsCenter) {
+            return a.containsCenter ? -1 : 1;
+        }
+        return a.score - b.score;
+    });
+    
+    return ranked.map(entry => entry.district);
 }
 
 /**
  * Load all visible districts one at a time to keep UI responsive.
- * Updates loading progress indicator as districts are loaded.
+ * Updates loading progress indicator as districts are loaded, and announces
+ * the progress to screen readers (see announceStatus).
  * 
- * Prevents concurrent loading operations using the isLoading flag.
- * Skips districts that have already been loaded.
+ * Calls made while a load is running are not lost: they set reloadPending and
+ * the visible districts are recomputed once the current run finishes. Districts
+ * that scrolled out of view while waiting in the queue are skipped, and the
+ * download of the one being loaded is cancelled. Failed districts are only
+ * loaded again once their retry is due (see district-status.js).
  * 
  * @returns {Promise<void>} Resolves when all visible districts have been processed
  */
 async function loadVisibleDistricts() {
-    if (districtState.isLoading) return;
+    cancelDistrictsOutOfView(map.getBounds().pad(DISTRICT_BOUNDS_MARGIN));
+    
+    if (districtState.isLoading) {
+        districtState.reloadPending = true;
+        return;
+    }
     
     districtState.isLoading = true;
+    districtState.reloadPending = false;
+    const index = districtState.index;
     const visibleDistricts = getVisibleDistricts();
+    const pending = visibleDistricts.filter(district =>
+        !districtState.loadedDistricts.has(district.code) && isDistrictLoadDue(district.code));
+    
+    if (pending.length > 0) {
+        showLoading();
+    }
     
     // Load one district at a time to keep UI responsive
-    for (let i = 0; i < visibleDistricts.length; i++) {
-        const district = visibleDistricts[i];
+    for (let i = 0; i < pending.length; i++) {
+        const district = pending[i];
         
-        if (!districtState.loadedDistricts.has(district.code)) {
-            await loadDistrict(district);
-            
-            const loaded = districtState.loadedDistricts.size;
-            const total = districtState.index.districts.length;
-            const percentage = Math.round((loaded / total) * 100);
-            loadingProgress.textContent = `Distritos: ${loaded} / ${total} (${percentage}%)`;
-            
-            // Yield to browser between districts
-            await yieldToMain();
+        // Another city was chosen (see switchCity() in cities.js)
+        if (districtState.index !== index) break;
+        
+        if (!districtIntersects(district, map.getBounds().pad(DISTRICT_BOUNDS_MARGIN))) {
+            continue;
         }
+        
+        await loadDistrict(district, true);
+        
+        const loaded = visibleDistricts.filter(d => districtState.loadedDistricts.has(d.code)).length;
+        const total = visibleDistricts.length;
+        const percentage = Math.round((loaded / total) * 100);
+        loadingProgress.textContent = t('loading.districts', { loaded, total, percentage });
+        announceStatus(loadingProgress.textContent);
+        
+        // Yield to browser between districts
+        await yieldToMain();
     }
     
     districtState.isLoading = false;
+    
+    if (districtState.reloadPending) {
+        return loadVisibleDistricts();
+    }
+    
+    if (pending.length > 0) {
+        hideLoading();
+        announceStatus(t('loading.done', { count: treeStore.count }));
+    }
 }
 
+let performanceHideTimeout;
+
 /**
- * Set up performance monitoring to display visible marker count.
- * Updates the performance indicator when map is moved or zoomed.
+ * Show the number of visible markers in the performance indicator.
+ * When a filter is active, also shows how many loaded trees match it.
  * 
- * The indicator shows the number of visible markers and automatically hides
- * after 2 seconds of inactivity.
+ * The indicator automatically hides after 2 seconds of inactivity.
  */
-function setupPerformanceMonitoring() {
+function updatePerformanceIndicator() {
     if (!performanceIndicator) return;
     
-    let hideTimeout;
+    // The point layer draws every tree that matches the filter (see tree-points.js)
+    let visibleMarkers = markers.getVisibleParent ? 
+        Object.keys(markers._featureGroup._layers).length : 0;
+    if (mapLayersState.mode === 'points') {
+        visibleMarkers = filterIndex.matchCount;
+    }
     
-    function updatePerformanceIndicator() {
-        const visibleMarkers = markers.getVisibleParent ? 
-            Object.keys(markers._featureGroup._layers).length : 0;
-        
-        if (fpsElement) {
-            fpsElement.textContent = visibleMarkers.toLocaleString();
-        }
-        
-        performanceIndicator.classList.add('show');
-        clearTimeout(hideTimeout);
-        hideTimeout = setTimeout(() => {
-            performanceIndicator.classList.remove('show');
-        }, 2000);
+    if (fpsElement) {
+        fpsElement.textContent = formatNumber(visibleMarkers);
+    }
+    
+    const filterCountElement = performanceIndicator.querySelector('.filter-count');
+    if (filterCountElement) {
+        filterCountElement.textContent = isFilterActive()
+            ? ` · ${t('performance.filtered', { count: countFilteredTrees(), total: treeStore.count })}`
+            : '';
     }
     
+    performanceIndicator.classList.add('show');
+    clearTimeout(performanceHideTimeout);
+    performanceHideTimeout = setTimeout(() => {
+        performanceIndicator.classList.remove('show');
+    }, 2000);
+}
+
+/**
+ * Set up performance monitoring to display visible marker count.
+ * Updates the performance indicator when map is moved or zoomed.
+ */
+function setupPerformanceMonitoring() {
+    if (!performanceIndicator) return;
+    
     map.on('moveend zoomend', updatePerformanceIndicator);
     setTimeout(updatePerformanceIndicator, 1000);
 }
@@ -491,28 +794,52 @@ function setupPerformanceMonitoring() {
  * Initialize the map application.
  * 
  * This is the main initialization function that:
+ * 0. Translates the page (see i18n.js)
  * 1. Adds the marker cluster group to the map
- * 2. Loads the district index JSON file
- * 3. Starts loading visible districts in the background
- * 4. Sets up event handlers for lazy loading on map movement/zoom
- * 5. Initializes performance monitoring
+ * 2. Loads the city manifest, picks the city and restores the view and filter from the
+ *    URL hash (see cities.js and deep-link.js)
+ * 3. Loads the city's district index JSON file, marker styles (see tree-styles.js) and
+ *    tree schema (see tree-schema.js)
+ * 4. Starts loading visible districts in the background, and the linked tree and tour if any
+ * 5. Sets up event handlers for lazy loading on map movement/zoom
+ * 6. Initializes performance monitoring, the layer switcher, the search/filter panel, deep links,
+ *    the tree detail panel, the statistics dashboard, the nearby trees panel, the tour builder,
+ *    field survey mode, the list of trees in view, data export, area analysis, the city switcher, offline mode,
+ *    the list of failed districts, the info panel and popup, location tracking and the labels of the map controls
  * 
  * The map remains interactive during loading, allowing users to pan and zoom
  * while trees are loaded progressively.
  * 
+ * Called by main.js, once every script is loaded.
+ * 
  * @returns {Promise<void>} Resolves when initialization is complete
  */
 async function initialize() {
+    setupLanguage();
+    
     // Initialize map layer immediately
     map.addLayer(markers);
+    markers.on('click', event => {
+        // Clicks while drawing an area add vertices (see area-selection.js)
+        if (!areaSelection.drawing) {
+            const { districtCode, row } = event.layer.options;
+            showTreePopup(treeStore.districts.get(districtCode), row);
+        }
+    });
+    
+    // Restore a shared view before loading, so only its districts are fetched
+    await loadCityManifest();
+    const city = selectCity(parseDeepLink(window.location.hash).city);
+    map.setView(city.center, city.zoom || 12, { animate: false });
+    const link = restoreDeepLink(window.location.hash);
     
     // Load district index in background
-    loadingText.textContent = 'Cargando árboles...';
-    loadingProgress.textContent = 'Preparando datos...';
+    loadingText.textContent = t('loading.trees');
+    loadingProgress.textContent = t('loading.preparing');
     
-    const success = await loadDistrictIndex();
+    const success = await loadCityData();
     if (!success) {
-        showError('No se pudo inicializar el mapa');
+        showError(t('error.init'));
         hideLoading();
         return;
     }
@@ -524,21 +851,62 @@ async function initialize() {
         console.log(`📊 ${districtState.loadedDistricts.size} distritos cargados`);
     });
     
+    if (link.tour) {
+        openTour(link.tour, link.tourName);
+    }
+    if (link.treeId) {
+        openTreeById(link.treeId);
+    }
+    
     // Set up event handlers for lazy loading
     map.on('moveend zoomend', () => {
         loadVisibleDistricts();
     });
     
     setupPerformanceMonitoring();
+    setupLayerSwitcher();
+    setupFilterPanel();
+    setupDeepLinks();
+    setupSpeciesPanel();
+    setupStatsDashboard();
+    setupNearbyPanel();
+    setupTourBuilder();
+    setupFieldSurvey();
+    setupTreeList();
+    setupDataExport();
+    setupAreaAnalysis();
+    setupCitySwitcher();
+    setupOfflineMode();
+    setupDistrictStatusList();
+    setupInfoPanel();
+    setupInfoPopup();
+    setupLocationTracking();
+    setupMapControlLabels();
     
     console.log(`✅ Mapa inicializado y listo para interacción`);
 }
 
-// Info button toggle
-const infoButton = document.getElementById('info-button');
-const infoPopup = document.getElementById('info-popup');
+/**
+ * Close the info panel with its close button.
+ */
+function setupInfoPanel() {
+    const infoPanel = document.getElementById('info-panel');
+    const closeButton = infoPanel ? infoPanel.querySelector('.close-btn') : null;
+    if (!closeButton) return;
+    
+    closeButton.addEventListener('click', () => {
+        infoPanel.style.display = 'none';
+    });
+}
 
-if (infoButton && infoPopup) {
+/**
+ * Toggle the info popup with the info button; clicks outside close it.
+ */
+function setupInfoPopup() {
+    const infoButton = document.getElementById('info-button');
+    const infoPopup = document.getElementById('info-popup');
+    if (!infoButton || !infoPopup) return;
+    
     infoButton.addEventListener('click', (e) => {
         e.stopPropagation();
         infoPopup.classList.toggle('show');
@@ -552,14 +920,38 @@ if (infoButton && infoPopup) {
     });
 }
 
-// Location button functionality
-const locationButton = document.getElementById('location-button');
-let locateControl = null;
+/**
+ * Translate the labels of Leaflet's zoom buttons, which come in English.
+ * The map container itself is labelled in index.html and can be panned
+ * with the arrow keys and zoomed with +/- once focused.
+ */
+function setupMapControlLabels() {
+    const zoomControl = map.zoomControl && map.zoomControl.getContainer();
+    if (!zoomControl) return;
+    
+    [['.leaflet-control-zoom-in', 'map.zoomIn'], ['.leaflet-control-zoom-out', 'map.zoomOut']].forEach(([selector, key]) => {
+        const button = zoomControl.querySelector(selector);
+        if (button) {
+            button.title = t(key);
+            button.setAttribute('aria-label', t(key));
+        }
+    });
+}
+
+// Location tracking state (see setupLocationTracking)
 let userLocationMarker = null;
 let isTracking = false;
 let firstLocation = true;
 
-if (locationButton) {
+/**
+ * Start and stop following the user's location with the location button.
+ * The first position centres the map on the user; every position updates
+ * the nearby trees panel (see nearby-trees.js).
+ */
+function setupLocationTracking() {
+    const locationButton = document.getElementById('location-button');
+    if (!locationButton) return;
+    
     // Handle location found event
     map.on('locationfound', function(e) {
         // Update or create marker
@@ -579,6 +971,9 @@ if (locationButton) {
             }).addTo(map);
         }
 
+        // List the nearest trees, opening the panel on the first position
+        updateNearbyPosition(e.latlng, firstLocation);
+
         // Center the map on user location only on first location
         if (firstLocation) {
             map.setView(e.latlng, 19, {
@@ -592,9 +987,12 @@ if (locationButton) {
     // Handle location error
     map.on('locationerror', function(e) {
         console.error('Location error:', e.message);
-        alert('No se pudo obtener tu ubicación. Por favor, verifica los permisos de ubicación de tu navegador.');
+        alert(t('location.error'));
         isTracking = false;
         firstLocation = true;
+        locationButton.style.backgroundColor = 'white';
+        locationButton.setAttribute('aria-pressed', 'false');
+        closeNearbyPanel();
     });
 
     // Location button click handler
@@ -614,6 +1012,7 @@ if (locationButton) {
             });
             isTracking = true;
             locationButton.style.backgroundColor = '#e3f2fd';  // Light blue to indicate active
+            locationButton.setAttribute('aria-pressed', 'true');
             console.log('📍 Location tracking started');
         } else {
             // Stop tracking
@@ -621,15 +1020,15 @@ if (locationButton) {
             isTracking = false;
             firstLocation = true;
             locationButton.style.backgroundColor = 'white';
+            locationButton.setAttribute('aria-pressed', 'false');
             
             // Remove marker
             if (userLocationMarker) {
                 map.removeLayer(userLocationMarker);
                 userLocationMarker = null;
             }
+            closeNearbyPanel();
             console.log('❌ Location tracking stopped');
         }
     });
 }
-
-initialize();
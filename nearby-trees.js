@@ -0,0 +1,194 @@
+/**
+ * "Trees near me" panel.
+ *
+ * While location tracking is on (see the location button in map.js), lists the
+ * loaded trees closest to the user's position with their distance, direction,
+ * species and size. The list follows every position update, and a species
+ * search narrows it down ("nearest holm oak"). Clicking a tree opens it on the
+ * map.
+ *
+ * Nearest trees come from the grid in spatial-index.js, so only trees of
+ * districts already loaded are listed.
+ */
+
+const NEARBY_TREE_COUNT = 10;
+
+// Trees farther than this are not listed
+const NEARBY_MAX_DISTANCE = 5000;
+
+// Compass points, each covering 45° centred on its bearing
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * Nearby panel state.
+ *
+ * Properties:
+ * - position: Last known user position (L.LatLng), or null
+ * - query: Species search text
+ */
+const nearbyState = {
+    position: null,
+    query: ''
+};
+
+/**
+ * Species matching the search, with the same accent-insensitive matching on
+ * scientific and common names as the filter panel, plus the common name in
+ * the page language ("holm oak"). Computed on every refresh, so species of
+ * districts loaded later are included.
+ *
+ * @returns {Set<string>|null} Matching species, or null without search
+ */
+function getNearbyMatchingSpecies() {
+    const query = normalizeSearchText(nearbyState.query);
+    if (!query) return null;
+
+    const matching = new Set();
+    filterIndex.species.forEach((entry, species) => {
+        const localName = normalizeSearchText(getLocalizedCommonName({ species, commonName: '' }));
+        if (entry.searchText.includes(query) || (localName && localName.includes(query))) {
+            matching.add(species);
+        }
+    });
+    return matching;
+}
+
+/**
+ * Format a distance for the list.
+ *
+ * @param {number} meters - Distance in meters
+ * @returns {string} "35 m" or "1,2 km"
+ */
+function formatDistance(meters) {
+    if (meters < 1000) {
+        return `${formatNumber(Math.round(meters))} m`;
+    }
+    return `${formatNumber(meters / 1000, { maximumFractionDigits: 1 })} km`;
+}
+
+/**
+ * Compass point of a bearing.
+ *
+ * @param {number} bearing - Bearing in degrees
+ * @returns {string} One of COMPASS_POINTS
+ */
+function compassPoint(bearing) {
+    return COMPASS_POINTS[Math.round(bearing / 45) % COMPASS_POINTS.length];
+}
+
+/**
+ * Build the HTML of the nearby list.
+ *
+ * @param {Array<Object>} results - Results of findNearestTrees()
+ * @returns {string} HTML content
+ */
+function buildNearbyList(results) {
+    if (!results.length) {
+        return `<div class="nearby-empty">${t(nearbyState.query ? 'nearby.noMatches' : 'nearby.noTrees')}</div>`;
+    }
+
+    let content = '<ol class="nearby-list">';
+    results.forEach(({ table, row, distance, bearing }) => {
+        const fields = getTreeFields(table, row);
+        const commonName = getLocalizedCommonName(fields);
+        const size = [
+            fields.height ? `${formatNumber(fields.height)} m` : '',
+            fields.diameter ? `⌀ ${formatNumber(fields.diameter)} cm` : ''
+        ].filter(Boolean).join(' · ');
+        const direction = t(`nearby.compass.${compassPoint(bearing)}`);
+
+        content += `
+            <li>
+                <button type="button" class="nearby-tree" data-tree-id="${escapeHtml(getTreeId(table.code, row))}">
+                    <span class="nearby-distance">
+                        <span class="nearby-arrow" style="transform: rotate(${Math.round(bearing)}deg)" aria-hidden="true">↑</span>
+                        ${formatDistance(distance)}
+                        <span class="nearby-direction" title="${t('nearby.direction')}">${direction}</span>
+                    </span>
+                    <span class="nearby-species">${escapeHtml(fields.species)}</span>
+                    ${commonName && commonName !== fields.species ? `<span class="nearby-common-name">${escapeHtml(commonName)}</span>` : ''}
+                    ${size ? `<span class="nearby-size">${size}</span>` : ''}
+                </button>
+            </li>
+        `;
+    });
+    content += '</ol>';
+    return content;
+}
+
+/**
+ * Refresh the list for the last known position, if the panel is open.
+ * Called on every position update and when a district finishes loading.
+ */
+function refreshNearbyTrees() {
+    const panel = document.getElementById('nearby-panel');
+    const list = document.getElementById('nearby-results');
+    if (!panel || !list || !nearbyState.position || !panel.classList.contains('show')) return;
+
+    const { lat, lng } = nearbyState.position;
+    const matching = getNearbyMatchingSpecies();
+    const results = findNearestTrees(lat, lng, {
+        count: NEARBY_TREE_COUNT,
+        maxDistance: NEARBY_MAX_DISTANCE,
+        filter: matching ? (table, row) => matching.has(table.strings[table.species[row]]) : null
+    });
+    list.innerHTML = buildNearbyList(results);
+}
+
+/**
+ * Record a new user position and update the list. The panel opens on the
+ * first position of each tracking session.
+ *
+ * @param {L.LatLng} latlng - User position
+ * @param {boolean} [open=false] - Open the panel if it is closed
+ */
+function updateNearbyPosition(latlng, open = false) {
+    const panel = document.getElementById('nearby-panel');
+    if (!panel) return;
+
+    nearbyState.position = latlng;
+    if (open) {
+        panel.classList.add('show');
+    }
+    refreshNearbyTrees();
+}
+
+/**
+ * Close the panel and forget the position, when tracking stops.
+ */
+function closeNearbyPanel() {
+    const panel = document.getElementById('nearby-panel');
+    nearbyState.position = null;
+    if (panel) {
+        panel.classList.remove('show');
+    }
+}
+
+/**
+ * Wire up the panel: species search, tree buttons and close button.
+ */
+function setupNearbyPanel() {
+    const panel = document.getElementById('nearby-panel');
+    if (!panel) return;
+
+    const search = document.getElementById('nearby-species');
+    let searchTimeout;
+    search.addEventListener('input', () => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => {
+            nearbyState.query = search.value.trim();
+            refreshNearbyTrees();
+        }, 250);
+    });
+
+    document.getElementById('nearby-results').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-tree-id]');
+        if (button) {
+            openTreeById(button.dataset.treeId);
+        }
+    });
+
+    document.getElementById('nearby-close').addEventListener('click', () => {
+        panel.classList.remove('show');
+    });
+}
@@ -0,0 +1,147 @@
+/**
+ * Offline support: service worker registration and the offline status shown
+ * in the info panel.
+ *
+ * The service worker (sw.js) keeps the app shell and the raw district files in
+ * Cache Storage, so the map opens without network. On top of that, the encoded
+ * table of every loaded district is stored in IndexedDB by district-worker.js
+ * (see district-cache.js), so repeat visits skip both the download and the
+ * JSON parsing.
+ *
+ * Cached districts are invalidated when the index's `version`, the district's
+ * `tree_count` or the tree schema's `version` change (see districtCacheKey()).
+ * Each city (see cities.js) keeps its own cached districts.
+ */
+
+/**
+ * Code a district is cached under: its city and its code.
+ *
+ * @param {string} districtCode - District code
+ * @returns {string} Cache code, "<city>/<district code>"
+ */
+function districtCacheCode(districtCode) {
+    return `${cityState.city.id}/${districtCode}`;
+}
+
+/**
+ * Cache key of a district: changes whenever the index is regenerated with a new
+ * version, the district's tree count changes or the tree schema (see
+ * tree-schema.js) gets a new version.
+ *
+ * @param {Object} districtInfo - District object from the index
+ * @returns {string} Cache key
+ */
+function districtCacheKey(districtInfo) {
+    const version = districtState.index && districtState.index.version ? districtState.index.version : '';
+    return `${version}:${districtInfo.tree_count}:${getTreeSchema().version}`;
+}
+
+/**
+ * URL of a district file, with its cache key as query string so the service
+ * worker never serves a stale file after the data is updated.
+ *
+ * @param {Object} districtInfo - District object from the index
+ * @returns {string} District file URL
+ */
+function districtFileUrl(districtInfo) {
+    return `${getCityDistrictFileUrl(districtInfo.filename)}?v=${encodeURIComponent(districtCacheKey(districtInfo))}`;
+}
+
+/**
+ * URL of a district's compact binary file (see build-binary-districts.py),
+ * versioned like districtFileUrl().
+ *
+ * @param {Object} districtInfo - District object from the index
+ * @returns {string|null} Binary file URL, or null if the index lists none
+ */
+function districtBinaryUrl(districtInfo) {
+    if (!districtInfo.binary_filename) return null;
+    return `${getCityDistrictFileUrl(districtInfo.binary_filename)}?v=${encodeURIComponent(districtCacheKey(districtInfo))}`;
+}
+
+/**
+ * Get the codes of districts of the current city whose cached copy is still
+ * valid for the current index.
+ *
+ * @returns {Promise<Set<string>>} Codes of districts available offline
+ */
+async function getCachedDistrictCodes() {
+    const codes = new Set();
+    if (!districtState.index) return codes;
+
+    const metas = await getCachedDistrictMeta();
+    metas.forEach(meta => {
+        if (meta.city !== cityState.city.id) return;
+        const district = districtState.index.districts.find(d => d.code === meta.district);
+        if (district && meta.key === districtCacheKey(district)) {
+            codes.add(meta.district);
+        }
+    });
+    return codes;
+}
+
+/**
+ * Delete cached districts of the current city that no longer match the index
+ * (new version, changed tree count, or district removed), and those of cities
+ * no longer in the manifest. Called once the index is loaded.
+ *
+ * @returns {Promise<void>}
+ */
+async function pruneTreeCache() {
+    if (!districtState.index) return;
+
+    const valid = await getCachedDistrictCodes();
+    const metas = await getCachedDistrictMeta();
+    const stale = metas
+        .filter(meta => meta.city === cityState.city.id ? !valid.has(meta.district) : !findCity(meta.city))
+        .map(meta => meta.code);
+    if (stale.length === 0) return;
+
+    await deleteCachedDistricts(stale);
+    console.log(`🧹 Caché: ${stale.length} distritos desactualizados eliminados`);
+}
+
+/**
+ * Show which districts are available offline in the info panel, and whether
+ * the browser is currently offline.
+ *
+ * @returns {Promise<void>}
+ */
+async function updateOfflineStatus() {
+    const summary = document.getElementById('offline-summary');
+    const list = document.getElementById('offline-districts');
+    if (!summary || !list || !districtState.index) return;
+
+    const cached = await getCachedDistrictCodes();
+    const districts = districtState.index.districts;
+
+    summary.textContent = navigator.onLine
+        ? t('offline.available', { count: cached.size, total: districts.length })
+        : t('offline.offline', { count: cached.size, total: districts.length });
+
+    list.replaceChildren(...districts.map(district => {
+        const item = document.createElement('li');
+        item.textContent = `${cached.has(district.code) ? '✅' : '⬜'} ${district.name}`;
+        item.className = cached.has(district.code) ? 'offline-cached' : '';
+        return item;
+    }));
+
+    document.body.classList.toggle('is-offline', !navigator.onLine);
+}
+
+/**
+ * Register the service worker and keep the offline status up to date.
+ * Registration is skipped where service workers are unsupported (e.g. file://).
+ */
+function setupOfflineMode() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('./sw.js').catch(error => {
+            console.warn('No se pudo registrar el service worker:', error);
+        });
+    }
+
+    window.addEventListener('online', updateOfflineStatus);
+    window.addEventListener('offline', updateOfflineStatus);
+
+    pruneTreeCache().then(updateOfflineStatus);
+}
@@ -0,0 +1,252 @@
+/**
+ * "Changes" view: trees planted, removed or changed since the previous release
+ * of the inventory, coloured by change type.
+ *
+ * diff-releases.py writes a changes file for every district and its counts in
+ * the index (district.changes); the legend sums the counts of the whole city
+ * and lists them by district, and the map shows the changes of the loaded
+ * districts. Changed trees open their usual popup. Removed trees are no longer
+ * in the tree store, so their popup is built from the changes file and the
+ * filter doesn't apply to them.
+ */
+
+// Change type -> colour and message key of its label
+const RELEASE_CHANGE_TYPES = {
+    added: { colour: '#2e7d32', label: 'changes.added' },
+    removed: { colour: '#c62828', label: 'changes.removed' },
+    species: { colour: '#6a1b9a', label: 'changes.species' },
+    size: { colour: '#1565c0', label: 'changes.size' }
+};
+
+const RELEASE_CHANGE_RADIUS = 6;
+
+/**
+ * Changes view state.
+ *
+ * Properties:
+ * - files: Map of district code -> Promise of its changes file (null if unavailable)
+ * - layer: Layer group of the change markers, created on first use
+ */
+const releaseChangesState = {
+    files: new Map(),
+    layer: null
+};
+
+/**
+ * Load the changes file of a district (once).
+ *
+ * @param {Object} district - District from the index, with `changes`
+ * @returns {Promise<Object|null>} Changes file, or null if unavailable
+ */
+function loadDistrictChanges(district) {
+    if (!releaseChangesState.files.has(district.code)) {
+        const url = getCityDistrictFileUrl(district.changes.filename);
+        releaseChangesState.files.set(district.code, fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                console.warn(`⚠️ No se pudieron cargar los cambios del distrito ${district.code} (${url}):`, error.message);
+                return null;
+            }));
+    }
+    return releaseChangesState.files.get(district.code);
+}
+
+/**
+ * Counts of every change type, for the whole city and by district, from the index.
+ *
+ * @returns {Object|null} { totals, districts: [{ district, counts }] }, or null
+ *   when the index has no previous release to compare with
+ */
+function getReleaseChangeCounts() {
+    const index = districtState.index;
+    if (!index || !index.changes) return null;
+
+    const totals = {};
+    Object.keys(RELEASE_CHANGE_TYPES).forEach(type => {
+        totals[type] = 0;
+    });
+    const districts = [];
+    index.districts.forEach(district => {
+        if (!district.changes) return;
+        Object.keys(totals).forEach(type => {
+            totals[type] += district.changes[type] || 0;
+        });
+        if (Object.keys(totals).some(type => district.changes[type] > 0)) {
+            districts.push({ district, counts: district.changes });
+        }
+    });
+    return { totals, districts };
+}
+
+/**
+ * Format a before/after pair of measures, or return null if either is unknown
+ * or they are equal.
+ *
+ * @param {string} key - Message key with {previous} and {current}
+ * @param {number|null} previous - Measure in the previous release
+ * @param {number|null} current - Measure now
+ * @returns {string|null} Formatted text
+ */
+function formatMeasureChange(key, previous, current) {
+    if (!previous || !current || previous === current) return null;
+    return t(key, { previous: formatNumber(previous), current: formatNumber(current) });
+}
+
+/**
+ * Describe a change for the tooltip of its marker.
+ *
+ * @param {Object} table - District table, or null for removed trees
+ * @param {Object} change - Entry of the changes file
+ * @returns {string} Tooltip HTML
+ */
+function describeReleaseChange(table, change) {
+    const title = t(RELEASE_CHANGE_TYPES[change.type].label);
+    if (change.type === 'removed') {
+        return String(html`<strong>${title}</strong><br>${change.sn}`);
+    }
+
+    const fields = getTreeFields(table, change.row);
+    const lines = [];
+    if (change.type === 'species') {
+        lines.push(t('changes.previousSpecies', { species: change.previous_sn || t('popup.notAvailable') }));
+    }
+    if (change.type !== 'added') {
+        lines.push(formatMeasureChange('changes.height', change.previous_h, fields.height));
+        lines.push(formatMeasureChange('changes.diameter', change.previous_d, fields.diameter));
+    }
+    return String(html`<strong>${title}</strong><br>${fields.species}${lines.filter(Boolean).map(line => html`<br>${line}`)}`);
+}
+
+/**
+ * Build the popup of a removed tree from its entry in the changes file.
+ *
+ * @param {Object} change - Entry of type 'removed'
+ * @returns {string} Popup HTML
+ */
+function buildRemovedTreePopup(change) {
+    return String(html`<div class="tree-info">
+        <span class="tree-species">🪓 ${change.sn}</span>
+        ${change.cn && change.cn !== change.sn && html`<span class="tree-common-name">${change.cn}</span>`}
+        <div class="tree-details">
+            <div class="tree-details-item"><strong>${t('changes.removedNote')}</strong></div>
+            ${change.d && html`<div class="tree-details-item"><strong>${t('popup.diameter')}:</strong> ${formatNumber(change.d)} cm</div>`}
+            ${change.h && html`<div class="tree-details-item"><strong>${t('popup.height')}:</strong> ${formatNumber(change.h)} m</div>`}
+        </div>
+    </div>`);
+}
+
+/**
+ * Create the marker of a change.
+ *
+ * @param {Object} table - District table
+ * @param {Object} change - Entry of the changes file
+ * @returns {L.CircleMarker|null} Marker, or null for trees hidden by the filter or unknown types
+ */
+function createReleaseChangeMarker(table, change) {
+    const type = RELEASE_CHANGE_TYPES[change.type];
+    if (!type) return null;
+
+    const style = {
+        renderer: canvasRenderer,
+        radius: RELEASE_CHANGE_RADIUS,
+        color: type.colour,
+        fillColor: type.colour,
+        fillOpacity: 0.8,
+        weight: 1
+    };
+
+    let marker;
+    if (change.type === 'removed') {
+        marker = L.circleMarker([change.lat, change.lng], style);
+        marker.bindPopup(() => buildRemovedTreePopup(change));
+    } else {
+        if (!table.loaded[change.row] || !table.shown[change.row]) return null;
+        marker = L.circleMarker(getTreeLatLng(table, change.row), style);
+        marker.on('click', () => showTreePopup(table, change.row));
+    }
+    marker.bindTooltip(() => describeReleaseChange(table, change));
+    return marker;
+}
+
+/**
+ * Draw the changes of the loaded districts, if the changes view is shown.
+ */
+async function refreshReleaseChanges() {
+    if (mapLayersState.mode !== 'changes') return;
+
+    const districts = (districtState.index ? districtState.index.districts : [])
+        .filter(district => district.changes && districtState.loadedDistricts.has(district.code));
+    const files = await Promise.all(districts.map(loadDistrictChanges));
+    if (mapLayersState.mode !== 'changes') return;
+
+    if (!releaseChangesState.layer) {
+        releaseChangesState.layer = L.layerGroup();
+    }
+    const layer = releaseChangesState.layer;
+    layer.clearLayers();
+    districts.forEach((district, index) => {
+        const table = treeStore.districts.get(district.code);
+        if (!files[index] || !table) return;
+
+        files[index].changes.forEach(change => {
+            const marker = createReleaseChangeMarker(table, change);
+            if (marker) {
+                layer.addLayer(marker);
+            }
+        });
+    });
+    if (!map.hasLayer(layer)) {
+        layer.addTo(map);
+    }
+}
+
+/**
+ * Take the change markers off the map.
+ */
+function hideReleaseChanges() {
+    if (releaseChangesState.layer && map.hasLayer(releaseChangesState.layer)) {
+        map.removeLayer(releaseChangesState.layer);
+    }
+}
+
+/**
+ * Forget the changes files and markers (e.g. when another city is chosen).
+ */
+function resetReleaseChanges() {
+    releaseChangesState.files.clear();
+    if (releaseChangesState.layer) {
+        releaseChangesState.layer.clearLayers();
+    }
+}
+
+/**
+ * Legend of the changes view: counts of the whole city, then by district.
+ *
+ * @returns {string} Legend HTML
+ */
+function buildReleaseChangesLegend() {
+    const counts = getReleaseChangeCounts();
+    let content = `<div class="legend-title">${t('legend.changes')}</div>`;
+    if (!counts) {
+        return content + `<div class="legend-note">${t('legend.noChanges')}</div>`;
+    }
+
+    Object.entries(RELEASE_CHANGE_TYPES).forEach(([type, { colour, label }]) => {
+        content += `<div class="legend-item"><span class="legend-dot" style="background: ${colour}"></span>${t(label)}: ${formatNumber(counts.totals[type])}</div>`;
+    });
+    if (counts.districts.length > 0) {
+        const types = Object.keys(RELEASE_CHANGE_TYPES);
+        const header = types.map(type => `<th><span class="legend-dot" style="background: ${RELEASE_CHANGE_TYPES[type].colour}" title="${t(RELEASE_CHANGE_TYPES[type].label)}"></span></th>`).join('');
+        const rows = counts.districts.map(({ district, counts: districtCounts }) =>
+            html`<tr><th scope="row">${district.name}</th>${types.map(type => html`<td>${formatNumber(districtCounts[type] || 0)}</td>`)}</tr>`).join('');
+        content += `<details class="legend-changes-districts"><summary>${t('legend.changesByDistrict')}</summary>`;
+        content += `<table><thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody></table></details>`;
+    }
+    content += `<div class="legend-note">${t('legend.changesNote')}</div>`;
+    return content;
+}
@@ -0,0 +1,177 @@
+/**
+ * Spatial index of loaded trees for nearest-tree queries.
+ *
+ * Every loaded district gets a uniform grid of SPATIAL_CELL_SIZE degrees: a map
+ * of cell key -> rows of the district table in that cell. Grids are built once
+ * per district, when it finishes loading, so the index grows with the tree
+ * store without ever being rebuilt.
+ *
+ * findNearestTrees() walks rings of cells outwards from the query point and
+ * stops once no unvisited cell can hold a closer tree than the ones found.
+ */
+
+// About 220 m north-south and 170 m east-west in Madrid
+const SPATIAL_CELL_SIZE = 0.002;
+
+const EARTH_RADIUS_M = 6371008.8;
+
+/**
+ * Spatial index state.
+ *
+ * Properties:
+ * - districts: Map of district code -> { table, cells: Map of cell key -> Uint32Array of rows }
+ * - bounds: Cell range covered by all grids ({ minX, minY, maxX, maxY }), or null when empty
+ */
+const spatialIndex = {
+    districts: new Map(),
+    bounds: null
+};
+
+/**
+ * Grid cell of a coordinate.
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} { x, y } cell coordinates
+ */
+function spatialCell(lat, lng) {
+    return { x: Math.floor(lng / SPATIAL_CELL_SIZE), y: Math.floor(lat / SPATIAL_CELL_SIZE) };
+}
+
+/**
+ * Add a loaded district to the index. Rows that were not loaded (no
+ * coordinates) are left out. Indexing the same table again does nothing.
+ *
+ * @param {Object} table - District table (see tree-store.js)
+ */
+function indexDistrictTrees(table) {
+    const existing = spatialIndex.districts.get(table.code);
+    if (existing && existing.table === table) return;
+
+    const rowsByCell = new Map();
+    for (let row = 0; row < table.count; row++) {
+        if (!table.loaded[row]) continue;
+
+        const { x, y } = spatialCell(table.lat[row], table.lng[row]);
+        const key = `${x}:${y}`;
+        if (!rowsByCell.has(key)) {
+            rowsByCell.set(key, []);
+        }
+        rowsByCell.get(key).push(row);
+
+        const bounds = spatialIndex.bounds;
+        if (!bounds) {
+            spatialIndex.bounds = { minX: x, minY: y, maxX: x, maxY: y };
+        } else {
+            bounds.minX = Math.min(bounds.minX, x);
+            bounds.minY = Math.min(bounds.minY, y);
+            bounds.maxX = Math.max(bounds.maxX, x);
+            bounds.maxY = Math.max(bounds.maxY, y);
+        }
+    }
+
+    const cells = new Map();
+    rowsByCell.forEach((rows, key) => cells.set(key, Uint32Array.from(rows)));
+    spatialIndex.districts.set(table.code, { table, cells });
+}
+
+/**
+ * Great-circle distance between two points (haversine).
+ *
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} Distance in meters
+ */
+function distanceMeters(lat1, lng1, lat2, lng2) {
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLng = (lng2 - lng1) * toRad;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Initial compass bearing from one point to another.
+ *
+ * @param {number} lat1 - Latitude of the origin
+ * @param {number} lng1 - Longitude of the origin
+ * @param {number} lat2 - Latitude of the destination
+ * @param {number} lng2 - Longitude of the destination
+ * @returns {number} Bearing in degrees, 0 = north, clockwise
+ */
+function bearingDegrees(lat1, lng1, lat2, lng2) {
+    const toRad = Math.PI / 180;
+    const dLng = (lng2 - lng1) * toRad;
+    const y = Math.sin(dLng) * Math.cos(lat2 * toRad);
+    const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+        Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos(dLng);
+    return (Math.atan2(y, x) / toRad + 360) % 360;
+}
+
+/**
+ * Find the loaded trees closest to a point.
+ *
+ * @param {number} lat - Latitude of the point
+ * @param {number} lng - Longitude of the point
+ * @param {Object} [options]
+ * @param {number} [options.count=10] - Number of trees to return
+ * @param {number} [options.maxDistance=Infinity] - Ignore trees farther than this, in meters
+ * @param {Function} [options.filter] - Called with (table, row); trees it rejects are skipped
+ * @returns {Array<Object>} Closest first: { table, row, distance, bearing }
+ */
+function findNearestTrees(lat, lng, { count = 10, maxDistance = Infinity, filter = null } = {}) {
+    const bounds = spatialIndex.bounds;
+    if (!bounds || count <= 0) return [];
+
+    const origin = spatialCell(lat, lng);
+    // Shortest distance covered by one ring of cells, east-west being the narrow side
+    const ringMeters = SPATIAL_CELL_SIZE * Math.PI / 180 * EARTH_RADIUS_M * Math.cos(lat * Math.PI / 180);
+    const maxRing = Math.max(
+        origin.x - bounds.minX, bounds.maxX - origin.x,
+        origin.y - bounds.minY, bounds.maxY - origin.y
+    );
+
+    const nearest = [];
+    const visitCell = (x, y) => {
+        const key = `${x}:${y}`;
+        spatialIndex.districts.forEach(({ table, cells }) => {
+            const rows = cells.get(key);
+            if (!rows) return;
+            for (const row of rows) {
+                const distance = distanceMeters(lat, lng, table.lat[row], table.lng[row]);
+                if (distance > maxDistance) continue;
+                if (nearest.length === count && distance >= nearest[count - 1].distance) continue;
+                if (filter && !filter(table, row)) continue;
+
+                let index = nearest.length;
+                while (index > 0 && nearest[index - 1].distance > distance) index--;
+                nearest.splice(index, 0, { table, row, distance });
+                if (nearest.length > count) nearest.pop();
+            }
+        });
+    };
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+        // Trees in this ring are at least (ring - 1) cells away
+        const ringDistance = Math.max(0, ring - 1) * ringMeters;
+        if (ringDistance > maxDistance) break;
+        if (nearest.length === count && ringDistance >= nearest[count - 1].distance) break;
+
+        for (let x = origin.x - ring; x <= origin.x + ring; x++) {
+            visitCell(x, origin.y - ring);
+            if (ring > 0) visitCell(x, origin.y + ring);
+        }
+        for (let y = origin.y - ring + 1; y <= origin.y + ring - 1; y++) {
+            visitCell(origin.x - ring, y);
+            visitCell(origin.x + ring, y);
+        }
+    }
+
+    nearest.forEach(result => {
+        result.bearing = bearingDegrees(lat, lng, result.table.lat[result.row], result.table.lng[result.row]);
+    });
+    return nearest;
+}
@@ -0,0 +1,340 @@
+/**
+ * Tree detail side panel.
+ *
+ * Opens next to the popup when a tree is clicked and shows:
+ * - Species facts from the local catalog (data/species-catalog.json), keyed by
+ *   scientific name: family, native range, leaf type, typical maximum height,
+ *   allergenicity and flowering months
+ * - How the tree's height and diameter compare with every tree of its species
+ *   in the city, using the deciles in species_stats.json (written by
+ *   update-district-index.py)
+ *
+ * Both files are loaded on first use. Species without a catalog entry or
+ * without stats just show less.
+ *
+ * Catalog texts are either plain strings or maps of language -> text (see
+ * localizeText()); `common_names` holds the common name in languages other
+ * than that of the tree data.
+ */
+
+const SPECIES_CATALOG_URL = './data/species-catalog.json';
+
+const LEAF_TYPES = ['deciduous', 'evergreen'];
+
+const ALLERGENICITY_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Species panel state.
+ *
+ * Properties:
+ * - catalog: Promise of the catalog's species map, once requested
+ * - catalogEntries: The catalog's species map, once loaded
+ * - stats: Promise of the species stats map, once requested
+ * - treeId: Id of the tree shown in the panel, or null when closed
+ */
+const speciesPanelState = {
+    catalog: null,
+    catalogEntries: null,
+    stats: null,
+    treeId: null
+};
+
+/**
+ * Fetch a JSON file and return one of its properties, or an empty object if
+ * the file can't be loaded.
+ *
+ * @param {string} url - File URL
+ * @param {string} key - Property to return
+ * @returns {Promise<Object>}
+ */
+async function fetchJsonSection(url, key) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        return data[key] || {};
+    } catch (error) {
+        console.warn(`⚠️ No se pudo cargar ${url}:`, error.message);
+        return {};
+    }
+}
+
+/**
+ * Load the species catalog (once).
+ *
+ * @returns {Promise<Object>} Map of scientific name -> catalog entry
+ */
+function loadSpeciesCatalog() {
+    if (!speciesPanelState.catalog) {
+        speciesPanelState.catalog = fetchJsonSection(SPECIES_CATALOG_URL, 'species').then(catalog => {
+            speciesPanelState.catalogEntries = catalog;
+            return catalog;
+        });
+    }
+    return speciesPanelState.catalog;
+}
+
+/**
+ * Load the city-wide species stats listed in the district index (once).
+ * The URL carries the data version, like the district files.
+ *
+ * @returns {Promise<Object>} Map of scientific name -> { count, height, diameter }
+ */
+function loadSpeciesStats() {
+    if (!speciesPanelState.stats) {
+        const index = districtState.index;
+        if (!index || !index.species_stats) {
+            return Promise.resolve({});
+        }
+        const url = `${getCityDistrictFileUrl(index.species_stats)}?v=${encodeURIComponent(index.version || '')}`;
+        speciesPanelState.stats = fetchJsonSection(url, 'species');
+    }
+    return speciesPanelState.stats;
+}
+
+/**
+ * Find the catalog entry of a species. Cultivars and subspecies
+ * ("Pyrus calleryana 'Chanticleer'", "Prunus cerasifera subsp. pissardii")
+ * fall back to the entry of their species.
+ *
+ * @param {Object} catalog - Map of scientific name -> catalog entry
+ * @param {string} species - Scientific name
+ * @returns {Object|null} { name, entry }, where name is the catalog key used
+ */
+function findSpeciesEntry(catalog, species) {
+    if (!species) return null;
+
+    const name = species.replace(/\s+/g, ' ').trim();
+    if (catalog[name]) {
+        return { name, entry: catalog[name] };
+    }
+
+    const words = name.split(' ');
+    const binomial = words[0] === 'x' ? words.slice(0, 4).join(' ') : words.slice(0, 2).join(' ');
+    if (catalog[binomial]) {
+        return { name: binomial, entry: catalog[binomial] };
+    }
+    return null;
+}
+
+/**
+ * Common name of a tree in the page language. The data only has Spanish
+ * names; other languages use the catalog's `common_names` once it is loaded,
+ * and fall back to the name in the data.
+ *
+ * @param {Object} fields - Tree fields as returned by getTreeFields()
+ * @returns {string} Common name
+ */
+function getLocalizedCommonName(fields) {
+    if (i18nState.language === DATA_LANGUAGE || !speciesPanelState.catalogEntries) {
+        return fields.commonName;
+    }
+    const match = findSpeciesEntry(speciesPanelState.catalogEntries, fields.species);
+    const names = match && match.entry.common_names;
+    return (names && names[i18nState.language]) || fields.commonName;
+}
+
+/**
+ * Month initials of the page language, January first.
+ *
+ * @returns {string[]} Twelve initials
+ */
+function getMonthInitials() {
+    const format = new Intl.DateTimeFormat(i18nState.locale, { month: 'narrow', timeZone: 'UTC' });
+    return Array.from({ length: 12 }, (_, month) => format.format(Date.UTC(2000, month, 1)).toUpperCase());
+}
+
+/**
+ * Percentile rank of a value within a distribution given by evenly spaced
+ * quantiles (min, deciles, max). Ties with a run of equal quantiles land in
+ * the middle of the run.
+ *
+ * @param {number[]} quantiles - Sorted quantiles
+ * @param {number} value - Value to rank
+ * @returns {number} Rank from 0 to 100
+ */
+function percentileRank(quantiles, value) {
+    const last = quantiles.length - 1;
+    if (value < quantiles[0]) return 0;
+    if (value > quantiles[last]) return 100;
+
+    let lower = 0;
+    while (lower < last && quantiles[lower] < value) lower++;
+    let upper = lower;
+    while (upper < last && quantiles[upper + 1] === value) upper++;
+
+    let position;
+    if (quantiles[lower] === value) {
+        position = (lower + upper) / 2;
+    } else {
+        // quantiles[lower - 1] < value < quantiles[lower]
+        const below = quantiles[lower - 1];
+        position = lower - 1 + (value - below) / (quantiles[lower] - below);
+    }
+    return Math.round(position / last * 100);
+}
+
+/**
+ * Build the HTML comparing a measure of the tree with its species.
+ *
+ * @param {string} label - Measure label
+ * @param {number|null} value - Tree's measure
+ * @param {number[]|undefined} quantiles - Species quantiles for the measure
+ * @param {string} unit - Unit suffix
+ * @returns {string} HTML, empty if there is nothing to compare
+ */
+function buildMeasureComparison(label, value, quantiles, unit) {
+    if (!value || !quantiles) return '';
+
+    const rank = percentileRank(quantiles, value);
+    const max = quantiles[quantiles.length - 1] || 1;
+    const format = v => `${formatNumber(v)} ${unit}`;
+    const scale = v => Math.min(100, v / max * 100).toFixed(1);
+    const median = quantiles[Math.floor(quantiles.length / 2)];
+    const lowerQuartile = (quantiles[2] + quantiles[3]) / 2;
+    const upperQuartile = (quantiles[7] + quantiles[8]) / 2;
+
+    return `
+        <div class="species-measure">
+            <div><strong>${label}:</strong> ${format(value)} · ${t('species.rank', { rank })}</div>
+            <div class="species-measure-bar" title="${t('species.medianMax', { median: format(median), max: format(max) })}">
+                <span class="species-measure-range" style="left: ${scale(lowerQuartile)}%; width: ${(scale(upperQuartile) - scale(lowerQuartile)).toFixed(1)}%"></span>
+                <span class="species-measure-median" style="left: ${scale(median)}%"></span>
+                <span class="species-measure-value" style="left: ${scale(value)}%"></span>
+            </div>
+            <div class="species-measure-scale"><span>0</span><span>${t('species.median', { median: format(median) })}</span><span>${format(max)}</span></div>
+        </div>
+    `;
+}
+
+/**
+ * Build the content of the species panel.
+ *
+ * @param {Object} fields - Tree fields as returned by getTreeFields()
+ * @param {Object|null} match - Catalog match from findSpeciesEntry()
+ * @param {Object|undefined} stats - City-wide stats of the species
+ * @returns {string} HTML content
+ */
+function buildSpeciesPanelContent(fields, match, stats) {
+    const commonName = getLocalizedCommonName(fields);
+    let content = `<h4>${escapeHtml(fields.species || t('species.unknown'))}</h4>`;
+    if (commonName && commonName !== fields.species) {
+        content += `<div class="species-common-name">${escapeHtml(commonName)}</div>`;
+    }
+
+    content += `<div class="species-section">`;
+    if (match) {
+        const entry = match.entry;
+        if (match.name !== fields.species) {
+            content += `<div class="species-note">${t('species.entryOf', { name: `<em>${escapeHtml(match.name)}</em>` })}</div>`;
+        }
+        content += `<dl class="species-facts">`;
+        if (entry.family) {
+            content += `<dt>${t('species.family')}</dt><dd>${escapeHtml(entry.family)}</dd>`;
+        }
+        if (entry.native_range) {
+            content += `<dt>${t('species.nativeRange')}</dt><dd>${escapeHtml(localizeText(entry.native_range))}</dd>`;
+        }
+        if (LEAF_TYPES.includes(entry.leaf)) {
+            content += `<dt>${t('species.leaf')}</dt><dd>${t(`species.leaf.${entry.leaf}`)}</dd>`;
+        }
+        if (entry.max_height_m) {
+            content += `<dt>${t('species.maxHeight')}</dt><dd>${formatNumber(entry.max_height_m)} m</dd>`;
+        }
+        if (ALLERGENICITY_LEVELS.includes(entry.allergenicity)) {
+            content += `<dt>${t('species.allergenicity')}</dt><dd>${t(`species.allergenicity.${entry.allergenicity}`)}</dd>`;
+        }
+        content += `</dl>`;
+
+        if (Array.isArray(entry.flowering_months) && entry.flowering_months.length) {
+            content += `<div class="species-subtitle">${t('species.flowering')}</div><div class="species-months">`;
+            getMonthInitials().forEach((initial, index) => {
+                const flowering = entry.flowering_months.includes(index + 1);
+                content += `<span class="${flowering ? 'flowering' : ''}">${initial}</span>`;
+            });
+            content += `</div>`;
+        }
+    } else {
+        const wikipediaUrl = `https://${i18nState.language}.wikipedia.org/wiki/Special:Search?search=${encodeURIComponent(fields.species || '')}`;
+        content += `<div class="species-note">${t('species.noEntry')} <a href="${wikipediaUrl}" target="_blank" rel="noopener noreferrer">${t('species.searchWikipedia')}</a></div>`;
+    }
+    content += `</div>`;
+
+    const comparison =
+        buildMeasureComparison(t('popup.height'), fields.height, stats && stats.height, 'm') +
+        buildMeasureComparison(t('popup.diameter'), fields.diameter, stats && stats.diameter, 'cm');
+    if (comparison) {
+        content += `<div class="species-section">`;
+        content += `<div class="species-subtitle">${t('species.comparedWith', { count: stats.count })}</div>`;
+        content += comparison;
+        content += `</div>`;
+    }
+
+    return content;
+}
+
+/**
+ * Open the panel for a tree. The catalog and stats are loaded on first use;
+ * if another tree is opened meanwhile, this one is not shown.
+ *
+ * @param {string} districtCode - District code
+ * @param {number} row - Row in the district table
+ */
+async function openSpeciesPanel(districtCode, row) {
+    const panel = document.getElementById('species-panel');
+    const body = document.getElementById('species-panel-content');
+    const table = treeStore.districts.get(districtCode);
+    if (!panel || !body || !table) return;
+
+    const treeId = getTreeId(districtCode, row);
+    speciesPanelState.treeId = treeId;
+
+    const fields = getTreeFields(table, row);
+    const [catalog, stats] = await Promise.all([loadSpeciesCatalog(), loadSpeciesStats()]);
+    if (speciesPanelState.treeId !== treeId) return;
+
+    body.innerHTML = buildSpeciesPanelContent(fields, findSpeciesEntry(catalog, fields.species), stats[fields.species]);
+    panel.classList.add('show');
+}
+
+/**
+ * Close the panel.
+ */
+function closeSpeciesPanel() {
+    const panel = document.getElementById('species-panel');
+    speciesPanelState.treeId = null;
+    if (panel) {
+        panel.classList.remove('show');
+    }
+}
+
+/**
+ * Wire up the panel: close button, Escape key, and closing it together with
+ * the tree popup. The catalog is loaded upfront when the page is not in the
+ * language of the data.
+ */
+function setupSpeciesPanel() {
+    const panel = document.getElementById('species-panel');
+    if (!panel) return;
+
+    // Popups need the catalog for common names in other languages
+    if (i18nState.language !== DATA_LANGUAGE) {
+        loadSpeciesCatalog();
+    }
+
+    document.getElementById('species-panel-close').addEventListener('click', () => {
+        map.closePopup();
+        closeSpeciesPanel();
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && panel.classList.contains('show')) {
+            map.closePopup();
+            closeSpeciesPanel();
+        }
+    });
+
+    map.on('popupclose', closeSpeciesPanel);
+}
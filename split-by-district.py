@@ -4,10 +4,27 @@ Script para dividir el archivo GeoJSON de árboles por distritos de Madrid.
 Crea un archivo separado por cada distrito para carga dinámica.
 """
 
+import importlib.util
 import json
 import os
 import sys
 from collections import defaultdict
+from pathlib import Path
+
+def cargar_compute_bbox():
+    """
+    Importa compute_bbox() de update-district-index.py, para que la división y
+    el índice calculen igual la caja envolvente [min_lng, min_lat, max_lng, max_lat]
+    de un distrito. El mapa la usa para cargar solo los distritos visibles.
+    El nombre del script lleva guiones, así que se carga por su ruta.
+    """
+    ruta = Path(__file__).parent / 'update-district-index.py'
+    spec = importlib.util.spec_from_file_location('update_district_index', ruta)
+    modulo = importlib.util.module_from_spec(spec)
+    spec.loader.exec_module(modulo)
+    return modulo.compute_bbox
+
+compute_bbox = cargar_compute_bbox()
 
 def split_by_district(input_file, output_dir='data/districts'):
     """
@@ -98,7 +115,8 @@ def split_by_district(input_file, output_dir='data/districts'):
             'name': district_name,
             'filename': filename,
             'tree_count': len(features),
-            'size_mb': file_size
+            'size_mb': file_size,
+            'bbox': compute_bbox(features)
         })
         
         print(f"  ✅ {district_code} - {district_name}: {len(features):,} árboles ({file_size:.2f} MB)")
@@ -127,7 +145,8 @@ def split_by_district(input_file, output_dir='data/districts'):
             'name': 'Sin distrito',
             'filename': 'district_00_sin_distrito.geojson',
             'tree_count': len(no_district),
-            'size_mb': file_size
+            'size_mb': file_size,
+            'bbox': compute_bbox(no_district)
         })
         
         print(f"  ⚠️  00 - Sin distrito: {len(no_district):,} árboles ({file_size:.2f} MB)")
@@ -205,7 +224,7 @@ Ejemplo:
 
 Resultado:
     - Crea un archivo .geojson por cada distrito de Madrid
-    - Crea districts_index.json con metadatos
+    - Crea districts_index.json con metadatos (incluida la caja envolvente de cada distrito)
     - Todos los archivos en la carpeta especificada
     """)
 
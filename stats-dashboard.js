@@ -0,0 +1,395 @@
+/**
+ * District and neighborhood statistics dashboard.
+ *
+ * Shows, for every district and its neighborhoods: tree count, number of
+ * species, Shannon diversity index, singular trees, top 10 species, height
+ * and diameter histograms and the estimated ecosystem services (see
+ * ecosystem-services.js).
+ *
+ * Stats come from the district index, where update-district-index.py
+ * precomputes them from the full district files, so the dashboard works before
+ * any district is loaded. Districts without precomputed stats fall back to the
+ * trees loaded so far (without singular tree counts).
+ */
+
+/**
+ * Histogram bin lower edges used when the index doesn't list them; the last
+ * bin is open-ended. Must match HEIGHT_BINS / DIAMETER_BINS in update-district-index.py.
+ */
+const DEFAULT_STATS_BINS = {
+    height: [0, 5, 10, 15, 20, 25, 30],
+    diameter: [0, 20, 40, 60, 80, 100, 150]
+};
+
+const TOP_SPECIES_COUNT = 10;
+
+/**
+ * Dashboard state.
+ *
+ * Properties:
+ * - selectedDistrict: Code of the district whose details are shown, or null
+ * - selectedNeighborhood: Neighborhood shown within it, or '' for the whole district
+ * - loadedStats: WeakMap of district table -> stats computed from it
+ */
+const statsDashboardState = {
+    selectedDistrict: null,
+    selectedNeighborhood: '',
+    loadedStats: new WeakMap()
+};
+
+/**
+ * Histogram bins from the index, or the defaults.
+ *
+ * @returns {Object} { height: number[], diameter: number[] }
+ */
+function getStatsBins() {
+    const index = districtState.index;
+    return (index && index.stats_bins) || DEFAULT_STATS_BINS;
+}
+
+/**
+ * Index of the bin a value falls in, given the bins' lower edges.
+ *
+ * @param {number} value - Value
+ * @param {number[]} edges - Bin lower edges
+ * @returns {number} Bin index
+ */
+function histogramBin(value, edges) {
+    let index = 0;
+    while (index + 1 < edges.length && value >= edges[index + 1]) {
+        index++;
+    }
+    return index;
+}
+
+/**
+ * Shannon diversity index (natural log) of species counts.
+ *
+ * @param {Iterable<number>} counts - Number of trees of each species
+ * @returns {number} Shannon index
+ */
+function shannonIndex(counts) {
+    const values = Array.from(counts);
+    const total = values.reduce((sum, count) => sum + count, 0);
+    if (!total) return 0;
+    return -values.reduce((sum, count) => sum + count / total * Math.log(count / total), 0);
+}
+
+/**
+ * Compute district stats, and those of its neighborhoods, from a loaded
+ * district table. Same shape as the precomputed stats in the index, except
+ * singular_count, which is null.
+ *
+ * @param {Object} table - District table (see tree-store.js)
+ * @returns {Object} District stats with a neighborhoods map
+ */
+function computeLoadedDistrictStats(table) {
+    const bins = getStatsBins();
+    const newCounts = () => ({
+        count: 0,
+        species: new Map(),
+        height: new Array(bins.height.length).fill(0),
+        diameter: new Array(bins.diameter.length).fill(0),
+        heightSum: 0,
+        heightCount: 0,
+        ecosystem: newEcosystemTotals()
+    });
+    const addTree = (counts, fields) => {
+        counts.count++;
+        if (fields.species) {
+            counts.species.set(fields.species, (counts.species.get(fields.species) || 0) + 1);
+        }
+        if (fields.height) {
+            counts.height[histogramBin(fields.height, bins.height)]++;
+            counts.heightSum += fields.height;
+            counts.heightCount++;
+        }
+        if (fields.diameter) {
+            counts.diameter[histogramBin(fields.diameter, bins.diameter)]++;
+        }
+        addEcosystemServices(counts.ecosystem, fields);
+    };
+    const summarize = counts => ({
+        tree_count: counts.count,
+        species_count: counts.species.size,
+        shannon: shannonIndex(counts.species.values()),
+        singular_count: null,
+        mean_height: counts.heightCount ? counts.heightSum / counts.heightCount : null,
+        top_species: Array.from(counts.species, ([sn, count]) => ({ sn, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, TOP_SPECIES_COUNT),
+        height_histogram: counts.height,
+        diameter_histogram: counts.diameter,
+        ecosystem: counts.ecosystem
+    });
+
+    const districtCounts = newCounts();
+    const neighborhoods = new Map();
+    for (let row = 0; row < table.count; row++) {
+        if (!table.loaded[row]) continue;
+
+        const fields = getTreeFields(table, row);
+        addTree(districtCounts, fields);
+        if (fields.neighborhood) {
+            if (!neighborhoods.has(fields.neighborhood)) {
+                neighborhoods.set(fields.neighborhood, newCounts());
+            }
+            addTree(neighborhoods.get(fields.neighborhood), fields);
+        }
+    }
+
+    const stats = summarize(districtCounts);
+    stats.neighborhoods = {};
+    Array.from(neighborhoods.keys()).sort().forEach(name => {
+        stats.neighborhoods[name] = summarize(neighborhoods.get(name));
+    });
+    return stats;
+}
+
+/**
+ * Get the stats of a district: precomputed if the index has them, otherwise
+ * computed from its loaded trees.
+ *
+ * @param {Object} district - District object from the index
+ * @returns {Object|null} { stats, loaded }, or null if there is no data yet
+ */
+function getDistrictStats(district) {
+    if (district.stats) {
+        return { stats: district.stats, loaded: false };
+    }
+
+    const table = treeStore.districts.get(district.code);
+    if (!table || !districtState.loadedDistricts.has(district.code)) {
+        return null;
+    }
+    if (!statsDashboardState.loadedStats.has(table)) {
+        statsDashboardState.loadedStats.set(table, computeLoadedDistrictStats(table));
+    }
+    return { stats: statsDashboardState.loadedStats.get(table), loaded: true };
+}
+
+/**
+ * Format a share as a percentage.
+ *
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {string} Percentage text
+ */
+function formatShare(part, total) {
+    if (!total) return '0%';
+    return `${formatNumber(part / total * 100, { maximumFractionDigits: 2 })}%`;
+}
+
+/**
+ * Format a Shannon index with two decimals.
+ *
+ * @param {number} value - Shannon index
+ * @returns {string} Formatted index
+ */
+function formatShannon(value) {
+    return formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Build the HTML of a histogram.
+ *
+ * @param {string} title - Histogram title
+ * @param {number[]} counts - Trees per bin
+ * @param {number[]} edges - Bin lower edges
+ * @param {string} unit - Unit suffix
+ * @returns {string} HTML, empty if there are no measured trees
+ */
+function buildHistogram(title, counts, edges, unit) {
+    const max = Math.max(0, ...counts);
+    if (!max) return '';
+
+    let content = `<div class="stats-subtitle">${title}</div><div class="stats-histogram">`;
+    counts.forEach((count, index) => {
+        const label = index + 1 < edges.length ? `${edges[index]}-${edges[index + 1]}` : `${edges[index]}+`;
+        content += `
+            <div class="stats-histogram-bin" title="${label} ${unit}: ${t('stats.trees', { count })}">
+                <span class="stats-histogram-bar" style="height: ${(count / max * 100).toFixed(1)}%"></span>
+                <span class="stats-histogram-label">${label}</span>
+            </div>
+        `;
+    });
+    content += `</div>`;
+    return content;
+}
+
+/**
+ * Build the HTML details of a district or neighborhood.
+ *
+ * @param {Object} stats - Area stats
+ * @param {string} districtCode - Code of the district the area belongs to
+ * @returns {string} HTML content
+ */
+function buildAreaStatsDetails(stats, districtCode) {
+    const bins = getStatsBins();
+    // The special district only holds singular trees; elsewhere they are counted apart
+    const singularTotal = isSpecialDistrict(districtCode)
+        ? stats.tree_count
+        : stats.tree_count + stats.singular_count;
+
+    let content = `<dl class="stats-facts">`;
+    content += `<dt>${t('stats.treeCount')}</dt><dd>${formatNumber(stats.tree_count)}</dd>`;
+    content += `<dt>${t('stats.speciesCount')}</dt><dd>${formatNumber(stats.species_count)}</dd>`;
+    content += `<dt>${t('stats.diversity')}</dt><dd>${formatShannon(stats.shannon)}</dd>`;
+    if (stats.singular_count !== null && stats.singular_count !== undefined) {
+        content += `<dt>${t('stats.singularCount')}</dt><dd>${formatNumber(stats.singular_count)} (${formatShare(stats.singular_count, singularTotal)})</dd>`;
+    }
+    content += `</dl>`;
+
+    if (stats.top_species.length) {
+        const top = stats.top_species[0].count;
+        content += `<div class="stats-subtitle">${t('stats.topSpecies')}</div><ol class="stats-top-species">`;
+        stats.top_species.forEach(({ sn, count }) => {
+            content += `
+                <li>
+                    <span class="stats-top-species-name">${escapeHtml(sn)}</span>
+                    <span class="stats-top-species-count">${formatNumber(count)} · ${formatShare(count, stats.tree_count)}</span>
+                    <span class="stats-top-species-bar" style="width: ${(count / top * 100).toFixed(1)}%"></span>
+                </li>
+            `;
+        });
+        content += `</ol>`;
+    }
+
+    content += buildHistogram(t('stats.heightHistogram'), stats.height_histogram, bins.height, 'm');
+    content += buildHistogram(t('stats.diameterHistogram'), stats.diameter_histogram, bins.diameter, 'cm');
+
+    // Indexes written before the estimates existed don't have them
+    if (stats.ecosystem && stats.ecosystem.count) {
+        content += `<div class="stats-subtitle">${t('ecosystem.title')}</div>`;
+        content += buildEcosystemServicesList(stats.ecosystem);
+    }
+    return content;
+}
+
+/**
+ * Render the dashboard: the district table and the selected district's details.
+ */
+function renderStatsDashboard() {
+    const tableBody = document.getElementById('stats-districts');
+    const details = document.getElementById('stats-details');
+    const index = districtState.index;
+    if (!tableBody || !details || !index) return;
+
+    let rows = '';
+    index.districts.forEach(district => {
+        const result = getDistrictStats(district);
+        const selected = district.code === statsDashboardState.selectedDistrict ? ' class="selected"' : '';
+        if (result) {
+            const stats = result.stats;
+            rows += `
+                <tr data-code="${escapeHtml(district.code)}"${selected}>
+                    <td><button type="button" class="stats-district-link">${escapeHtml(district.name)}</button>${result.loaded ? ` <span class="stats-partial" title="${t('stats.partial')}">*</span>` : ''}</td>
+                    <td>${formatNumber(stats.tree_count)}</td>
+                    <td>${formatNumber(stats.species_count)}</td>
+                    <td>${formatShannon(stats.shannon)}</td>
+                    <td>${stats.singular_count === null ? '—' : formatNumber(stats.singular_count)}</td>
+                </tr>
+            `;
+        } else {
+            rows += `
+                <tr data-code="${escapeHtml(district.code)}"${selected}>
+                    <td><button type="button" class="stats-district-link">${escapeHtml(district.name)}</button></td>
+                    <td>${formatNumber(district.tree_count)}</td>
+                    <td colspan="3" class="stats-pending">${t('stats.notLoaded')}</td>
+                </tr>
+            `;
+        }
+    });
+    tableBody.innerHTML = rows;
+
+    const district = index.districts.find(d => d.code === statsDashboardState.selectedDistrict);
+    const result = district && getDistrictStats(district);
+    if (!result) {
+        details.innerHTML = district
+            ? `<div class="stats-pending">${t('stats.zoomToLoad', { name: escapeHtml(district.name) })}</div>`
+            : '';
+        return;
+    }
+
+    const neighborhoods = result.stats.neighborhoods || {};
+    const neighborhood = neighborhoods[statsDashboardState.selectedNeighborhood]
+        ? statsDashboardState.selectedNeighborhood
+        : '';
+
+    let content = `<h5>${escapeHtml(district.name)}${neighborhood ? ` · ${escapeHtml(neighborhood)}` : ''}</h5>`;
+    const names = Object.keys(neighborhoods);
+    if (names.length) {
+        content += `<select id="stats-neighborhood" aria-label="${t('popup.neighborhood')}"><option value="">${t('stats.wholeDistrict')}</option>`;
+        names.forEach(name => {
+            content += `<option value="${escapeHtml(name)}"${name === neighborhood ? ' selected' : ''}>${escapeHtml(name)}</option>`;
+        });
+        content += `</select>`;
+    }
+    content += buildAreaStatsDetails(neighborhood ? neighborhoods[neighborhood] : result.stats, district.code);
+    if (result.loaded) {
+        content += `<div class="stats-pending">* ${t('stats.partial')}</div>`;
+    }
+    details.innerHTML = content;
+}
+
+/**
+ * Re-render the dashboard if it is open. Called when a district finishes loading.
+ */
+function refreshStatsDashboard() {
+    const panel = document.getElementById('stats-panel');
+    if (panel && panel.classList.contains('show')) {
+        renderStatsDashboard();
+    }
+}
+
+/**
+ * Select a district in the dashboard and zoom the map to it.
+ *
+ * @param {string} code - District code
+ */
+function selectStatsDistrict(code) {
+    const district = districtState.index && districtState.index.districts.find(d => d.code === code);
+    if (!district) return;
+
+    statsDashboardState.selectedDistrict = code;
+    statsDashboardState.selectedNeighborhood = '';
+    if (district.bbox) {
+        map.fitBounds(bboxToBounds(district.bbox));
+    }
+    renderStatsDashboard();
+}
+
+/**
+ * Wire up the dashboard button and panel.
+ */
+function setupStatsDashboard() {
+    const statsButton = document.getElementById('stats-button');
+    const statsPanel = document.getElementById('stats-panel');
+    if (!statsButton || !statsPanel) return;
+
+    statsButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        statsPanel.classList.toggle('show');
+        statsButton.classList.toggle('active', statsPanel.classList.contains('show'));
+        refreshStatsDashboard();
+    });
+
+    document.getElementById('stats-close').addEventListener('click', () => {
+        statsPanel.classList.remove('show');
+        statsButton.classList.remove('active');
+    });
+
+    document.getElementById('stats-districts').addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-code]');
+        if (row) {
+            selectStatsDistrict(row.dataset.code);
+        }
+    });
+
+    document.getElementById('stats-details').addEventListener('change', (e) => {
+        if (e.target.id === 'stats-neighborhood') {
+            statsDashboardState.selectedNeighborhood = e.target.value;
+            renderStatsDashboard();
+        }
+    });
+}
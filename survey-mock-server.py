@@ -0,0 +1,145 @@
+#!/usr/bin/env python3
+"""
+Mock backend for the field survey mode, for local testing.
+
+It answers like the reference sync adapter of field-survey.js expects: every
+POST receives
+
+    {"city": "madrid", "edits": [{"key": "madrid/01-12", "tree_id": "01-12", "status": "dead", ...}]}
+
+appends the valid edits to the output file, one JSON line each, and responds
+
+    {"accepted": ["madrid/01-12"]}
+
+Edits without a key, tree id or position are not accepted, so they stay
+queued in the browser. A GET returns how many edits were stored. Responses
+allow any origin, as the map is usually served from another port.
+
+Usage:
+
+    python survey-mock-server.py [port] [--output FILE] [--fail]
+
+Then point the city's `survey.endpoint` in data/cities.json to
+http://localhost:8001/edits (and add http://localhost:8001 to connect-src in
+the Content Security Policy of index.html while testing). --fail answers
+every POST with 503, to check that edits stay queued and are retried.
+"""
+
+import json
+import sys
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from pathlib import Path
+
+DEFAULT_PORT = 8001
+DEFAULT_OUTPUT = 'survey-edits.jsonl'
+
+# Fields an edit needs to be accepted
+REQUIRED_FIELDS = ('key', 'tree_id', 'lat', 'lng')
+
+
+def accepted_edits(payload):
+    """Edits of a request body that have every required field"""
+    edits = payload.get('edits') if isinstance(payload, dict) else None
+    if not isinstance(edits, list):
+        return []
+    return [
+        edit for edit in edits
+        if isinstance(edit, dict) and all(edit.get(field) not in (None, '') for field in REQUIRED_FIELDS)
+    ]
+
+
+class SurveyHandler(BaseHTTPRequestHandler):
+    """Store the edits POSTed by the map"""
+
+    output = Path(DEFAULT_OUTPUT)
+    fail = False
+
+    def send_json(self, status, body):
+        data = json.dumps(body).encode('utf-8')
+        self.send_response(status)
+        self.send_header('Content-Type', 'application/json')
+        self.send_header('Content-Length', str(len(data)))
+        self.send_cors_headers()
+        self.end_headers()
+        self.wfile.write(data)
+
+    def send_cors_headers(self):
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+        self.send_header('Access-Control-Allow-Headers', 'Content-Type')
+
+    def do_OPTIONS(self):
+        self.send_response(204)
+        self.send_cors_headers()
+        self.end_headers()
+
+    def do_GET(self):
+        count = 0
+        if self.output.exists():
+            with open(self.output, 'r', encoding='utf-8') as f:
+                count = sum(1 for line in f if line.strip())
+        self.send_json(200, {'edits': count})
+
+    def do_POST(self):
+        if self.fail:
+            self.send_json(503, {'error': 'Unavailable (--fail)'})
+            return
+
+        length = int(self.headers.get('Content-Length') or 0)
+        try:
+            payload = json.loads(self.rfile.read(length) or b'{}')
+        except json.JSONDecodeError:
+            self.send_json(400, {'error': 'Invalid JSON'})
+            return
+
+        edits = accepted_edits(payload)
+        with open(self.output, 'a', encoding='utf-8') as f:
+            for edit in edits:
+                f.write(json.dumps(edit, ensure_ascii=False) + '\n')
+
+        city = payload.get('city') if isinstance(payload, dict) else None
+        print(f"  {city}: {len(edits)} edits stored")
+        self.send_json(200, {'accepted': [edit['key'] for edit in edits]})
+
+
+def parse_arguments(args):
+    """Read the command line: [port] [--output FILE] [--fail]"""
+    options = {'port': DEFAULT_PORT, 'output': Path(DEFAULT_OUTPUT), 'fail': False}
+
+    i = 0
+    while i < len(args):
+        arg = args[i]
+        if arg == '--output' and i + 1 < len(args):
+            options['output'] = Path(args[i + 1])
+            i += 2
+        elif arg == '--fail':
+            options['fail'] = True
+            i += 1
+        elif arg.isdigit():
+            options['port'] = int(arg)
+            i += 1
+        else:
+            print(f"Error: Unknown argument: {arg}")
+            return None
+    return options
+
+
+def main():
+    options = parse_arguments(sys.argv[1:])
+    if options is None:
+        return
+
+    SurveyHandler.output = options['output']
+    SurveyHandler.fail = options['fail']
+    server = ThreadingHTTPServer(('localhost', options['port']), SurveyHandler)
+    print(f"Survey mock server on http://localhost:{options['port']}/ (edits in {options['output']})")
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        print("\nStopped")
+    finally:
+        server.server_close()
+
+
+if __name__ == '__main__':
+    main()
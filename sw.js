@@ -0,0 +1,158 @@
+/**
+ * Service worker for offline use.
+ *
+ * Caching strategies:
+ * - App shell (HTML, scripts, icons): network first, cache fallback, so deploys
+ *   show up immediately when online
+ * - District index: network first, cache fallback
+ * - District files of every city (see cities.js): cache first. Their URLs carry
+ *   a ?v= cache key (see districtFileUrl() in offline-cache.js), so a new data
+ *   release is a cache miss; older copies of the same file are deleted when the
+ *   new one is stored
+ * - Leaflet and other versioned CDN assets: cache first
+ * - Map tiles and analytics: not cached
+ */
+
+const SHELL_CACHE = 'madtrees-shell-v1';
+const DATA_CACHE = 'madtrees-data-v1';
+const CDN_CACHE = 'madtrees-cdn-v1';
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './map.js',
+    './main.js',
+    './i18n.js',
+    './locales/es.js',
+    './locales/en.js',
+    './html.js',
+    './analytics.js',
+    './cookie-consent.js',
+    './cities.js',
+    './district-cache.js',
+    './tree-schema.js',
+    './district-parser.js',
+    './district-worker.js',
+    './tree-store.js',
+    './tree-styles.js',
+    './ecosystem-services.js',
+    './filters.js',
+    './deep-link.js',
+    './species-panel.js',
+    './stats-dashboard.js',
+    './spatial-index.js',
+    './nearby-trees.js',
+    './area-selection.js',
+    './area-analysis.js',
+    './data-export.js',
+    './tour-builder.js',
+    './field-survey.js',
+    './tree-list.js',
+    './tree-points.js',
+    './release-changes.js',
+    './map-layers.js',
+    './offline-cache.js',
+    './district-status.js',
+    './data/species-catalog.json',
+    './data/styles.json',
+    './data/schema.json',
+    './data/ecosystem-services.json',
+    './data/cities.json',
+    './site.webmanifest',
+    './favicon.ico',
+    './favicon.svg',
+    './favicon-96x96.png',
+    './android-chrome-192x192.png',
+    './resources/info-icon.svg'
+];
+
+const CDN_HOSTS = ['unpkg.com', 'cdn.jsdelivr.net'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    const current = [SHELL_CACHE, DATA_CACHE, CDN_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('madtrees-') && !current.includes(name))
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Fetch from the network and update the cache, falling back to the cached copy.
+ *
+ * @param {Request} request - Request to serve
+ * @param {string} cacheName - Cache to read from and write to
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serve from the cache, fetching and storing on a miss.
+ *
+ * @param {Request} request - Request to serve
+ * @param {string} cacheName - Cache to read from and write to
+ * @param {boolean} replaceOtherVersions - Delete cached copies of the same path with another query string
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName, replaceOtherVersions) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        if (replaceOtherVersions) {
+            const previous = await cache.keys(request, { ignoreSearch: true });
+            await Promise.all(previous.map(key => cache.delete(key)));
+        }
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.endsWith('/districts_index.json')) {
+            event.respondWith(networkFirst(request, DATA_CACHE));
+        } else if (/\/districts\/[^/]+$/.test(url.pathname)) {
+            event.respondWith(cacheFirst(request, DATA_CACHE, true));
+        } else {
+            event.respondWith(networkFirst(request, SHELL_CACHE));
+        }
+        return;
+    }
+
+    if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, CDN_CACHE, false));
+    }
+});
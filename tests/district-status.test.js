@@ -0,0 +1,161 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, deferred, readJson } = require('./helpers/load-app');
+
+const index = readJson('data/districts/districts_index.json');
+
+// Districts 99 (a strip west of Madrid) and 22, whose bbox covers the region
+const fixtureIndex = {
+    ...index,
+    total_districts: 2,
+    districts: index.districts.filter(district => district.code === '22' || district.code === '99')
+};
+
+const ON_99 = [40.42, -3.785];
+const NORTH = [41.0, -3.6];
+
+const DISTRICT_99 = /district_99_/;
+const BINARY_99 = /district_99_OTROS_MUNICIPIOS\.bin$/;
+
+describe('district load status', () => {
+    let app;
+    let district99;
+
+    const fetchesOf = pattern => app.fetch.calls.filter(call => pattern.test(call)).length;
+    const statusOf = code => app.run('getDistrictStatus')(code);
+    const loadOf = code => app.run('getDistrictLoad')(code);
+    const setView = (center, zoom) => app.run('map').setView(center, zoom);
+    const failedItems = () => Array.from(app.document.querySelectorAll('#district-status-list li'));
+
+    beforeEach(async () => {
+        app = loadApp();
+        app.fetch.route(/districts_index\.json$/, () => new Response(JSON.stringify(fixtureIndex)));
+        await app.run('loadCityManifest()');
+        await app.run('loadDistrictIndex()');
+        district99 = app.run('districtState.index.districts').find(district => district.code === '99');
+    });
+
+    afterEach(() => app.close());
+
+    it('goes from idle to loading to loaded', async () => {
+        assert.equal(statusOf('99'), 'idle');
+        const load = app.run('loadDistrict')(district99);
+        assert.equal(statusOf('99'), 'loading');
+        await load;
+        assert.equal(statusOf('99'), 'loaded');
+        assert.equal(failedItems().length, 0);
+    });
+
+    it('waits longer before every automatic retry', () => {
+        const delay = app.run('districtRetryDelay');
+        assert.equal(delay(1), 2000);
+        assert.equal(delay(2), 4000);
+        assert.equal(delay(3), 8000);
+        assert.equal(delay(10), 60000);
+    });
+
+    it('marks a district that fails and retries it once its delay is over', async () => {
+        app.fetch.route(DISTRICT_99, () => new Response('', { status: 404 }));
+        setView(ON_99, 15);
+        const before = Date.now();
+        await app.run('loadVisibleDistricts()');
+
+        assert.equal(statusOf('99'), 'failed');
+        assert.equal(loadOf('99').attempts, 1);
+        assert.match(loadOf('99').error, /404/);
+        assert.ok(loadOf('99').retryAt >= before + 2000);
+        assert.notEqual(app.run('districtStatusState.retryTimer'), null);
+        assert.equal(statusOf('22'), 'loaded');
+
+        const fetches = fetchesOf(DISTRICT_99);
+        await app.run('loadVisibleDistricts()');
+        assert.equal(fetchesOf(DISTRICT_99), fetches);
+
+        loadOf('99').retryAt = 0;
+        await app.run('loadVisibleDistricts()');
+        assert.ok(fetchesOf(DISTRICT_99) > fetches);
+        assert.equal(loadOf('99').attempts, 2);
+    });
+
+    it('stops retrying on its own after DISTRICT_RETRY_LIMIT attempts', async () => {
+        app.fetch.route(DISTRICT_99, () => new Response('', { status: 500 }));
+        const limit = app.run('DISTRICT_RETRY_LIMIT');
+        for (let attempt = 0; attempt < limit; attempt++) {
+            await app.run('loadDistrict')(district99);
+        }
+        loadOf('99').retryAt = 0;
+
+        assert.equal(loadOf('99').attempts, limit);
+        assert.equal(app.run('isDistrictLoadDue')('99'), false);
+        assert.match(failedItems()[0].textContent, new RegExp(`${limit} intentos fallidos`));
+    });
+
+    it('lists failed districts in the loading overlay with a retry button', async () => {
+        let online = false;
+        app.fetch.route(DISTRICT_99, () => online ? undefined : new Response('', { status: 404 }));
+        app.run('setupDistrictStatusList()');
+        await app.run('loadDistrict')(district99);
+
+        const [item] = failedItems();
+        assert.equal(failedItems().length, 1);
+        assert.match(item.textContent, /OTROS MUNICIPIOS/);
+        assert.ok(app.run('loadingOverlay').classList.contains('has-failures'));
+
+        online = true;
+        item.querySelector('.district-retry-button').click();
+        await app.run('districtState.pendingLoads').get('99');
+
+        assert.equal(statusOf('99'), 'loaded');
+        assert.equal(loadOf('99').attempts, 0);
+        assert.equal(failedItems().length, 0);
+        assert.equal(app.run('loadingOverlay').classList.contains('has-failures'), false);
+    });
+
+    it('cancels the download of a district that scrolls out of view', async () => {
+        const hold = deferred();
+        app.fetch.route(BINARY_99, () => hold.promise);
+        setView(ON_99, 15);
+
+        const first = app.run('loadVisibleDistricts()');
+        setView(NORTH, 14);
+        await app.run('loadVisibleDistricts()');
+        await first;
+
+        assert.equal(statusOf('99'), 'idle');
+        assert.equal(statusOf('22'), 'loaded');
+        assert.equal(fetchesOf(/district_99_OTROS_MUNICIPIOS\.geojson$/), 0);
+        assert.deepEqual(app.logs.error, []);
+        assert.equal(failedItems().length, 0);
+
+        hold.resolve();
+        setView(ON_99, 15);
+        await app.run('loadVisibleDistricts()');
+        assert.equal(statusOf('99'), 'loaded');
+    });
+
+    it('does not cancel districts asked for explicitly', async () => {
+        const hold = deferred();
+        app.fetch.route(BINARY_99, () => hold.promise);
+        setView(ON_99, 15);
+
+        const visible = app.run('loadVisibleDistricts()');
+        // e.g. a deep link to a tree of district 99 while it is being loaded
+        const linked = app.run('loadDistrict')(district99);
+        setView(NORTH, 14);
+        await app.run('loadVisibleDistricts()');
+
+        hold.resolve();
+        await Promise.all([visible, linked]);
+        assert.equal(statusOf('99'), 'loaded');
+    });
+
+    it('forgets the status of the districts of the previous city', async () => {
+        app.fetch.route(DISTRICT_99, () => new Response('', { status: 404 }));
+        await app.run('loadDistrict')(district99);
+        assert.equal(statusOf('99'), 'failed');
+
+        app.run('resetDistrictStatus()');
+        assert.equal(statusOf('99'), 'idle');
+        assert.equal(app.run('districtStatusState.retryTimer'), null);
+    });
+});
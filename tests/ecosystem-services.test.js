@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, buildDistrictTable, readJson } = require('./helpers/load-app');
+
+const otherTowns = readJson('data/districts/district_99_OTROS_MUNICIPIOS.geojson');
+
+describe('ecosystem services', () => {
+    let app;
+
+    before(async () => {
+        app = loadApp();
+        await app.run('loadCityManifest()');
+        await app.run('loadEcosystemServices()');
+    });
+
+    after(() => app.close());
+
+    it('uses the coefficients of the species, then its genus, then its group', () => {
+        const find = app.run('findEcosystemCoefficients');
+
+        const holmOak = find('Quercus ilex subsp. ballota');
+        assert.equal(holmOak.source, 'species');
+        assert.equal(holmOak.group, 'evergreen');
+        assert.equal(holmOak.wood_density, 0.79);
+        assert.equal(holmOak.interception_ratio, 0.2);
+
+        const ash = find('Fraxinus angustifolia');
+        assert.equal(ash.source, 'genus');
+        assert.equal(ash.wood_density, 0.56);
+        assert.equal(ash.crown.max_m, 25);
+
+        const cypress = find('x Cupressocyparis x leylandii');
+        assert.equal(cypress.source, 'group');
+        assert.equal(cypress.group, 'deciduous');
+        assert.equal(find('').source, 'group');
+    });
+
+    it('estimates biomass, carbon, CO₂, canopy and interception from diameter and height', () => {
+        const estimate = app.run('estimateEcosystemServices')({ species: 'Fraxinus angustifolia', diameter: 50, height: 20 });
+        assert.equal(Math.round(estimate.biomass), 1486);
+        assert.equal(Math.round(estimate.carbon), 698);
+        assert.equal(Math.round(estimate.co2), 81);
+        assert.equal(Math.round(estimate.canopy), 84);
+        assert.equal(Math.round(estimate.interception), 4234);
+    });
+
+    it('leaves out what needs a height, and everything without a diameter', () => {
+        const estimate = app.run('estimateEcosystemServices')({ species: 'Fraxinus angustifolia', diameter: 50, height: null });
+        assert.equal(estimate.biomass, null);
+        assert.equal(estimate.co2, null);
+        assert.ok(estimate.canopy > 0);
+        assert.equal(app.run('estimateEcosystemServices')({ species: 'Fraxinus angustifolia', diameter: null, height: 20 }), null);
+    });
+
+    it('shows the estimates in the tree popup', () => {
+        const table = buildDistrictTable(app, '99', otherTowns.features);
+        const fields = app.run('getTreeFields')(table, 0);
+        const container = app.document.createElement('div');
+        container.innerHTML = app.run('buildTreePopupContent')(fields, app.window.L.latLng(table.lat[0], table.lng[0]), '99', app.run('getTreeId')('99', 0));
+
+        const terms = Array.from(container.querySelectorAll('.tree-ecosystem dt')).map(term => term.textContent);
+        assert.deepEqual(terms, ['Biomasa', 'Carbono almacenado', 'CO₂ absorbido', 'Copa', 'Lluvia interceptada']);
+    });
+
+    it('sums the same totals as update-district-index.py for a loaded district', async () => {
+        const index = readJson('data/districts/districts_index.json');
+        const expected = index.districts.find(district => district.code === '99').stats.ecosystem;
+        await app.run('loadDistrictIndex()');
+        await app.run('loadDistrict')(app.run('districtState.index.districts').find(district => district.code === '99'));
+        const totals = app.run('computeLoadedDistrictStats')(app.run('treeStore.districts').get('99')).ecosystem;
+
+        assert.equal(totals.count, expected.count);
+        ['biomass', 'carbon', 'co2', 'canopy', 'interception'].forEach(key => {
+            assert.ok(Math.abs(totals[key] - expected[key]) < 0.1, key);
+        });
+    });
+
+    it('adds the estimates to the exported columns', () => {
+        const csv = app.run('EXPORT_FORMATS.csv');
+        const header = csv.start().trim().replace('\uFEFF', '').split(',');
+        assert.deepEqual(header.slice(-5), ['biomass_kg', 'carbon_kg', 'co2_kg_year', 'canopy_m2', 'interception_l_year']);
+
+        const row = csv.tree({ species: 'Fraxinus angustifolia', diameter: 50, height: null }, 'x', 40, -3, 0).trim().split(',');
+        assert.equal(row.length, header.length);
+        assert.deepEqual(row.slice(-5, -2), ['', '', '']);
+        assert.ok(Number(row[row.length - 2]) > 0);
+    });
+});
@@ -0,0 +1,249 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadApp, deferred, ROOT } = require('./helpers/load-app');
+
+const ENDPOINT = 'http://localhost/survey/edits';
+
+describe('field survey', () => {
+    let app;
+    let server;
+
+    /**
+     * Answer the survey endpoint like survey-mock-server.py: accept every edit
+     * with a key, tree id and position, or fail with `status`.
+     */
+    const startServer = () => {
+        server = { requests: [], status: 200, hold: null };
+        app.fetch.route(/\/survey\/edits$/, async (path, options) => {
+            const body = JSON.parse(options.body);
+            server.requests.push({ method: options.method, body });
+            if (server.hold) await server.hold.promise;
+            if (server.status !== 200) return new Response('{}', { status: server.status });
+            const accepted = body.edits.filter(edit => edit.key && edit.tree_id && edit.lat && edit.lng).map(edit => edit.key);
+            return new Response(JSON.stringify({ accepted }));
+        });
+    };
+
+    const setOnline = online => {
+        Object.defineProperty(app.window.navigator, 'onLine', { value: online, configurable: true });
+    };
+
+    const renderForm = treeId => {
+        const tree = app.run('findTree')(treeId);
+        const fields = app.run('getTreeFields')(tree.table, tree.row);
+        const container = app.document.createElement('div');
+        container.innerHTML = app.run('buildTreePopupContent')(fields, tree.marker.getLatLng(), tree.table.code, treeId);
+        app.document.body.appendChild(container);
+        return container.querySelector('.survey-form');
+    };
+
+    before(async () => {
+        app = loadApp();
+        await app.run('loadCityManifest()');
+        await app.run('loadDistrictIndex()');
+        await app.run('loadDistrict')(app.run('districtState.index.districts').find(district => district.code === '99'));
+        await app.run('loadSurveyEdits()');
+        startServer();
+    });
+
+    beforeEach(async () => {
+        setOnline(true);
+        app.run('setSurveyAdapter(null)');
+        for (const treeId of Array.from(app.run('surveyState.edits').keys())) {
+            await app.run('removeSurveyEdit')(treeId);
+        }
+        server.requests.length = 0;
+        server.status = 200;
+    });
+
+    after(() => app.close());
+
+    it('only shows the edit form in survey mode', () => {
+        app.run('surveyState').enabled = false;
+        assert.equal(renderForm('99-0'), null);
+
+        app.run('surveyState').enabled = true;
+        const form = renderForm('99-0');
+        assert.equal(form.dataset.treeId, '99-0');
+        assert.deepEqual(Array.from(form.elements.status.options, option => option.value), ['', 'dead', 'missing', 'disease', 'pruning', 'species']);
+        assert.equal(form.elements.photo.getAttribute('capture'), 'environment');
+    });
+
+    it('saves the form and styles the marker by status', async () => {
+        app.run('surveyState').enabled = true;
+        const form = renderForm('99-1');
+        form.elements.status.value = 'disease';
+        form.elements.notes.value = '  Hongos en la base <b>  ';
+        app.run('bindSurveyForm')(form);
+        form.requestSubmit();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const edit = app.run('surveyState.edits').get('99-1');
+        assert.equal(edit.status, 'disease');
+        assert.equal(edit.notes, 'Hongos en la base <b>');
+        assert.equal(edit.key, 'madrid/99-1');
+        assert.match(form.querySelector('.survey-form-state').textContent, /Guardada.*exp[óo]rtala/);
+
+        const marker = app.run('findTree')('99-1').marker;
+        assert.equal(marker.options.fillColor, app.run('SURVEY_STATUSES.disease.colour'));
+        assert.ok(marker.options.radius >= 6);
+
+        // The form of the annotated tree shows the saved values, escaped
+        const again = renderForm('99-1');
+        assert.equal(again.elements.status.value, 'disease');
+        assert.equal(again.elements.notes.value, 'Hongos en la base <b>');
+
+        await app.run('removeSurveyEdit')('99-1');
+        assert.notEqual(marker.options.fillColor, app.run('SURVEY_STATUSES.disease.colour'));
+    });
+
+    it('redraws only the edited tree in the point layer', async () => {
+        const calls = [];
+        const layer = { updateTree: (table, row) => calls.push({ code: table.code, row }) };
+        const version = app.run('treePointsState.version');
+        app.run('treePointsState').layer = layer;
+        app.run('map').addLayer(layer);
+        try {
+            await app.run('saveSurveyEdit')('99-2', { status: 'dead', species: '', notes: '' });
+
+            assert.equal(app.run('treePointsState.version'), version);
+            assert.deepEqual(calls.map(call => ({ ...call })), [{ code: '99', row: 2 }]);
+        } finally {
+            app.run('map').removeLayer(layer);
+            app.run('treePointsState').layer = null;
+            await app.run('removeSurveyEdit')('99-2');
+        }
+    });
+
+    it('marks a corrected species as a wrong species', async () => {
+        const edit = await app.run('saveSurveyEdit')('99-0', { status: '', species: 'Pinus halepensis', notes: '' });
+        assert.equal(edit.status, 'species');
+        assert.equal(edit.corrected_species, 'Pinus halepensis');
+        assert.equal(edit.species, 'Pinus pinea');
+
+        const same = await app.run('saveSurveyEdit')('99-0', { status: 'pruning', species: 'Pinus pinea', notes: '' });
+        assert.equal(same.status, 'pruning');
+        assert.equal(same.corrected_species, null);
+    });
+
+    it('queues edits while offline and sends them as JSON when back online', async () => {
+        setOnline(false);
+        app.run('setSurveyAdapter')(app.run('createJsonSurveyAdapter')(ENDPOINT));
+        await app.run('saveSurveyEdit')('99-2', { status: 'dead', notes: 'Seco' });
+        await app.run('saveSurveyEdit')('99-3', { status: 'missing' });
+        assert.equal(server.requests.length, 0);
+        assert.equal(app.run('getPendingSurveyEdits()').length, 2);
+        assert.match(app.document.getElementById('survey-state').textContent, /2 anotaciones pendientes/);
+
+        setOnline(true);
+        assert.equal(await app.run('syncSurveyEdits()'), 2);
+
+        assert.equal(server.requests.length, 1);
+        const { method, body } = server.requests[0];
+        assert.equal(method, 'POST');
+        assert.equal(body.city, 'madrid');
+        assert.deepEqual(body.edits.map(edit => [edit.tree_id, edit.status]), [['99-2', 'dead'], ['99-3', 'missing']]);
+        assert.equal(body.edits[0].notes, 'Seco');
+        assert.equal(body.edits[0].data_version, app.run('districtState.index.version'));
+
+        assert.equal(app.run('getPendingSurveyEdits()').length, 0);
+        assert.ok(app.run('surveyState.edits').get('99-2').synced_at);
+        assert.match(app.document.getElementById('survey-state').textContent, /2 anotaciones enviadas/);
+    });
+
+    it('keeps edits queued when the server fails, and retries', async () => {
+        app.run('setSurveyAdapter')(app.run('createJsonSurveyAdapter')(ENDPOINT));
+        server.status = 503;
+        await app.run('saveSurveyEdit')('99-4', { status: 'pruning' });
+        await app.run('syncSurveyEdits()');
+        assert.equal(app.run('getPendingSurveyEdits()').length, 1);
+        assert.equal(app.run('surveyState.lastError'), 'HTTP 503');
+        assert.match(app.document.getElementById('survey-state').textContent, /No se pudo enviar 1 anotación \(HTTP 503\)/);
+
+        server.status = 200;
+        assert.equal(await app.run('syncSurveyEdits()'), 1);
+        assert.equal(app.run('surveyState.lastError'), null);
+    });
+
+    it('sends an edit changed during a sync again', async () => {
+        const hold = deferred();
+        server.hold = hold;
+        app.run('setSurveyAdapter')(app.run('createJsonSurveyAdapter')(ENDPOINT));
+        await app.run('saveSurveyEdit')('99-5', { status: 'dead' });
+        await app.run('saveSurveyEdit')('99-5', { status: 'missing' });
+        server.hold = null;
+        hold.resolve();
+        await app.run('syncSurveyEdits()');
+
+        assert.deepEqual(server.requests.map(request => request.body.edits[0].status), ['dead', 'missing']);
+        assert.ok(app.run('surveyState.edits').get('99-5').synced_at);
+    });
+
+    it('caps the batches by size, so photos go in smaller requests', async () => {
+        const photo = `data:image/jpeg;base64,${'A'.repeat(400 * 1024)}`;
+        setOnline(false);
+        app.run('setSurveyAdapter')(app.run('createJsonSurveyAdapter')(ENDPOINT));
+        for (const treeId of ['99-8', '99-9', '99-10']) {
+            await app.run('saveSurveyEdit')(treeId, { status: 'disease', photo });
+        }
+        await app.run('saveSurveyEdit')('99-11', { status: 'dead' });
+
+        setOnline(true);
+        assert.equal(await app.run('syncSurveyEdits()'), 4);
+        assert.deepEqual(server.requests.map(request => request.body.edits.map(edit => edit.tree_id)), [['99-8', '99-9'], ['99-10', '99-11']]);
+
+        const small = Array.from({ length: 25 }, (value, i) => ({ key: `k${i}` }));
+        assert.deepEqual([...app.run('batchSurveyEdits')(small).map(batch => batch.length)], [20, 5]);
+    });
+
+    it('reports an endpoint the Content Security Policy blocks without requesting it', async () => {
+        // The test page only has the body of index.html: add its policy
+        const [policy] = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').match(/<meta http-equiv="Content-Security-Policy"[^>]*>/);
+        app.document.head.insertAdjacentHTML('beforeend', policy);
+        try {
+            const allowed = app.run('isConnectAllowedByCsp');
+            assert.equal(allowed(ENDPOINT), true);
+            assert.equal(allowed('/survey/edits'), true);
+            assert.equal(allowed('https://region1.google-analytics.com/g/collect'), true);
+            assert.equal(allowed('https://survey.example.org/edits'), false);
+            assert.equal(allowed('http://localhost:8001/edits'), false);
+
+            await app.run('saveSurveyEdit')('99-12', { status: 'dead' });
+            app.run('setSurveyAdapter')(app.run('createJsonSurveyAdapter')('https://survey.example.org/edits'));
+            await app.run('surveyState.syncing');
+
+            assert.equal(server.requests.length, 0);
+            assert.equal(app.fetch.calls.some(call => call === '/edits'), false);
+            assert.equal(app.run('getPendingSurveyEdits()').length, 1);
+            assert.match(app.run('surveyState.lastError'), /no permite conectar con https:\/\/survey\.example\.org; añádelo a connect-src/);
+            assert.ok(app.logs.warn.some(message => message.includes('connect-src')));
+        } finally {
+            app.document.head.lastElementChild.remove();
+        }
+    });
+
+    it('sends through any adapter plugged in', async () => {
+        const sent = [];
+        await app.run('saveSurveyEdit')('99-6', { status: 'dead' });
+        app.run('setSurveyAdapter')({ name: 'test', send: async edits => edits.map(edit => (sent.push(edit.tree_id), edit.key)) });
+        await app.run('surveyState.syncing');
+        assert.deepEqual(sent, ['99-6']);
+        assert.equal(app.run('getPendingSurveyEdits()').length, 0);
+    });
+
+    it('exports the edits as GeoJSON points', async () => {
+        await app.run('saveSurveyEdit')('99-7', { status: 'disease', notes: 'Galerías' });
+        const tree = app.run('findTree')('99-7');
+        const geojson = app.run('buildSurveyGeoJson()');
+
+        assert.equal(geojson.features.length, 1);
+        const [feature] = geojson.features;
+        assert.deepEqual([...feature.geometry.coordinates], [Number(tree.table.lng[tree.row].toFixed(6)), Number(tree.table.lat[tree.row].toFixed(6))]);
+        assert.equal(feature.properties.tree_id, '99-7');
+        assert.equal(feature.properties.status, 'disease');
+        assert.equal(feature.properties.notes, 'Galerías');
+        assert.equal(feature.properties.key, undefined);
+    });
+});
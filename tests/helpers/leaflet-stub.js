@@ -0,0 +1,486 @@
+/**
+ * Minimal stand-in for Leaflet, markercluster and leaflet.heat: just enough
+ * for the app scripts to load and for the code under test to run. Layers
+ * remember what was done to them (options, style, content) so tests can
+ * inspect it; nothing is drawn.
+ *
+ * The map has a fixed 800×600 px viewport, so getBounds() follows setView().
+ */
+
+const EARTH_RADIUS_M = 6371008.8;
+const VIEWPORT = { width: 800, height: 600 };
+
+class LatLng {
+    constructor(lat, lng) {
+        this.lat = lat;
+        this.lng = lng;
+    }
+
+    distanceTo(other) {
+        const to = toLatLng(other);
+        const rad = Math.PI / 180;
+        const dLat = (to.lat - this.lat) * rad;
+        const dLng = (to.lng - this.lng) * rad;
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(this.lat * rad) * Math.cos(to.lat * rad) * Math.sin(dLng / 2) ** 2;
+        return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+    }
+
+    equals(other) {
+        const to = toLatLng(other);
+        return to.lat === this.lat && to.lng === this.lng;
+    }
+}
+
+function toLatLng(value, lng) {
+    if (value instanceof LatLng) return value;
+    if (Array.isArray(value)) return new LatLng(value[0], value[1]);
+    if (typeof value === 'number') return new LatLng(value, lng);
+    return new LatLng(value.lat, value.lng);
+}
+
+class LatLngBounds {
+    constructor(a, b) {
+        this.south = Infinity;
+        this.west = Infinity;
+        this.north = -Infinity;
+        this.east = -Infinity;
+        const points = b === undefined ? (a || []) : [a, b];
+        points.forEach(point => this.extend(point));
+    }
+
+    extend(value) {
+        const point = toLatLng(value);
+        this.south = Math.min(this.south, point.lat);
+        this.north = Math.max(this.north, point.lat);
+        this.west = Math.min(this.west, point.lng);
+        this.east = Math.max(this.east, point.lng);
+        return this;
+    }
+
+    isValid() {
+        return this.south <= this.north && this.west <= this.east;
+    }
+
+    pad(ratio) {
+        const latPad = (this.north - this.south) * ratio;
+        const lngPad = (this.east - this.west) * ratio;
+        return new LatLngBounds([this.south - latPad, this.west - lngPad], [this.north + latPad, this.east + lngPad]);
+    }
+
+    contains(value) {
+        if (value instanceof LatLngBounds) {
+            return value.south >= this.south && value.north <= this.north &&
+                value.west >= this.west && value.east <= this.east;
+        }
+        const point = toLatLng(value);
+        return point.lat >= this.south && point.lat <= this.north &&
+            point.lng >= this.west && point.lng <= this.east;
+    }
+
+    intersects(other) {
+        return other.south <= this.north && other.north >= this.south &&
+            other.west <= this.east && other.east >= this.west;
+    }
+
+    getCenter() {
+        return new LatLng((this.south + this.north) / 2, (this.west + this.east) / 2);
+    }
+
+    getSouthWest() { return new LatLng(this.south, this.west); }
+    getNorthEast() { return new LatLng(this.north, this.east); }
+    getSouth() { return this.south; }
+    getNorth() { return this.north; }
+    getWest() { return this.west; }
+    getEast() { return this.east; }
+}
+
+class Point {
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+
+    distanceTo(other) {
+        return Math.hypot(other.x - this.x, other.y - this.y);
+    }
+}
+
+class Evented {
+    on(types, handler) {
+        this._handlers = this._handlers || {};
+        types.split(/\s+/).forEach(type => {
+            (this._handlers[type] = this._handlers[type] || []).push(handler);
+        });
+        return this;
+    }
+
+    off(types, handler) {
+        if (!this._handlers) return this;
+        types.split(/\s+/).forEach(type => {
+            this._handlers[type] = (this._handlers[type] || []).filter(h => handler && h !== handler);
+        });
+        return this;
+    }
+
+    fire(type, data = {}) {
+        ((this._handlers && this._handlers[type]) || []).slice().forEach(handler => handler({ type, target: this, ...data }));
+        return this;
+    }
+}
+
+class Layer extends Evented {
+    constructor(options = {}) {
+        super();
+        this.options = { ...options };
+    }
+
+    static extend(props) {
+        const Extended = class extends this {};
+        Object.assign(Extended.prototype, props);
+        return Extended;
+    }
+
+    addTo(map) {
+        map.addLayer(this);
+        return this;
+    }
+
+    remove() {
+        if (this._map) this._map.removeLayer(this);
+        return this;
+    }
+
+    setStyle(style) {
+        Object.assign(this.options, style);
+        return this;
+    }
+
+    bindPopup(content) {
+        this.popupContent = content;
+        return this;
+    }
+
+    bindTooltip(content) {
+        this.tooltipContent = content;
+        return this;
+    }
+
+    setZIndex() { return this; }
+    bringToFront() { return this; }
+    redraw() { return this; }
+}
+
+class PointLayer extends Layer {
+    constructor(latlng, options) {
+        super(options);
+        this.latlng = toLatLng(latlng);
+    }
+
+    getLatLng() {
+        return this.latlng;
+    }
+
+    setLatLng(latlng) {
+        this.latlng = toLatLng(latlng);
+        return this;
+    }
+
+    setRadius(radius) {
+        this.options.radius = radius;
+        return this;
+    }
+}
+
+class PathLayer extends Layer {
+    constructor(latlngs, options) {
+        super(options);
+        this.latlngs = latlngs;
+    }
+
+    getBounds() {
+        return new LatLngBounds([].concat(...this.latlngs.map(l => Array.isArray(l[0]) ? l : [l])));
+    }
+
+    setLatLngs(latlngs) {
+        this.latlngs = latlngs;
+        return this;
+    }
+
+    getLatLngs() {
+        return this.latlngs;
+    }
+}
+
+class LayerGroup extends Layer {
+    constructor(layers = [], options) {
+        super(options);
+        this.layers = new Set(layers);
+    }
+
+    addLayer(layer) {
+        this.layers.add(layer);
+        return this;
+    }
+
+    removeLayer(layer) {
+        this.layers.delete(layer);
+        return this;
+    }
+
+    addLayers(layers) {
+        layers.forEach(layer => this.layers.add(layer));
+        return this;
+    }
+
+    removeLayers(layers) {
+        layers.forEach(layer => this.layers.delete(layer));
+        return this;
+    }
+
+    clearLayers() {
+        this.layers.clear();
+        return this;
+    }
+
+    hasLayer(layer) {
+        return this.layers.has(layer);
+    }
+
+    getLayers() {
+        return Array.from(this.layers);
+    }
+
+    eachLayer(fn) {
+        this.layers.forEach(fn);
+        return this;
+    }
+
+    refreshClusters() {
+        return this;
+    }
+}
+
+class Popup extends Layer {
+    setLatLng(latlng) {
+        this.latlng = toLatLng(latlng);
+        return this;
+    }
+
+    setContent(content) {
+        this.content = content;
+        return this;
+    }
+
+    getContent() {
+        return this.content;
+    }
+
+    getElement() {
+        return null;
+    }
+
+    openOn(map) {
+        map.openPopup(this);
+        return this;
+    }
+}
+
+class Map extends Evented {
+    constructor(container, options = {}) {
+        super();
+        this.container = container;
+        this.options = options;
+        this.layers = new Set();
+        this.center = new LatLng(0, 0);
+        this.zoom = 1;
+        this.popup = null;
+        this.attributions = new Set();
+        this.attributionControl = {
+            addAttribution: text => this.attributions.add(text),
+            removeAttribution: text => this.attributions.delete(text)
+        };
+        this.doubleClickZoom = { enable() {}, disable() {} };
+    }
+
+    setView(center, zoom) {
+        this.center = toLatLng(center);
+        if (zoom !== undefined) this.zoom = zoom;
+        this.fire('moveend');
+        return this;
+    }
+
+    flyTo(center, zoom) { return this.setView(center, zoom); }
+    panTo(center) { return this.setView(center); }
+
+    fitBounds(bounds) {
+        return this.setView(bounds.getCenter(), this.zoom);
+    }
+
+    getCenter() {
+        return this.center;
+    }
+
+    getZoom() {
+        return this.zoom;
+    }
+
+    getMaxZoom() {
+        return 19;
+    }
+
+    getBounds() {
+        const degreesPerPixel = 360 / (256 * 2 ** this.zoom);
+        const lngSpan = VIEWPORT.width * degreesPerPixel;
+        const latSpan = VIEWPORT.height * degreesPerPixel * Math.cos(this.center.lat * Math.PI / 180);
+        return new LatLngBounds(
+            [this.center.lat - latSpan / 2, this.center.lng - lngSpan / 2],
+            [this.center.lat + latSpan / 2, this.center.lng + lngSpan / 2]
+        );
+    }
+
+    getSize() {
+        return new Point(VIEWPORT.width, VIEWPORT.height);
+    }
+
+    latLngToContainerPoint(latlng) {
+        const bounds = this.getBounds();
+        const point = toLatLng(latlng);
+        return new Point(
+            (point.lng - bounds.west) / (bounds.east - bounds.west) * VIEWPORT.width,
+            (bounds.north - point.lat) / (bounds.north - bounds.south) * VIEWPORT.height
+        );
+    }
+
+    addLayer(layer) {
+        this.layers.add(layer);
+        layer._map = this;
+        return this;
+    }
+
+    removeLayer(layer) {
+        this.layers.delete(layer);
+        layer._map = null;
+        return this;
+    }
+
+    hasLayer(layer) {
+        return this.layers.has(layer);
+    }
+
+    openPopup(popup) {
+        this.popup = popup;
+        this.fire('popupopen', { popup });
+        return this;
+    }
+
+    closePopup() {
+        const popup = this.popup;
+        this.popup = null;
+        if (popup) this.fire('popupclose', { popup });
+        return this;
+    }
+
+    getContainer() {
+        return this.container;
+    }
+
+    getPane() {
+        return this.container;
+    }
+
+    createPane() {
+        return this.container;
+    }
+
+    locate() { return this; }
+    stopLocate() { return this; }
+    invalidateSize() { return this; }
+}
+
+/**
+ * Build the L global for a window.
+ *
+ * @param {Window} window - jsdom window
+ * @returns {Object} Leaflet stand-in
+ */
+function createLeafletStub(window) {
+    const Control = function (options) {
+        this.options = { ...options };
+    };
+    Control.prototype.addTo = function (map) {
+        this._map = map;
+        this._container = this.onAdd ? this.onAdd(map) : null;
+        if (this._container && map.getContainer()) {
+            map.getContainer().appendChild(this._container);
+        }
+        return this;
+    };
+    Control.prototype.getContainer = function () {
+        return this._container;
+    };
+    Control.prototype.remove = function () {
+        this._map = null;
+        return this;
+    };
+    Control.extend = function (props) {
+        const Parent = this;
+        const Extended = function (options) {
+            Parent.call(this, { ...props.options, ...options });
+        };
+        Extended.prototype = Object.assign(Object.create(Parent.prototype), props);
+        Extended.extend = Control.extend;
+        return Extended;
+    };
+
+    return {
+        version: 'stub',
+        LatLng,
+        LatLngBounds,
+        Point,
+        Layer,
+        Control,
+        map: (id, options) => new Map(window.document.getElementById(id), options),
+        latLng: toLatLng,
+        latLngBounds: (a, b) => new LatLngBounds(a, b),
+        point: (x, y) => new Point(x, y),
+        canvas: options => ({ options }),
+        tileLayer: (url, options) => new Layer({ ...options, url }),
+        circleMarker: (latlng, options) => new PointLayer(latlng, options),
+        marker: (latlng, options) => new PointLayer(latlng, options),
+        circle: (latlng, options) => new PointLayer(latlng, options),
+        polyline: (latlngs, options) => new PathLayer(latlngs, options),
+        polygon: (latlngs, options) => new PathLayer(latlngs, options),
+        geoJSON: (data, options) => Object.assign(new LayerGroup([], options), { data }),
+        layerGroup: layers => new LayerGroup(layers),
+        featureGroup: layers => new LayerGroup(layers),
+        markerClusterGroup: options => new LayerGroup([], options),
+        heatLayer: (points, options) => Object.assign(new Layer(options), {
+            points,
+            setLatLngs(latlngs) { this.points = latlngs; return this; },
+            setOptions(next) { Object.assign(this.options, next); return this; }
+        }),
+        popup: options => new Popup(options),
+        divIcon: options => ({ options }),
+        control: Object.assign(options => new Control(options), {
+            layers: () => new Control(),
+            scale: () => new Control()
+        }),
+        DomUtil: {
+            create(tag, className, parent) {
+                const element = window.document.createElement(tag);
+                if (className) element.className = className;
+                if (parent) parent.appendChild(element);
+                return element;
+            }
+        },
+        DomEvent: {
+            disableClickPropagation() {},
+            disableScrollPropagation() {},
+            stopPropagation() {},
+            on() {}
+        }
+    };
+}
+
+module.exports = { createLeafletStub };
@@ -0,0 +1,243 @@
+/**
+ * Load the app into a headless DOM for tests.
+ *
+ * The page of index.html is built with jsdom and its scripts are run in it in
+ * page order, like a browser would, except main.js (see SKIPPED_SCRIPTS): the
+ * app is not started, so tests call the functions they need. Leaflet is replaced by a stub (see
+ * leaflet-stub.js) and fetch() serves the files of the repository, so the
+ * district files in data/ are the fixtures.
+ *
+ * Scripts share top-level declarations the way classic scripts do; read them
+ * with app.run('districtState') rather than through window.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { createLeafletStub } = require('./leaflet-stub');
+
+const ROOT = path.join(__dirname, '..', '..');
+const BASE_URL = 'http://localhost/';
+
+// Scripts of index.html not run: third-party setup, and main.js, which starts the app
+const SKIPPED_SCRIPTS = ['analytics.js', 'cookie-consent.js', 'main.js'];
+
+/**
+ * fetch() for the page: serves repository files, unless a route answers
+ * first. Every URL requested is recorded. Aborting the request's signal
+ * rejects it with an AbortError, even while a route holds the response.
+ *
+ * @returns {Function} fetch, with `calls` (paths requested) and
+ *   `route(pattern, handler)`; handlers get the path and the request options
+ *   (method, body...) and return a Response (or a promise of one), or
+ *   undefined to let the file be served
+ */
+function createFetchMock() {
+    const routes = [];
+
+    const mockFetch = async (url, options = {}) => {
+        const { signal } = options;
+        const { pathname } = new URL(url, BASE_URL);
+        mockFetch.calls.push(pathname);
+
+        const aborted = new Promise((resolve, reject) => {
+            const abort = () => reject(new DOMException('The operation was aborted.', 'AbortError'));
+            if (signal && signal.aborted) abort();
+            if (signal) signal.addEventListener('abort', abort, { once: true });
+        });
+        aborted.catch(() => {});
+
+        for (const { pattern, handler } of routes) {
+            if (pattern.test(pathname)) {
+                const response = await Promise.race([handler(pathname, options), aborted]);
+                if (response) return response;
+            }
+        }
+        if (signal && signal.aborted) await aborted;
+
+        const file = path.join(ROOT, decodeURIComponent(pathname));
+        if (!file.startsWith(ROOT) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+            return new Response('Not found', { status: 404 });
+        }
+        return new Response(fs.readFileSync(file), { status: 200 });
+    };
+
+    mockFetch.calls = [];
+    mockFetch.route = (pattern, handler) => {
+        routes.unshift({ pattern, handler });
+    };
+    return mockFetch;
+}
+
+/**
+ * Create the page and run the app scripts in it.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.language='es'] - Interface language
+ * @returns {Object} { window, document, fetch, logs, run(code), close() };
+ *   logs has the console output of the page by level (log, warn, error)
+ */
+function loadApp({ language = 'es' } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/<script src="\.\/([^"]+)"><\/script>/g)]
+        .map(match => match[1])
+        .filter(script => !SKIPPED_SCRIPTS.includes(script));
+    const body = html
+        .replace(/<script[\s\S]*?<\/script>/g, '')
+        .replace(/^[\s\S]*<body[^>]*>/, '')
+        .replace(/<\/body>[\s\S]*$/, '');
+
+    const logs = { log: [], warn: [], error: [] };
+    const virtualConsole = new VirtualConsole();
+    Object.keys(logs).forEach(level => {
+        virtualConsole.on(level, (...args) => logs[level].push(args.map(String).join(' ')));
+    });
+    virtualConsole.on('jsdomError', error => logs.error.push(error.message));
+
+    const dom = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, {
+        url: BASE_URL,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const window = dom.window;
+    const context = dom.getInternalVMContext();
+    const run = (code, filename = 'test.js') => new vm.Script(code, { filename }).runInContext(context);
+
+    window.L = createLeafletStub(window);
+    window.fetch = createFetchMock();
+    // Used by decodeDistrictBinary(); jsdom doesn't provide it
+    window.TextDecoder = window.TextDecoder || TextDecoder;
+    window.localStorage.setItem('madtrees-language', language);
+
+    scripts.forEach(script => run(fs.readFileSync(path.join(ROOT, script), 'utf8'), script));
+    run(`selectLanguage(${JSON.stringify(language)})`);
+
+    return {
+        window,
+        document: window.document,
+        fetch: window.fetch,
+        logs,
+        run,
+        close: () => window.close()
+    };
+}
+
+/**
+ * A promise with its resolve function, to hold a response until the test
+ * lets it through.
+ *
+ * @returns {Object} { promise, resolve }
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    return { promise, resolve };
+}
+
+/**
+ * Build a district table (see tree-store.js) from GeoJSON features, the way
+ * the page does with the messages of the district worker.
+ *
+ * @param {Object} app - App from loadApp()
+ * @param {string} code - District code
+ * @param {Array<Object>} features - GeoJSON features
+ * @returns {Object} District table
+ */
+function buildDistrictTable(app, code, features) {
+    return app.run(`(code, features) => {
+        const messages = [];
+        emitDistrictTable(code, encodeDistrictFeatures(features), false, message => messages.push(message));
+        const table = createDistrictTable(messages[0]);
+        messages.filter(message => message.type === 'batch').forEach(message => writeDistrictBatch(table, message));
+        return table;
+    }`)(code, features);
+}
+
+/**
+ * A GeoJSON point feature.
+ *
+ * @param {Object} properties - Feature properties
+ * @param {Array<number>} [coordinates] - [lng, lat]
+ * @returns {Object} Feature
+ */
+function treeFeature(properties, coordinates = [-3.7038, 40.4168]) {
+    return { type: 'Feature', properties, geometry: { type: 'Point', coordinates } };
+}
+
+/**
+ * Encode GeoJSON features as a binary district file, in the layout written by
+ * build-binary-districts.py.
+ *
+ * @param {Array<Object>} features - Features with compressed property names (sn, cn, dt, nb, h, d)
+ * @param {Array<string>} [attributes] - Other properties to store as attributes
+ * @returns {ArrayBuffer} File contents
+ */
+function encodeDistrictBinary(features, attributes = []) {
+    const count = features.length;
+    const dictionary = () => {
+        const strings = [''];
+        const encode = value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            if (!strings.includes(text)) strings.push(text);
+            return strings.indexOf(text);
+        };
+        return { strings, encode };
+    };
+    const stringTable = dictionary();
+    const attributeTable = dictionary();
+    const pad = bytes => Buffer.concat([bytes, Buffer.alloc((4 - bytes.length % 4) % 4)]);
+    const column = (ArrayType, values) => Buffer.from(new ArrayType(values).buffer);
+    const packMeasure = (value, scale) => value === undefined ? 0xFFFF : Math.round(value * scale);
+
+    const coordinates = features.map(feature => feature.geometry.coordinates.map(value => Math.round(value * 1e6)));
+    const originLng = Math.min(...coordinates.map(([lng]) => lng));
+    const originLat = Math.min(...coordinates.map(([, lat]) => lat));
+    const properties = features.map(feature => feature.properties);
+    const stringColumns = ['sn', 'cn', 'dt', 'nb'].map(name => column(Uint16Array, properties.map(props => stringTable.encode(props[name]))));
+    const attributeColumns = attributes.map(name => properties.map(props => attributeTable.encode(props[name])));
+    const stored = attributeColumns.map(values => values.some(Boolean));
+
+    const strings = Buffer.from(stringTable.strings.join('\0'));
+    const header = Buffer.alloc(20);
+    header.write('MTB2', 0, 'latin1');
+    header.writeUInt32LE(count, 4);
+    header.writeInt32LE(originLng, 8);
+    header.writeInt32LE(originLat, 12);
+    header.writeUInt32LE(strings.length, 16);
+
+    const names = Buffer.from(attributes.join('\0'));
+    const attributeStrings = Buffer.from(attributeTable.strings.join('\0'));
+    const sizes = Buffer.alloc(8);
+    sizes.writeUInt32LE(attributes.length, 0);
+    sizes.writeUInt32LE(names.length, 4);
+    const attributeStringsSize = Buffer.alloc(4);
+    attributeStringsSize.writeUInt32LE(attributeStrings.length, 0);
+
+    const file = Buffer.concat([
+        pad(Buffer.concat([header, strings])),
+        column(Uint32Array, coordinates.map(([lng]) => lng - originLng)),
+        column(Uint32Array, coordinates.map(([, lat]) => lat - originLat)),
+        ...stringColumns,
+        column(Uint16Array, properties.map(props => packMeasure(props.h, 100))),
+        column(Uint16Array, properties.map(props => packMeasure(props.d, 10))),
+        pad(Buffer.concat([sizes, names, attributeStringsSize, attributeStrings, Buffer.from(stored.map(Number))])),
+        ...attributeColumns.filter((values, i) => stored[i]).map(values => column(Uint32Array, values))
+    ]);
+    return file.buffer.slice(file.byteOffset, file.byteOffset + file.length);
+}
+
+/**
+ * Read a JSON file of the repository.
+ *
+ * @param {string} file - Path from the repository root
+ * @returns {*} Parsed JSON
+ */
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+module.exports = { loadApp, deferred, buildDistrictTable, treeFeature, encodeDistrictBinary, readJson, ROOT };
@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadApp, buildDistrictTable, treeFeature, ROOT } = require('./helpers/load-app');
+
+const HOSTILE = [
+    '<img src=x onerror="alert(1)">',
+    '"><script>alert(1)</script>',
+    "' onmouseover='alert(1)",
+    '</div><iframe src="javascript:alert(1)"></iframe>'
+];
+
+/**
+ * Build the popup of a single tree and parse it.
+ *
+ * @param {Object} app - App from loadApp()
+ * @param {string} code - District code
+ * @param {Object} properties - Tree properties
+ * @returns {HTMLElement} Element holding the popup
+ */
+function renderPopup(app, code, properties) {
+    const table = buildDistrictTable(app, code, [treeFeature(properties)]);
+    const fields = app.run('getTreeFields')(table, 0);
+    const latlng = app.window.L.latLng(table.lat[0], table.lng[0]);
+    const container = app.document.createElement('div');
+    container.innerHTML = app.run('buildTreePopupContent')(fields, latlng, code, app.run('getTreeId')(code, 0));
+    return container;
+}
+
+/**
+ * Assert that parsed markup holds no element or attribute injected by data.
+ *
+ * @param {HTMLElement} container - Parsed markup
+ */
+function assertNothingInjected(container) {
+    assert.equal(container.querySelector('img, script, iframe'), null);
+    container.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attribute => assert.doesNotMatch(attribute.name, /^on/));
+    });
+}
+
+describe('escapeHtml and html``', () => {
+    let app;
+
+    before(() => {
+        app = loadApp();
+    });
+
+    after(() => app.close());
+
+    it('escapes the characters that are special in HTML', () => {
+        const escapeHtml = app.run('escapeHtml');
+        assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+        assert.equal(escapeHtml(null), '');
+        assert.equal(escapeHtml(undefined), '');
+        assert.equal(escapeHtml(0), '0');
+    });
+
+    it('escapes values but not nested templates', () => {
+        const html = app.run('html');
+        const name = '<b>Quercus</b>';
+        assert.equal(String(html`<p>${name}${html`<br>`}</p>`), '<p>&lt;b&gt;Quercus&lt;/b&gt;<br></p>');
+        assert.equal(String(html`<ul>${['<a>', html`<li>b</li>`]}</ul>`), '<ul>&lt;a&gt;<li>b</li></ul>');
+        assert.equal(String(html`<p>${null}${undefined}${false}${0}</p>`), '<p>0</p>');
+    });
+
+    it('keeps only http(s) links', () => {
+        const safeUrl = app.run('safeUrl');
+        assert.equal(safeUrl('https://datos.madrid.es/'), 'https://datos.madrid.es/');
+        assert.equal(safeUrl('javascript:alert(1)'), null);
+        assert.equal(safeUrl(' JavaScript:alert(1)'), null);
+        assert.equal(safeUrl('data:text/html,<script>alert(1)</script>'), null);
+        assert.equal(safeUrl(''), null);
+    });
+});
+
+describe('tree popup with hostile data', () => {
+    let app;
+
+    before(async () => {
+        app = loadApp();
+        await app.run('loadCityManifest()');
+    });
+
+    after(() => app.close());
+
+    HOSTILE.forEach(value => {
+        it(`shows ${JSON.stringify(value)} as text`, () => {
+            const popup = renderPopup(app, '99', { sn: value, cn: value, dt: value, nb: value, h: 5, d: 20 });
+            assertNothingInjected(popup);
+            assert.equal(popup.querySelector('.tree-species').textContent, `🌳 ${value}`);
+            assert.equal(popup.querySelectorAll('.tree-location-item').length, 2);
+            popup.querySelectorAll('.tree-location-item').forEach(item => assert.ok(item.textContent.endsWith(value)));
+        });
+    });
+
+    it('drops links of special districts that are not web pages', () => {
+        const special = app.run('cityState.city.special_districts')['22'];
+        const infoUrl = special.info_url;
+        special.info_url = 'javascript:alert(1)';
+        try {
+            const popup = renderPopup(app, '22', { sn: 'Quercus ilex' });
+            assert.equal(popup.querySelector('.tree-details a'), null);
+        } finally {
+            special.info_url = infoUrl;
+        }
+    });
+
+    it('shows error messages as text', () => {
+        app.run('showError')('<img src=x onerror="alert(1)">');
+        const error = app.document.querySelector('.error-message');
+        assertNothingInjected(error);
+        assert.match(error.textContent, /<img src=x onerror="alert\(1\)">$/);
+    });
+});
+
+describe('index.html', () => {
+    const page = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+    it('declares a Content Security Policy without unsafe scripts', () => {
+        const policy = page.match(/<meta http-equiv="Content-Security-Policy" content="([^"]+)"/);
+        assert.ok(policy);
+        const scriptSrc = policy[1].split(';').map(directive => directive.trim()).find(directive => directive.startsWith('script-src'));
+        assert.ok(scriptSrc);
+        assert.doesNotMatch(scriptSrc, /'unsafe-inline'|'unsafe-eval'/);
+        assert.match(policy[1], /object-src 'none'/);
+    });
+
+    it('has no inline scripts or event handler attributes, which the policy would block', () => {
+        // JSON-LD blocks are data, not scripts, so the policy doesn't apply to them
+        const scripts = page.match(/<script\b[^>]*>/g).filter(tag => !tag.includes('application/ld+json'));
+        scripts.forEach(tag => assert.match(tag, /\bsrc=/));
+        assert.doesNotMatch(page, /<[^>]+\son[a-z]+=/i);
+    });
+});
@@ -0,0 +1,146 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, deferred, treeFeature, encodeDistrictBinary, readJson } = require('./helpers/load-app');
+
+const BINARY_FILE = /district_99_OTROS_MUNICIPIOS\.bin$/;
+const GEOJSON_FILE = /district_99_OTROS_MUNICIPIOS\.geojson$/;
+
+describe('loadDistrict', () => {
+    let app;
+    let district;
+
+    const fetchesOf = pattern => app.fetch.calls.filter(call => pattern.test(call)).length;
+
+    beforeEach(async () => {
+        app = loadApp();
+        await app.run('loadCityManifest()');
+        assert.equal(await app.run('loadDistrictIndex()'), true);
+        district = app.run('districtState.index.districts').find(entry => entry.code === '99');
+    });
+
+    afterEach(() => app.close());
+
+    it('creates a marker for every tree of the district', async () => {
+        await app.run('loadDistrict')(district);
+
+        const table = app.run('treeStore.districts').get('99');
+        assert.equal(table.count, 34);
+        assert.equal(app.run('markers.getLayers().length'), 34);
+        assert.ok(app.run('districtState.loadedDistricts').has('99'));
+        assert.equal(fetchesOf(BINARY_FILE), 1);
+        assert.equal(fetchesOf(GEOJSON_FILE), 0);
+        assert.deepEqual(app.logs.error, []);
+    });
+
+    it('shares the load in progress with later callers', async () => {
+        const hold = deferred();
+        app.fetch.route(BINARY_FILE, () => hold.promise);
+
+        const first = app.run('loadDistrict')(district);
+        const second = app.run('loadDistrict')(district);
+        assert.equal(first, second);
+        assert.equal(app.run('districtState.pendingLoads').size, 1);
+
+        hold.resolve();
+        await Promise.all([first, second]);
+        assert.equal(fetchesOf(BINARY_FILE), 1);
+        assert.equal(app.run('districtState.pendingLoads').size, 0);
+        assert.equal(app.run('markers.getLayers().length'), 34);
+    });
+
+    it('does nothing for a district already loaded', async () => {
+        await app.run('loadDistrict')(district);
+        await app.run('loadDistrict')(district);
+
+        assert.equal(fetchesOf(BINARY_FILE), 1);
+        assert.equal(app.run('markers.getLayers().length'), 34);
+    });
+
+    it('falls back to the GeoJSON file when the binary one fails', async () => {
+        app.fetch.route(BINARY_FILE, () => new Response('', { status: 500 }));
+        await app.run('loadDistrict')(district);
+
+        assert.equal(fetchesOf(GEOJSON_FILE), 1);
+        assert.equal(app.run('treeStore.districts').get('99').count, 34);
+        assert.ok(app.logs.warn.some(message => message.includes('archivo binario no disponible (500)')));
+    });
+
+    describe('with a schema that reads an id and extra attributes', () => {
+        const schema = {
+            ...readJson('data/schema.json'),
+            version: 'attributes',
+            extra: { planted: { sources: ['FECHA_PLANTACION'], type: 'string' } }
+        };
+
+        beforeEach(async () => {
+            app.fetch.route(/schema\.json$/, () => new Response(JSON.stringify(schema), { status: 200 }));
+            await app.run('loadTreeSchema()');
+        });
+
+        it('reads them from the binary file', async () => {
+            const features = [
+                treeFeature({ sn: 'Pinus pinea', cn: 'Pino piñonero', h: 12, d: 139, id: 'A-1', FECHA_PLANTACION: '1998' }, [-3.78, 40.42]),
+                treeFeature({ sn: 'Platanus hispanica', id: 'A-2' }, [-3.781, 40.421])
+            ];
+            app.fetch.route(BINARY_FILE, () => new Response(encodeDistrictBinary(features, ['id', 'FECHA_PLANTACION']), { status: 200 }));
+            await app.run('loadDistrict')(district);
+
+            const table = app.run('treeStore.districts').get('99');
+            const fields = row => app.run('getTreeFields')(table, row);
+            assert.equal(fetchesOf(GEOJSON_FILE), 0);
+            assert.equal(table.count, 2);
+            assert.equal(fields(0).id, 'A-1');
+            assert.deepEqual({ ...fields(0).extra }, { planted: '1998' });
+            assert.equal(fields(0).height, 12);
+            assert.equal(fields(1).id, 'A-2');
+            assert.deepEqual({ ...fields(1).extra }, {});
+        });
+
+        it('falls back to the GeoJSON file when the binary one was built without them', async () => {
+            await app.run('loadDistrict')(district);
+
+            assert.equal(fetchesOf(BINARY_FILE), 1);
+            assert.equal(fetchesOf(GEOJSON_FILE), 1);
+            assert.equal(app.run('treeStore.districts').get('99').count, 34);
+            assert.ok(app.logs.warn.some(message => message.includes('el archivo binario no tiene FECHA_PLANTACION')));
+        });
+    });
+
+    it('refuses more distinct strings than the 16-bit string columns can index', () => {
+        const features = Array.from({ length: 0x10000 }, (value, i) => treeFeature({ sn: `Especie ${i}` }));
+        assert.throws(() => app.run('encodeDistrictFeatures')(features), /Demasiados textos distintos/);
+        assert.equal(app.run('encodeDistrictFeatures')(features.slice(1)).strings.length, 0x10000);
+    });
+
+    it('logs a district that cannot be fetched and lets it be loaded later', async () => {
+        let online = false;
+        app.fetch.route(/district_99_/, () => online ? undefined : new Response('', { status: 404 }));
+
+        await app.run('loadDistrict')(district);
+        assert.ok(app.logs.error.some(message => message.includes('Error al cargar distrito 99')));
+        assert.equal(app.run('districtState.loadedDistricts').has('99'), false);
+        assert.equal(app.run('districtState.pendingLoads').size, 0);
+        assert.equal(app.run('districtJobs').size, 0);
+        assert.equal(app.run('markers.getLayers().length'), 0);
+
+        online = true;
+        await app.run('loadDistrict')(district);
+        assert.ok(app.run('districtState.loadedDistricts').has('99'));
+        assert.equal(app.run('markers.getLayers().length'), 34);
+    });
+
+    it('survives network errors', async () => {
+        app.fetch.route(/district_99_/, () => Promise.reject(new TypeError('Failed to fetch')));
+
+        await app.run('loadDistrict')(district);
+        assert.ok(app.logs.error.some(message => message.includes('Failed to fetch')));
+        assert.equal(app.run('districtState.loadedDistricts').has('99'), false);
+    });
+
+    it('reports a missing district index', async () => {
+        app.fetch.route(/districts_index\.json$/, () => new Response('', { status: 404 }));
+
+        assert.equal(await app.run('loadDistrictIndex()'), false);
+        assert.ok(app.document.querySelector('.error-message'));
+    });
+});
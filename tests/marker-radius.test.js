@@ -0,0 +1,58 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+describe('calculateMarkerRadius', () => {
+    let app;
+    let radius;
+
+    before(() => {
+        app = loadApp();
+        radius = (diameter, height) => app.run('calculateMarkerRadius')({ diameter, height });
+    });
+
+    after(() => app.close());
+
+    it('uses the smallest marker when there is no size', () => {
+        assert.equal(radius(null, null), 4);
+        assert.equal(radius(undefined, undefined), 4);
+        assert.equal(radius(0, 0), 4);
+        assert.equal(radius(NaN, NaN), 4);
+    });
+
+    it('ignores negative measurements', () => {
+        assert.equal(radius(-30, -5), 4);
+        assert.equal(radius(-30, 2), radius(null, 2));
+    });
+
+    it('sizes from the diameter alone or the height alone', () => {
+        // size = diameter × 0.4
+        assert.ok(Math.abs(radius(25, null) - 5) < 1e-9);
+        // size = height × 6
+        assert.ok(Math.abs(radius(null, 3) - 5.8) < 1e-9);
+    });
+
+    it('is continuous at the band limits', () => {
+        // Sizes 20, 50 and 100: diameters 50, 125 and 250
+        assert.ok(Math.abs(radius(49.999, null) - radius(50, null)) < 0.01);
+        assert.ok(Math.abs(radius(50, null) - 6) < 1e-9);
+        assert.ok(Math.abs(radius(124.999, null) - radius(125, null)) < 0.01);
+        assert.ok(Math.abs(radius(125, null) - 10) < 1e-9);
+        assert.ok(Math.abs(radius(249.999, null) - radius(250, null)) < 0.01);
+        assert.ok(Math.abs(radius(250, null) - 16) < 1e-9);
+    });
+
+    it('grows with the tree and stops at 26 px', () => {
+        const sizes = [10, 40, 80, 150, 300, 600, 1000].map(d => radius(d, null));
+        sizes.slice(1).forEach((value, i) => assert.ok(value >= sizes[i], `${value} < ${sizes[i]}`));
+        assert.equal(radius(750, null), 26);
+        assert.equal(radius(5000, null), 26);
+    });
+
+    it('adds 2 px to trees of 20 m or more, up to 28 px', () => {
+        // Same size (120) with and without the bonus: diameter 0 + height 20 vs diameter 300
+        assert.ok(Math.abs(radius(null, 20) - (radius(300, null) + 2)) < 1e-9);
+        assert.ok(radius(null, 20) - radius(null, 19.9) > 1.9);
+        assert.equal(radius(2000, 40), 28);
+    });
+});
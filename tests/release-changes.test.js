@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, readJson } = require('./helpers/load-app');
+
+const index = readJson('data/districts/districts_index.json');
+
+const CHANGES_FILE = 'changes/district_99_OTROS_MUNICIPIOS.changes.json';
+
+// What diff-releases.py writes for district 99 (row 0 is a Pinus pinea of 1.5 m and 9 cm, row 1 a tree of 2.5 m and 25 cm)
+const changes99 = {
+    district_code: '99',
+    previous_version: 'old',
+    version: index.version,
+    changes: [
+        { type: 'species', row: 0, previous_sn: 'Pinus halepensis', previous_h: 1, previous_d: 9 },
+        { type: 'size', row: 1, previous_h: 2.5, previous_d: 20 },
+        { type: 'added', row: 2 },
+        { type: 'removed', lng: -3.78, lat: 40.4, sn: '<b>Ulmus</b> pumila', cn: 'Olmo', h: 8, d: 30 }
+    ]
+};
+
+// Districts 99 and 22, with the counts diff-releases.py adds to the index
+const fixtureIndex = {
+    ...index,
+    changes: { previous_version: 'old', previous_total_trees: 100 },
+    districts: index.districts
+        .filter(district => district.code === '22' || district.code === '99')
+        .map(district => ({
+            ...district,
+            changes: district.code === '99'
+                ? { added: 1, removed: 1, species: 1, size: 1, filename: CHANGES_FILE }
+                : { added: 2, removed: 0, species: 0, size: 0, filename: 'changes/district_22.changes.json' }
+        }))
+};
+
+describe('changes view', () => {
+    let app;
+    let layer;
+
+    const markersOf = type => layer.getLayers().filter(marker => marker.options.color === app.run('RELEASE_CHANGE_TYPES')[type].colour);
+
+    before(async () => {
+        app = loadApp();
+        app.fetch.route(/districts_index\.json$/, () => new Response(JSON.stringify(fixtureIndex)));
+        app.fetch.route(/district_99_OTROS_MUNICIPIOS\.changes\.json$/, () => new Response(JSON.stringify(changes99)));
+        await app.run('loadCityManifest()');
+        await app.run('loadDistrictIndex()');
+        const district = app.run('districtState.index.districts').find(entry => entry.code === '99');
+        await app.run('loadDistrict')(district);
+        app.run('setupLayerSwitcher()');
+
+        app.run("setLayerMode('changes')");
+        await app.run('refreshReleaseChanges()');
+        layer = app.run('releaseChangesState.layer');
+    });
+
+    after(() => app.close());
+
+    it('replaces the tree markers with one marker per change, coloured by type', () => {
+        assert.equal(app.run('map.hasLayer(markers)'), false);
+        assert.equal(app.run('map').hasLayer(layer), true);
+        assert.equal(layer.getLayers().length, 4);
+        ['added', 'removed', 'species', 'size'].forEach(type => assert.equal(markersOf(type).length, 1));
+
+        const table = app.run('treeStore.districts').get('99');
+        assert.ok(markersOf('added')[0].getLatLng().equals(table.markers[2].getLatLng()));
+    });
+
+    it('only fetches the changes of loaded districts', () => {
+        assert.equal(app.fetch.calls.filter(call => call.endsWith('.changes.json')).length, 1);
+    });
+
+    it('describes what changed in the tooltips', () => {
+        const species = markersOf('species')[0].tooltipContent();
+        assert.match(species, /Cambio de especie/);
+        assert.match(species, /Antes: Pinus halepensis/);
+        assert.match(species, /Altura: 1 → 1,5 m/);
+        assert.doesNotMatch(species, /Diámetro/);
+
+        const size = markersOf('size')[0].tooltipContent();
+        assert.match(size, /Diámetro: 20 → 25 cm/);
+        assert.doesNotMatch(size, /Altura/);
+    });
+
+    it('opens the popup of a changed tree', () => {
+        markersOf('species')[0].fire('click');
+        assert.match(app.run('map.popup').getContent(), /Pinus pinea/);
+    });
+
+    it('builds the popup of a removed tree from the changes file', () => {
+        const container = app.document.createElement('div');
+        container.innerHTML = markersOf('removed')[0].popupContent();
+        assert.equal(container.querySelector('.tree-species').textContent, '🪓 <b>Ulmus</b> pumila');
+        assert.match(container.textContent, /Ya no está en el inventario/);
+        assert.match(container.textContent, /30 cm/);
+    });
+
+    it('sums the counts of the index in the legend, also by district', () => {
+        const legend = app.document.querySelector('.map-legend');
+        const items = Array.from(legend.querySelectorAll('.legend-item')).map(item => item.textContent);
+        assert.deepEqual(items, ['Plantados: 3', 'Retirados: 1', 'Cambio de especie: 1', 'Cambio de altura o diámetro: 1']);
+        assert.equal(legend.querySelectorAll('.legend-changes-districts tbody tr').length, 2);
+    });
+
+    it('hides the changes of trees left out by the filter', async () => {
+        app.run('setTreeFilter')({ minHeight: 100 });
+        await app.run('refreshReleaseChanges()');
+        assert.equal(layer.getLayers().length, 1);
+        assert.equal(markersOf('removed').length, 1);
+        app.run('setTreeFilter')({});
+    });
+
+    it('takes the changes off the map in another view', () => {
+        app.run("setLayerMode('clusters')");
+        assert.equal(app.run('map').hasLayer(layer), false);
+        assert.equal(app.run('map.hasLayer(markers)'), true);
+    });
+
+    it('says when there is no previous release to compare with', () => {
+        const current = app.run('districtState.index');
+        app.run('districtState').index = index;
+        try {
+            app.run("setLayerMode('changes')");
+            assert.match(app.document.querySelector('.map-legend').textContent, /No hay una versión anterior/);
+        } finally {
+            app.run('districtState').index = current;
+            app.run("setLayerMode('clusters')");
+        }
+    });
+});
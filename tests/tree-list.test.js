@@ -0,0 +1,139 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, readJson } = require('./helpers/load-app');
+
+const index = readJson('data/districts/districts_index.json');
+
+// District 99 is a strip west of Madrid with 34 trees, all in this view
+const ON_99 = [40.42, -3.785];
+
+describe('tree list', () => {
+    let app;
+
+    const grid = () => app.document.getElementById('tree-list-grid');
+    const renderedRows = () => Array.from(app.document.querySelectorAll('#tree-list-rows .tree-list-row'));
+    const row = index => app.document.getElementById(`tree-list-row-${index}`);
+    const press = (element, key) => {
+        element.dispatchEvent(new app.window.KeyboardEvent('keydown', { key, bubbles: true }));
+    };
+    const listedSpecies = () => [...app.run('treeListState.rows')].map(({ table, row }) => table.strings[table.species[row]]);
+
+    before(async () => {
+        app = loadApp();
+        await app.run('loadCityManifest()');
+        await app.run('loadDistrictIndex()');
+        await app.run('loadDistrict')(app.run('districtState.index.districts').find(district => district.code === '99'));
+        app.run('setupTreeList()');
+    });
+
+    beforeEach(() => {
+        app.run('setTreeFilter({})');
+        app.run('map').setView(ON_99, 13);
+        Object.assign(app.run('treeListState.sort'), { column: 'species', direction: 'ascending' });
+        app.run('setTreeListOpen')(true);
+    });
+
+    after(() => app.close());
+
+    it('lists the trees in view, sorted by species, rendering only a window of rows', () => {
+        const count = index.districts.find(district => district.code === '99').tree_count;
+        assert.equal(app.run('treeListState.rows').length, count);
+        assert.equal(grid().getAttribute('aria-rowcount'), String(count + 1));
+        assert.match(app.document.getElementById('tree-list-summary').textContent, new RegExp(`${count} árboles en la vista`));
+
+        const species = listedSpecies();
+        assert.deepEqual(species, [...species].sort(new Intl.Collator('es', { sensitivity: 'base', numeric: true }).compare));
+
+        const rows = renderedRows();
+        assert.ok(rows.length < count);
+        assert.equal(rows[0].getAttribute('aria-rowindex'), '2');
+        assert.equal(rows[0].getAttribute('tabindex'), '0');
+        assert.equal(rows[1].getAttribute('tabindex'), '-1');
+        assert.equal(rows[0].querySelectorAll('[role="gridcell"]').length, 4);
+    });
+
+    it('follows the map and the filter', () => {
+        app.run('map').setView([41.5, -3.785], 13);
+        assert.equal(app.run('treeListState.rows').length, 0);
+        assert.match(app.document.getElementById('tree-list-summary').textContent, /No hay árboles/);
+
+        app.run('map').setView(ON_99, 13);
+        const [species] = listedSpecies();
+        app.run('setTreeFilter')({ query: species });
+        assert.ok(listedSpecies().length > 0);
+        assert.ok(listedSpecies().every(listed => listed === species));
+    });
+
+    it('sorts by a column, reversing on the second click, with trees without a value last', () => {
+        const heightButton = app.document.querySelector('[data-sort="height"]');
+        heightButton.click();
+        heightButton.click();
+
+        const sort = app.run('treeListState.sort');
+        assert.deepEqual({ ...sort }, { column: 'height', direction: 'descending' });
+        assert.equal(heightButton.parentElement.getAttribute('aria-sort'), 'descending');
+        assert.equal(app.document.querySelector('[data-sort="species"]').parentElement.getAttribute('aria-sort'), 'none');
+
+        const heights = [...app.run('treeListState.rows')].map(({ table, row }) => table.height[row]);
+        const measured = heights.filter(Boolean);
+        assert.deepEqual(measured, [...measured].sort((a, b) => b - a));
+        assert.ok(heights.slice(measured.length).every(height => !height));
+    });
+
+    it('moves the focus with the keyboard and rings the focused tree on the map', () => {
+        row(0).focus();
+        press(row(0), 'ArrowDown');
+        assert.equal(app.document.activeElement, row(1));
+        assert.equal(row(1).getAttribute('tabindex'), '0');
+        assert.equal(row(0).getAttribute('tabindex'), '-1');
+
+        const tree = app.run('findTree')(row(1).dataset.treeId);
+        const highlight = app.run('treeListState.highlight');
+        assert.ok(app.run('map').hasLayer(highlight));
+        assert.deepEqual(highlight.getLatLng(), tree.marker.getLatLng());
+
+        // The last row is rendered on demand, outside the scroll window
+        const last = app.run('treeListState.rows').length - 1;
+        press(row(1), 'End');
+        assert.equal(app.document.activeElement, row(last));
+        assert.equal(row(last).getAttribute('aria-rowindex'), String(last + 2));
+        press(row(last), 'Home');
+        assert.equal(app.document.activeElement, row(0));
+    });
+
+    it('opens the popup of a row with Enter and returns to it when closed', () => {
+        row(0).focus();
+        press(row(0), 'ArrowDown');
+        const treeId = row(1).dataset.treeId;
+        press(row(1), 'Enter');
+
+        assert.ok(app.run('map').popup);
+        assert.equal(app.run('deepLinkState.selectedTree'), treeId);
+
+        app.document.activeElement.blur();
+        app.run('map').closePopup();
+        assert.equal(app.document.activeElement.dataset.treeId, treeId);
+    });
+
+    it('announces the loading progress of the visible districts', async () => {
+        const visible = loadApp();
+        try {
+            await visible.run('loadCityManifest()');
+            await visible.run('loadDistrictIndex()');
+            visible.run('map').setView(ON_99, 15);
+            const announcer = visible.document.getElementById('status-announcer');
+            const messages = [];
+            new visible.window.MutationObserver(() => messages.push(announcer.textContent))
+                .observe(announcer, { childList: true, characterData: true, subtree: true });
+
+            await visible.run('loadVisibleDistricts()');
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            assert.match(messages[0], /^Distritos: 1 \/ \d+/);
+            assert.match(messages[messages.length - 1], /árboles cargados$/);
+            assert.equal(announcer.getAttribute('aria-live'), 'polite');
+        } finally {
+            visible.close();
+        }
+    });
+});
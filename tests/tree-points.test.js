@@ -0,0 +1,195 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+describe('WebGL point layer', () => {
+    let app;
+    let table;
+
+    before(async () => {
+        app = loadApp();
+        await app.run('loadCityManifest()');
+        await app.run('loadDistrictIndex()');
+        const district = app.run('districtState.index.districts').find(entry => entry.code === '99');
+        await app.run('loadDistrict')(district);
+        table = app.run('treeStore.districts').get('99');
+    });
+
+    after(() => app.close());
+
+    it('projects positions like Leaflet, to 256 px at zoom 0', () => {
+        const project = app.run('projectTreePoint');
+        assert.deepEqual({ ...project(0, 0) }, { x: 128, y: 128 });
+        assert.equal(project(0, 180).x, 256);
+        assert.ok(Math.abs(project(85.0511287798, 0).y) < 1e-6);
+        assert.ok(Math.abs(project(-90, 0).y - 256) < 1e-6);
+    });
+
+    it('parses the colours of the marker styles', () => {
+        const parse = app.run('parseTreeColour');
+        assert.deepEqual([...parse('#4CAF50')], [76, 175, 80]);
+        assert.deepEqual([...parse('#fff')], [255, 255, 255]);
+        assert.deepEqual([...parse('rgba(10, 20, 30, 0.5)')], [10, 20, 30]);
+    });
+
+    it('writes one vertex per tree with its position, style and row', () => {
+        const { data, count, origin, indexes } = app.run('buildTreePointData')(table);
+        const floats = new Float32Array(data);
+        const bytes = new Uint8Array(data);
+        const stride = app.run('TREE_POINT_STRIDE');
+        const project = app.run('projectTreePoint');
+        const parse = app.run('parseTreeColour');
+
+        assert.equal(count, 34);
+        assert.equal(data.byteLength, 34 * stride);
+        assert.deepEqual({ ...origin }, { ...project(table.lat[0], table.lng[0]) });
+
+        const row = 5;
+        assert.equal(indexes[row], row);
+        const style = app.run('getTreeMarkerStyle')(table, row);
+        const point = project(table.lat[row], table.lng[row]);
+        const offset = row * stride;
+        assert.equal(floats[offset / 4], Math.fround(point.x - origin.x));
+        assert.equal(floats[offset / 4 + 1], Math.fround(point.y - origin.y));
+        assert.equal(floats[offset / 4 + 2], Math.fround(style.radius));
+        assert.deepEqual(Array.from(bytes.slice(offset + 12, offset + 15)), [...parse(style.fillColor)]);
+        assert.equal(bytes[offset + 15], Math.round(style.fillOpacity * 255));
+        assert.deepEqual(Array.from(bytes.slice(offset + 16, offset + 19)), [...parse(style.color)]);
+        assert.deepEqual({ ...app.run('decodeTreePick')([bytes[offset + 20], bytes[offset + 21], bytes[offset + 22], 1]) }, { slot: 1, row });
+    });
+
+    it('leaves out the trees hidden by the filter', () => {
+        app.run('setTreeFilter')({ minHeight: 5 });
+        const shown = Array.from(table.shown).filter(Boolean).length;
+        const { count } = app.run('buildTreePointData')(table);
+
+        assert.ok(shown > 0 && shown < 34);
+        assert.equal(count, shown);
+        assert.equal(count, app.run('filterIndex.matchCount'));
+        app.run('setTreeFilter')({});
+        assert.equal(app.run('buildTreePointData')(table).count, 34);
+    });
+
+    it('reads rows back from pick colours', () => {
+        const decode = app.run('decodeTreePick');
+        assert.deepEqual({ ...decode([0, 0, 1, 3]) }, { slot: 3, row: 0 });
+        assert.deepEqual({ ...decode([1, 0, 0, 255]) }, { slot: 255, row: 65535 });
+        assert.equal(decode([0, 0, 0, 0]), null);
+        assert.equal(decode([0, 0, 7, 0]), null);
+    });
+
+    it('scales circles down below zoom 17', () => {
+        const scale = app.run('treePointRadiusScale');
+        assert.equal(scale(19), 1);
+        assert.equal(scale(17), 1);
+        assert.equal(scale(15), 0.25);
+    });
+
+    it('draws a district loaded in points mode from its table, without markers', async () => {
+        const points = loadApp();
+        try {
+            await points.run('loadCityManifest()');
+            await points.run('loadDistrictIndex()');
+            points.run('mapLayersState').mode = 'points';
+            const L = points.window.L;
+            const circleMarker = L.circleMarker;
+            let created = 0;
+            L.circleMarker = (...args) => {
+                created++;
+                return circleMarker(...args);
+            };
+
+            await points.run('loadDistrict')(points.run('districtState.index.districts').find(entry => entry.code === '99'));
+            const pointsTable = points.run('treeStore.districts').get('99');
+
+            assert.equal(created, 0);
+            assert.equal(points.run('markers').getLayers().length, 0);
+            assert.equal(points.run('treeStore.count'), 34);
+            assert.equal(points.run('buildTreePointData')(pointsTable).count, 34);
+            const tree = points.run('findTree')('99-0');
+            assert.equal(tree.row, 0);
+            assert.equal(tree.marker, null);
+
+            L.circleMarker = circleMarker;
+            points.run("setLayerMode('clusters')");
+            assert.equal(points.run('markers').getLayers().length, 34);
+            assert.ok(points.run('findTree')('99-0').marker);
+        } finally {
+            points.close();
+        }
+    });
+
+    it('builds a district buffer again when it was drawn part-way through its load', async () => {
+        const points = loadApp();
+        try {
+            await points.run('loadCityManifest()');
+            await points.run('loadDistrictIndex()');
+            points.run('mapLayersState').mode = 'points';
+
+            // jsdom has no WebGL: the layer gets a context that only keeps the buffers
+            const layer = points.run('createTreePointLayer()');
+            layer._gl = {
+                ARRAY_BUFFER: 1,
+                STATIC_DRAW: 2,
+                createBuffer: () => ({}),
+                bindBuffer() {},
+                bufferData() {},
+                deleteBuffer() {}
+            };
+            layer._districts = new Map();
+
+            // Draw between two chunks of rows, like a pan or another district finishing would
+            const addDistrictMarkers = points.run('addDistrictMarkers');
+            const drawn = [];
+            points.run('fn => { addDistrictMarkers = fn; }')(async (table, start, end) => {
+                const middle = start + Math.floor((end - start) / 2);
+                await addDistrictMarkers(table, start, middle);
+                layer._syncBuffers();
+                drawn.push(layer._districts.get(table.code).count);
+                await addDistrictMarkers(table, middle, end);
+            });
+
+            await points.run('loadDistrict')(points.run('districtState.index.districts').find(entry => entry.code === '99'));
+            layer._syncBuffers();
+
+            assert.ok(drawn.length > 0 && drawn[0] < 34);
+            assert.equal(layer._districts.get('99').count, 34);
+        } finally {
+            points.close();
+        }
+    });
+
+    it('only refills the point buffers when the filter changes in points mode', () => {
+        const markers = app.run('markers');
+        const { clearLayers, addLayers } = markers;
+        const calls = [];
+        markers.clearLayers = () => calls.push('clearLayers');
+        markers.addLayers = () => calls.push('addLayers');
+        app.run('mapLayersState').mode = 'points';
+        const version = app.run('treePointsState.version');
+        try {
+            app.run('setTreeFilter')({ minHeight: 5 });
+
+            assert.deepEqual(calls, []);
+            assert.equal(app.run('treePointsState.version'), version + 1);
+            assert.equal(app.run('buildTreePointData')(table).count, app.run('filterIndex.matchCount'));
+        } finally {
+            app.run('mapLayersState').mode = 'clusters';
+            markers.clearLayers = clearLayers;
+            markers.addLayers = addLayers;
+            app.run('setTreeFilter')({});
+        }
+    });
+
+    it('falls back to the cluster layer without WebGL', () => {
+        app.run('setupLayerSwitcher()');
+        const radio = app.document.querySelector('.layer-switcher input[value="points"]');
+        assert.equal(radio.disabled, true);
+
+        app.run("setLayerMode('points')");
+        assert.equal(app.run('mapLayersState.mode'), 'clusters');
+        assert.equal(app.run('map.hasLayer(markers)'), true);
+        assert.equal(app.run('treePointsState.layer'), null);
+        assert.ok(app.logs.warn.some(message => message.includes('WebGL')));
+    });
+});
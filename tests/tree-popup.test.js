@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, buildDistrictTable, treeFeature, readJson } = require('./helpers/load-app');
+
+const otherTowns = readJson('data/districts/district_99_OTROS_MUNICIPIOS.geojson');
+const singularTrees = readJson('data/districts/district_22_ARBOLES_SINGULARES.geojson');
+
+/**
+ * Build the popup of a tree of a district table and parse it.
+ *
+ * @param {Object} app - App from loadApp()
+ * @param {Object} table - District table
+ * @param {number} row - Row of the tree
+ * @returns {HTMLElement} Element holding the popup
+ */
+function renderPopup(app, table, row) {
+    const fields = app.run('getTreeFields')(table, row);
+    const latlng = app.window.L.latLng(table.lat[row], table.lng[row]);
+    const html = app.run('buildTreePopupContent')(fields, latlng, table.code, app.run('getTreeId')(table.code, row));
+    const container = app.document.createElement('div');
+    container.innerHTML = html;
+    return container;
+}
+
+describe('tree popup', () => {
+    let app;
+
+    before(async () => {
+        app = loadApp();
+        await app.run('loadCityManifest()');
+    });
+
+    after(() => app.close());
+
+    it('shows the species, measurements and location of a tree', () => {
+        const table = buildDistrictTable(app, '99', otherTowns.features);
+        const popup = renderPopup(app, table, 0);
+        const text = popup.textContent.replace(/\s+/g, ' ');
+
+        assert.equal(popup.querySelector('.tree-species').textContent, '🌳 Pinus pinea');
+        assert.equal(popup.querySelector('.tree-common-name').textContent, 'Pino piñonero');
+        assert.match(text, /Diámetro: 9 cm/);
+        assert.match(text, /Altura: 1,5 m/);
+        assert.match(text, /Distrito: OTROS MUNICIPIOS/);
+        assert.match(text, /Barrio: POZUELO DE ALARCÓN/);
+    });
+
+    it('links to Street View at the tree and to images of the species', () => {
+        const table = buildDistrictTable(app, '99', otherTowns.features);
+        const popup = renderPopup(app, table, 1);
+        const [streetView, images] = popup.querySelectorAll('.tree-buttons a');
+        const [lng, lat] = otherTowns.features[1].geometry.coordinates;
+
+        assert.match(streetView.href, /map_action=pano/);
+        assert.ok(streetView.href.includes(`viewpoint=${lat},${lng}`));
+        assert.equal(new URL(images.href).searchParams.get('q'), 'x Cupressocyparis x leylandii');
+        popup.querySelectorAll('a[target="_blank"]').forEach(link => assert.equal(link.rel, 'noopener noreferrer'));
+    });
+
+    it('offers to add the tree to the walking tour', () => {
+        const table = buildDistrictTable(app, '99', otherTowns.features);
+        const button = renderPopup(app, table, 2).querySelector('.tour-popup-button');
+        assert.equal(button.dataset.treeId, '99-2');
+    });
+
+    it('says when measurements are missing', () => {
+        const table = buildDistrictTable(app, '99', [treeFeature({ sn: 'Ulmus pumila', dt: 'OTROS MUNICIPIOS' })]);
+        const popup = renderPopup(app, table, 0);
+        const text = popup.textContent.replace(/\s+/g, ' ');
+
+        assert.match(text, /Diámetro: N\/A/);
+        assert.match(text, /Altura: N\/A/);
+        assert.equal(popup.querySelector('.tree-common-name'), null);
+        assert.doesNotMatch(text, /Barrio/);
+    });
+
+    it('shows singular trees of district 22 as such, without measurements or location', () => {
+        const table = buildDistrictTable(app, '22', singularTrees.features);
+        const popup = renderPopup(app, table, 0);
+        const text = popup.textContent.replace(/\s+/g, ' ');
+        const info = popup.querySelector('.tree-details a');
+
+        assert.equal(app.run('isSpecialDistrict')('22'), true);
+        assert.equal(app.run('isSpecialDistrict')('99'), false);
+        assert.match(text, /Árbol singular/);
+        assert.doesNotMatch(text, /Diámetro|Altura|Distrito|Barrio/);
+        assert.equal(popup.querySelector('.tree-location'), null);
+        assert.match(info.href, /wikipedia\.org/);
+    });
+
+    it('searches images of singular trees by their name', () => {
+        const table = buildDistrictTable(app, '22', singularTrees.features);
+        const images = renderPopup(app, table, 0).querySelector('.images-button');
+        assert.equal(new URL(images.href).searchParams.get('q'), 'Abedul de la Dehesa Comunal');
+    });
+});
+
+describe('tree popup in English', () => {
+    let app;
+
+    before(() => {
+        app = loadApp({ language: 'en' });
+    });
+
+    after(() => app.close());
+
+    it('translates labels and the singular tree category', () => {
+        const popup = renderPopup(app, buildDistrictTable(app, '99', otherTowns.features), 0);
+        assert.match(popup.textContent.replace(/\s+/g, ' '), /Height: 1\.5 m/);
+
+        const singular = renderPopup(app, buildDistrictTable(app, '22', singularTrees.features), 0);
+        assert.match(singular.textContent, /Singular tree/);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, buildDistrictTable, treeFeature, readJson } = require('./helpers/load-app');
+
+describe('marker colours', () => {
+    const styles = readJson('data/styles.json');
+    const heightBands = styles.presets.height.colour;
+    const singularRule = styles.rules[0];
+    let app;
+
+    beforeEach(async () => {
+        app = loadApp();
+        await app.run('loadTreeStyles()');
+    });
+
+    afterEach(() => app.close());
+
+    const styleOf = (code, properties) => {
+        const table = buildDistrictTable(app, code, [treeFeature(properties)]);
+        return app.run('getTreeMarkerStyle')(table, 0);
+    };
+
+    it('starts with the height preset of data/styles.json', () => {
+        assert.equal(app.run('treeStyleState.presetKey'), 'height');
+        assert.deepEqual(heightBands.breaks, [16, 19]);
+    });
+
+    it('colours trees by height band', () => {
+        const [low, mid, tall] = heightBands.palette;
+        assert.equal(styleOf('01', { sn: 'Pinus pinea', h: 3 }).fillColor, low.fillColor);
+        assert.equal(styleOf('01', { sn: 'Pinus pinea', h: 15.9 }).fillColor, low.fillColor);
+        assert.equal(styleOf('01', { sn: 'Pinus pinea', h: 17 }).fillColor, mid.fillColor);
+        assert.equal(styleOf('01', { sn: 'Pinus pinea', h: 25 }).fillColor, tall.fillColor);
+        assert.equal(styleOf('01', { sn: 'Pinus pinea', h: 25 }).color, tall.color);
+    });
+
+    it('puts the break values in the upper band', () => {
+        const [, mid, tall] = heightBands.palette;
+        assert.equal(styleOf('01', { sn: 'Pinus pinea', h: 16 }).fillColor, mid.fillColor);
+        assert.equal(styleOf('01', { sn: 'Pinus pinea', h: 19 }).fillColor, tall.fillColor);
+    });
+
+    it('uses the first band for trees without a height', () => {
+        assert.equal(styleOf('01', { sn: 'Pinus pinea' }).fillColor, heightBands.palette[0].fillColor);
+        assert.equal(styleOf('01', { sn: 'Pinus pinea', h: 0 }).fillColor, heightBands.palette[0].fillColor);
+    });
+
+    it('sizes markers from diameter and height', () => {
+        const style = styleOf('01', { sn: 'Pinus pinea', h: 12, d: 40 });
+        // Stored as a 32-bit float in the district table
+        assert.equal(style.radius, Math.fround(app.run('calculateMarkerRadius')({ diameter: 40, height: 12 })));
+        assert.equal(style.fillOpacity, styles.marker.fillOpacity);
+    });
+
+    it('draws the singular trees of district 22 apart, whatever their height', () => {
+        [3, 17, 30].forEach(h => {
+            const style = styleOf('22', { sn: 'Quercus ilex', h, d: 300 });
+            assert.equal(style.fillColor, singularRule.fillColor);
+            assert.equal(style.color, singularRule.color);
+            assert.equal(style.radius, singularRule.radius);
+        });
+    });
+
+    it('falls back to a single colour when data/styles.json is missing', async () => {
+        app.fetch.route(/styles\.json$/, () => new Response('', { status: 404 }));
+        await app.run('loadTreeStyles()');
+        const low = styleOf('01', { sn: 'Pinus pinea', h: 3 });
+        const tall = styleOf('01', { sn: 'Pinus pinea', h: 30 });
+        assert.equal(low.fillColor, '#4CAF50');
+        assert.equal(tall.fillColor, '#4CAF50');
+        assert.ok(app.logs.warn.some(message => message.includes('estilos')));
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, deferred, readJson } = require('./helpers/load-app');
+
+const index = readJson('data/districts/districts_index.json');
+
+// Two small districts: 99 (a strip west of Madrid) and 22, whose bbox covers the region
+const fixtureIndex = {
+    ...index,
+    total_districts: 2,
+    districts: index.districts.filter(district => district.code === '22' || district.code === '99')
+};
+
+// Views: on district 99, just west of it (99 in the margin, 22 under the centre), far from 99
+const ON_99 = [40.42, -3.785];
+const WEST_OF_99 = [40.42, -3.82];
+const NORTH = [41.0, -3.6];
+
+const BINARY_99 = /district_99_OTROS_MUNICIPIOS\.bin$/;
+const BINARY_22 = /district_22_ARBOLES_SINGULARES\.bin$/;
+
+describe('loadVisibleDistricts', () => {
+    let app;
+
+    const binaryFetches = () => app.fetch.calls.filter(call => call.endsWith('.bin'));
+    const loaded = () => Array.from(app.run('districtState.loadedDistricts')).sort();
+    const setView = (center, zoom) => app.run('map').setView(center, zoom);
+
+    beforeEach(async () => {
+        app = loadApp();
+        app.fetch.route(/districts_index\.json$/, () => new Response(JSON.stringify(fixtureIndex)));
+        await app.run('loadCityManifest()');
+        await app.run('loadDistrictIndex()');
+    });
+
+    afterEach(() => app.close());
+
+    it('loads the visible districts, the one under the centre first', async () => {
+        setView(ON_99, 15);
+        await app.run('loadVisibleDistricts()');
+
+        assert.deepEqual(loaded(), ['22', '99']);
+        assert.match(binaryFetches()[0], BINARY_99);
+        assert.match(binaryFetches()[1], BINARY_22);
+    });
+
+    it('leaves out districts outside the view', async () => {
+        setView(NORTH, 14);
+        await app.run('loadVisibleDistricts()');
+
+        assert.deepEqual(loaded(), ['22']);
+        assert.equal(binaryFetches().some(call => BINARY_99.test(call)), false);
+    });
+
+    it('runs one load at a time', async () => {
+        const hold = deferred();
+        app.fetch.route(BINARY_99, () => hold.promise);
+        setView(ON_99, 15);
+
+        const first = app.run('loadVisibleDistricts()');
+        await app.run('loadVisibleDistricts()');
+        assert.equal(app.run('districtState.isLoading'), true);
+        assert.equal(app.run('districtState.reloadPending'), true);
+
+        hold.resolve();
+        await first;
+        assert.deepEqual(loaded(), ['22', '99']);
+        assert.equal(binaryFetches().length, 2);
+        assert.equal(app.run('districtState.isLoading'), false);
+        assert.equal(app.run('districtState.reloadPending'), false);
+    });
+
+    it('loads the districts that came into view during a load', async () => {
+        const hold = deferred();
+        app.fetch.route(BINARY_22, () => hold.promise);
+        setView(NORTH, 14);
+
+        const first = app.run('loadVisibleDistricts()');
+        setView(ON_99, 15);
+        app.run('loadVisibleDistricts()');
+
+        hold.resolve();
+        await first;
+        assert.deepEqual(loaded(), ['22', '99']);
+    });
+
+    it('skips queued districts that left the view', async () => {
+        const hold = deferred();
+        app.fetch.route(BINARY_22, () => hold.promise);
+        setView(WEST_OF_99, 14);
+        assert.deepEqual(app.run('getVisibleDistricts()').map(district => district.code), ['22', '99']);
+
+        const first = app.run('loadVisibleDistricts()');
+        setView(NORTH, 14);
+
+        hold.resolve();
+        await first;
+        assert.deepEqual(loaded(), ['22']);
+        assert.equal(binaryFetches().some(call => BINARY_99.test(call)), false);
+    });
+
+    it('stops when the index is replaced by another city', async () => {
+        const hold = deferred();
+        app.fetch.route(BINARY_99, () => hold.promise);
+        setView(ON_99, 15);
+
+        const first = app.run('loadVisibleDistricts()');
+        app.run('districtState.index = null');
+
+        hold.resolve();
+        await first;
+        assert.deepEqual(loaded(), ['99']);
+        assert.equal(app.run('districtState.isLoading'), false);
+    });
+});
@@ -0,0 +1,609 @@
+/**
+ * Walking tour builder.
+ *
+ * Trees are added to the tour from their popup, or in bulk with a query such
+ * as "all singular trees within 2 km" of the user's position (or of the map
+ * centre when location tracking is off). Stops are ordered with a
+ * nearest-neighbour tour improved by 2-opt, on straight-line distances.
+ *
+ * The route is drawn as a polyline with numbered stops and can be exported as
+ * GPX or GeoJSON. Tours are saved in localStorage and shared through the URL
+ * (tour and tn parameters, see deep-link.js); both only keep tree ids, so
+ * districts are loaded again when a tour is opened. Saved tours belong to the
+ * city they were made in (see cities.js) and are only listed there.
+ */
+
+const TOURS_STORAGE_KEY = 'madtrees-tours';
+
+// Most stops a query adds; also keeps 2-opt fast
+const TOUR_MAX_STOPS = 60;
+
+const TOUR_WALKING_SPEED_KMH = 4.5;
+
+const TOUR_LINE_STYLE = { color: '#E65100', weight: 4, opacity: 0.8, dashArray: '8 6' };
+
+/**
+ * Tour state.
+ *
+ * Properties:
+ * - stops: Tree ids in visiting order
+ * - name: Tour name, '' if unnamed
+ * - layer: Layer group with the route and the numbered stops
+ */
+const tourState = {
+    stops: [],
+    name: '',
+    layer: null
+};
+
+/**
+ * Loaded stops with their position. Stops whose district isn't loaded are left out.
+ *
+ * @returns {Array<Object>} { id, table, row, lat, lng }
+ */
+function getTourPoints() {
+    return tourState.stops
+        .map(id => findTree(id))
+        .filter(Boolean)
+        .map(tree => ({ id: tree.id, table: tree.table, row: tree.row, lat: tree.table.lat[tree.row], lng: tree.table.lng[tree.row] }));
+}
+
+/**
+ * Length of a route through points in order.
+ *
+ * @param {Array<Object>} points - Points with lat and lng
+ * @returns {number} Length in meters
+ */
+function routeLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += distanceMeters(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+    }
+    return length;
+}
+
+/**
+ * Order points for a short open walk: nearest neighbour from the start, then
+ * 2-opt (reverse any stretch of the route that makes it shorter) until no
+ * reversal helps.
+ *
+ * @param {Array<Object>} points - Points with lat and lng
+ * @param {Object} [start] - Fixed starting position ({ lat, lng }); defaults to the first point
+ * @returns {Array<Object>} The same points, reordered
+ */
+function planTourOrder(points, start) {
+    if (points.length < 3 && !start) return points.slice();
+
+    // Node 0 is the start and never moves
+    const nodes = start ? [start, ...points] : points.slice();
+    const distance = (a, b) => distanceMeters(nodes[a].lat, nodes[a].lng, nodes[b].lat, nodes[b].lng);
+
+    const route = [0];
+    const remaining = new Set(nodes.keys());
+    remaining.delete(0);
+    while (remaining.size) {
+        const last = route[route.length - 1];
+        let nearest = null;
+        remaining.forEach(node => {
+            if (nearest === null || distance(last, node) < distance(last, nearest)) {
+                nearest = node;
+            }
+        });
+        route.push(nearest);
+        remaining.delete(nearest);
+    }
+
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = 1; i < route.length - 1; i++) {
+            for (let j = i + 1; j < route.length; j++) {
+                // Reversing route[i..j] replaces edges (i-1, i) and (j, j+1)
+                const before = distance(route[i - 1], route[i]) + (j + 1 < route.length ? distance(route[j], route[j + 1]) : 0);
+                const after = distance(route[i - 1], route[j]) + (j + 1 < route.length ? distance(route[i], route[j + 1]) : 0);
+                if (after < before - 1e-6) {
+                    const reversed = route.slice(i, j + 1).reverse();
+                    route.splice(i, reversed.length, ...reversed);
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return (start ? route.slice(1) : route).map(node => nodes[node]);
+}
+
+/**
+ * Where walks start: the user's position while tracking, otherwise nothing
+ * (the first stop).
+ *
+ * @returns {Object|null} { lat, lng } or null
+ */
+function getTourStart() {
+    return nearbyState.position ? { lat: nearbyState.position.lat, lng: nearbyState.position.lng } : null;
+}
+
+/**
+ * Reorder the stops for the shortest walk found.
+ */
+function optimizeTour() {
+    const points = getTourPoints();
+    const ordered = planTourOrder(points, getTourStart());
+    const missing = tourState.stops.filter(id => !points.some(point => point.id === id));
+    tourState.stops = ordered.map(point => point.id).concat(missing);
+    renderTour();
+}
+
+/**
+ * Check whether a tree is a stop of the tour.
+ *
+ * @param {string} treeId - Tree id
+ * @returns {boolean}
+ */
+function isTourStop(treeId) {
+    return tourState.stops.includes(treeId);
+}
+
+/**
+ * Add a tree at the end of the tour, or remove it if it is already a stop.
+ *
+ * @param {string} treeId - Tree id
+ * @returns {boolean} True if the tree is now a stop
+ */
+function toggleTourStop(treeId) {
+    if (isTourStop(treeId)) {
+        tourState.stops = tourState.stops.filter(id => id !== treeId);
+    } else {
+        tourState.stops.push(treeId);
+    }
+    renderTour();
+    return isTourStop(treeId);
+}
+
+/**
+ * Add the trees of a kind within a distance of the user (or the map centre),
+ * nearest first, and reorder the tour.
+ *
+ * @param {string} kind - 'singular' for the trees of the city's special districts (see cities.js), 'filter' for trees matching the filter
+ * @param {number} radiusKm - Search radius in km
+ * @returns {Promise<number>} Number of trees added
+ */
+async function addTreesNearToTour(kind, radiusKm) {
+    const start = getTourStart();
+    const origin = start || map.getCenter();
+
+    if (kind === 'singular' && districtState.index) {
+        const special = districtState.index.districts.filter(d => isSpecialDistrict(d.code));
+        for (const district of special) {
+            await loadDistrict(district);
+        }
+    }
+
+    const filter = kind === 'singular'
+        ? table => isSpecialDistrict(table.code)
+        : (table, row) => treeMatchesFilter(getTreeFields(table, row));
+    const found = findNearestTrees(origin.lat, origin.lng, {
+        count: TOUR_MAX_STOPS,
+        maxDistance: radiusKm * 1000,
+        filter
+    });
+
+    let added = 0;
+    found.forEach(({ table, row }) => {
+        const id = getTreeId(table.code, row);
+        if (!isTourStop(id) && tourState.stops.length < TOUR_MAX_STOPS) {
+            tourState.stops.push(id);
+            added++;
+        }
+    });
+    optimizeTour();
+    return added;
+}
+
+/**
+ * Number icon of a stop.
+ *
+ * @param {number} number - Stop number, from 1
+ * @returns {L.DivIcon}
+ */
+function tourStopIcon(number) {
+    return L.divIcon({
+        className: 'tour-stop-icon',
+        html: `<span>${number}</span>`,
+        iconSize: [24, 24]
+    });
+}
+
+/**
+ * Redraw the route, refresh the panel and the URL.
+ */
+function renderTour() {
+    const points = getTourPoints();
+
+    if (!tourState.layer) {
+        tourState.layer = L.layerGroup().addTo(map);
+    }
+    tourState.layer.clearLayers();
+    if (points.length > 1) {
+        L.polyline(points.map(point => [point.lat, point.lng]), TOUR_LINE_STYLE).addTo(tourState.layer);
+    }
+    points.forEach((point, index) => {
+        L.marker([point.lat, point.lng], { icon: tourStopIcon(index + 1), title: getTreeFields(point.table, point.row).species })
+            .on('click', () => openTreeById(point.id))
+            .addTo(tourState.layer);
+    });
+
+    renderTourPanel(points);
+    updateDeepLink();
+}
+
+/**
+ * Fill the tour panel: summary, stops and saved tours.
+ *
+ * @param {Array<Object>} points - Loaded stops, in order
+ */
+function renderTourPanel(points) {
+    const summary = document.getElementById('tour-summary');
+    const list = document.getElementById('tour-stops');
+    if (!summary || !list) return;
+
+    const nameInput = document.getElementById('tour-name');
+    if (nameInput && document.activeElement !== nameInput) {
+        nameInput.value = tourState.name;
+    }
+
+    if (!tourState.stops.length) {
+        summary.textContent = t('tour.empty');
+    } else {
+        const length = routeLength(points);
+        const minutes = Math.round(length / 1000 / TOUR_WALKING_SPEED_KMH * 60);
+        summary.textContent = t('tour.summary', { count: tourState.stops.length, distance: formatDistance(length), minutes });
+    }
+
+    let content = '';
+    points.forEach((point, index) => {
+        const fields = getTreeFields(point.table, point.row);
+        const commonName = getLocalizedCommonName(fields);
+        const leg = index > 0 ? formatDistance(distanceMeters(points[index - 1].lat, points[index - 1].lng, point.lat, point.lng)) : '';
+        content += `
+            <li data-tree-id="${escapeHtml(point.id)}">
+                <button type="button" class="tour-stop-open">
+                    <span class="tour-stop-species">${escapeHtml(fields.species)}</span>
+                    ${commonName && commonName !== fields.species ? `<span class="tour-stop-common-name">${escapeHtml(commonName)}</span>` : ''}
+                    ${leg ? `<span class="tour-stop-leg">+${leg}</span>` : ''}
+                </button>
+                <button type="button" class="tour-stop-remove" aria-label="${t('tour.remove')}">&times;</button>
+            </li>
+        `;
+    });
+    list.innerHTML = content;
+
+    renderSavedTours();
+}
+
+/**
+ * Description of a stop for exports: common name and size.
+ *
+ * @param {Object} fields - Tree fields
+ * @returns {string} Description
+ */
+function describeTourStop(fields) {
+    return [
+        getLocalizedCommonName(fields),
+        fields.height ? `${exportNumber(fields.height)} m` : '',
+        fields.diameter ? `⌀ ${exportNumber(fields.diameter)} cm` : ''
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Build a GPX 1.1 file of the tour: a waypoint per stop and the route.
+ *
+ * @param {Array<Object>} points - Loaded stops, in order
+ * @param {string} name - Tour name
+ * @returns {string} GPX document
+ */
+function buildTourGpx(points, name) {
+    const stops = points.map((point, index) => {
+        const fields = getTreeFields(point.table, point.row);
+        return {
+            attributes: `lat="${point.lat.toFixed(6)}" lon="${point.lng.toFixed(6)}"`,
+            name: escapeXml(`${index + 1}. ${fields.species}`),
+            desc: escapeXml(describeTourStop(fields))
+        };
+    });
+
+    let gpx = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    gpx += '<gpx version="1.1" creator="Madtrees" xmlns="http://www.topografix.com/GPX/1/1">\n';
+    gpx += `  <metadata><name>${escapeXml(name)}</name></metadata>\n`;
+    stops.forEach(stop => {
+        gpx += `  <wpt ${stop.attributes}><name>${stop.name}</name><desc>${stop.desc}</desc></wpt>\n`;
+    });
+    gpx += `  <rte>\n    <name>${escapeXml(name)}</name>\n`;
+    stops.forEach(stop => {
+        gpx += `    <rtept ${stop.attributes}><name>${stop.name}</name></rtept>\n`;
+    });
+    gpx += '  </rte>\n</gpx>\n';
+    return gpx;
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of the tour: the route as a LineString and
+ * a Point per stop with the tree's data.
+ *
+ * @param {Array<Object>} points - Loaded stops, in order
+ * @param {string} name - Tour name
+ * @returns {Object} FeatureCollection
+ */
+function buildTourGeoJson(points, name) {
+    const coordinates = points.map(point => [Number(point.lng.toFixed(6)), Number(point.lat.toFixed(6))]);
+    const features = [{
+        type: 'Feature',
+        properties: { name, length_m: Math.round(routeLength(points)) },
+        geometry: { type: 'LineString', coordinates }
+    }];
+    points.forEach((point, index) => {
+        const fields = getTreeFields(point.table, point.row);
+        features.push({
+            type: 'Feature',
+            properties: {
+                stop: index + 1,
+                tree_id: point.id,
+                species: fields.species,
+                common_name: fields.commonName,
+                height_m: exportNumber(fields.height),
+                diameter_cm: exportNumber(fields.diameter),
+                district: fields.district,
+                neighborhood: fields.neighborhood
+            },
+            geometry: { type: 'Point', coordinates: coordinates[index] }
+        });
+    });
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * File name for an export of the tour, without extension.
+ *
+ * @returns {string} e.g. "madtrees-paseo-por-el-retiro"
+ */
+function tourFileName() {
+    const slug = normalizeSearchText(tourState.name).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `madtrees-${slug || 'tour'}`;
+}
+
+/**
+ * Export the tour.
+ *
+ * @param {string} format - 'gpx' or 'geojson'
+ */
+function exportTour(format) {
+    const points = getTourPoints();
+    if (!points.length) return;
+
+    const name = tourState.name || t('tour.defaultName');
+    if (format === 'gpx') {
+        downloadFile(`${tourFileName()}.gpx`, buildTourGpx(points, name), 'application/gpx+xml');
+    } else {
+        downloadFile(`${tourFileName()}.geojson`, JSON.stringify(buildTourGeoJson(points, name), null, 2), 'application/geo+json');
+    }
+}
+
+/**
+ * Read the saved tours of every city.
+ *
+ * @returns {Array<Object>} { id, name, city, stops, savedAt }, newest first
+ */
+function loadSavedTours() {
+    try {
+        const tours = JSON.parse(localStorage.getItem(TOURS_STORAGE_KEY) || '[]');
+        return Array.isArray(tours) ? tours : [];
+    } catch (error) {
+        console.warn('⚠️ No se pudieron leer los recorridos guardados:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Write the saved tours.
+ *
+ * @param {Array<Object>} tours - Saved tours
+ */
+function storeSavedTours(tours) {
+    try {
+        localStorage.setItem(TOURS_STORAGE_KEY, JSON.stringify(tours));
+    } catch (error) {
+        console.warn('⚠️ No se pudieron guardar los recorridos:', error.message);
+    }
+}
+
+/**
+ * Check whether a saved tour was made in the current city. Tours saved before
+ * there were several cities belong to the default one.
+ *
+ * @param {Object} tour - Saved tour
+ * @returns {boolean}
+ */
+function isCurrentCityTour(tour) {
+    return (tour.city || getDefaultCity().id) === cityState.city.id;
+}
+
+/**
+ * Save the current tour, replacing a saved tour of the city with the same name.
+ */
+function saveCurrentTour() {
+    if (!tourState.stops.length) return;
+
+    const name = tourState.name || t('tour.defaultName');
+    const tours = loadSavedTours().filter(tour => tour.name !== name || !isCurrentCityTour(tour));
+    tours.unshift({ id: Date.now().toString(36), name, city: cityState.city.id, stops: tourState.stops.slice(), savedAt: new Date().toISOString() });
+    storeSavedTours(tours);
+    tourState.name = name;
+    renderSavedTours();
+}
+
+/**
+ * List the saved tours of the current city in the panel.
+ */
+function renderSavedTours() {
+    const list = document.getElementById('tour-saved');
+    if (!list) return;
+
+    const tours = loadSavedTours().filter(isCurrentCityTour);
+    list.innerHTML = tours.map(tour => `
+        <li data-tour-id="${escapeHtml(tour.id)}">
+            <button type="button" class="tour-saved-open">${escapeHtml(tour.name)} <span class="tour-saved-count">(${formatNumber(tour.stops.length)})</span></button>
+            <button type="button" class="tour-saved-delete" aria-label="${t('tour.delete')}">&times;</button>
+        </li>
+    `).join('');
+    list.hidden = !tours.length;
+    document.getElementById('tour-saved-title').hidden = !tours.length;
+}
+
+/**
+ * Open a tour: load the districts of its stops, draw it and fit the map to it.
+ *
+ * @param {Array<string>} stops - Tree ids in visiting order
+ * @param {string} [name=''] - Tour name
+ * @returns {Promise<void>}
+ */
+async function openTour(stops, name = '') {
+    tourState.stops = stops.slice(0, TOUR_MAX_STOPS);
+    tourState.name = name;
+
+    const codes = new Set(tourState.stops.map(id => id.split('-')[0]));
+    for (const code of codes) {
+        const district = districtState.index && districtState.index.districts.find(d => d.code === code);
+        if (district) {
+            await loadDistrict(district);
+        }
+    }
+
+    renderTour();
+    const points = getTourPoints();
+    if (points.length) {
+        map.fitBounds(L.latLngBounds(points.map(point => [point.lat, point.lng])).pad(0.2));
+    }
+}
+
+/**
+ * Offer the singular trees query only in cities with special districts.
+ */
+function updateTourQueryKinds() {
+    const select = document.getElementById('tour-query-kind');
+    if (!select) return;
+
+    const option = select.querySelector('option[value="singular"]');
+    option.hidden = option.disabled = getSpecialDistrictCodes().length === 0;
+    if (option.disabled && select.value === 'singular') {
+        select.value = 'filter';
+    }
+}
+
+/**
+ * Label of the popup button that adds or removes a tree.
+ *
+ * @param {string} treeId - Tree id
+ * @returns {string} Button text
+ */
+function tourPopupButtonLabel(treeId) {
+    return isTourStop(treeId) ? `➖ ${t('tour.remove')}` : `➕ ${t('tour.add')}`;
+}
+
+/**
+ * Wire up the tour button and panel, and the "add to tour" button of tree popups.
+ */
+function setupTourBuilder() {
+    const tourButton = document.getElementById('tour-button');
+    const tourPanel = document.getElementById('tour-panel');
+    if (!tourButton || !tourPanel) return;
+
+    tourButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        tourPanel.classList.toggle('show');
+        tourButton.classList.toggle('active', tourPanel.classList.contains('show'));
+        renderTourPanel(getTourPoints());
+    });
+
+    document.getElementById('tour-close').addEventListener('click', () => {
+        tourPanel.classList.remove('show');
+        tourButton.classList.remove('active');
+    });
+
+    document.getElementById('tour-name').addEventListener('input', (e) => {
+        tourState.name = e.target.value.trim();
+        updateDeepLink();
+    });
+
+    document.getElementById('tour-query-add').addEventListener('click', async () => {
+        const kind = document.getElementById('tour-query-kind').value;
+        const radius = parseFloat(document.getElementById('tour-query-radius').value);
+        if (!(radius > 0)) return;
+
+        const status = document.getElementById('tour-query-status');
+        status.textContent = t('tour.searching');
+        const added = await addTreesNearToTour(kind, radius);
+        status.textContent = t('tour.added', {
+            count: added,
+            origin: t(getTourStart() ? 'tour.fromLocation' : 'tour.fromMapCenter')
+        });
+    });
+
+    tourPanel.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-tour-action]');
+        if (action) {
+            switch (action.dataset.tourAction) {
+                case 'optimize':
+                    optimizeTour();
+                    break;
+                case 'gpx':
+                case 'geojson':
+                    exportTour(action.dataset.tourAction);
+                    break;
+                case 'save':
+                    saveCurrentTour();
+                    break;
+                case 'clear':
+                    tourState.stops = [];
+                    tourState.name = '';
+                    renderTour();
+                    break;
+            }
+            return;
+        }
+
+        const stop = e.target.closest('#tour-stops li');
+        if (stop) {
+            if (e.target.closest('.tour-stop-remove')) {
+                toggleTourStop(stop.dataset.treeId);
+            } else {
+                openTreeById(stop.dataset.treeId);
+            }
+            return;
+        }
+
+        const saved = e.target.closest('#tour-saved li');
+        if (saved) {
+            const tour = loadSavedTours().find(item => item.id === saved.dataset.tourId);
+            if (!tour) return;
+            if (e.target.closest('.tour-saved-delete')) {
+                storeSavedTours(loadSavedTours().filter(item => item.id !== tour.id));
+                renderSavedTours();
+            } else {
+                openTour(tour.stops, tour.name);
+            }
+        }
+    });
+
+    // Popup clicks don't reach the map container, so bind the button of each popup
+    map.on('popupopen', (e) => {
+        const button = e.popup.getElement().querySelector('.tour-popup-button');
+        if (!button) return;
+        button.addEventListener('click', () => {
+            toggleTourStop(button.dataset.treeId);
+            button.textContent = tourPopupButtonLabel(button.dataset.treeId);
+        });
+    });
+
+    renderSavedTours();
+    updateTourQueryKinds();
+}
@@ -0,0 +1,463 @@
+/**
+ * List of the trees in view, for keyboard and screen reader users.
+ *
+ * Tree markers are drawn on a canvas, so they can't be focused or read out.
+ * This panel lists the loaded trees inside the map viewport that match the
+ * filter, as an ARIA grid sortable by species, height, diameter and
+ * neighborhood. It follows the map: the list is rebuilt when the map moves,
+ * a district loads or the filter changes, while the panel is open.
+ *
+ * The grid is virtualised: only the rows in the scroll window (plus a buffer,
+ * and the focused row) are in the DOM, each placed at its offset inside a
+ * spacer as tall as the whole list, so thousands of trees stay cheap. Rows use
+ * a roving tabindex: arrow keys, Page Up/Down and Home/End move between them,
+ * focusing a row rings its tree on the map, and Enter opens its popup.
+ */
+
+// Must match the height of .tree-list-row in index.html
+const TREE_LIST_ROW_HEIGHT = 36;
+
+// Rows rendered above and below the scroll window
+const TREE_LIST_BUFFER = 10;
+
+// Height used when the list has no layout yet (e.g. while hidden)
+const TREE_LIST_DEFAULT_HEIGHT = 360;
+
+// Most trees listed; past this the panel asks to zoom in
+const TREE_LIST_MAX_ROWS = 50000;
+
+const TREE_LIST_HIGHLIGHT_STYLE = { color: '#F57F17', weight: 3, opacity: 1, fill: false };
+
+/**
+ * Sortable columns (the headers in index.html): whether values are text or
+ * numbers, and how to read them from a district table. Missing values are null.
+ */
+const TREE_LIST_COLUMNS = {
+    species: { text: true, value: (table, row) => table.strings[table.species[row]] || null },
+    height: { text: false, value: (table, row) => table.height[row] || null },
+    diameter: { text: false, value: (table, row) => table.diameter[row] || null },
+    neighborhood: { text: true, value: (table, row) => table.strings[table.neighborhood[row]] || null }
+};
+
+/**
+ * Tree list state.
+ *
+ * Properties:
+ * - rows: Trees listed, sorted ([{ table, row }])
+ * - total: Trees in view, including those past TREE_LIST_MAX_ROWS
+ * - sort: { column, direction } with a key of TREE_LIST_COLUMNS and 'ascending' or 'descending'
+ * - active: Index of the row that takes the focus (roving tabindex)
+ * - activeTree: Id of that row's tree, to find it again after a refresh
+ * - highlight: Ring drawn around the focused row's tree, or null
+ * - openedTree: Id of the tree whose popup was opened from the list, or null
+ */
+const treeListState = {
+    rows: [],
+    total: 0,
+    sort: { column: 'species', direction: 'ascending' },
+    active: 0,
+    activeTree: null,
+    highlight: null,
+    openedTree: null
+};
+
+/**
+ * Whether the list panel is open.
+ *
+ * @returns {boolean} True if the panel is shown
+ */
+function isTreeListOpen() {
+    const panel = document.getElementById('tree-list-panel');
+    return Boolean(panel && panel.classList.contains('show'));
+}
+
+/**
+ * Collect the loaded trees inside some bounds that match the filter.
+ *
+ * @param {L.LatLngBounds} bounds - Area to list
+ * @returns {Array<Object>} [{ table, row }] in district and row order
+ */
+function collectTreesInBounds(bounds) {
+    const south = bounds.getSouth();
+    const north = bounds.getNorth();
+    const west = bounds.getWest();
+    const east = bounds.getEast();
+
+    const rows = [];
+    treeStore.districts.forEach(table => {
+        for (let row = 0; row < table.count; row++) {
+            if (!table.loaded[row] || !table.shown[row]) continue;
+            const lat = table.lat[row];
+            const lng = table.lng[row];
+            if (lat >= south && lat <= north && lng >= west && lng <= east) {
+                rows.push({ table, row });
+            }
+        }
+    });
+    return rows;
+}
+
+/**
+ * Sort trees by a column. Text is compared in the page language by ranking
+ * its distinct values once, so large lists only compare numbers. Trees
+ * without a value go last in both directions; ties keep their order.
+ *
+ * @param {Array<Object>} rows - [{ table, row }], sorted in place
+ * @param {string} column - Key of TREE_LIST_COLUMNS
+ * @param {string} direction - 'ascending' or 'descending'
+ * @returns {Array<Object>} The same array
+ */
+function sortTreeListRows(rows, column, direction) {
+    const { text, value } = TREE_LIST_COLUMNS[column];
+    const keys = new Map(rows.map(entry => [entry, value(entry.table, entry.row)]));
+
+    if (text) {
+        const collator = new Intl.Collator(i18nState.locale, { sensitivity: 'base', numeric: true });
+        const ranks = new Map();
+        Array.from(new Set(keys.values()))
+            .filter(key => key !== null)
+            .sort(collator.compare)
+            .forEach((key, rank) => ranks.set(key, rank));
+        keys.forEach((key, entry) => keys.set(entry, key === null ? null : ranks.get(key)));
+    }
+
+    const sign = direction === 'descending' ? -1 : 1;
+    return rows.sort((a, b) => {
+        const keyA = keys.get(a);
+        const keyB = keys.get(b);
+        if (keyA === keyB) return 0;
+        if (keyA === null) return 1;
+        if (keyB === null) return -1;
+        return (keyA - keyB) * sign;
+    });
+}
+
+/**
+ * Build the HTML of one row of the grid.
+ *
+ * @param {Object} entry - { table, row }
+ * @param {number} index - Position in the sorted list
+ * @returns {string} Row HTML
+ */
+function buildTreeListRow({ table, row }, index) {
+    const fields = getTreeFields(table, row);
+    const commonName = getLocalizedCommonName(fields);
+    const treeId = getTreeId(table.code, row);
+
+    return String(html`<div class="tree-list-row" role="row" id="tree-list-row-${index}" aria-rowindex="${index + 2}"
+            data-index="${index}" data-tree-id="${treeId}" tabindex="${index === treeListState.active ? 0 : -1}"
+            style="top: ${index * TREE_LIST_ROW_HEIGHT}px">
+        <div role="gridcell" class="tree-list-species">${fields.species}${commonName && commonName !== fields.species && html` <span class="tree-list-common-name">${commonName}</span>`}</div>
+        <div role="gridcell" class="tree-list-number">${fields.height ? `${formatNumber(fields.height)} m` : '–'}</div>
+        <div role="gridcell" class="tree-list-number">${fields.diameter ? `${formatNumber(fields.diameter)} cm` : '–'}</div>
+        <div role="gridcell">${fields.neighborhood || '–'}</div>
+    </div>`);
+}
+
+/**
+ * Render the rows in the scroll window, plus the active row so keyboard focus
+ * is never dropped while scrolling with the mouse.
+ */
+function renderTreeListRows() {
+    const viewport = document.getElementById('tree-list-viewport');
+    const body = document.getElementById('tree-list-rows');
+    if (!viewport || !body) return;
+
+    const count = treeListState.rows.length;
+    const height = viewport.clientHeight || TREE_LIST_DEFAULT_HEIGHT;
+    const first = Math.max(0, Math.floor(viewport.scrollTop / TREE_LIST_ROW_HEIGHT) - TREE_LIST_BUFFER);
+    const last = Math.min(count, Math.ceil((viewport.scrollTop + height) / TREE_LIST_ROW_HEIGHT) + TREE_LIST_BUFFER);
+
+    const hadFocus = body.contains(document.activeElement);
+    const indexes = [];
+    for (let index = first; index < last; index++) {
+        indexes.push(index);
+    }
+    if (count && (treeListState.active < first || treeListState.active >= last)) {
+        indexes.push(treeListState.active);
+    }
+
+    body.style.height = `${count * TREE_LIST_ROW_HEIGHT}px`;
+    body.innerHTML = indexes.map(index => buildTreeListRow(treeListState.rows[index], index)).join('');
+
+    if (hadFocus) {
+        const active = document.getElementById(`tree-list-row-${treeListState.active}`);
+        if (active) active.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Update the column headers with the sort order.
+ */
+function renderTreeListHeaders() {
+    document.querySelectorAll('#tree-list-panel [data-sort]').forEach(button => {
+        const header = button.closest('[role="columnheader"]');
+        const sorted = button.dataset.sort === treeListState.sort.column;
+        header.setAttribute('aria-sort', sorted ? treeListState.sort.direction : 'none');
+        button.classList.toggle('sorted', sorted);
+        button.classList.toggle('descending', sorted && treeListState.sort.direction === 'descending');
+    });
+}
+
+/**
+ * Rebuild the list from the trees in view, if the panel is open.
+ * The focused tree keeps the focus if it is still listed.
+ */
+function refreshTreeList() {
+    if (!isTreeListOpen()) return;
+
+    const grid = document.getElementById('tree-list-grid');
+    const summary = document.getElementById('tree-list-summary');
+    const rows = collectTreesInBounds(map.getBounds());
+
+    treeListState.total = rows.length;
+    treeListState.rows = rows.length > TREE_LIST_MAX_ROWS
+        ? []
+        : sortTreeListRows(rows, treeListState.sort.column, treeListState.sort.direction);
+
+    const activeIndex = treeListState.rows.findIndex(({ table, row }) => getTreeId(table.code, row) === treeListState.activeTree);
+    setTreeListActive(activeIndex >= 0 ? activeIndex : 0, false);
+
+    grid.setAttribute('aria-rowcount', String(treeListState.rows.length + 1));
+    if (treeListState.total > TREE_LIST_MAX_ROWS) {
+        summary.textContent = t('treeList.tooMany', { count: treeListState.total });
+    } else if (!treeListState.total) {
+        summary.textContent = t(districtState.isLoading ? 'treeList.loading' : 'treeList.empty');
+    } else {
+        summary.textContent = t('treeList.summary', { count: treeListState.total });
+    }
+
+    renderTreeListHeaders();
+    renderTreeListRows();
+    if (activeIndex < 0) {
+        clearTreeListHighlight();
+    }
+}
+
+/**
+ * Sort the list by a column; sorting again by the same column reverses it.
+ *
+ * @param {string} column - Key of TREE_LIST_COLUMNS
+ */
+function sortTreeList(column) {
+    const { sort } = treeListState;
+    if (sort.column === column) {
+        sort.direction = sort.direction === 'ascending' ? 'descending' : 'ascending';
+    } else {
+        sort.column = column;
+        sort.direction = 'ascending';
+    }
+    refreshTreeList();
+}
+
+/**
+ * Make a row the one that takes the focus, optionally scrolling it into view.
+ *
+ * @param {number} index - Row index, clamped to the list
+ * @param {boolean} [scroll=true] - Scroll the list so the row is visible
+ */
+function setTreeListActive(index, scroll = true) {
+    const count = treeListState.rows.length;
+    treeListState.active = count ? Math.min(Math.max(index, 0), count - 1) : 0;
+    const entry = treeListState.rows[treeListState.active];
+    treeListState.activeTree = entry ? getTreeId(entry.table.code, entry.row) : null;
+
+    const viewport = document.getElementById('tree-list-viewport');
+    if (!scroll || !viewport) return;
+
+    const top = treeListState.active * TREE_LIST_ROW_HEIGHT;
+    const height = viewport.clientHeight || TREE_LIST_DEFAULT_HEIGHT;
+    if (top < viewport.scrollTop) {
+        viewport.scrollTop = top;
+    } else if (top + TREE_LIST_ROW_HEIGHT > viewport.scrollTop + height) {
+        viewport.scrollTop = top + TREE_LIST_ROW_HEIGHT - height;
+    }
+}
+
+/**
+ * Move the focus to a row, rendering it first if needed.
+ *
+ * @param {number} index - Row index, clamped to the list
+ */
+function focusTreeListRow(index) {
+    if (!treeListState.rows.length) return;
+
+    setTreeListActive(index);
+    renderTreeListRows();
+    const row = document.getElementById(`tree-list-row-${treeListState.active}`);
+    if (row) row.focus({ preventScroll: true });
+}
+
+/**
+ * Ring the tree of a row on the map, in every layer mode.
+ *
+ * @param {string} treeId - Tree id
+ */
+function highlightTreeListTree(treeId) {
+    clearTreeListHighlight();
+    const tree = findTree(treeId);
+    if (!tree) return;
+
+    treeListState.highlight = L.circleMarker(getTreeLatLng(tree.table, tree.row), {
+        ...TREE_LIST_HIGHLIGHT_STYLE,
+        radius: getTreeMarkerStyle(tree.table, tree.row).radius + 4,
+        interactive: false
+    }).addTo(map);
+}
+
+/**
+ * Remove the ring of the focused tree.
+ */
+function clearTreeListHighlight() {
+    if (treeListState.highlight) {
+        map.removeLayer(treeListState.highlight);
+        treeListState.highlight = null;
+    }
+}
+
+/**
+ * Open the popup of a listed tree and move the focus into it. Closing the
+ * popup brings the focus back to the row (see setupTreeList).
+ *
+ * @param {string} treeId - Tree id
+ */
+function openTreeListTree(treeId) {
+    const tree = findTree(treeId);
+    if (!tree) return;
+
+    // Set after opening: closing the previous popup clears it
+    showTreePopup(tree.table, tree.row);
+    treeListState.openedTree = treeId;
+
+    const content = document.querySelector('.leaflet-popup-content');
+    if (content) {
+        content.setAttribute('tabindex', '-1');
+        content.focus();
+    }
+}
+
+/**
+ * Move through the rows with the keyboard.
+ *
+ * @param {KeyboardEvent} e - Keydown on a row
+ */
+function handleTreeListKey(e) {
+    const row = e.target.closest('.tree-list-row');
+    if (!row) return;
+
+    const index = Number(row.dataset.index);
+    const viewport = document.getElementById('tree-list-viewport');
+    const page = Math.max(1, Math.floor((viewport.clientHeight || TREE_LIST_DEFAULT_HEIGHT) / TREE_LIST_ROW_HEIGHT) - 1);
+    const moves = {
+        ArrowDown: index + 1,
+        ArrowUp: index - 1,
+        PageDown: index + page,
+        PageUp: index - page,
+        Home: 0,
+        End: treeListState.rows.length - 1
+    };
+
+    if (e.key in moves) {
+        e.preventDefault();
+        focusTreeListRow(moves[e.key]);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        openTreeListTree(row.dataset.treeId);
+    }
+}
+
+/**
+ * Open or close the list panel.
+ *
+ * @param {boolean} open - Show the panel
+ */
+function setTreeListOpen(open) {
+    const panel = document.getElementById('tree-list-panel');
+    const button = document.getElementById('tree-list-button');
+    if (!panel) return;
+
+    panel.classList.toggle('show', open);
+    button.classList.toggle('active', open);
+    button.setAttribute('aria-expanded', String(open));
+    if (open) {
+        refreshTreeList();
+    } else {
+        clearTreeListHighlight();
+        treeListState.openedTree = null;
+    }
+}
+
+/**
+ * Wire up the list button and panel: sorting, scrolling, keyboard navigation
+ * and highlighting, and refreshing when the map moves.
+ */
+function setupTreeList() {
+    const button = document.getElementById('tree-list-button');
+    const panel = document.getElementById('tree-list-panel');
+    if (!button || !panel) return;
+
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setTreeListOpen(!panel.classList.contains('show'));
+    });
+
+    document.getElementById('tree-list-close').addEventListener('click', () => {
+        setTreeListOpen(false);
+        button.focus();
+    });
+
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            setTreeListOpen(false);
+            button.focus();
+        }
+    });
+
+    panel.querySelectorAll('[data-sort]').forEach(sortButton => {
+        sortButton.addEventListener('click', () => sortTreeList(sortButton.dataset.sort));
+    });
+
+    const viewport = document.getElementById('tree-list-viewport');
+    let scrollFrame = null;
+    viewport.addEventListener('scroll', () => {
+        if (scrollFrame) return;
+        scrollFrame = requestAnimationFrame(() => {
+            scrollFrame = null;
+            renderTreeListRows();
+        });
+    });
+
+    const rows = document.getElementById('tree-list-rows');
+    rows.addEventListener('keydown', handleTreeListKey);
+    rows.addEventListener('click', (e) => {
+        const row = e.target.closest('.tree-list-row');
+        if (row) {
+            focusTreeListRow(Number(row.dataset.index));
+            openTreeListTree(row.dataset.treeId);
+        }
+    });
+    rows.addEventListener('focusin', (e) => {
+        const row = e.target.closest('.tree-list-row');
+        if (!row) return;
+        setTreeListActive(Number(row.dataset.index), false);
+        rows.querySelectorAll('.tree-list-row[tabindex="0"]').forEach(other => other.setAttribute('tabindex', '-1'));
+        row.setAttribute('tabindex', '0');
+        highlightTreeListTree(row.dataset.treeId);
+    });
+    rows.addEventListener('focusout', (e) => {
+        if (!rows.contains(e.relatedTarget) && !treeListState.openedTree) {
+            clearTreeListHighlight();
+        }
+    });
+
+    map.on('moveend', refreshTreeList);
+    // Focus goes back to the row only if it was lost with the popup, not when
+    // the popup closed because something else was clicked
+    map.on('popupclose', () => {
+        if (!treeListState.openedTree) return;
+        treeListState.openedTree = null;
+        if (isTreeListOpen() && (!document.activeElement || document.activeElement === document.body)) {
+            focusTreeListRow(treeListState.active);
+        }
+    });
+}
@@ -0,0 +1,665 @@
+/**
+ * WebGL point layer: every loaded tree that matches the filter drawn as a
+ * circle, unclustered at every zoom (the "points" mode of map-layers.js).
+ *
+ * Each district table gets one vertex buffer, built from its typed-array
+ * columns by buildTreePointData(): position, radius, fill and stroke colour,
+ * and the row of the tree. No Leaflet marker is needed: the style comes from
+ * getTreeMarkerStyle(). Buffers are rebuilt only when the filter or the
+ * marker style change, or more rows of their district are loaded, so panning
+ * and zooming just redraw with new uniforms.
+ *
+ * Positions are Web Mercator pixels at zoom 0, relative to the district's
+ * first tree, so 32-bit floats stay precise below a pixel up to zoom 19.
+ *
+ * Clicks are resolved on the GPU: the points are drawn again into an
+ * offscreen framebuffer, coloured by row (RGB) and district slot (alpha), and
+ * the pixel under the cursor is read back (see decodeTreePick()).
+ *
+ * Where WebGL is unavailable, or its context is lost, the cluster layer is
+ * shown instead.
+ */
+
+// Bytes per tree: x, y, radius (float32), fill RGBA, stroke RGBA, row + 1 (24 bits) and stroke weight
+const TREE_POINT_STRIDE = 24;
+
+// Zoom from which circles have their full marker radius; it halves at every zoom level below
+const TREE_POINT_FULL_SIZE_ZOOM = 17;
+
+// Smallest radius drawn, and smallest radius a click hits, in CSS pixels
+const TREE_POINT_MIN_RADIUS = 1.5;
+const TREE_POINT_MIN_PICK_RADIUS = 5;
+
+// Pick colours have 8 bits for the district slot (0 is "no tree")
+const TREE_POINT_MAX_SLOTS = 255;
+
+const MAX_MERCATOR_LATITUDE = 85.0511287798;
+
+const TREE_POINT_VERTEX_SHADER = `
+    attribute vec2 a_position;
+    attribute float a_radius;
+    attribute vec4 a_fill;
+    attribute vec4 a_stroke;
+    attribute vec4 a_pick;
+
+    uniform vec2 u_offset;
+    uniform float u_scale;
+    uniform vec2 u_viewport;
+    uniform float u_pixelRatio;
+    uniform float u_radiusScale;
+    uniform float u_picking;
+    uniform float u_slot;
+
+    varying vec4 v_fill;
+    varying vec4 v_stroke;
+    varying vec4 v_pick;
+    varying float v_inner;
+    varying float v_picking;
+
+    void main() {
+        vec2 pixel = a_position * u_scale + u_offset;
+        vec2 clip = pixel / u_viewport * 2.0 - 1.0;
+        gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+
+        float weight = a_pick.w * 255.0;
+        float radius = max(a_radius * u_radiusScale, ${TREE_POINT_MIN_RADIUS.toFixed(1)});
+        float outer = radius + weight / 2.0;
+        if (u_picking > 0.5) {
+            outer = max(outer, ${TREE_POINT_MIN_PICK_RADIUS.toFixed(1)});
+        }
+        gl_PointSize = outer * 2.0 * u_pixelRatio;
+
+        v_fill = a_fill;
+        v_stroke = a_stroke;
+        v_pick = vec4(a_pick.rgb, u_slot / 255.0);
+        v_inner = (radius - weight / 2.0) / outer;
+        v_picking = u_picking;
+    }
+`;
+
+const TREE_POINT_FRAGMENT_SHADER = `
+    precision mediump float;
+
+    varying vec4 v_fill;
+    varying vec4 v_stroke;
+    varying vec4 v_pick;
+    varying float v_inner;
+    varying float v_picking;
+
+    void main() {
+        float edge = length(gl_PointCoord - 0.5) * 2.0;
+        if (edge > 1.0) discard;
+        if (v_picking > 0.5) {
+            gl_FragColor = v_pick;
+            return;
+        }
+        vec4 colour = edge > v_inner ? v_stroke : v_fill;
+        gl_FragColor = vec4(colour.rgb * colour.a, colour.a);
+    }
+`;
+
+/**
+ * Point layer state.
+ *
+ * Properties:
+ * - layer: The WebGL layer, created on first use
+ * - supported: Whether WebGL is available (null until checked)
+ * - version: Bumped when the filter or the marker style change, so every
+ *   district buffer is rebuilt
+ * - colours: Cache of parsed CSS colours
+ */
+const treePointsState = {
+    layer: null,
+    supported: null,
+    version: 0,
+    colours: new Map()
+};
+
+/**
+ * Check whether the browser can draw the point layer.
+ *
+ * @returns {boolean}
+ */
+function isTreePointsSupported() {
+    if (treePointsState.supported === null) {
+        try {
+            treePointsState.supported = Boolean(window.WebGLRenderingContext &&
+                document.createElement('canvas').getContext('webgl'));
+        } catch (error) {
+            treePointsState.supported = false;
+        }
+    }
+    return treePointsState.supported;
+}
+
+/**
+ * Project a position to Web Mercator pixels at zoom 0, like Leaflet's
+ * EPSG:3857 (the world is 256 px wide).
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} { x, y }
+ */
+function projectTreePoint(lat, lng) {
+    const clamped = Math.max(Math.min(lat, MAX_MERCATOR_LATITUDE), -MAX_MERCATOR_LATITUDE);
+    const sin = Math.sin(clamped * Math.PI / 180);
+    return {
+        x: 256 * (lng + 180) / 360,
+        y: 256 * (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI))
+    };
+}
+
+/**
+ * Parse a CSS colour of the marker styles into RGB bytes.
+ * Hex and rgb()/rgba() colours are read directly; other CSS colours (e.g.
+ * names) are resolved by a 2D canvas.
+ *
+ * @param {string} colour - CSS colour
+ * @returns {Array<number>} [r, g, b]
+ */
+function parseTreeColour(colour) {
+    const key = String(colour || '').trim().toLowerCase();
+    if (treePointsState.colours.has(key)) {
+        return treePointsState.colours.get(key);
+    }
+
+    let rgb = null;
+    const hex = key.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    const functional = key.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, digit => digit + digit) : hex[1];
+        rgb = [0, 2, 4].map(start => parseInt(digits.slice(start, start + 2), 16));
+    } else if (functional) {
+        rgb = functional.slice(1, 4).map(value => Math.min(255, Number(value)));
+    } else if (key && !key.startsWith('#')) {
+        const context = document.createElement('canvas').getContext('2d');
+        if (context) {
+            context.fillStyle = key;
+            if (/^#[0-9a-f]{6}$/.test(context.fillStyle)) {
+                rgb = parseTreeColour(context.fillStyle);
+            }
+        }
+    }
+    if (!rgb) {
+        console.warn(`⚠️ Color no reconocido en los estilos: ${colour}`);
+        rgb = [128, 128, 128];
+    }
+
+    treePointsState.colours.set(key, rgb);
+    return rgb;
+}
+
+/**
+ * Write the vertex of a tree: its position relative to the district's origin,
+ * and the radius and colours of its marker style.
+ *
+ * @param {ArrayBuffer} data - Vertex data
+ * @param {number} index - Vertex index
+ * @param {Object} table - District table from tree-store.js
+ * @param {number} row - Loaded row
+ * @param {Object} point - Projected position of the tree, { x, y }
+ * @param {Object} origin - Projected position the vertices are relative to
+ */
+function writeTreePoint(data, index, table, row, point, origin) {
+    const style = getTreeMarkerStyle(table, row);
+    const offset = index * TREE_POINT_STRIDE;
+    const floats = new Float32Array(data, offset, 3);
+    const bytes = new Uint8Array(data, offset, TREE_POINT_STRIDE);
+    floats[0] = point.x - origin.x;
+    floats[1] = point.y - origin.y;
+    floats[2] = style.radius;
+
+    bytes.set(parseTreeColour(style.fillColor), 12);
+    bytes[15] = Math.round(style.fillOpacity * 255);
+    bytes.set(parseTreeColour(style.color), 16);
+    bytes[19] = Math.round((style.stroke === false ? 0 : style.opacity) * 255);
+
+    const id = row + 1;
+    bytes[20] = id >> 16 & 0xff;
+    bytes[21] = id >> 8 & 0xff;
+    bytes[22] = id & 0xff;
+    bytes[23] = style.stroke === false ? 0 : Math.min(255, Math.round(style.weight));
+}
+
+/**
+ * Build the vertex data of a district: one vertex per loaded tree that
+ * matches the filter (see table.shown), read from the table's columns.
+ *
+ * @param {Object} table - District table from tree-store.js
+ * @returns {Object} { data: ArrayBuffer, count, origin: { x, y }, bounds: { minX, minY, maxX, maxY }, indexes },
+ *   positions and bounds in zoom-0 pixels, positions relative to origin;
+ *   indexes gives the vertex of each row, or -1 for rows not drawn
+ */
+function buildTreePointData(table) {
+    const indexes = new Int32Array(table.count).fill(-1);
+    let count = 0;
+    for (let row = 0; row < table.count; row++) {
+        if (table.loaded[row] && table.shown[row]) {
+            indexes[row] = count++;
+        }
+    }
+
+    const data = new ArrayBuffer(count * TREE_POINT_STRIDE);
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    let origin = null;
+
+    for (let row = 0; row < table.count; row++) {
+        if (indexes[row] < 0) continue;
+        const point = projectTreePoint(table.lat[row], table.lng[row]);
+        origin = origin || point;
+        bounds.minX = Math.min(bounds.minX, point.x);
+        bounds.minY = Math.min(bounds.minY, point.y);
+        bounds.maxX = Math.max(bounds.maxX, point.x);
+        bounds.maxY = Math.max(bounds.maxY, point.y);
+        writeTreePoint(data, indexes[row], table, row, point, origin);
+    }
+
+    return { data, count, origin: origin || { x: 0, y: 0 }, bounds, indexes };
+}
+
+/**
+ * Read a pixel of the pick framebuffer.
+ *
+ * @param {Uint8Array} pixel - RGBA bytes
+ * @returns {Object|null} { slot, row }, or null where no tree was drawn
+ */
+function decodeTreePick(pixel) {
+    const slot = pixel[3];
+    const id = pixel[0] << 16 | pixel[1] << 8 | pixel[2];
+    if (!slot || !id) return null;
+    return { slot, row: id - 1 };
+}
+
+/**
+ * Radius factor of the circles at a zoom: full size from
+ * TREE_POINT_FULL_SIZE_ZOOM, halved at every zoom level below.
+ *
+ * @param {number} zoom - Map zoom
+ * @returns {number} Factor between 0 and 1
+ */
+function treePointRadiusScale(zoom) {
+    return Math.min(1, 2 ** (zoom - TREE_POINT_FULL_SIZE_ZOOM));
+}
+
+/**
+ * Compile the shaders of the point layer.
+ *
+ * @param {WebGLRenderingContext} gl - Context
+ * @returns {WebGLProgram} Linked program
+ */
+function createTreePointProgram(gl) {
+    const program = gl.createProgram();
+    [[gl.VERTEX_SHADER, TREE_POINT_VERTEX_SHADER], [gl.FRAGMENT_SHADER, TREE_POINT_FRAGMENT_SHADER]].forEach(([type, source]) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            throw new Error(gl.getShaderInfoLog(shader));
+        }
+        gl.attachShader(program, shader);
+    });
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(gl.getProgramInfoLog(program));
+    }
+    return program;
+}
+
+/**
+ * Create the point layer. The class is defined on first use, like the map
+ * controls (see setupLayerSwitcher()).
+ *
+ * @returns {L.Layer} The layer
+ */
+function createTreePointLayer() {
+    const TreePointLayer = L.Layer.extend({
+        onAdd(map) {
+            this._canvas = L.DomUtil.create('canvas', 'tree-points-layer leaflet-zoom-animated', map.getPane('overlayPane'));
+            this._gl = this._canvas.getContext('webgl', { antialias: false, preserveDrawingBuffer: false });
+            if (!this._gl) {
+                throw new Error('WebGL no disponible');
+            }
+            this._program = createTreePointProgram(this._gl);
+            this._districts = new Map();
+            this._slots = [];
+            this.drawnCount = 0;
+
+            this._canvas.addEventListener('webglcontextlost', event => {
+                event.preventDefault();
+                console.warn('⚠️ Se perdió el contexto WebGL, se muestran los grupos de árboles');
+                treePointsState.supported = false;
+                setLayerMode('clusters');
+            });
+
+            map.on('move zoom resize viewreset', this._scheduleRedraw, this);
+            map.on('zoomanim', this._animateZoom, this);
+            map.on('click', this._onClick, this);
+            this.redraw();
+        },
+
+        onRemove(map) {
+            map.off('move zoom resize viewreset', this._scheduleRedraw, this);
+            map.off('zoomanim', this._animateZoom, this);
+            map.off('click', this._onClick, this);
+            L.Util.cancelAnimFrame(this._frame);
+            this._frame = null;
+
+            // Free the GPU memory: the buffers are built again if the layer comes back
+            const gl = this._gl;
+            if (gl) {
+                this._districts.forEach(entry => gl.deleteBuffer(entry.buffer));
+                this._districts.clear();
+                this._deletePickTarget();
+                gl.deleteProgram(this._program);
+            }
+            if (this._canvas) {
+                L.DomUtil.remove(this._canvas);
+            }
+            this._canvas = null;
+            this._gl = null;
+        },
+
+        _deletePickTarget() {
+            if (!this._pickTarget) return;
+            this._gl.deleteFramebuffer(this._pickTarget.framebuffer);
+            this._gl.deleteTexture(this._pickTarget.texture);
+            this._pickTarget = null;
+        },
+
+        /**
+         * Draw again on the next animation frame.
+         */
+        redraw() {
+            this._scheduleRedraw();
+            return this;
+        },
+
+        _scheduleRedraw() {
+            if (this._frame || !this._map) return;
+            this._frame = L.Util.requestAnimFrame(() => {
+                this._frame = null;
+                this._draw();
+            });
+        },
+
+        // Scale the last frame with the zoom animation, like Leaflet's own renderers
+        _animateZoom(event) {
+            if (!this._topLeft) return;
+            const map = this._map;
+            const scale = map.getZoomScale(event.zoom, map.getZoom());
+            const position = map._latLngToNewLayerPoint(this._topLeft, event.zoom, event.center);
+            L.DomUtil.setTransform(this._canvas, position, scale);
+        },
+
+        /**
+         * Build the buffers of new or changed districts and drop those of
+         * districts no longer loaded. A buffer built while its district was
+         * still being added is built again once more rows are loaded.
+         */
+        _syncBuffers() {
+            const gl = this._gl;
+            this._districts.forEach((entry, code) => {
+                if (treeStore.districts.get(code) !== entry.table || entry.version !== treePointsState.version ||
+                    entry.loadedCount !== entry.table.loadedCount) {
+                    gl.deleteBuffer(entry.buffer);
+                    this._districts.delete(code);
+                }
+            });
+            treeStore.districts.forEach((table, code) => {
+                if (this._districts.has(code)) return;
+                const { data, count, origin, bounds, indexes } = buildTreePointData(table);
+                const buffer = gl.createBuffer();
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+                gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+                this._districts.set(code, {
+                    table, buffer, count, origin, bounds, indexes,
+                    version: treePointsState.version,
+                    loadedCount: table.loadedCount
+                });
+            });
+        },
+
+        /**
+         * Write the vertex of one tree again, after its style changed, without
+         * rebuilding its district. Trees not drawn (hidden by the filter, or
+         * in a buffer about to be rebuilt) are left to the next sync.
+         *
+         * @param {Object} table - District table from tree-store.js
+         * @param {number} row - Loaded row
+         */
+        updateTree(table, row) {
+            const entry = this._districts && this._districts.get(table.code);
+            if (!entry || entry.table !== table || entry.version !== treePointsState.version ||
+                entry.loadedCount !== table.loadedCount) return;
+            const index = entry.indexes[row];
+            if (index < 0) return;
+
+            const data = new ArrayBuffer(TREE_POINT_STRIDE);
+            writeTreePoint(data, 0, table, row, projectTreePoint(table.lat[row], table.lng[row]), entry.origin);
+            const gl = this._gl;
+            gl.bindBuffer(gl.ARRAY_BUFFER, entry.buffer);
+            gl.bufferSubData(gl.ARRAY_BUFFER, index * TREE_POINT_STRIDE, data);
+            this.redraw();
+        },
+
+        /**
+         * Resize the canvas to the map and place it at its top-left corner.
+         *
+         * @returns {Object} { size, pixelRatio }
+         */
+        _resize() {
+            const map = this._map;
+            const size = map.getSize();
+            const pixelRatio = window.devicePixelRatio || 1;
+            const width = Math.round(size.x * pixelRatio);
+            const height = Math.round(size.y * pixelRatio);
+            if (this._canvas.width !== width || this._canvas.height !== height) {
+                this._canvas.width = width;
+                this._canvas.height = height;
+                this._canvas.style.width = `${size.x}px`;
+                this._canvas.style.height = `${size.y}px`;
+            }
+            this._topLeft = map.containerPointToLatLng([0, 0]);
+            L.DomUtil.setPosition(this._canvas, map.containerPointToLayerPoint([0, 0]));
+            return { size, pixelRatio };
+        },
+
+        /**
+         * Draw the visible districts, into the canvas or into the pick framebuffer.
+         *
+         * @param {boolean} picking - Draw pick colours
+         */
+        _render(picking) {
+            const gl = this._gl;
+            const map = this._map;
+            const { size, pixelRatio } = this._resize();
+            const zoom = map.getZoom();
+            const scale = 2 ** zoom;
+            const topLeft = map.getPixelBounds().min;
+            const view = {
+                minX: topLeft.x / scale, minY: topLeft.y / scale,
+                maxX: (topLeft.x + size.x) / scale, maxY: (topLeft.y + size.y) / scale
+            };
+            // Circles near the edges still show their part inside the view
+            const margin = (MAX_MARKER_RADIUS + TREE_POINT_MIN_PICK_RADIUS) / scale;
+
+            gl.viewport(0, 0, this._canvas.width, this._canvas.height);
+            gl.clearColor(0, 0, 0, 0);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+            if (picking) {
+                gl.disable(gl.BLEND);
+            } else {
+                gl.enable(gl.BLEND);
+                gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+            }
+
+            const program = this._program;
+            gl.useProgram(program);
+            const uniform = name => gl.getUniformLocation(program, name);
+            gl.uniform1f(uniform('u_scale'), scale);
+            gl.uniform2f(uniform('u_viewport'), size.x, size.y);
+            gl.uniform1f(uniform('u_pixelRatio'), pixelRatio);
+            gl.uniform1f(uniform('u_radiusScale'), treePointRadiusScale(zoom));
+            gl.uniform1f(uniform('u_picking'), picking ? 1 : 0);
+
+            const attributes = [
+                ['a_position', 2, gl.FLOAT, false, 0],
+                ['a_radius', 1, gl.FLOAT, false, 8],
+                ['a_fill', 4, gl.UNSIGNED_BYTE, true, 12],
+                ['a_stroke', 4, gl.UNSIGNED_BYTE, true, 16],
+                ['a_pick', 4, gl.UNSIGNED_BYTE, true, 20]
+            ].map(([name, size, type, normalized, offset]) => ({ location: gl.getAttribLocation(program, name), size, type, normalized, offset }));
+            attributes.forEach(({ location }) => gl.enableVertexAttribArray(location));
+
+            this._slots = [];
+            this.drawnCount = 0;
+            this._districts.forEach(entry => {
+                const { bounds } = entry;
+                if (!entry.count || bounds.maxX < view.minX - margin || bounds.minX > view.maxX + margin ||
+                    bounds.maxY < view.minY - margin || bounds.minY > view.maxY + margin) {
+                    return;
+                }
+                if (picking && this._slots.length >= TREE_POINT_MAX_SLOTS) return;
+
+                this._slots.push(entry);
+                gl.uniform1f(uniform('u_slot'), this._slots.length);
+                gl.uniform2f(uniform('u_offset'), entry.origin.x * scale - topLeft.x, entry.origin.y * scale - topLeft.y);
+                gl.bindBuffer(gl.ARRAY_BUFFER, entry.buffer);
+                attributes.forEach(({ location, size, type, normalized, offset }) => {
+                    gl.vertexAttribPointer(location, size, type, normalized, TREE_POINT_STRIDE, offset);
+                });
+                gl.drawArrays(gl.POINTS, 0, entry.count);
+                this.drawnCount += entry.count;
+            });
+        },
+
+        _draw() {
+            if (!this._map || !this._gl) return;
+            this._syncBuffers();
+            this._render(false);
+        },
+
+        /**
+         * Find the tree drawn at a point of the map.
+         *
+         * @param {L.Point} containerPoint - Point in CSS pixels from the map's top-left corner
+         * @returns {Object|null} { table, row }, or null if there is no tree there
+         */
+        pick(containerPoint) {
+            if (!this._gl) return null;
+            const gl = this._gl;
+            const width = this._canvas.width;
+            const height = this._canvas.height;
+
+            // A texture rather than a renderbuffer: WebGL 1 renderbuffers have no 8-bit RGBA format
+            if (!this._pickTarget || this._pickTarget.width !== width || this._pickTarget.height !== height) {
+                this._deletePickTarget();
+                const texture = gl.createTexture();
+                gl.bindTexture(gl.TEXTURE_2D, texture);
+                gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+                const framebuffer = gl.createFramebuffer();
+                gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+                gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+                this._pickTarget = { framebuffer, texture, width, height };
+            }
+
+            const pixelRatio = window.devicePixelRatio || 1;
+            const x = Math.floor(containerPoint.x * pixelRatio);
+            const y = height - 1 - Math.floor(containerPoint.y * pixelRatio);
+            const pixel = new Uint8Array(4);
+
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this._pickTarget.framebuffer);
+            gl.enable(gl.SCISSOR_TEST);
+            gl.scissor(x, y, 1, 1);
+            this._syncBuffers();
+            this._render(true);
+            gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+            gl.disable(gl.SCISSOR_TEST);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            this._scheduleRedraw();
+
+            const hit = decodeTreePick(pixel);
+            const entry = hit && this._slots[hit.slot - 1];
+            if (!entry || !entry.table.loaded[hit.row]) return null;
+            return { table: entry.table, row: hit.row };
+        },
+
+        _onClick(event) {
+            // Clicks while drawing an area add vertices (see area-selection.js)
+            if (areaSelection.drawing) return;
+
+            const hit = this.pick(event.containerPoint);
+            if (hit) {
+                showTreePopup(hit.table, hit.row);
+            }
+        }
+    });
+
+    return new TreePointLayer();
+}
+
+/**
+ * Show or hide the point layer.
+ *
+ * @param {boolean} on - Show it
+ * @returns {boolean} False if it could not be shown
+ */
+function showTreePoints(on) {
+    const layer = treePointsState.layer;
+    if (!on) {
+        if (layer && map.hasLayer(layer)) {
+            map.removeLayer(layer);
+        }
+        return true;
+    }
+
+    try {
+        treePointsState.layer = layer || createTreePointLayer();
+        if (!map.hasLayer(treePointsState.layer)) {
+            map.addLayer(treePointsState.layer);
+        }
+        return true;
+    } catch (error) {
+        console.warn('⚠️ No se pudo crear la capa WebGL, se muestran los grupos de árboles:', error);
+        treePointsState.supported = false;
+        if (treePointsState.layer && map.hasLayer(treePointsState.layer)) {
+            map.removeLayer(treePointsState.layer);
+        }
+        treePointsState.layer = null;
+        return false;
+    }
+}
+
+/**
+ * Redraw the point layer after districts were loaded.
+ */
+function refreshTreePoints() {
+    const layer = treePointsState.layer;
+    if (layer && map.hasLayer(layer)) {
+        layer.redraw();
+    }
+}
+
+/**
+ * Redraw one tree of the point layer after its style changed (e.g. a field
+ * survey edit), rewriting only its vertex.
+ *
+ * @param {Object} table - District table from tree-store.js
+ * @param {number} row - Loaded row
+ */
+function refreshTreePoint(table, row) {
+    const layer = treePointsState.layer;
+    if (layer && map.hasLayer(layer)) {
+        layer.updateTree(table, row);
+    }
+}
+
+/**
+ * Rebuild every district buffer of the point layer, after the filter or the
+ * marker style changed.
+ */
+function invalidateTreePoints() {
+    treePointsState.version++;
+    refreshTreePoints();
+}
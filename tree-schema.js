@@ -0,0 +1,269 @@
+/**
+ * Tree schema: maps the properties of a city's open-data export to the
+ * canonical tree record every other part of the app reads.
+ *
+ * The mapping is configured in data/schema.json:
+ *
+ *   {
+ *       "version": "1",
+ *       "fields": {
+ *           "species": { "sources": ["Nombre científico"], "type": "string", "required": true, "default": "Especie desconocida" },
+ *           "height": { "sources": ["ALTURA"], "type": "number", "min": 0, "max": 120 },
+ *           ...
+ *       },
+ *       "extra": {
+ *           "planted": { "sources": ["FECHA_PLANTACION"], "type": "string", "label": { "es": "Plantado", "en": "Planted" } }
+ *       }
+ *   }
+ *
+ * - fields: The canonical fields (TREE_RECORD_FIELDS). The short property names
+ *   written by compress-districts.py and the binary files (sn, cn, h, d, dt, nb)
+ *   are always read first, so only the names of the source data need listing
+ * - extra: Other attributes to keep; they are shown in the tree popup
+ * - sources: Property names to read, the first non-empty one wins
+ * - type: 'string' or 'number'. Numbers accept strings with a decimal comma;
+ *   0 and empty values count as missing
+ * - min / max: Valid range of a number
+ * - required / default: A missing required value is reported; default is used
+ *   for missing and invalid values
+ * - version: Change it when the mapping changes, so cached districts are
+ *   decoded again (see districtCacheKey() in offline-cache.js)
+ *
+ * Values that can't be coerced or are out of range are dropped and reported:
+ * each district table carries a validation summary (see encodeDistrictFeatures()
+ * in district-parser.js), logged when the district loads.
+ *
+ * Loaded both by the page and by district-worker.js. Must not touch the DOM.
+ */
+
+const TREE_SCHEMA_URL = './data/schema.json';
+
+/**
+ * Canonical fields and the short property name each one is stored under in
+ * compressed and binary district files (null: none).
+ */
+const TREE_RECORD_FIELDS = {
+    id: null,
+    species: 'sn',
+    commonName: 'cn',
+    height: 'h',
+    diameter: 'd',
+    district: 'dt',
+    neighborhood: 'nb'
+};
+
+/**
+ * Mapping used when data/schema.json can't be loaded: Madrid's export.
+ */
+const FALLBACK_TREE_SCHEMA = {
+    version: '1',
+    fields: {
+        id: { sources: ['id'], type: 'string' },
+        species: { sources: ['species', 'Nombre científico'], type: 'string', required: true, default: 'Especie desconocida' },
+        commonName: { sources: ['common_name', 'CODIGO_ESP'], type: 'string' },
+        height: { sources: ['height'], type: 'number', min: 0, max: 120 },
+        diameter: { sources: ['diameter'], type: 'number', min: 0, max: 1500 },
+        district: { sources: ['NBRE_DTO'], type: 'string' },
+        neighborhood: { sources: ['NBRE_BARRI'], type: 'string' }
+    },
+    extra: {}
+};
+
+// Most failing values kept as examples in a district's validation summary
+const SCHEMA_ISSUE_SAMPLES = 20;
+
+/**
+ * Schema state.
+ *
+ * Properties:
+ * - config: Schema configuration in use
+ * - compiled: Compiled form of config (see compileTreeSchema)
+ */
+const treeSchemaState = {
+    config: FALLBACK_TREE_SCHEMA,
+    compiled: null
+};
+
+/**
+ * Compile a schema configuration: resolve the full list of property names of
+ * every field, short names first.
+ *
+ * @param {Object} config - Schema configuration
+ * @returns {Object} { version, config, fields: [{ name, spec, sources }], extra: [...] }
+ */
+function compileTreeSchema(config) {
+    const compileField = (name, spec, shortName) => {
+        const sources = (spec.sources || []).slice();
+        if (shortName && !sources.includes(shortName)) {
+            sources.unshift(shortName);
+        }
+        return { name, spec, sources };
+    };
+
+    const fields = config.fields || {};
+    return {
+        version: String(config.version || ''),
+        config,
+        fields: Object.entries(TREE_RECORD_FIELDS).map(([name, shortName]) =>
+            compileField(name, fields[name] || { type: name === 'height' || name === 'diameter' ? 'number' : 'string' }, shortName)),
+        extra: Object.entries(config.extra || {}).map(([name, spec]) => compileField(name, spec, null))
+    };
+}
+
+/**
+ * The compiled schema for a configuration, compiled once per version.
+ *
+ * @param {Object} [config] - Schema configuration; defaults to the one in use
+ * @returns {Object} Compiled schema
+ */
+function getTreeSchema(config = treeSchemaState.config) {
+    const compiled = treeSchemaState.compiled;
+    if (!compiled || compiled.config !== config) {
+        treeSchemaState.config = config;
+        treeSchemaState.compiled = compileTreeSchema(config);
+    }
+    return treeSchemaState.compiled;
+}
+
+/**
+ * Coerce a raw property value to a field's type and check its range.
+ *
+ * @param {*} value - Raw value
+ * @param {Object} spec - Field specification
+ * @returns {Object} { value, reason }: value is null when missing or invalid;
+ *   reason is 'type' or 'range' when invalid, otherwise null
+ */
+function coerceSchemaValue(value, spec) {
+    if (value === null || value === undefined || value === '') {
+        return { value: null, reason: null };
+    }
+
+    if (spec.type === 'number') {
+        const number = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+        if (typeof value === 'object' || isNaN(number)) {
+            return { value: null, reason: 'type' };
+        }
+        if (number === 0) {
+            return { value: null, reason: null };
+        }
+        if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+            return { value: null, reason: 'range' };
+        }
+        return { value: number, reason: null };
+    }
+
+    if (typeof value === 'object') {
+        return { value: null, reason: 'type' };
+    }
+    const text = String(value).trim();
+    return { value: text || null, reason: null };
+}
+
+/**
+ * Read one field of a tree from its properties.
+ *
+ * @param {Object} props - Feature properties
+ * @param {Object} field - Compiled field ({ name, spec, sources })
+ * @param {Array<Object>} issues - Issues are appended here: { field, reason, value }
+ * @returns {*} Value, the default or null
+ */
+function readSchemaField(props, field, issues) {
+    const { spec } = field;
+    let raw;
+    for (const source of field.sources) {
+        const candidate = props[source];
+        if (candidate !== null && candidate !== undefined && candidate !== '') {
+            raw = candidate;
+            break;
+        }
+    }
+
+    const { value, reason } = coerceSchemaValue(raw, spec);
+    if (reason) {
+        issues.push({ field: field.name, reason, value: raw });
+    } else if (value === null && spec.required) {
+        issues.push({ field: field.name, reason: 'missing', value: null });
+    }
+    if (value === null) {
+        return spec.default !== undefined ? spec.default : (spec.type === 'number' ? null : '');
+    }
+    return value;
+}
+
+/**
+ * Build the canonical record of a tree from its GeoJSON properties.
+ *
+ * @param {Object} props - Feature properties
+ * @param {Object} [schema] - Compiled schema; defaults to the one in use
+ * @returns {Object} { record, issues }. record: { id, species, commonName, height,
+ *   diameter, district, neighborhood, extra: { name: value } }; height and
+ *   diameter are numbers or null, the rest strings ('' when missing, id null)
+ */
+function normalizeTreeRecord(props, schema = getTreeSchema()) {
+    const issues = [];
+    const record = {};
+    schema.fields.forEach(field => {
+        record[field.name] = readSchemaField(props || {}, field, issues);
+    });
+    record.id = record.id || null;
+
+    record.extra = {};
+    schema.extra.forEach(field => {
+        const value = readSchemaField(props || {}, field, issues);
+        if (value !== null && value !== '') {
+            record.extra[field.name] = value;
+        }
+    });
+
+    return { record, issues };
+}
+
+/**
+ * Start a validation summary for a district.
+ *
+ * @returns {Object} { invalidRows, counts: { 'field:reason': n }, samples: [{ row, field, reason, value }] }
+ */
+function createSchemaValidation() {
+    return { invalidRows: 0, counts: {}, samples: [] };
+}
+
+/**
+ * Add the issues of one row to a validation summary.
+ *
+ * @param {Object} validation - Summary from createSchemaValidation()
+ * @param {number} row - Row (feature index)
+ * @param {Array<Object>} issues - Issues of the row
+ */
+function addSchemaIssues(validation, row, issues) {
+    if (!issues.length) return;
+
+    validation.invalidRows++;
+    issues.forEach(issue => {
+        const key = `${issue.field}:${issue.reason}`;
+        validation.counts[key] = (validation.counts[key] || 0) + 1;
+        if (validation.samples.length < SCHEMA_ISSUE_SAMPLES) {
+            validation.samples.push({ row, ...issue, value: issue.value === null || issue.value === undefined ? null : String(issue.value) });
+        }
+    });
+}
+
+/**
+ * Load data/schema.json (or a city's schema, see cities.js), falling back to
+ * FALLBACK_TREE_SCHEMA.
+ *
+ * @param {string} [url=TREE_SCHEMA_URL] - Schema URL
+ * @returns {Promise<Object>} Schema configuration in use
+ */
+async function loadTreeSchema(url = TREE_SCHEMA_URL) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        getTreeSchema(await response.json());
+    } catch (error) {
+        console.warn('⚠️ No se pudo cargar el esquema de datos, se usa el de Madrid:', error.message);
+        getTreeSchema(FALLBACK_TREE_SCHEMA);
+    }
+    return treeSchemaState.config;
+}
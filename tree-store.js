@@ -0,0 +1,167 @@
+/**
+ * Main-thread store of loaded trees.
+ *
+ * Each loaded district is kept as the columnar table produced by
+ * district-parser.js (typed arrays plus a string dictionary). Tree properties
+ * are read from the columns on demand by { table, row } or tree id instead of
+ * being kept in a closure per marker.
+ *
+ * Leaflet markers are only created while the cluster group needs them: the
+ * WebGL point layer reads the columns directly (see tree-points.js), so in
+ * that mode table.markers stays empty and trees are looked up by row.
+ *
+ * A tree id is "<districtCode>-<row>", where row is the feature index in the
+ * district file.
+ */
+
+/**
+ * Loaded district tables.
+ *
+ * Properties:
+ * - districts: Map of district code -> table ({ code, count, strings, attributeStrings,
+ *   attributes, validation, loaded, loadedCount, shown, markers, ...DISTRICT_COLUMNS });
+ *   loaded is 1 for the rows with a position that were added to the map (loadedCount of
+ *   them so far, as a district is added in chunks), shown is 1 for the rows
+ *   that match the filter (see filters.js), and markers holds the Leaflet marker of a
+ *   row while the cluster group is in use, or null
+ * - count: Number of loaded trees across all districts
+ */
+const treeStore = {
+    districts: new Map(),
+    count: 0
+};
+
+/**
+ * Create an empty table for a district from the worker's 'start' message.
+ *
+ * @param {Object} message - { code, count, strings, attributeStrings, attributeNames, validation }
+ * @returns {Object} District table, registered in treeStore
+ */
+function createDistrictTable(message) {
+    const table = {
+        code: message.code,
+        count: message.count,
+        strings: message.strings,
+        attributeStrings: message.attributeStrings || [''],
+        attributes: {},
+        validation: message.validation || null,
+        loaded: new Uint8Array(message.count),
+        loadedCount: 0,
+        shown: new Uint8Array(message.count),
+        markers: new Array(message.count).fill(null)
+    };
+    Object.entries(DISTRICT_COLUMNS).forEach(([column, ArrayType]) => {
+        table[column] = new ArrayType(message.count);
+    });
+    (message.attributeNames || []).forEach(name => {
+        table.attributes[name] = new Uint32Array(message.count);
+    });
+
+    treeStore.districts.set(message.code, table);
+    return table;
+}
+
+/**
+ * Copy a worker 'batch' message into its district table.
+ *
+ * @param {Object} table - District table
+ * @param {Object} batch - { start, ...columns, attributes }
+ */
+function writeDistrictBatch(table, batch) {
+    Object.keys(DISTRICT_COLUMNS).forEach(column => {
+        table[column].set(batch[column], batch.start);
+    });
+    Object.entries(batch.attributes || {}).forEach(([name, values]) => {
+        table.attributes[name].set(values, batch.start);
+    });
+}
+
+/**
+ * Build the tree id of a row.
+ *
+ * @param {string} districtCode - District code
+ * @param {number} row - Row (feature index) in the district table
+ * @returns {string} Tree id
+ */
+function getTreeId(districtCode, row) {
+    return `${districtCode}-${row}`;
+}
+
+/**
+ * Read the canonical record of a row, in the shape of normalizeTreeRecord()
+ * (see tree-schema.js). This is how the rest of the app reads tree data.
+ *
+ * @param {Object} table - District table
+ * @param {number} row - Row in the table
+ * @returns {Object} Fields: id, species, commonName, diameter, height, district, neighborhood, extra
+ */
+function getTreeFields(table, row) {
+    const height = table.height[row];
+    const diameter = table.diameter[row];
+    const extra = {};
+    let id = null;
+    Object.entries(table.attributes).forEach(([name, values]) => {
+        const index = values[row];
+        if (!index) return;
+        if (name === 'id') {
+            id = table.attributeStrings[index];
+        } else {
+            extra[name] = table.attributeStrings[index];
+        }
+    });
+    return {
+        id,
+        species: table.strings[table.species[row]],
+        commonName: table.strings[table.commonName[row]],
+        diameter: diameter ? diameter : null,
+        height: height ? height : null,
+        district: table.strings[table.district[row]],
+        neighborhood: table.strings[table.neighborhood[row]],
+        extra
+    };
+}
+
+/**
+ * Find a loaded tree by id.
+ *
+ * @param {string} treeId - Tree id as "<districtCode>-<row>"
+ * @returns {Object|null} { id, table, row, marker }, or null if not loaded; marker is null
+ *   while the cluster group is not in use
+ */
+function findTree(treeId) {
+    const separator = treeId.lastIndexOf('-');
+    const table = treeStore.districts.get(treeId.slice(0, separator));
+    const row = Number(treeId.slice(separator + 1));
+
+    if (!table || !Number.isInteger(row) || !table.loaded[row]) {
+        return null;
+    }
+    return { id: treeId, table, row, marker: table.markers[row] };
+}
+
+/**
+ * Call a function for every loaded tree.
+ *
+ * @param {Function} callback - Called with (table, row, marker); marker is null
+ *   while the cluster group is not in use
+ */
+function forEachLoadedTree(callback) {
+    treeStore.districts.forEach(table => {
+        for (let row = 0; row < table.count; row++) {
+            if (table.loaded[row]) {
+                callback(table, row, table.markers[row]);
+            }
+        }
+    });
+}
+
+/**
+ * Position of a row.
+ *
+ * @param {Object} table - District table
+ * @param {number} row - Row in the table
+ * @returns {L.LatLng} Tree position
+ */
+function getTreeLatLng(table, row) {
+    return L.latLng(table.lat[row], table.lng[row]);
+}
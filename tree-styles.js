@@ -0,0 +1,378 @@
+/**
+ * Declarative marker styles.
+ *
+ * Styles are read from data/styles.json:
+ *
+ *   {
+ *     "default": "height",
+ *     "marker": { "weight": 1, "opacity": 0.8, "fillOpacity": 0.6 },
+ *     "rules": [{ "when": { "districtCode": "22" }, "fillColor": "...", "color": "...", "radius": 8, "label": "..." }],
+ *     "presets": {
+ *       "height": {
+ *         "label": "Altura",
+ *         "colour": { "type": "graduated", "property": "height", "breaks": [16, 19], "unit": "m", "palette": [...] },
+ *         "radius": { "type": "size" }
+ *       }
+ *     }
+ *   }
+ *
+ * Colour types:
+ * - constant: { fillColor, color }
+ * - graduated: numeric property split at `breaks`; `palette` has one colour
+ *   more than `breaks`; trees without a value use `missing`, or the first colour
+ * - categorical: `categories` maps values to colours; other values use
+ *   `other`, or, without it, a colour of `palette` picked by hashing the value
+ *
+ * Radius types:
+ * - size: calculateMarkerRadius(), from diameter and height
+ * - constant: { value }
+ * - linear / sqrt: property scaled from `domain` to `range` (clamped);
+ *   trees without a value get the smallest radius
+ *
+ * Colours are either "#rrggbb" (fill and stroke) or { fillColor, color }.
+ * Labels (label, legendTitle, otherLabel) are plain text or maps of
+ * language -> text (see localizeText() in i18n.js).
+ * Rules override the preset for trees matching all their `when` values; a
+ * preset with its own `rules` replaces the top-level ones.
+ *
+ * Properties: species, genus, commonName, district, neighborhood, height,
+ * diameter, districtCode.
+ */
+
+const STYLE_CONFIG_URL = './data/styles.json';
+
+/**
+ * Style used when data/styles.json can't be loaded.
+ */
+const FALLBACK_STYLE_CONFIG = {
+    default: 'default',
+    presets: {
+        default: {
+            label: { es: 'Árboles', en: 'Trees' },
+            colour: { type: 'constant', fillColor: '#4CAF50', color: '#2E7D32' },
+            radius: { type: 'size' }
+        }
+    }
+};
+
+const DEFAULT_MARKER_OPTIONS = { weight: 1, opacity: 0.8, fillOpacity: 0.6 };
+
+/**
+ * Style state.
+ *
+ * Properties:
+ * - config: Loaded style config
+ * - presetKey: Key of the active preset
+ * - compiled: Active preset compiled by compileStylePreset()
+ */
+const treeStyleState = {
+    config: FALLBACK_STYLE_CONFIG,
+    presetKey: 'default',
+    compiled: null
+};
+
+/**
+ * Read a property of a tree straight from its district table columns.
+ *
+ * @param {Object} table - District table
+ * @param {number} row - Row in the table
+ * @param {string} property - Property name (see the list above)
+ * @returns {string|number|null} Value, or null if missing
+ */
+function getTreeValue(table, row, property) {
+    switch (property) {
+        case 'species':
+        case 'commonName':
+        case 'district':
+        case 'neighborhood':
+            return table.strings[table[property][row]] || null;
+        case 'genus': {
+            const words = (table.strings[table.species[row]] || '').split(/\s+/);
+            return (words[0] === 'x' ? words[1] : words[0]) || null;
+        }
+        case 'height':
+        case 'diameter': {
+            const value = table[property][row];
+            return value > 0 ? value : null;
+        }
+        case 'districtCode':
+            return table.code;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Normalize a colour entry to { fillColor, color }.
+ *
+ * @param {string|Object} colour - "#rrggbb" or { fillColor, color }
+ * @returns {Object} { fillColor, color }
+ */
+function normalizeStyleColour(colour) {
+    if (typeof colour === 'string') {
+        return { fillColor: colour, color: colour };
+    }
+    return { fillColor: colour.fillColor, color: colour.color || colour.fillColor };
+}
+
+/**
+ * Stable index for a category value, so it gets the same palette colour
+ * whatever order districts load in (FNV-1a hash).
+ *
+ * @param {string} value - Category value
+ * @param {number} size - Palette size
+ * @returns {number} Palette index
+ */
+function hashStyleValue(value, size) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) % size;
+}
+
+/**
+ * Compile the colour part of a preset into a function of (table, row).
+ *
+ * @param {Object} colour - Colour definition
+ * @returns {Function} Returns { fillColor, color }
+ */
+function compileColour(colour) {
+    if (colour.type === 'graduated') {
+        const palette = colour.palette.map(normalizeStyleColour);
+        const missing = colour.missing ? normalizeStyleColour(colour.missing) : palette[0];
+        return (table, row) => {
+            const value = getTreeValue(table, row, colour.property);
+            if (value === null) return missing;
+            let index = 0;
+            while (index < colour.breaks.length && value >= colour.breaks[index]) {
+                index++;
+            }
+            return palette[index];
+        };
+    }
+
+    if (colour.type === 'categorical') {
+        const categories = new Map(Object.entries(colour.categories || {})
+            .map(([value, entry]) => [value, normalizeStyleColour(entry)]));
+        const other = colour.other ? normalizeStyleColour(colour.other) : null;
+        const palette = (colour.palette || []).map(normalizeStyleColour);
+        const missing = colour.missing ? normalizeStyleColour(colour.missing) : (other || palette[0]);
+        return (table, row) => {
+            const value = getTreeValue(table, row, colour.property);
+            if (value === null) return missing;
+            if (categories.has(value)) return categories.get(value);
+            if (other || !palette.length) return other || missing;
+            return palette[hashStyleValue(String(value), palette.length)];
+        };
+    }
+
+    const constant = normalizeStyleColour(colour);
+    return () => constant;
+}
+
+/**
+ * Compile the radius part of a preset into a function of (table, row).
+ *
+ * @param {Object} radius - Radius definition
+ * @returns {Function} Returns the marker radius in pixels
+ */
+function compileRadius(radius) {
+    if (radius.type === 'constant') {
+        return () => radius.value;
+    }
+
+    if (radius.type === 'linear' || radius.type === 'sqrt') {
+        const [domainMin, domainMax] = radius.domain;
+        const [rangeMin, rangeMax] = radius.range;
+        const scale = radius.type === 'sqrt' ? Math.sqrt : value => value;
+        const span = scale(domainMax - domainMin) || 1;
+        return (table, row) => {
+            const value = getTreeValue(table, row, radius.property);
+            if (value === null) return rangeMin;
+            const t = Math.min(1, Math.max(0, scale(Math.max(0, value - domainMin)) / span));
+            return rangeMin + (rangeMax - rangeMin) * t;
+        };
+    }
+
+    // size: precomputed by the district worker with calculateMarkerRadius()
+    return (table, row) => table.radius[row];
+}
+
+/**
+ * Compile a preset into a style function and its legend entries.
+ *
+ * @param {Object} preset - Preset definition
+ * @param {Array} rules - Rules that apply on top of the preset
+ * @returns {Object} { preset, rules, style(table, row) -> { fillColor, color, radius } }
+ */
+function compileStylePreset(preset, rules) {
+    const colourOf = compileColour(preset.colour || {});
+    const radiusOf = compileRadius(preset.radius || { type: 'size' });
+    const compiledRules = (rules || []).map(rule => ({
+        rule,
+        when: Object.entries(rule.when || {}),
+        colour: rule.fillColor ? normalizeStyleColour(rule) : null
+    }));
+
+    return {
+        preset,
+        rules: compiledRules,
+        style: (table, row) => {
+            for (const { rule, when, colour } of compiledRules) {
+                if (when.every(([property, value]) => getTreeValue(table, row, property) === value)) {
+                    const base = colour || colourOf(table, row);
+                    return {
+                        fillColor: base.fillColor,
+                        color: base.color,
+                        radius: rule.radius !== undefined ? rule.radius : radiusOf(table, row)
+                    };
+                }
+            }
+            const colour = colourOf(table, row);
+            return { fillColor: colour.fillColor, color: colour.color, radius: radiusOf(table, row) };
+        }
+    };
+}
+
+/**
+ * Load data/styles.json (or a city's styles, see cities.js) and compile its
+ * default preset. Falls back to a single green style if the file can't be loaded.
+ *
+ * @param {string} [url=STYLE_CONFIG_URL] - Styles URL
+ * @returns {Promise<void>}
+ */
+async function loadTreeStyles(url = STYLE_CONFIG_URL) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        treeStyleState.config = await response.json();
+    } catch (error) {
+        console.warn('⚠️ No se pudieron cargar los estilos, se usa el estilo básico:', error.message);
+        treeStyleState.config = FALLBACK_STYLE_CONFIG;
+    }
+
+    const presets = treeStyleState.config.presets;
+    const key = presets[treeStyleState.config.default] ? treeStyleState.config.default : Object.keys(presets)[0];
+    selectTreeStylePreset(key);
+}
+
+/**
+ * Make a preset the active one, without restyling existing markers.
+ *
+ * @param {string} key - Preset key
+ */
+function selectTreeStylePreset(key) {
+    const config = treeStyleState.config;
+    const preset = config.presets[key];
+    if (!preset) return;
+
+    treeStyleState.presetKey = key;
+    treeStyleState.compiled = compileStylePreset(preset, preset.rules || config.rules);
+}
+
+/**
+ * Leaflet circleMarker options for a tree, from the active preset. Trees
+ * annotated in survey mode take the style of their status (see field-survey.js).
+ *
+ * @param {Object} table - District table
+ * @param {number} row - Row in the table
+ * @returns {Object} { radius, fillColor, color, weight, opacity, fillOpacity }
+ */
+function getTreeMarkerStyle(table, row) {
+    if (!treeStyleState.compiled) {
+        selectTreeStylePreset(treeStyleState.presetKey);
+    }
+    const style = treeStyleState.compiled.style(table, row);
+    return Object.assign({}, DEFAULT_MARKER_OPTIONS, treeStyleState.config.marker, style, getSurveyMarkerStyle(table, row, style.radius));
+}
+
+/**
+ * Switch to another preset and restyle every loaded tree: its marker, if the
+ * cluster group is in use, and the point layer.
+ *
+ * @param {string} key - Preset key
+ */
+function applyTreeStylePreset(key) {
+    selectTreeStylePreset(key);
+
+    forEachLoadedTree((table, row, marker) => {
+        if (marker) {
+            marker.setStyle(getTreeMarkerStyle(table, row));
+        }
+    });
+    invalidateTreePoints();
+    updateLegend();
+}
+
+/**
+ * Format a graduated class label, e.g. "16 – 19 m".
+ *
+ * @param {number[]} breaks - Class breaks
+ * @param {number} index - Class index
+ * @param {string} unit - Unit suffix
+ * @returns {string} Label
+ */
+function formatStyleClass(breaks, index, unit) {
+    const suffix = unit ? ` ${unit}` : '';
+    if (index === 0) return t('legend.lessThan', { value: `${formatNumber(breaks[0])}${suffix}` });
+    if (index === breaks.length) return t('legend.orMore', { value: `${formatNumber(breaks[index - 1])}${suffix}` });
+    return `${formatNumber(breaks[index - 1])} – ${formatNumber(breaks[index])}${suffix}`;
+}
+
+/**
+ * Legend entries of the active preset. Hashed categories list the values of
+ * the loaded trees, most common first.
+ *
+ * @param {number} [maxEntries=12] - Most categories to list
+ * @returns {Object} { title, entries: [{ fillColor, label }], note }
+ */
+function getTreeStyleLegend(maxEntries = 12) {
+    const { preset, rules } = treeStyleState.compiled;
+    const colour = preset.colour || {};
+    const entries = [];
+    let note = '';
+
+    if (colour.type === 'graduated') {
+        colour.palette.map(normalizeStyleColour).forEach((entry, index) => {
+            entries.push({ fillColor: entry.fillColor, label: formatStyleClass(colour.breaks, index, colour.unit) });
+        });
+    } else if (colour.type === 'categorical') {
+        Object.entries(colour.categories || {}).forEach(([value, entry]) => {
+            entries.push({ fillColor: normalizeStyleColour(entry).fillColor, label: value });
+        });
+
+        if (colour.other) {
+            entries.push({ fillColor: normalizeStyleColour(colour.other).fillColor, label: localizeText(colour.otherLabel) || t('legend.other') });
+        } else if (colour.palette && colour.palette.length) {
+            const counts = new Map();
+            forEachLoadedTree((table, row) => {
+                const value = getTreeValue(table, row, colour.property);
+                if (value !== null && !(colour.categories && value in colour.categories)) {
+                    counts.set(value, (counts.get(value) || 0) + 1);
+                }
+            });
+            const values = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+            const palette = colour.palette.map(normalizeStyleColour);
+            values.slice(0, maxEntries).forEach(value => {
+                entries.push({ fillColor: palette[hashStyleValue(String(value), palette.length)].fillColor, label: value });
+            });
+            if (values.length > maxEntries) {
+                note = t('legend.andMore', { count: values.length - maxEntries });
+            }
+        }
+    } else {
+        entries.push({ fillColor: normalizeStyleColour(colour).fillColor, label: localizeText(preset.label) || t('layers.clusters') });
+    }
+
+    rules.forEach(({ rule, colour: ruleColour }) => {
+        if (ruleColour && rule.label) {
+            entries.push({ fillColor: ruleColour.fillColor, label: localizeText(rule.label) });
+        }
+    });
+
+    return { title: localizeText(preset.legendTitle || preset.label), entries, note };
+}
@@ -0,0 +1,606 @@
+#!/usr/bin/env python3
+"""
+Update districts_index.json with metadata computed from the district files:
+1. Bounding box of every district ([min_lng, min_lat, max_lng, max_lat])
+2. A data version (hash of the district files), used by the map to invalidate
+   its offline cache when the data changes
+3. species_stats.json next to the index: height and diameter deciles of every
+   species across all district files, used by the tree detail panel to compare
+   a tree with the rest of its species
+4. Statistics of every district and neighborhood (tree count, top species,
+   height and diameter histograms, mean height, Shannon diversity, singular
+   trees), shown by the statistics dashboard and the choropleth before the
+   districts are loaded
+5. Estimated ecosystem services of every district and neighborhood (biomass,
+   stored carbon, CO2 per year, canopy and rain interception), from the
+   coefficients in the city's ecosystem-services.json. The equations mirror
+   ecosystem-services.js; keep both in step
+6. The city's entry in data/cities.json, the manifest of the cities the map
+   can show (see cities.js): data folder, index, special districts, and for a
+   new city its center and zoom
+
+Run it last, after split-by-district.py and compress-districts.py.
+
+Special districts (Madrid's singular trees) are read from the city's entry in
+the manifest; --special adds one.
+
+Districts whose file is not present are left untouched, so the map falls back
+to always loading them.
+"""
+
+import hashlib
+import json
+import math
+import os
+import sys
+from collections import Counter
+from pathlib import Path
+
+# Zoom of a city added to the manifest; edit it in data/cities.json afterwards
+DEFAULT_CITY_ZOOM = 12
+
+# Histogram bin lower edges; the last bin is open-ended
+HEIGHT_BINS = [0, 5, 10, 15, 20, 25, 30]
+DIAMETER_BINS = [0, 20, 40, 60, 80, 100, 150]
+
+TOP_SPECIES = 10
+
+# Singular trees are assigned to the district and neighborhood of the nearest
+# city tree within this distance (degrees, ~200 m); farther ones are outside the city
+SINGULAR_MATCH_DISTANCE = 0.002
+
+# Estimated ecosystem services, in the order of ECOSYSTEM_SERVICES in ecosystem-services.js
+ECOSYSTEM_SERVICES = ('biomass', 'carbon', 'co2', 'canopy', 'interception')
+
+
+def compute_bbox(features, precision=6):
+    """Compute the [min_lng, min_lat, max_lng, max_lat] box of point features"""
+    min_lng = min_lat = float('inf')
+    max_lng = max_lat = float('-inf')
+
+    for feature in features:
+        geometry = feature.get('geometry') or {}
+        coords = geometry.get('coordinates')
+        if not coords or len(coords) < 2:
+            continue
+
+        lng, lat = coords[0], coords[1]
+        min_lng = min(min_lng, lng)
+        min_lat = min(min_lat, lat)
+        max_lng = max(max_lng, lng)
+        max_lat = max(max_lat, lat)
+
+    if min_lng == float('inf'):
+        return None
+
+    return [
+        round(min_lng, precision),
+        round(min_lat, precision),
+        round(max_lng, precision),
+        round(max_lat, precision)
+    ]
+
+
+def compute_quantiles(values, steps=10):
+    """Return steps + 1 evenly spaced quantiles (min, deciles, max) of sorted values"""
+    last = len(values) - 1
+    quantiles = []
+    for step in range(steps + 1):
+        position = last * step / steps
+        lower = int(position)
+        upper = min(lower + 1, last)
+        value = values[lower] + (values[upper] - values[lower]) * (position - lower)
+        quantiles.append(round(value, 2))
+    return quantiles
+
+
+def read_species(props):
+    """Return the scientific name of a tree, whatever property name it uses"""
+    return props.get('sn') or props.get('species') or props.get('Nombre científico')
+
+
+def read_measure(props, names):
+    """Return the first of the given properties as a positive number, or None"""
+    value = next((props[name] for name in names if props.get(name) not in (None, '')), None)
+    try:
+        value = float(value)
+    except (TypeError, ValueError):
+        return None
+    return value if value > 0 else None
+
+
+def add_species_measures(species_measures, features):
+    """Collect the heights and diameters of every species; 0 and missing values are skipped"""
+    for feature in features:
+        props = feature.get('properties') or {}
+        species = read_species(props)
+        if not species:
+            continue
+
+        measures = species_measures.setdefault(species, {'height': [], 'diameter': []})
+        for field, names in (('height', ('h', 'height')), ('diameter', ('d', 'diameter'))):
+            value = read_measure(props, names)
+            if value is not None:
+                measures[field].append(value)
+
+
+def compute_species_stats(species_measures):
+    """Summarize the collected measures as { species: { count, height, diameter } }"""
+    stats = {}
+    for species in sorted(species_measures):
+        measures = species_measures[species]
+        entry = {'count': max(len(measures['height']), len(measures['diameter']))}
+        for field in ('height', 'diameter'):
+            if measures[field]:
+                entry[field] = compute_quantiles(sorted(measures[field]))
+        if entry['count']:
+            stats[species] = entry
+    return stats
+
+
+def histogram_bin(value, edges):
+    """Index of the bin a value falls in, given the bins' lower edges"""
+    index = 0
+    while index + 1 < len(edges) and value >= edges[index + 1]:
+        index += 1
+    return index
+
+
+class EcosystemServices:
+    """Estimate the ecosystem services of trees from the coefficients of
+    ecosystem-services.json, as ecosystem-services.js does"""
+
+    def __init__(self, config):
+        self.config = config
+        self.coefficients = {}
+
+    @staticmethod
+    def genus(name):
+        """Genus of a scientific name; hybrid genera ("x Cupressocyparis") keep their x"""
+        words = name.split(' ')
+        return ' '.join(words[:2]) if words[0] == 'x' else words[0]
+
+    def find_coefficients(self, species):
+        """Coefficients of a species: its group's, overridden by its genus' and then its own"""
+        key = species or ''
+        if key not in self.coefficients:
+            name = ' '.join(key.split())
+            words = name.split(' ')
+            binomial = ' '.join(words[:4] if words[0] == 'x' else words[:2])
+            species_entries = self.config.get('species') or {}
+            species_entry = species_entries.get(name) or species_entries.get(binomial)
+            genus_entry = (self.config.get('genera') or {}).get(self.genus(name)) if name else None
+
+            group = ((species_entry or {}).get('group') or (genus_entry or {}).get('group')
+                     or self.config.get('default_group'))
+            group_entry = (self.config.get('groups') or {}).get(group)
+            self.coefficients[key] = (
+                {**group_entry, **(genus_entry or {}), **(species_entry or {})} if group_entry else None)
+        return self.coefficients[key]
+
+    def carbon(self, coefficients, diameter, height):
+        """Biomass and stored carbon of a tree, in kg"""
+        constants = self.config['constants']
+        aboveground = coefficients['biomass']['a'] * (
+            coefficients['wood_density'] * diameter ** 2 * height) ** coefficients['biomass']['b']
+        biomass = aboveground * (1 + constants['root_shoot_ratio']) * constants['urban_biomass_factor']
+        return biomass, biomass * constants['carbon_fraction']
+
+    def estimate(self, props):
+        """Estimated services of a tree, or None without a diameter or coefficients.
+        Biomass, carbon and CO2 are None without a height"""
+        diameter = read_measure(props, ('d', 'diameter'))
+        coefficients = self.find_coefficients(read_species(props)) if diameter is not None else None
+        if coefficients is None:
+            return None
+
+        constants = self.config['constants']
+        crown = min(coefficients['crown']['a'] * diameter ** coefficients['crown']['b'], coefficients['crown']['max_m'])
+        canopy = math.pi * (crown / 2) ** 2
+        estimate = {
+            'biomass': None,
+            'carbon': None,
+            'co2': None,
+            'canopy': canopy,
+            'interception': canopy * constants['annual_rainfall_mm'] * coefficients['interception_ratio']
+        }
+
+        height = read_measure(props, ('h', 'height'))
+        if height is not None:
+            biomass, carbon = self.carbon(coefficients, diameter, height)
+            _, next_year = self.carbon(coefficients, diameter + coefficients['growth_cm_year'], height)
+            estimate.update(biomass=biomass, carbon=carbon, co2=(next_year - carbon) * constants['co2_per_carbon'])
+        return estimate
+
+
+def load_ecosystem_services(path):
+    """Read the ecosystem services coefficients, or return None if there are none"""
+    if not path.exists():
+        print(f"  No ecosystem services coefficients ({path}): estimates left out")
+        return None
+    with open(path, 'r', encoding='utf-8') as f:
+        return EcosystemServices(json.load(f))
+
+
+def new_area_counts():
+    """Empty accumulator for the trees of a district or neighborhood"""
+    return {
+        'count': 0,
+        'species': Counter(),
+        'height': [0] * len(HEIGHT_BINS),
+        'diameter': [0] * len(DIAMETER_BINS),
+        'height_sum': 0,
+        'height_count': 0,
+        'ecosystem': dict.fromkeys(ECOSYSTEM_SERVICES + ('count',), 0)
+    }
+
+
+def add_area_tree(counts, props, ecosystem=None):
+    """Add one tree to an area accumulator"""
+    counts['count'] += 1
+    species = read_species(props)
+    if species:
+        counts['species'][species] += 1
+
+    height = read_measure(props, ('h', 'height'))
+    if height is not None:
+        counts['height'][histogram_bin(height, HEIGHT_BINS)] += 1
+        counts['height_sum'] += height
+        counts['height_count'] += 1
+
+    diameter = read_measure(props, ('d', 'diameter'))
+    if diameter is not None:
+        counts['diameter'][histogram_bin(diameter, DIAMETER_BINS)] += 1
+
+    estimate = ecosystem.estimate(props) if ecosystem else None
+    if estimate:
+        counts['ecosystem']['count'] += 1
+        for key in ECOSYSTEM_SERVICES:
+            counts['ecosystem'][key] += estimate[key] or 0
+
+
+def shannon_index(species_counts):
+    """Shannon diversity index (natural log) of a species Counter"""
+    total = sum(species_counts.values())
+    if not total:
+        return 0
+    return -sum(n / total * math.log(n / total) for n in species_counts.values())
+
+
+def summarize_area(counts, singular_count):
+    """Turn an area accumulator into the stats stored in the index"""
+    summary = {
+        'tree_count': counts['count'],
+        'species_count': len(counts['species']),
+        'shannon': round(shannon_index(counts['species']), 3),
+        'singular_count': singular_count,
+        'mean_height': round(counts['height_sum'] / counts['height_count'], 2) if counts['height_count'] else None,
+        'top_species': [
+            {'sn': species, 'count': count}
+            for species, count in counts['species'].most_common(TOP_SPECIES)
+        ],
+        'height_histogram': counts['height'],
+        'diameter_histogram': counts['diameter']
+    }
+    if counts['ecosystem']['count']:
+        summary['ecosystem'] = {
+            key: round(value, 1) if key in ECOSYSTEM_SERVICES else value
+            for key, value in counts['ecosystem'].items()
+        }
+    return summary
+
+
+def compute_area_counts(features, ecosystem=None):
+    """Accumulate the trees of a district file, as a whole and by neighborhood"""
+    district_counts = new_area_counts()
+    neighborhoods = {}
+
+    for feature in features:
+        props = feature.get('properties') or {}
+        add_area_tree(district_counts, props, ecosystem)
+
+        neighborhood = props.get('nb') or props.get('NBRE_BARRI')
+        if neighborhood:
+            add_area_tree(neighborhoods.setdefault(neighborhood, new_area_counts()), props, ecosystem)
+
+    return district_counts, neighborhoods
+
+
+class SingularTreeMatcher:
+    """Find the nearest city tree of every singular tree, using a grid of cells"""
+
+    def __init__(self, features):
+        self.points = []
+        self.nearest = []
+        self.cells = {}
+
+        for feature in features:
+            coords = (feature.get('geometry') or {}).get('coordinates')
+            if not coords or len(coords) < 2:
+                continue
+            index = len(self.points)
+            self.points.append((coords[0], coords[1]))
+            self.nearest.append((SINGULAR_MATCH_DISTANCE ** 2, None, None))
+
+            cell_x, cell_y = self.cell(coords[0], coords[1])
+            for dx in (-1, 0, 1):
+                for dy in (-1, 0, 1):
+                    self.cells.setdefault((cell_x + dx, cell_y + dy), []).append(index)
+
+    @staticmethod
+    def cell(lng, lat):
+        return (math.floor(lng / SINGULAR_MATCH_DISTANCE), math.floor(lat / SINGULAR_MATCH_DISTANCE))
+
+    def add_city_trees(self, code, features):
+        """Offer the trees of a city district as nearest candidates"""
+        for feature in features:
+            coords = (feature.get('geometry') or {}).get('coordinates')
+            if not coords or len(coords) < 2:
+                continue
+            candidates = self.cells.get(self.cell(coords[0], coords[1]))
+            if not candidates:
+                continue
+
+            props = feature.get('properties') or {}
+            for index in candidates:
+                lng, lat = self.points[index]
+                distance = (coords[0] - lng) ** 2 + (coords[1] - lat) ** 2
+                if distance < self.nearest[index][0]:
+                    self.nearest[index] = (distance, code, props.get('nb') or props.get('NBRE_BARRI'))
+
+    def counts(self):
+        """Count matched singular trees as ({ code: n }, { (code, neighborhood): n })"""
+        by_district = Counter()
+        by_neighborhood = Counter()
+        for _, code, neighborhood in self.nearest:
+            if code is None:
+                continue
+            by_district[code] += 1
+            if neighborhood:
+                by_neighborhood[(code, neighborhood)] += 1
+        return by_district, by_neighborhood
+
+
+def compute_version(index_data, districts_dir):
+    """Hash the tree counts and district file contents into a short version string"""
+    digest = hashlib.sha1()
+
+    for district in index_data.get('districts', []):
+        digest.update(f"{district['code']}:{district['tree_count']}".encode('utf-8'))
+        district_path = districts_dir / district['filename']
+        if district_path.exists():
+            digest.update(district_path.read_bytes())
+
+    return digest.hexdigest()[:12]
+
+
+def update_index(districts_dir, special_codes, ecosystem=None):
+    """Add computed metadata to every district entry in the index.
+    Returns the updated index, or None if there is none"""
+    index_path = districts_dir / 'districts_index.json'
+
+    if not index_path.exists():
+        print(f"Error: Index not found: {index_path}")
+        return None
+
+    with open(index_path, 'r', encoding='utf-8') as f:
+        index_data = json.load(f)
+
+    updated = 0
+    species_measures = {}
+    area_counts = {}
+
+    singular_features = []
+    for district in index_data.get('districts', []):
+        district_path = districts_dir / district['filename']
+        if district['code'] in special_codes and district_path.exists():
+            with open(district_path, 'r', encoding='utf-8') as f:
+                singular_features.extend(json.load(f).get('features', []))
+    singular_matcher = SingularTreeMatcher(singular_features)
+
+    for district in index_data.get('districts', []):
+        district_path = districts_dir / district['filename']
+        if not district_path.exists():
+            print(f"  Skipping {district['code']} - {district['name']}: file not found")
+            continue
+
+        with open(district_path, 'r', encoding='utf-8') as f:
+            data = json.load(f)
+
+        add_species_measures(species_measures, data.get('features', []))
+        area_counts[district['code']] = compute_area_counts(data.get('features', []), ecosystem)
+        if district['code'] not in special_codes:
+            singular_matcher.add_city_trees(district['code'], data.get('features', []))
+
+        bbox = compute_bbox(data.get('features', []))
+        if bbox is None:
+            print(f"  Skipping {district['code']} - {district['name']}: no coordinates")
+            continue
+
+        district['bbox'] = bbox
+        updated += 1
+        print(f"  {district['code']} - {district['name']}: bbox {bbox}")
+
+    singular_by_district, singular_by_neighborhood = singular_matcher.counts()
+    for district in index_data.get('districts', []):
+        if district['code'] not in area_counts:
+            continue
+
+        district_counts, neighborhoods = area_counts[district['code']]
+        if district['code'] in special_codes:
+            district['stats'] = summarize_area(district_counts, district_counts['count'])
+            continue
+
+        # Cities without special districts have no singular count
+        district['stats'] = summarize_area(
+            district_counts, singular_by_district[district['code']] if special_codes else None)
+        district['stats']['neighborhoods'] = {
+            name: summarize_area(
+                neighborhoods[name], singular_by_neighborhood[(district['code'], name)] if special_codes else None)
+            for name in sorted(neighborhoods)
+        }
+
+    index_data['stats_bins'] = {'height': HEIGHT_BINS, 'diameter': DIAMETER_BINS}
+    print(f"  District stats: {len(area_counts)} districts")
+    if ecosystem:
+        index_data['ecosystem_services_version'] = ecosystem.config.get('version')
+        print(f"  Ecosystem services: coefficients version {index_data['ecosystem_services_version']}")
+    else:
+        index_data.pop('ecosystem_services_version', None)
+
+    species_stats = compute_species_stats(species_measures)
+    with open(districts_dir / 'species_stats.json', 'w', encoding='utf-8') as f:
+        json.dump({'species': species_stats}, f, ensure_ascii=False, separators=(',', ':'))
+    index_data['species_stats'] = 'species_stats.json'
+    print(f"  Species stats: {len(species_stats)} species")
+
+    index_data['version'] = compute_version(index_data, districts_dir)
+    print(f"  Data version: {index_data['version']}")
+
+    with open(index_path, 'w', encoding='utf-8') as f:
+        json.dump(index_data, f, ensure_ascii=False, indent=2)
+
+    print(f"\nUpdated {updated} of {len(index_data.get('districts', []))} districts in {index_path}")
+    return index_data
+
+
+def load_manifest(manifest_path):
+    """Read the city manifest, or start an empty one"""
+    if manifest_path.exists():
+        with open(manifest_path, 'r', encoding='utf-8') as f:
+            return json.load(f)
+    return {'default': None, 'cities': []}
+
+
+def normalize_folder(path):
+    """Folder path relative to the site, without ./ and with a trailing slash"""
+    return Path(path).as_posix().rstrip('/') + '/'
+
+
+def relative_folder(path, site_dir):
+    """Path of a folder relative to the site, with a trailing slash"""
+    return normalize_folder(os.path.relpath(path.resolve(), site_dir.resolve()))
+
+
+def find_city(manifest, city_id, data_root):
+    """Find a city of the manifest by id, or else by data folder"""
+    for city in manifest['cities']:
+        if city_id and city['id'] == city_id:
+            return city
+    for city in manifest['cities']:
+        if not city_id and normalize_folder(city.get('data_root', 'data/')) == data_root:
+            return city
+    return None
+
+
+def city_center(index_data, special_codes):
+    """Center of the bounding boxes of the ordinary districts, as [lat, lng]"""
+    boxes = [
+        district['bbox'] for district in index_data.get('districts', [])
+        if district.get('bbox') and district['code'] not in special_codes
+    ]
+    if not boxes:
+        return None
+    min_lng = min(box[0] for box in boxes)
+    min_lat = min(box[1] for box in boxes)
+    max_lng = max(box[2] for box in boxes)
+    max_lat = max(box[3] for box in boxes)
+    return [round((min_lat + max_lat) / 2, 4), round((min_lng + max_lng) / 2, 4)]
+
+
+def update_city(manifest, city, index_data, options, data_root, index_file, special_codes):
+    """Add or update the city entry of the manifest"""
+    if city is None:
+        city = {'id': options['city'] or Path(data_root).name, 'name': options['name'] or options['city'] or Path(data_root).name}
+        manifest['cities'].append(city)
+        print(f"  New city in the manifest: {city['id']}")
+
+    if options['name']:
+        city['name'] = options['name']
+    if 'center' not in city:
+        city['center'] = city_center(index_data, special_codes)
+        city['zoom'] = DEFAULT_CITY_ZOOM
+    city['data_root'] = data_root
+    city['index'] = index_file
+
+    special = city.setdefault('special_districts', {})
+    for code in special_codes:
+        special.setdefault(code, {})
+
+    if options['attribution']:
+        city['attribution'] = {'text': options['attribution']}
+    if options['attribution_url']:
+        city.setdefault('attribution', {})['url'] = options['attribution_url']
+
+    if not manifest.get('default'):
+        manifest['default'] = city['id']
+    return city
+
+
+def parse_arguments(args, script_dir):
+    """Read the command line: [districts-folder] [--city ID] [--name NAME] [--special CODE]
+    [--attribution TEXT] [--attribution-url URL]"""
+    options = {
+        'districts_dir': script_dir / 'data' / 'districts',
+        'city': None,
+        'name': None,
+        'special': [],
+        'attribution': None,
+        'attribution_url': None
+    }
+
+    i = 0
+    while i < len(args):
+        arg = args[i]
+        if arg in ('--city', '--name', '--special', '--attribution', '--attribution-url') and i + 1 < len(args):
+            key = arg[2:].replace('-', '_')
+            if key == 'special':
+                options['special'].append(args[i + 1])
+            else:
+                options[key] = args[i + 1]
+            i += 2
+        elif not arg.startswith('--'):
+            options['districts_dir'] = Path(arg)
+            i += 1
+        else:
+            print(f"Error: Unknown argument: {arg}")
+            return None
+    return options
+
+
+def main():
+    script_dir = Path(__file__).parent
+    options = parse_arguments(sys.argv[1:], script_dir)
+    if options is None:
+        return
+
+    districts_dir = options['districts_dir']
+    if not districts_dir.exists():
+        print(f"Error: Districts directory not found: {districts_dir}")
+        return
+
+    manifest_path = script_dir / 'data' / 'cities.json'
+    manifest = load_manifest(manifest_path)
+    data_root = relative_folder(districts_dir.parent, script_dir)
+    city = find_city(manifest, options['city'], data_root)
+    special_codes = set(options['special'])
+    if city:
+        special_codes.update(city.get('special_districts', {}).keys())
+
+    coefficients_file = (city or {}).get('ecosystem_services') or 'ecosystem-services.json'
+    ecosystem = load_ecosystem_services(districts_dir.parent / coefficients_file)
+
+    index_data = update_index(districts_dir, special_codes, ecosystem)
+    if index_data is None:
+        return
+
+    index_file = relative_folder(districts_dir, districts_dir.parent) + 'districts_index.json'
+    city = update_city(manifest, city, index_data, options, data_root, index_file, sorted(special_codes))
+    with open(manifest_path, 'w', encoding='utf-8') as f:
+        json.dump(manifest, f, ensure_ascii=False, indent=2)
+        f.write('\n')
+    print(f"City manifest: {city['id']} in {manifest_path}")
+
+
+if __name__ == '__main__':
+    main()